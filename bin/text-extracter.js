@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { buildDocumentJson } = require('../lib/document-json');
+const { buildDocx } = require('../lib/docx');
+const { buildMarkdown } = require('../lib/markdown');
+const { buildPlainText, markdownToHtml } = require('../lib/normalize');
+const {
+  applyExportView,
+  collectImageDescriptions,
+  extractionEngines,
+  needsImageDescriptions,
+  runExtraction,
+} = require('../lib/extract');
+const { resolveInputFiles } = require('../lib/input-files');
+const { closeOcrProviders, ocrProviderIds } = require('../lib/ocr-providers');
+const { createResultCacheFromEnv } = require('../lib/result-cache');
+
+const { mkdir, readFile, stat, writeFile } = fs.promises;
+
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_USAGE = 2;
+const FORMAT_EXTENSIONS = { md: 'md', txt: 'txt', html: 'html', json: 'json', docx: 'docx' };
+const LAYOUT_MODES = ['preserve', 'reflow'];
+
+const USAGE = `Aufruf: text-extracter extract <Eingabe...> [Optionen]
+
+Eingaben sind PDF- oder Bilddateien (PNG, JPEG, TIFF), Ordner (rekursiv)
+oder Glob-Muster wie "scans/**/*.pdf".
+
+Optionen:
+  -f, --format <format>   md, txt, html, json oder docx (Standard: md)
+  -o, --output <pfad>     Zieldatei, Zielordner oder "-" für die Standardausgabe
+                          (Standard: neben der Eingabedatei)
+  -e, --engine <engine>   auto, ocr oder pdfjs (Standard: auto)
+  -p, --provider <name>   OCR-Anbieter: mistral oder tesseract (lokal, offline)
+                          (Standard: OCR_PROVIDER oder mistral)
+      --api-key <key>     Mistral API-Key (sonst MISTRAL_API_KEY)
+      --drop-furniture    Kopf- und Fußzeilen sowie Seitenzahlen weglassen
+      --layout <modus>    preserve oder reflow (Standard: preserve)
+      --describe-images   Bilder durch Beschreibungen ersetzen (Vision-Modell)
+      --no-cache          Ergebnis-Cache weder lesen noch schreiben
+  -h, --help              Diese Hilfe anzeigen
+
+Exit-Codes: 0 alles extrahiert, 1 mindestens eine Datei fehlgeschlagen,
+2 fehlerhafter Aufruf.`;
+
+class UsageError extends Error {}
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+
+const escapeHtml = (value) => String(value).replace(/[&<>"]/g, (char) => HTML_ENTITIES[char]);
+
+const parseCommandLine = (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        format: { type: 'string', short: 'f', default: 'md' },
+        output: { type: 'string', short: 'o' },
+        engine: { type: 'string', short: 'e', default: 'auto' },
+        provider: { type: 'string', short: 'p' },
+        'api-key': { type: 'string' },
+        'drop-furniture': { type: 'boolean', default: false },
+        layout: { type: 'string', default: 'preserve' },
+        'describe-images': { type: 'boolean', default: false },
+        'no-cache': { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+  const [command, ...inputs] = positionals;
+  if (command !== 'extract') {
+    throw new UsageError(command ? `Unbekannter Befehl: ${command}` : 'Kein Befehl angegeben.');
+  }
+  if (!inputs.length) throw new UsageError('Keine Eingabedatei angegeben.');
+  if (!FORMAT_EXTENSIONS[values.format]) throw new UsageError(`Unbekanntes Format: ${values.format}`);
+  if (!extractionEngines.includes(values.engine)) {
+    throw new UsageError(`Unbekannte Engine: ${values.engine}`);
+  }
+  if (values.provider && !ocrProviderIds.includes(values.provider)) {
+    throw new UsageError(`Unbekannter OCR-Anbieter: ${values.provider}`);
+  }
+  if (!LAYOUT_MODES.includes(values.layout)) throw new UsageError(`Unbekanntes Layout: ${values.layout}`);
+  return { inputs, ...values };
+};
+
+/**
+ * Builds the export for one result. Images stay images unless descriptions are
+ * requested; Markdown and HTML link them from `imageDir`, relative to the output.
+ * JSON follows `schema/document.v1.schema.json` with the images embedded.
+ */
+const buildOutput = async (result, { format, apiKey, describeImages, imageDir, ...view }) => {
+  if (format === 'json') {
+    const document = buildDocumentJson(result, { fileName: result.fileName });
+    return { data: `${JSON.stringify(document, null, 2)}\n`, files: [] };
+  }
+
+  const sourcePages = result.pages || [];
+  if (describeImages && needsImageDescriptions(sourcePages) && !apiKey) {
+    throw new Error('Bildbeschreibungen benötigen einen Mistral API-Key.');
+  }
+  const descriptions = describeImages ? await collectImageDescriptions(sourcePages, apiKey) : {};
+  const pages = applyExportView(sourcePages, view);
+  const options = { html: result.html || '', descriptions, disableDescriptions: !describeImages, imageDir };
+
+  if (format === 'docx') return { data: await buildDocx(pages, options), files: [] };
+  if (format === 'txt') return { data: `${buildPlainText(pages, options)}\n`, files: [] };
+  const { markdown, files } = buildMarkdown(pages, options);
+  if (format === 'md') return { data: markdown, files };
+  const html = [
+    '<!DOCTYPE html>',
+    '<html lang="de">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(result.fileName || 'Export')}</title>`,
+    '</head>',
+    '<body>',
+    markdownToHtml(markdown).trim(),
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+  return { data: html, files };
+};
+
+const isDirectory = async (target) => (await stat(target).catch(() => null))?.isDirectory() || false;
+
+// With several inputs `-o` names a directory; equal file names get a numbered suffix there.
+const createOutputResolver = async (output, { format, multiple }) => {
+  const intoDirectory =
+    multiple || (output && (/[\\/]$/.test(output) || (await isDirectory(output))));
+  const usedPaths = new Set();
+  return (file) => {
+    if (output && !intoDirectory) return output;
+    const dir = output || path.dirname(file);
+    const { name } = path.parse(file);
+    let target = path.join(dir, `${name}.${FORMAT_EXTENSIONS[format]}`);
+    for (let counter = 2; usedPaths.has(target); counter += 1) {
+      target = path.join(dir, `${name}-${counter}.${FORMAT_EXTENSIONS[format]}`);
+    }
+    usedPaths.add(target);
+    return target;
+  };
+};
+
+const writeOutput = async (target, { data, files }) => {
+  await mkdir(path.dirname(target), { recursive: true });
+  await writeFile(target, data);
+  await Promise.all(
+    files.map(async (file) => {
+      const filePath = path.join(path.dirname(target), file.path);
+      await mkdir(path.dirname(filePath), { recursive: true });
+      await writeFile(filePath, file.data);
+    })
+  );
+};
+
+const runExtract = async (options) => {
+  const { files, missing } = await resolveInputFiles(options.inputs);
+  missing.forEach((input) => console.error(`Keine Eingabe gefunden: ${input}`));
+  if (!files.length) return EXIT_USAGE;
+
+  const toStdout = options.output === '-';
+  if (toStdout && files.length > 1) {
+    throw new UsageError('Die Standardausgabe nimmt nur eine Eingabedatei auf.');
+  }
+  const apiKey = options['api-key'] || process.env.MISTRAL_API_KEY || null;
+  const cache = options['no-cache'] ? null : createResultCacheFromEnv();
+  const resolveOutput = toStdout
+    ? () => '-'
+    : await createOutputResolver(options.output, { format: options.format, multiple: files.length > 1 });
+
+  let failed = missing.length;
+  /* eslint-disable no-await-in-loop */
+  for (const file of files) {
+    try {
+      const result = await runExtraction(await readFile(file), {
+        engine: options.engine,
+        provider: options.provider,
+        apiKey,
+        cache,
+        fileName: path.basename(file),
+      });
+      const target = resolveOutput(file);
+      const output = await buildOutput(
+        { ...result, fileName: path.basename(file) },
+        {
+          format: options.format,
+          apiKey,
+          describeImages: options['describe-images'],
+          imageDir: `${path.parse(target).name}-bilder`,
+          dropFurniture: options['drop-furniture'],
+          layoutMode: options.layout,
+        }
+      );
+      if (toStdout) {
+        if (output.files.length) {
+          console.error(`${output.files.length} Bild(er) ausgelassen, nur das Dokument wird ausgegeben.`);
+        }
+        process.stdout.write(output.data);
+      } else {
+        await writeOutput(target, output);
+        console.error(`${file} -> ${target}${result.cached ? ' (aus dem Cache)' : ''}`);
+      }
+    } catch (error) {
+      failed += 1;
+      console.error(`${file}: ${error?.message || error}`);
+    }
+  }
+  /* eslint-enable no-await-in-loop */
+  return failed ? EXIT_FAILED : EXIT_OK;
+};
+
+const main = async (argv) => {
+  try {
+    const options = parseCommandLine(argv);
+    if (options.help) {
+      console.log(USAGE);
+      return EXIT_OK;
+    }
+    return await runExtract(options);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\n${USAGE}`);
+      return EXIT_USAGE;
+    }
+    console.error(error?.message || error);
+    return EXIT_FAILED;
+  } finally {
+    // A local OCR worker would keep the process alive.
+    await closeOcrProviders();
+  }
+};
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
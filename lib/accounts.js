@@ -0,0 +1,301 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+
+const { mkdir, readFile, rename, writeFile } = fs.promises;
+const scrypt = promisify(crypto.scrypt);
+const ROLES = ['admin', 'user'];
+const USERNAME = /^[a-z0-9._-]{2,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+const accountError = (status, message) => Object.assign(new Error(message), { status });
+
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+// Stands in for the hash of unknown users, so they take as long to reject as wrong passwords.
+let dummyHash = null;
+const dummyPasswordHash = () => {
+  dummyHash = dummyHash || hashPassword(crypto.randomBytes(16).toString('base64'));
+  return dummyHash;
+};
+
+// API keys are stored with AES-256-GCM under a key derived from the server secret.
+const createKeyCipher = (secret) => {
+  const key = crypto.scryptSync(String(secret), 'text-extracter-api-keys', 32);
+  return {
+    encrypt: (text) => {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+      const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+      return {
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+      };
+    },
+    decrypt: ({ iv, tag, data }) => {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+      return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+    },
+  };
+};
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+// `null` means unlimited; anything else has to be a whole number of pages.
+const normalizeQuota = (quota = {}) => {
+  const limit = quota?.ocrPagesPerMonth;
+  if (limit === null || limit === undefined || limit === '') {
+    return { ocrPagesPerMonth: null };
+  }
+  if (!Number.isInteger(Number(limit)) || Number(limit) < 0) {
+    throw accountError(400, 'Das Kontingent muss eine ganze Zahl ab 0 sein.');
+  }
+  return { ocrPagesPerMonth: Number(limit) };
+};
+
+const normalizeUsername = (value) => String(value || '').trim().toLowerCase();
+
+const assertPassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw accountError(400, `Das Passwort braucht mindestens ${MIN_PASSWORD_LENGTH} Zeichen.`);
+  }
+};
+
+/**
+ * Local user accounts in one JSON file. Passwords are scrypt hashes; a user's own
+ * Mistral key is kept encrypted and only when a `secret` is configured. Every user
+ * can have a monthly OCR page quota (`quota.ocrPagesPerMonth`, `null` = unlimited);
+ * usage is counted per calendar month. With `bootstrapAdmin` the first admin is
+ * created as soon as the file is read while it has no users yet.
+ * Methods resolve with public user views that never contain hashes or keys.
+ */
+const createAccountStore = ({ file, secret = null, bootstrapAdmin = null }) => {
+  const cipher = secret ? createKeyCipher(secret) : null;
+  let usersPromise = null;
+  let writing = Promise.resolve();
+
+  const usageOf = (user) =>
+    user.usage?.month === currentMonth() ? user.usage : { month: currentMonth(), ocrPages: 0 };
+
+  const toPublic = (user) => ({
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    disabled: Boolean(user.disabled),
+    hasApiKey: Boolean(user.apiKey),
+    quota: normalizeQuota(user.quota),
+    usage: usageOf(user),
+    createdAt: user.createdAt,
+  });
+
+  // Writes are chained and go through a temporary file, so the file is never half-written.
+  const save = (users) => {
+    writing = writing
+      .catch(() => {})
+      .then(async () => {
+        await mkdir(path.dirname(file), { recursive: true });
+        const temp = `${file}.${process.pid}.tmp`;
+        await writeFile(temp, JSON.stringify({ users }, null, 2), { mode: 0o600 });
+        await rename(temp, file);
+      });
+    return writing;
+  };
+
+  const newUser = async ({ username, password, role = 'user', quota }) => ({
+    id: crypto.randomUUID(),
+    username,
+    role,
+    passwordHash: await hashPassword(password),
+    apiKey: null,
+    quota: normalizeQuota(quota),
+    usage: { month: currentMonth(), ocrPages: 0 },
+    disabled: false,
+    createdAt: new Date().toISOString(),
+  });
+
+  const load = () => {
+    if (!usersPromise) {
+      usersPromise = (async () => {
+        let users = [];
+        try {
+          users = JSON.parse(await readFile(file, 'utf8')).users || [];
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+        if (!users.length && bootstrapAdmin?.username && bootstrapAdmin?.password) {
+          users.push(
+            await newUser({
+              username: normalizeUsername(bootstrapAdmin.username),
+              password: bootstrapAdmin.password,
+              role: 'admin',
+            })
+          );
+          await save(users);
+        }
+        return users;
+      })();
+      usersPromise.catch(() => {
+        usersPromise = null;
+      });
+    }
+    return usersPromise;
+  };
+
+  const findUser = async (id) => {
+    const user = (await load()).find((candidate) => candidate.id === id);
+    if (!user) throw accountError(404, 'Benutzer nicht gefunden.');
+    return user;
+  };
+
+  const activeAdmins = (users) => users.filter((user) => user.role === 'admin' && !user.disabled);
+
+  const list = async () => (await load()).map(toPublic);
+
+  const get = async (id) => {
+    const user = (await load()).find((candidate) => candidate.id === id);
+    return user ? toPublic(user) : null;
+  };
+
+  const create = async ({ username, password, role = 'user', quota } = {}) => {
+    const users = await load();
+    const name = normalizeUsername(username);
+    if (!USERNAME.test(name)) {
+      throw accountError(400, 'Benutzernamen bestehen aus 2–64 Zeichen: a–z, 0–9, Punkt, Binde- oder Unterstrich.');
+    }
+    if (users.some((user) => user.username === name)) {
+      throw accountError(409, `Den Benutzer „${name}“ gibt es schon.`);
+    }
+    if (!ROLES.includes(role)) throw accountError(400, 'Unbekannte Rolle.');
+    assertPassword(password);
+    const user = await newUser({ username: name, password, role, quota });
+    users.push(user);
+    await save(users);
+    return toPublic(user);
+  };
+
+  // Admins can change role, quota, password and the disabled flag; one active admin always stays.
+  const update = async (id, { role, quota, password, disabled } = {}) => {
+    const users = await load();
+    const user = await findUser(id);
+    const next = {
+      ...user,
+      ...(role !== undefined ? { role } : {}),
+      ...(quota !== undefined ? { quota: normalizeQuota(quota) } : {}),
+      ...(disabled !== undefined ? { disabled: Boolean(disabled) } : {}),
+    };
+    if (!ROLES.includes(next.role)) throw accountError(400, 'Unbekannte Rolle.');
+    const others = users.filter((candidate) => candidate.id !== id);
+    if (!activeAdmins([...others, next]).length) {
+      throw accountError(409, 'Mindestens ein aktiver Admin muss bleiben.');
+    }
+    if (password !== undefined) {
+      assertPassword(password);
+      next.passwordHash = await hashPassword(password);
+    }
+    Object.assign(user, next);
+    await save(users);
+    return toPublic(user);
+  };
+
+  const remove = async (id) => {
+    const users = await load();
+    await findUser(id);
+    const remaining = users.filter((user) => user.id !== id);
+    if (!activeAdmins(remaining).length) {
+      throw accountError(409, 'Mindestens ein aktiver Admin muss bleiben.');
+    }
+    users.splice(0, users.length, ...remaining);
+    await save(users);
+  };
+
+  // Resolves with the user for valid credentials of an enabled account, otherwise with null.
+  // Every attempt pays for one scrypt hash, whether the user exists, is disabled or not.
+  const authenticate = async (username, password) => {
+    const user = (await load()).find((candidate) => candidate.username === normalizeUsername(username));
+    const valid = await verifyPassword(password, user ? user.passwordHash : await dummyPasswordHash());
+    if (!user || user.disabled || !valid) return null;
+    return toPublic(user);
+  };
+
+  const changePassword = async (id, currentPassword, newPassword) => {
+    const user = await findUser(id);
+    if (!(await verifyPassword(currentPassword, user.passwordHash))) {
+      throw accountError(403, 'Das bisherige Passwort stimmt nicht.');
+    }
+    return update(id, { password: newPassword });
+  };
+
+  // Stores the user's own Mistral key encrypted; an empty key removes it.
+  const setApiKey = async (id, apiKey) => {
+    const users = await load();
+    const user = await findUser(id);
+    const value = typeof apiKey === 'string' ? apiKey.trim() : '';
+    if (value && !cipher) {
+      throw accountError(501, 'Eigene Keys können nicht gespeichert werden (KEY_ENCRYPTION_SECRET fehlt).');
+    }
+    user.apiKey = value ? cipher.encrypt(value) : null;
+    await save(users);
+    return toPublic(user);
+  };
+
+  const getApiKey = async (id) => {
+    const user = (await load()).find((candidate) => candidate.id === id);
+    if (!user?.apiKey || !cipher) return null;
+    try {
+      return cipher.decrypt(user.apiKey);
+    } catch (error) {
+      console.error(`API-Key von ${user.username} nicht lesbar:`, error?.message || error);
+      return null;
+    }
+  };
+
+  // Resolves with the OCR pages left this month, or null without a quota.
+  const remainingOcrPages = async (id) => {
+    const user = await findUser(id);
+    const { ocrPagesPerMonth } = normalizeQuota(user.quota);
+    return ocrPagesPerMonth === null ? null : Math.max(0, ocrPagesPerMonth - usageOf(user).ocrPages);
+  };
+
+  const recordOcrPages = async (id, pages) => {
+    if (!pages) return;
+    const users = await load();
+    const user = await findUser(id);
+    const usage = usageOf(user);
+    user.usage = { ...usage, ocrPages: usage.ocrPages + pages };
+    await save(users);
+  };
+
+  return {
+    authenticate,
+    canStoreKeys: Boolean(cipher),
+    changePassword,
+    create,
+    get,
+    getApiKey,
+    list,
+    recordOcrPages,
+    remainingOcrPages,
+    remove,
+    setApiKey,
+    update,
+  };
+};
+
+module.exports = {
+  createAccountStore,
+};
@@ -0,0 +1,112 @@
+const chunkPages = (pageNumbers, size) => {
+  const chunks = [];
+  for (let i = 0; i < pageNumbers.length; i += size) {
+    chunks.push(pageNumbers.slice(i, i + size));
+  }
+  return chunks;
+};
+
+/**
+ * Maps `items` through the async `fn` with at most `limit` calls in flight.
+ * Results keep the input order; the first rejection rejects the whole batch and
+ * aborts the signal `fn` gets as third argument, so calls still running (and
+ * billed) stop and no further ones start.
+ */
+const mapWithConcurrency = async (items, limit, fn, { signal } = {}) => {
+  const controller = new AbortController();
+  const batchSignal = signal ? AbortSignal.any([signal, controller.signal]) : controller.signal;
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length && !batchSignal.aborted) {
+      const index = next;
+      next += 1;
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        results[index] = await fn(items[index], index, batchSignal);
+      } catch (error) {
+        controller.abort(error);
+        throw error;
+      }
+    }
+  };
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  batchSignal.throwIfAborted();
+  return results;
+};
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+
+const withRetries = async (fn, { retries = 2, delayMs = 1000, signal, shouldRetry = () => true } = {}) => {
+  let lastError = null;
+  for (let attempt = 0; attempt <= retries; attempt += 1) {
+    signal?.throwIfAborted();
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      return await fn(attempt);
+    } catch (error) {
+      lastError = error;
+      if (signal?.aborted || attempt === retries || !shouldRetry(error)) break;
+      // eslint-disable-next-line no-await-in-loop
+      await sleep(delayMs * (attempt + 1), signal);
+    }
+  }
+  throw lastError;
+};
+
+const payloadPages = (payload) => {
+  if (Array.isArray(payload?.pages)) return payload.pages;
+  if (Array.isArray(payload?.results)) return payload.results;
+  // Chunk without per-page data: keep its text as one page so nothing gets lost.
+  const text = payload?.markdown ?? payload?.text ?? payload?.document_text ?? '';
+  return text ? [{ markdown: String(text) }] : [];
+};
+
+/**
+ * Joins per-chunk OCR payloads into one payload shaped like a single-shot
+ * response. `chunks` holds the 1-based page numbers each payload was requested
+ * for; every page takes its number from its own chunk (by the page's `index`
+ * where the provider reports one), so a chunk that returns fewer pages than it
+ * was sent cannot shift the pages of the chunks after it.
+ */
+const mergeOcrPayloads = (payloads, chunks) => {
+  const pages = payloads.flatMap((payload, chunkIndex) => {
+    const chunk = chunks[chunkIndex];
+    return payloadPages(payload).map((page, position) => {
+      const offset = Number.isInteger(page.index) && page.index < chunk.length ? page.index : position;
+      const number = chunk[offset] ?? chunk[chunk.length - 1] + offset - chunk.length + 1;
+      return { ...page, index: number - 1, number };
+    });
+  });
+  const tables = payloads.flatMap((payload) => (Array.isArray(payload?.tables) ? payload.tables : []));
+  const pagesProcessed = payloads.reduce(
+    (sum, payload) => sum + (Number(payload?.usage_info?.pages_processed) || 0),
+    0
+  );
+  return {
+    model: payloads[0]?.model,
+    pages,
+    ...(tables.length ? { tables } : {}),
+    usage_info: { pages_processed: pagesProcessed || pages.length },
+  };
+};
+
+module.exports = {
+  chunkPages,
+  mapWithConcurrency,
+  mergeOcrPayloads,
+  sleep,
+  withRetries,
+};
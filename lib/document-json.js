@@ -0,0 +1,234 @@
+const Ajv = require('ajv');
+const documentSchema = require('../schema/document.v1.schema.json');
+const { version } = require('../package.json');
+const { decodeImage, stripDataUrl } = require('./images');
+const { expandTableGrid, getSegmentFormat, getTableRows } = require('./layout');
+const { attachParagraphs } = require('./reflow');
+const { ensureStructure, headingLevel } = require('./structure');
+
+const SCHEMA_VERSION = '1.0';
+const ROLES = documentSchema.definitions.role.enum;
+const ALIGNMENTS = ['left', 'center', 'right', 'justify'];
+const BLOCK_TYPES = { 'list-item': 'list-item', caption: 'caption', header: 'header', footer: 'footer' };
+const IMAGE_TYPES = { png: 'image/png', jpg: 'image/jpeg', gif: 'image/gif' };
+
+const ajv = new Ajv({
+  allErrors: true,
+  allowUnionTypes: true,
+  formats: { 'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:\d{2})$/ },
+});
+const validate = ajv.compile(documentSchema);
+
+const finite = (value) =>
+  value !== null && value !== '' && Number.isFinite(Number(value)) ? Number(value) : null;
+
+const toBox = (x, y, width = null, height = null) =>
+  finite(x) === null || finite(y) === null
+    ? null
+    : { x: finite(x), y: finite(y), width: finite(width), height: finite(height) };
+
+const lineText = (line) => (line.segments || []).map((segment) => segment.text || '').join('');
+
+// "'Inter, sans-serif', Inter, sans-serif" → "Inter"
+const firstFontFamily = (value) => {
+  const family = String(value || '')
+    .split(',')[0]
+    .replace(/['"]/g, '')
+    .trim();
+  return family || null;
+};
+
+const toRun = (segment) => {
+  const { bold, italic, underline, strike, fontSize } = getSegmentFormat(segment);
+  return {
+    text: String(segment.text || ''),
+    bold,
+    italic,
+    underline,
+    strike,
+    fontSize: fontSize ?? null,
+    fontFamily: firstFontFamily(segment.style?.fontFamily),
+  };
+};
+
+// Lines without an x never had geometry; their y is only the line index.
+const lineBox = (line) => {
+  const x = line.x ?? line.meta?.position?.x;
+  return typeof x === 'number' ? toBox(x, line.y ?? line.meta?.position?.y, line.width, line.height) : null;
+};
+
+const tableBox = (table) => {
+  const bbox = table.boundingBox;
+  return Array.isArray(bbox) && bbox.length === 4
+    ? toBox(bbox[0], bbox[1], bbox[2] - bbox[0], bbox[3] - bbox[1])
+    : null;
+};
+
+const imageBox = (image) => {
+  const { topLeft, bottomRight } = image.position || {};
+  if (!topLeft) return null;
+  return toBox(
+    topLeft.x,
+    topLeft.y,
+    bottomRight ? bottomRight.x - topLeft.x : null,
+    bottomRight ? bottomRight.y - topLeft.y : null
+  );
+};
+
+const toImage = (image, id, { embedImages }) => {
+  const { info } = decodeImage(image);
+  const prefix = String(image.base64 || '').match(/^data:([^;,]+)/);
+  return {
+    id,
+    sourceId: image.id ? String(image.id) : null,
+    boundingBox: imageBox(image),
+    mimeType: IMAGE_TYPES[info?.type] || prefix?.[1] || null,
+    ...(embedImages && image.base64 ? { data: stripDataUrl(image.base64) } : {}),
+    description: image._description || null,
+  };
+};
+
+const toTable = (table, id) => {
+  const rows = getTableRows(table);
+  return {
+    id,
+    boundingBox: tableBox(table),
+    rowCount: rows.length,
+    columnCount: expandTableGrid(rows)[0]?.length || 0,
+    rows: rows.map((row) =>
+      row.map((cell) => ({
+        text: String(cell?.text ?? ''),
+        colspan: Math.max(Number(cell?.colspan) || 1, 1),
+        rowspan: Math.max(Number(cell?.rowspan) || 1, 1),
+        header: Boolean(cell?.header),
+      }))
+    ),
+  };
+};
+
+const textBlock = (paragraph, id, lineIds) => {
+  const level = headingLevel(paragraph.role);
+  const type = level > 0 ? 'heading' : BLOCK_TYPES[paragraph.role] || 'paragraph';
+  return {
+    id,
+    type,
+    ...(level > 0 ? { level } : {}),
+    text: lineText(paragraph),
+    lineIds,
+    furniture: Boolean(paragraph.furniture),
+  };
+};
+
+const insideBox = (box, zone) =>
+  Boolean(box && zone) &&
+  box.x >= zone.x &&
+  box.x <= zone.x + zone.width &&
+  box.y >= zone.y &&
+  box.y <= zone.y + zone.height;
+
+/**
+ * Blocks follow the reflowed paragraphs, which cover the page's lines in order
+ * (`lineCount` each). Tables and images with a position go in front of the first
+ * paragraph below them; those without one close the page.
+ */
+const buildBlocks = (page, { lines, tables, images }) => {
+  const prefix = `p${page.number}`;
+  const blocks = [];
+  const zones = tables
+    .map((table) => table.boundingBox)
+    .filter((box) => box && box.width !== null && box.height !== null);
+  const placed = [
+    ...tables.map((table) => ({ type: 'table', tableId: table.id, box: table.boundingBox })),
+    ...images.map((image) => ({ type: 'image', imageId: image.id, box: image.boundingBox })),
+  ].sort((a, b) => (a.box?.y ?? Infinity) - (b.box?.y ?? Infinity));
+  const flushPlaced = (y) => {
+    while (placed.length && placed[0].box && (y === null || placed[0].box.y <= y)) {
+      const { box, ...block } = placed.shift();
+      blocks.push({ id: `${prefix}-b${blocks.length + 1}`, ...block, furniture: false });
+    }
+  };
+
+  let offset = 0;
+  (page.paragraphs || []).forEach((paragraph) => {
+    const covered = lines.slice(offset, offset + paragraph.lineCount);
+    offset += paragraph.lineCount;
+    const box = covered[0]?.boundingBox;
+    if (zones.some((zone) => insideBox(box, zone))) return;
+    if (box) flushPlaced(box.y);
+    const ids = covered.map((line) => line.id);
+    blocks.push(textBlock(paragraph, `${prefix}-b${blocks.length + 1}`, ids));
+  });
+  flushPlaced(null);
+  placed.forEach(({ box, ...block }) => {
+    blocks.push({ id: `${prefix}-b${blocks.length + 1}`, ...block, furniture: false });
+  });
+  return blocks;
+};
+
+const toPage = (page, index, options) => {
+  const number = Number(page.number) || index + 1;
+  const prefix = `p${number}`;
+  const lines = (page.lines || []).map((line, lineIndex) => ({
+    id: `${prefix}-l${lineIndex + 1}`,
+    text: lineText(line),
+    role: ROLES.includes(line.role) ? line.role : 'body',
+    align: ALIGNMENTS.includes(line.align) ? line.align : 'left',
+    furniture: Boolean(line.furniture),
+    boundingBox: lineBox(line),
+    runs: (line.segments || []).filter((segment) => segment?.text).map(toRun),
+  }));
+  const tables = (page.tables || []).map((table, tableIndex) =>
+    toTable(table, `${prefix}-t${tableIndex + 1}`)
+  );
+  const images = (page.images || [])
+    .filter((image) => image && !image._removed)
+    .map((image, imageIndex) => toImage(image, `${prefix}-i${imageIndex + 1}`, options));
+  return {
+    number,
+    width: finite(page.width),
+    height: finite(page.height),
+    provenance: { engine: page.engine || null },
+    blocks: buildBlocks({ ...page, number }, { lines, tables, images }),
+    lines,
+    tables,
+    images,
+  };
+};
+
+/**
+ * Turns an extraction result (or the pages of an edited one) into the versioned
+ * document of `schema/document.v1.schema.json`. Raw provider fragments
+ * (`meta.original`) and the fallback `html` are left out; `embedImages: false`
+ * drops the image data and keeps only its metadata.
+ */
+const buildDocumentJson = (result, { fileName = null, embedImages = true } = {}) => {
+  const pages = attachParagraphs(ensureStructure(Array.isArray(result?.pages) ? result.pages : []));
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    document: {
+      fileName: fileName || result?.fileName || null,
+      pageCount: Number(result?.pageCount) || pages.length,
+    },
+    provenance: {
+      engine: result?.source || null,
+      ocrPages: (Array.isArray(result?.ocrPages) ? result.ocrPages : []).map(Number).filter((n) => n >= 1),
+      cached: Boolean(result?.cached),
+      generator: { name: 'text-extracter', version },
+      createdAt: new Date().toISOString(),
+    },
+    pages: pages.map((page, index) => toPage(page, index, { embedImages })),
+  };
+};
+
+// Returns the schema violations of `document` (`path` and `message`); empty when it is valid.
+const validateDocumentJson = (document) =>
+  validate(document)
+    ? []
+    : validate.errors.map((error) => ({ path: error.instancePath || '/', message: error.message }));
+
+module.exports = {
+  SCHEMA_VERSION,
+  buildDocumentJson,
+  documentSchema,
+  validateDocumentJson,
+};
@@ -0,0 +1,241 @@
+const {
+  AlignmentType,
+  Document,
+  HeadingLevel,
+  ImageRun,
+  Packer,
+  Paragraph,
+  SectionType,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType,
+} = require('docx');
+const { decodeImage, getImageKey } = require('./images');
+const {
+  expandTableGrid,
+  getSegmentFormat,
+  getTableRows,
+  layoutPageElements,
+  parseHtmlBlocks,
+} = require('./layout');
+const { ensureStructure, headingLevel } = require('./structure');
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+// A4 with 2.5 cm margins, in twentieths of a point.
+const PAGE_WIDTH_TWIPS = 11906;
+const PAGE_HEIGHT_TWIPS = 16838;
+const PAGE_MARGIN_TWIPS = 1418;
+const CONTENT_WIDTH_TWIPS = PAGE_WIDTH_TWIPS - PAGE_MARGIN_TWIPS * 2;
+const CONTENT_WIDTH_PX = Math.floor((CONTENT_WIDTH_TWIPS / 1440) * 96);
+const PX_TO_TWIPS = 15;
+const DEFAULT_FONT_FAMILY = 'Inter';
+
+const alignmentMap = {
+  left: AlignmentType.LEFT,
+  center: AlignmentType.CENTER,
+  right: AlignmentType.RIGHT,
+  justify: AlignmentType.JUSTIFIED,
+};
+
+const primaryFontFamily = (fontFamily) => {
+  const first = String(fontFamily || '')
+    .split(',')[0]
+    .replace(/['"]/g, '')
+    .trim();
+  return first && first !== DEFAULT_FONT_FAMILY ? first : undefined;
+};
+
+const segmentToRun = (segment) => {
+  const format = getSegmentFormat(segment);
+  return new TextRun({
+    text: segment?.text || '',
+    bold: format.bold,
+    italics: format.italic,
+    underline: format.underline ? {} : undefined,
+    strike: format.strike,
+    // Word counts in half-points; 1px equals 0.75pt.
+    size: format.fontSize ? Math.round(format.fontSize * 0.75 * 2) : undefined,
+    font: primaryFontFamily(segment?.style?.fontFamily),
+  });
+};
+
+const headingLevels = [
+  HeadingLevel.HEADING_1,
+  HeadingLevel.HEADING_2,
+  HeadingLevel.HEADING_3,
+  HeadingLevel.HEADING_4,
+  HeadingLevel.HEADING_5,
+  HeadingLevel.HEADING_6,
+];
+
+const getLineAlign = (line) =>
+  line?.align || line?.textAlign || line?.text_align || line?.text_alignment || 'left';
+
+const lineToParagraph = (line, pageLeft) => {
+  const align = alignmentMap[getLineAlign(line)] ? getLineAlign(line) : 'left';
+  const x = line.x ?? line.segments?.[0]?.meta?.position?.x ?? 0;
+  const indentPx = align === 'left' ? Math.min(Math.max(x - pageLeft, 0), 400) : 0;
+  const level = headingLevel(line.role);
+  return new Paragraph({
+    heading: level ? headingLevels[level - 1] : undefined,
+    alignment: alignmentMap[align],
+    indent: indentPx > 10 ? { left: Math.round(indentPx * PX_TO_TWIPS) } : undefined,
+    spacing: level ? { before: 240, after: 120 } : { after: 60 },
+    children: (line.segments || []).filter((segment) => segment?.text).map(segmentToRun),
+  });
+};
+
+const tableToDocx = (table) => {
+  const rows = getTableRows(table);
+  if (!rows.length) return null;
+
+  // Column count must account for cells that are covered by a rowspan from above.
+  const columnCount = expandTableGrid(rows)[0]?.length || 0;
+  if (!columnCount) return null;
+
+  const columnWidth = Math.floor(CONTENT_WIDTH_TWIPS / columnCount);
+  return new Table({
+    width: { size: CONTENT_WIDTH_TWIPS, type: WidthType.DXA },
+    columnWidths: Array.from({ length: columnCount }, () => columnWidth),
+    rows: rows.map(
+      (row, rowIndex) =>
+        new TableRow({
+          tableHeader: rowIndex === 0 && row.every((cell) => cell.header),
+          children: row.map(
+            (cell) =>
+              new TableCell({
+                columnSpan: cell.colspan > 1 ? cell.colspan : undefined,
+                rowSpan: cell.rowspan > 1 ? cell.rowspan : undefined,
+                width: { size: columnWidth * (cell.colspan || 1), type: WidthType.DXA },
+                children: [
+                  new Paragraph({
+                    children: [new TextRun({ text: cell.text || '', bold: Boolean(cell.header) })],
+                  }),
+                ],
+              })
+          ),
+        })
+    ),
+  });
+};
+
+const imageToParagraph = (image) => {
+  const { data, info } = decodeImage(image);
+  if (!info) return null;
+
+  let { width, height } = info;
+  const box = image.position;
+  if (!width || !height) {
+    width = (box?.bottomRight?.x ?? 0) - (box?.topLeft?.x ?? 0) || CONTENT_WIDTH_PX;
+    height = (box?.bottomRight?.y ?? 0) - (box?.topLeft?.y ?? 0) || Math.round(width * 0.75);
+  }
+  const scale = Math.min(1, CONTENT_WIDTH_PX / width);
+  return new Paragraph({
+    spacing: { before: 120, after: 120 },
+    children: [
+      new ImageRun({
+        type: info.type,
+        data,
+        transformation: { width: Math.round(width * scale), height: Math.round(height * scale) },
+        altText: { name: 'Bild', description: image._description || 'Bild', title: 'Bild' },
+      }),
+    ],
+  });
+};
+
+const descriptionParagraph = (description) =>
+  new Paragraph({
+    spacing: { after: 60 },
+    children: [new TextRun({ text: 'Bild: ', bold: true }), new TextRun({ text: description })],
+  });
+
+const imagesToBlocks = (images, { descriptions, disableDescriptions }) =>
+  images
+    .filter((image) => !image._removed)
+    .map((image) => {
+      if (disableDescriptions) {
+        if (image.base64 && !image._replaceWithDescription) {
+          return imageToParagraph(image);
+        }
+        return image._description ? descriptionParagraph(image._description) : null;
+      }
+      const description =
+        (image._replaceWithDescription && image._description) ||
+        descriptions[getImageKey(image)] ||
+        'Bildbeschreibung nicht verfügbar.';
+      return descriptionParagraph(description);
+    })
+    .filter(Boolean);
+
+// Fallback for results that only carry the markdown-rendered HTML.
+const htmlToParagraphs = (html) =>
+  parseHtmlBlocks(html).map(
+    ({ tag, text }) =>
+      new Paragraph({
+        heading: /^h[1-6]$/.test(tag) ? headingLevels[Number(tag[1]) - 1] : undefined,
+        bullet: tag === 'li' ? { level: 0 } : undefined,
+        children: [new TextRun({ text })],
+      })
+  );
+
+const buildPageBlocks = (page, options) => {
+  const elements = layoutPageElements(page);
+  const lineXs = elements.filter((el) => el.type === 'line').map((line) => line.x ?? 0);
+  const pageLeft = lineXs.length ? Math.min(...lineXs) : 0;
+  const blocks = elements
+    .map((el) => (el.type === 'table' ? tableToDocx(el) : lineToParagraph(el, pageLeft)))
+    .filter(Boolean);
+  return [...blocks, ...imagesToBlocks(page.images || [], options)];
+};
+
+/**
+ * Builds an OOXML .docx from the normalized `pages` model, one section
+ * (and therefore one Word page break) per PDF page.
+ */
+const buildDocx = async (pages, { html = '', descriptions = {}, disableDescriptions = false } = {}) => {
+  const pageProperties = {
+    page: {
+      size: { width: PAGE_WIDTH_TWIPS, height: PAGE_HEIGHT_TWIPS },
+      margin: {
+        top: PAGE_MARGIN_TWIPS,
+        right: PAGE_MARGIN_TWIPS,
+        bottom: PAGE_MARGIN_TWIPS,
+        left: PAGE_MARGIN_TWIPS,
+      },
+    },
+  };
+  const options = { descriptions, disableDescriptions };
+
+  let sections;
+  if (pages.length) {
+    sections = ensureStructure(pages).map((page, index) => {
+      const children = buildPageBlocks(page, options);
+      return {
+        properties: { ...pageProperties, type: index ? SectionType.NEXT_PAGE : undefined },
+        children: children.length ? children : [new Paragraph({})],
+      };
+    });
+  } else {
+    const children = htmlToParagraphs(html);
+    sections = [{ properties: pageProperties, children: children.length ? children : [new Paragraph({})] }];
+  }
+
+  const doc = new Document({
+    creator: 'Text-Extracter',
+    title: 'PDF-Export',
+    styles: {
+      default: {
+        document: { run: { font: 'Calibri', size: 22 } },
+      },
+    },
+    sections,
+  });
+  return Packer.toBuffer(doc);
+};
+
+module.exports = {
+  DOCX_MIME_TYPE,
+  buildDocx,
+};
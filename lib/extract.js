@@ -0,0 +1,466 @@
+const { createPdfRenderer, extractPdfTextLayer, hasUsableTextLayer } = require('./pdfjs');
+const { buildPdfSubset, loadPdf } = require('./split');
+const { chunkPages, mapWithConcurrency, mergeOcrPayloads, withRetries } = require('./chunks');
+const { getImageKey } = require('./images');
+const { detectUploadType, imageUploadToPages } = require('./uploads');
+const { annotateStructure, ensureStructure } = require('./structure');
+const { dropFurniture, markFurniture } = require('./furniture');
+const { applyReadingOrder } = require('./reading-order');
+const { normalizeLayoutMode, reflowPages } = require('./reflow');
+const { mergeHybridPages, normalizePdfJsResult, tagPagesWithEngine } = require('./normalize');
+const { getOcrProvider } = require('./ocr-providers');
+const { createHttpClient } = require('./http-client');
+
+// The extraction pipeline without any HTTP around it, shared by the server and the CLI.
+const MISTRAL_CHAT_API_URL =
+  process.env.MISTRAL_CHAT_API_URL || 'https://api.mistral.ai/v1/chat/completions';
+const MISTRAL_VISION_MODEL = process.env.MISTRAL_VISION_MODEL || 'pixtral-large-latest';
+const visionClient = createHttpClient({ label: 'Mistral Vision' });
+const extractionEngines = ['auto', 'ocr', 'pdfjs'];
+const minTextLayerChars = Number(process.env.MIN_TEXT_LAYER_CHARS) || 20;
+const ocrChunkPages = Number(process.env.OCR_CHUNK_PAGES) || 10;
+const ocrChunkConcurrency = Number(process.env.OCR_CHUNK_CONCURRENCY) || 3;
+const ocrChunkRetries = Number(process.env.OCR_CHUNK_RETRIES ?? 2);
+const ocrRenderDpi = Number(process.env.OCR_RENDER_DPI) || 300;
+
+// "mistral" was the name of the OCR-only engine before providers became selectable.
+const normalizeEngine = (value) => {
+  const raw = String(value || '').trim().toLowerCase();
+  if (raw === 'mistral') return 'ocr';
+  return extractionEngines.includes(raw) ? raw : 'auto';
+};
+
+const requestWithRetries = (provider, input, { apiKey, signal, label }) =>
+  withRetries(
+    (attempt) => {
+      if (attempt) {
+        console.warn(`${label} wird erneut versucht (${attempt}).`);
+      }
+      return provider.request(input, { apiKey, signal });
+    },
+    // Upstream errors carry a `code` and were retried by the HTTP client already.
+    { retries: ocrChunkRetries, signal, shouldRetry: (error) => !error?.code }
+  );
+
+// Providers that cannot read PDFs get the pages as PNGs, rendered one by one as they are due.
+const ocrRenderedPages = async (fileBuffer, pageNumbers, provider, { apiKey, signal, onChunk }) => {
+  const renderer = await createPdfRenderer(fileBuffer, { dpi: ocrRenderDpi });
+  try {
+    const targetPages =
+      pageNumbers || Array.from({ length: renderer.pageCount }, (_, idx) => idx + 1);
+    const payloads = await mapWithConcurrency(
+      targetPages,
+      ocrChunkConcurrency,
+      async (pageNumber, index, batchSignal) => {
+        batchSignal.throwIfAborted();
+        const image = await renderer.render(pageNumber);
+        const payload = await requestWithRetries(provider, image, {
+          apiKey,
+          signal: batchSignal,
+          label: `OCR-Seite ${pageNumber}`,
+        });
+        onChunk?.([pageNumber]);
+        return payload;
+      },
+      { signal }
+    );
+    return mergeOcrPayloads(payloads, targetPages.map((pageNumber) => [pageNumber]));
+  } finally {
+    await renderer.destroy();
+  }
+};
+
+/**
+ * OCRs the given 1-based pages (or the whole document when `pageNumbers` is null).
+ * Documents above `ocrChunkPages` are split into page-range chunks that run with
+ * bounded concurrency and are retried on their own; the payloads are merged back
+ * in page order, so the result matches a single-shot request.
+ */
+const ocrPdfPages = async (fileBuffer, pageNumbers, provider, { apiKey, signal, onChunk } = {}) => {
+  if (!provider.capabilities().pdf) {
+    return ocrRenderedPages(fileBuffer, pageNumbers, provider, { apiKey, signal, onChunk });
+  }
+
+  const pdfInput = (data) => ({ data, mimeType: 'application/pdf' });
+  // A PDF pdf-lib cannot parse still goes to OCR as a whole; only splitting needs it.
+  const source = await loadPdf(fileBuffer).catch((error) => {
+    if (pageNumbers) throw error;
+    return null;
+  });
+  let targetPages = pageNumbers;
+  if (!targetPages) {
+    const pageCount = source?.getPageCount();
+    if (!pageCount || pageCount <= ocrChunkPages) {
+      return requestWithRetries(provider, pdfInput(fileBuffer), { apiKey, signal, label: 'OCR-Anfrage' });
+    }
+    targetPages = Array.from({ length: pageCount }, (_, idx) => idx + 1);
+  }
+
+  const chunks = chunkPages(targetPages, ocrChunkPages);
+  const payloads = await mapWithConcurrency(
+    chunks,
+    ocrChunkConcurrency,
+    async (chunk, index, batchSignal) => {
+      const chunkBuffer = await buildPdfSubset(source, chunk);
+      const payload = await requestWithRetries(provider, pdfInput(chunkBuffer), {
+        apiKey,
+        signal: batchSignal,
+        label: `OCR-Chunk ${index + 1}/${chunks.length}`,
+      });
+      onChunk?.(chunk);
+      return payload;
+    },
+    { signal }
+  );
+  return mergeOcrPayloads(payloads, chunks);
+};
+
+// Every image page is its own OCR request; payloads are merged like PDF chunks.
+const ocrImagePages = async (images, provider, { apiKey, signal, onChunk } = {}) => {
+  const payloads = await mapWithConcurrency(
+    images,
+    ocrChunkConcurrency,
+    async (image, index, batchSignal) => {
+      const payload = await requestWithRetries(provider, image, {
+        apiKey,
+        signal: batchSignal,
+        label: `OCR-Bild ${index + 1}/${images.length}`,
+      });
+      onChunk?.([index + 1]);
+      return payload;
+    },
+    { signal }
+  );
+  return mergeOcrPayloads(payloads, images.map((_, index) => [index + 1]));
+};
+
+/**
+ * Pages the provider processed (and bills), as it reports them. Normalizing drops
+ * blank pages, so the extracted pages are only the fallback for providers that
+ * report nothing.
+ */
+const pagesProcessed = (payload, fallback) => Number(payload?.usage_info?.pages_processed) || fallback;
+
+const createHttpError = (status, message) => Object.assign(new Error(message), { status });
+
+// Fails early when the chosen provider cannot run; `keyHint` says why a key would be needed.
+const assertProviderUsable = (provider, apiKey, keyHint) => {
+  if (provider.capabilities().requiresApiKey && !apiKey) {
+    throw createHttpError(400, `${keyHint}Bitte eigenen API-Key für ${provider.label} angeben.`);
+  }
+  if (!provider.enabled) {
+    throw createHttpError(500, `${provider.label} ist nicht konfiguriert.`);
+  }
+};
+
+/**
+ * Images have no text layer, so they always go to OCR. Multi-page TIFFs are
+ * split into one page per frame; the result has the same shape as for a PDF.
+ */
+const extractImagePages = async (
+  fileBuffer,
+  uploadType,
+  { engine, provider, apiKey, signal, reportProgress }
+) => {
+  if (engine === 'pdfjs') {
+    throw createHttpError(422, 'Bilder haben keine Textebene. Bitte ein OCR-Verfahren verwenden.');
+  }
+  assertProviderUsable(provider, apiKey, 'Bilder benötigen OCR. ');
+
+  let images;
+  try {
+    images = imageUploadToPages(fileBuffer, uploadType);
+  } catch (err) {
+    throw createHttpError(422, 'Das Bild konnte nicht gelesen werden.');
+  }
+  if (!images.length) {
+    throw createHttpError(422, 'Das Bild enthält keine lesbaren Seiten.');
+  }
+
+  let pagesDone = 0;
+  reportProgress({ stage: 'ocr', pagesDone, pagesTotal: images.length });
+  const payload = await ocrImagePages(images, provider, {
+    apiKey,
+    signal,
+    onChunk: (chunk) => {
+      pagesDone += chunk.length;
+      reportProgress({ pagesDone });
+    },
+  });
+  const normalized = provider.normalize(payload);
+  if (!normalized.pages.length && !normalized.html) {
+    throw createHttpError(502, `${provider.label} lieferte keine auswertbaren Daten.`);
+  }
+  const pages = tagPagesWithEngine(normalized.pages, provider.id);
+  return {
+    pages,
+    pageCount: pages.length,
+    source: provider.id,
+    html: normalized.html || null,
+    ocrPagesProcessed: pagesProcessed(payload, images.length),
+  };
+};
+
+/**
+ * Extracts the pages of one PDF or image. `engine` picks the route (`auto`: text
+ * layer first, OCR only for scanned pages; `ocr`; `pdfjs`), `provider` the OCR
+ * backend. `source` names what produced the result: `pdfjs`, the provider id, or
+ * `pdfjs+<provider>` when both contributed.
+ */
+const extractPages = async (
+  fileBuffer,
+  { engine = 'auto', provider: providerId, apiKey = null, signal, reportProgress = () => {} } = {}
+) => {
+  const onPage = (pagesDone, pagesTotal) => reportProgress({ pagesDone, pagesTotal });
+  const provider = getOcrProvider(providerId);
+
+  const uploadType = detectUploadType(fileBuffer);
+  if (uploadType && uploadType !== 'pdf') {
+    return extractImagePages(fileBuffer, uploadType, { engine, provider, apiKey, signal, reportProgress });
+  }
+
+  if (engine === 'pdfjs') {
+    reportProgress({ stage: 'textlayer' });
+    const layer = await extractPdfTextLayer(fileBuffer, { onPage, signal });
+    const { pages } = normalizePdfJsResult(layer);
+    if (!pages.some((page) => page.lines.length)) {
+      throw createHttpError(422, 'Die PDF enthält keine Textebene. Bitte ein OCR-Verfahren verwenden.');
+    }
+    return { pages, pageCount: pages.length, source: 'pdfjs', html: null };
+  }
+
+  // Hybrid routing: pages with a usable text layer stay local, only scans go to OCR.
+  let textPages = [];
+  let scannedPages = [];
+  let pageTotal = null;
+  let ocrWholeDocument = engine === 'ocr';
+  if (engine === 'auto') {
+    reportProgress({ stage: 'textlayer' });
+    const layer = await extractPdfTextLayer(fileBuffer, { onPage, signal }).catch((err) => {
+      if (signal?.aborted) throw err;
+      console.error('PDF.js-Analyse fehlgeschlagen, nutze OCR:', err?.message || err);
+      return null;
+    });
+    if (layer) {
+      pageTotal = layer.pageCount;
+      scannedPages = layer.pages
+        .filter((page) => !hasUsableTextLayer(page, minTextLayerChars))
+        .map((page) => page.number);
+      textPages = normalizePdfJsResult({
+        pages: layer.pages.filter((page) => !scannedPages.includes(page.number)),
+      }).pages;
+      if (!scannedPages.length) {
+        return { pages: textPages, pageCount: textPages.length, source: 'pdfjs', html: null };
+      }
+    }
+    ocrWholeDocument = !layer || scannedPages.length === layer.pageCount;
+  }
+
+  assertProviderUsable(
+    provider,
+    apiKey,
+    scannedPages.length ? `Seite(n) ${scannedPages.join(', ')} ohne Textebene benötigen OCR. ` : ''
+  );
+
+  reportProgress({
+    stage: 'ocr',
+    pagesDone: pageTotal ? pageTotal - scannedPages.length : 0,
+    pagesTotal: pageTotal,
+  });
+  let ocrPagesDone = pageTotal ? pageTotal - scannedPages.length : 0;
+  const ocrPayload = await ocrPdfPages(fileBuffer, ocrWholeDocument ? null : scannedPages, provider, {
+    apiKey,
+    signal,
+    onChunk: (chunk) => {
+      ocrPagesDone += chunk.length;
+      reportProgress({ pagesDone: ocrPagesDone });
+    },
+  });
+  const normalized = provider.normalize(ocrPayload);
+  const ocrPages = normalized?.pages || [];
+  const html = normalized?.html || null;
+
+  if (!ocrPages.length && !html) {
+    console.error(`${provider.label} keine Daten. Keys:`, Object.keys(normalized.raw || {}));
+    console.error(`${provider.label} Payload (gekürzt):`, JSON.stringify(ocrPayload || {}).slice(0, 1200));
+    throw createHttpError(502, `${provider.label} lieferte keine auswertbaren Daten.`);
+  }
+
+  if (ocrWholeDocument) {
+    const pages = tagPagesWithEngine(ocrPages, provider.id);
+    reportProgress({ pagesDone: pages.length, pagesTotal: pages.length });
+    return {
+      pages,
+      pageCount: pages.length,
+      source: provider.id,
+      html,
+      ocrPagesProcessed: pagesProcessed(ocrPayload, pageTotal || pages.length),
+    };
+  }
+
+  // The OCR html only covers the scanned pages, so the merged page model is authoritative.
+  const pages = mergeHybridPages(textPages, ocrPages, provider.id);
+  reportProgress({ pagesDone: pageTotal, pagesTotal: pageTotal });
+  return {
+    pages,
+    pageCount: pages.length,
+    source: `pdfjs+${provider.id}`,
+    html: null,
+    ocrPages: scannedPages,
+    ocrPagesProcessed: pagesProcessed(ocrPayload, scannedPages.length),
+  };
+};
+
+/**
+ * Runs the extraction pipeline for one PDF or image and resolves with the response body
+ * of `/api/extract`; with a `cache`, results for identical files and options come from
+ * it and are flagged `cached: true`. Errors carry the HTTP `status` they should be reported with.
+ */
+const runExtraction = async (fileBuffer, { cache = null, fileName = null, ...options } = {}) => {
+  const engine = options.engine || 'auto';
+  const provider = getOcrProvider(options.provider);
+  // The cache holds the normalized result; the cheap layout steps below always run fresh.
+  const cacheKey = cache?.keyFor(fileBuffer, {
+    engine,
+    provider: engine === 'pdfjs' ? null : provider.id,
+    model: engine === 'pdfjs' ? null : provider.model,
+    minTextLayerChars,
+  });
+  const cachedResult = cache ? await cache.get(cacheKey) : null;
+  const result = cachedResult || (await extractPages(fileBuffer, options));
+  if (cache && !cachedResult) {
+    await cache
+      .set(cacheKey, result, {
+        fileName,
+        engine,
+        source: result.source,
+        pageCount: result.pageCount,
+      })
+      .catch((error) => console.error('Ergebnis-Cache nicht beschreibbar:', error?.message || error));
+  }
+  return {
+    ...result,
+    pages: markFurniture(annotateStructure(applyReadingOrder(result.pages))),
+    cached: Boolean(cachedResult),
+  };
+};
+
+// OCR pages a result cost on a paid API; cached results and local providers cost nothing.
+const billableOcrPages = (result) => {
+  if (!result || result.cached || result.source === 'pdfjs') return 0;
+  const hybrid = result.source.startsWith('pdfjs+');
+  const provider = getOcrProvider(hybrid ? result.source.slice('pdfjs+'.length) : result.source);
+  if (!provider.capabilities().requiresApiKey) return 0;
+  return result.ocrPagesProcessed || 0;
+};
+
+// `onUsage` learns about every vision call: one image plus the tokens Mistral reports.
+const describeImageWithVision = async (base64, apiKey, { onUsage } = {}) => {
+  if (!base64 || !apiKey || !MISTRAL_VISION_MODEL) {
+    return null;
+  }
+
+  const payload = {
+    model: MISTRAL_VISION_MODEL,
+    messages: [
+      {
+        role: 'user',
+        content: [
+          {
+            type: 'text',
+            text: 'Erzeuge eine kurze, sachliche Bildbeschreibung auf Deutsch für ein Word-Dokument. Maximal 2 Sätze.',
+          },
+          { type: 'image_url', image_url: `data:image/jpeg;base64,${base64}` },
+        ],
+      },
+    ],
+    max_tokens: 120,
+  };
+
+  const data = await visionClient.requestJson(MISTRAL_CHAT_API_URL, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(payload),
+  });
+  onUsage?.({
+    images: 1,
+    promptTokens: data?.usage?.prompt_tokens,
+    completionTokens: data?.usage?.completion_tokens,
+  });
+
+  const choice = data?.choices?.[0]?.message?.content;
+  if (Array.isArray(choice)) {
+    const textPart = choice.find((c) => c.type === 'text') || choice[0];
+    return textPart?.text?.trim() || null;
+  }
+  if (typeof choice === 'string') {
+    return choice.trim();
+  }
+  return null;
+};
+
+const needsImageDescriptions = (pages) =>
+  pages.some((page) =>
+    (page.images || []).some(
+      (img) => img?.base64 && !img._removed && !(img._replaceWithDescription && img._description)
+    )
+  );
+
+// Describes every exported image once; user-provided descriptions win over vision calls.
+const collectImageDescriptions = async (pages, apiKey, { onUsage } = {}) => {
+  const descriptions = {};
+  for (const page of pages) {
+    if (!Array.isArray(page.images)) continue;
+    /* eslint-disable no-await-in-loop */
+    for (const image of page.images) {
+      if (!image?.base64 || image._removed) continue;
+      const key = getImageKey(image);
+      if (image._replaceWithDescription && image._description) {
+        descriptions[key] = image._description;
+        continue;
+      }
+      if (descriptions[key]) {
+        continue;
+      }
+      try {
+        const desc =
+          (await describeImageWithVision(image.base64, apiKey, { onUsage })) ||
+          'Bildbeschreibung konnte nicht erzeugt werden.';
+        descriptions[key] = desc;
+      } catch (err) {
+        console.error('Vision-Beschreibung fehlgeschlagen:', err?.message || err);
+        descriptions[key] = 'Bildbeschreibung konnte nicht erzeugt werden.';
+      }
+    }
+    /* eslint-enable no-await-in-loop */
+  }
+  return descriptions;
+};
+
+// Applies the client's view options (`dropFurniture`, `layoutMode`) to the pages to export.
+const applyExportView = (pages, { dropFurniture: withoutFurniture = false, layoutMode } = {}) => {
+  const visiblePages = withoutFurniture ? dropFurniture(pages) : pages;
+  return normalizeLayoutMode(layoutMode) === 'reflow'
+    ? reflowPages(ensureStructure(visiblePages))
+    : visiblePages;
+};
+
+// The reflow view of `pages`: one list of paragraphs per page, for the preview.
+const buildParagraphs = (pages) => reflowPages(ensureStructure(pages)).map((page) => page.lines);
+
+module.exports = {
+  applyExportView,
+  billableOcrPages,
+  buildParagraphs,
+  collectImageDescriptions,
+  createHttpError,
+  describeImageWithVision,
+  extractPages,
+  extractionEngines,
+  needsImageDescriptions,
+  normalizeEngine,
+  runExtraction,
+};
@@ -0,0 +1,352 @@
+const vm = require('vm');
+const { expandTableGrid, getTableRows } = require('./layout');
+const { buildTableCsv, parseGermanNumber } = require('./tables');
+
+// How reliable each way of finding a value is; values cut out of longer text lose a bit more.
+const CONFIDENCE = {
+  sameLine: 0.95,
+  cellRight: 0.9,
+  region: 0.9,
+  cellBelow: 0.8,
+  nextLine: 0.75,
+  pattern: 0.6,
+};
+const PARTIAL_MATCH = 0.9;
+
+const NUMBER_TOKEN = /[+\-\u2212]?(?:\d{1,3}(?:[.\u00a0\u202f ]\d{3})+|\d+)(?:,\d+)?/g;
+const CURRENCY_NEAR = /€|EUR/i;
+const MONTHS = [
+  'jan',
+  'feb',
+  'mär|maer|mar',
+  'apr',
+  'mai',
+  'jun',
+  'jul',
+  'aug',
+  'sep',
+  'okt',
+  'nov',
+  'dez',
+];
+const NUMERIC_DATE = /(\d{1,2})\.\s?(\d{1,2})\.\s?(\d{4}|\d{2})(?!\d)/;
+const ISO_DATE = /(\d{4})-(\d{2})-(\d{2})/;
+const NAMED_DATE = /(\d{1,2})\.?\s+([a-zä]{3,9})\.?\s+(\d{4})/i;
+
+const squash = (text) => String(text ?? '').replace(/\s+/g, ' ').trim();
+
+const finite = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
+const toBox = (x1, y1, x2, y2) => ({ x: x1, y: y1, width: x2 - x1, height: y2 - y1 });
+
+const readTable = (table, id) => {
+  const bbox = table?.boundingBox;
+  return {
+    id,
+    grid: expandTableGrid(getTableRows(table)),
+    box: Array.isArray(bbox) && bbox.length === 4 ? toBox(...bbox.map(Number)) : null,
+  };
+};
+
+// Lines and tables of a page with the ids of the JSON export (`p1-l3`, `p1-t1`).
+const readPage = (page, index) => {
+  const number = Number(page?.number) || index + 1;
+  return {
+    number,
+    width: finite(page?.width),
+    height: finite(page?.height),
+    lines: (Array.isArray(page?.lines) ? page.lines : []).map((line, lineIndex) => ({
+      id: `p${number}-l${lineIndex + 1}`,
+      text: squash((line.segments || []).map((segment) => segment.text || '').join('')),
+      box:
+        finite(line.x) !== null && finite(line.y) !== null
+          ? { x: line.x, y: line.y, width: finite(line.width), height: finite(line.height) }
+          : null,
+    })),
+    tables: (Array.isArray(page?.tables) ? page.tables : []).map((table, tableIndex) =>
+      readTable(table, `p${number}-t${tableIndex + 1}`)
+    ),
+  };
+};
+
+// Without page geometry nothing can lie inside a region.
+const restrictToRegion = (page, region) => {
+  if (region.page !== null && region.page !== page.number) return null;
+  if (!page.width || !page.height) return null;
+  const left = region.x * page.width;
+  const top = region.y * page.height;
+  const inside = (box) =>
+    Boolean(box) &&
+    box.x >= left &&
+    box.x <= left + region.width * page.width &&
+    box.y >= top &&
+    box.y <= top + region.height * page.height;
+  return {
+    ...page,
+    lines: page.lines.filter((line) => inside(line.box)),
+    tables: page.tables.filter((table) => inside(table.box)),
+  };
+};
+
+const lineSource = (page, line) => ({ page: page.number, lineId: line.id, boundingBox: line.box });
+
+const cellSource = (page, table, row, column) => ({
+  page: page.number,
+  tableId: table.id,
+  row: row + 1,
+  column: column + 1,
+  boundingBox: table.box,
+});
+
+// The text after `label`, without separators; null when the label is missing.
+const afterLabel = (text, label) => {
+  const position = text.toLowerCase().indexOf(label.toLowerCase());
+  if (position === -1) return null;
+  return text.slice(position + label.length).replace(/^[\s:#.\-–=]+/, '');
+};
+
+const cellText = (cell) => squash(cell?.text);
+
+const candidate = (text, confidence, source) => ({ text, confidence, source });
+
+const labelCandidates = (pages, label) =>
+  pages.flatMap((page) => [
+    ...page.lines.flatMap((line, index) => {
+      const rest = afterLabel(line.text, label);
+      if (rest === null) return [];
+      const next = page.lines.slice(index + 1).find((other) => other.text);
+      return [
+        rest && candidate(rest, CONFIDENCE.sameLine, lineSource(page, line)),
+        next && candidate(next.text, CONFIDENCE.nextLine, lineSource(page, next)),
+      ].filter(Boolean);
+    }),
+    ...page.tables.flatMap((table) =>
+      table.grid.flatMap((row, rowIndex) =>
+        row.flatMap((cell, column) => {
+          const rest = cell ? afterLabel(cellText(cell), label) : null;
+          if (rest === null) return [];
+          const source = (r, c) => cellSource(page, table, r, c);
+          const right = row.findIndex((other, c) => c > column && cellText(other));
+          const below = table.grid.findIndex((other, r) => r > rowIndex && cellText(other[column]));
+          return [
+            rest && candidate(rest, CONFIDENCE.sameLine, source(rowIndex, column)),
+            right !== -1 && candidate(cellText(row[right]), CONFIDENCE.cellRight, source(rowIndex, right)),
+            below !== -1 &&
+              candidate(cellText(table.grid[below][column]), CONFIDENCE.cellBelow, source(below, column)),
+          ].filter(Boolean);
+        })
+      )
+    ),
+  ]);
+
+// A region without a label reads as one text: its lines joined in reading order.
+const regionCandidates = (pages) =>
+  pages
+    .filter((page) => page.lines.some((line) => line.text))
+    .map((page) => {
+      const lines = page.lines.filter((line) => line.text);
+      const right = Math.max(...lines.map((line) => line.box.x + (line.box.width || 0)));
+      const bottom = Math.max(...lines.map((line) => line.box.y + (line.box.height || 0)));
+      const left = Math.min(...lines.map((line) => line.box.x));
+      const top = Math.min(...lines.map((line) => line.box.y));
+      return candidate(lines.map((line) => line.text).join(' '), CONFIDENCE.region, {
+        page: page.number,
+        lineId: lines[0].id,
+        boundingBox: toBox(left, top, right, bottom),
+      });
+    });
+
+const patternCandidates = (pages) =>
+  pages.flatMap((page) => [
+    ...page.lines
+      .filter((line) => line.text)
+      .map((line) => candidate(line.text, CONFIDENCE.pattern, lineSource(page, line))),
+    ...page.tables.flatMap((table) =>
+      table.grid.flatMap((row, rowIndex) =>
+        row
+          .map((cell, column) => ({ cell, column }))
+          .filter(({ cell }) => cellText(cell))
+          .map(({ cell, column }) =>
+            candidate(cellText(cell), CONFIDENCE.pattern, cellSource(page, table, rowIndex, column))
+          )
+      )
+    ),
+  ]);
+
+// Patterns come from users, and a backtracking one such as `^(\w|\d)+$` needs seconds on a
+// long line of digits. They run in their own context, which V8 interrupts once the time
+// left for the template is used up, so one template can never block the server for long.
+const PATTERN_BUDGET_MS = Number(process.env.TEMPLATE_PATTERN_BUDGET_MS) || 500;
+const patternContext = vm.createContext({});
+const patternScript = new vm.Script(`
+  (() => {
+    const regex = RegExp(source, 'i');
+    return texts.map((text) => {
+      const match = regex.exec(text);
+      if (!match) return null;
+      return match.slice(1).find((group) => group !== undefined) ?? match[0];
+    });
+  })()
+`);
+
+// For each text the pattern's first matched group, or the whole match; null if it does not match.
+const applyPattern = (texts, field, deadline) => {
+  if (!field.pattern) return texts;
+  Object.assign(patternContext, { source: field.pattern, texts: [...texts] });
+  try {
+    const values = patternScript.runInContext(patternContext, {
+      timeout: Math.max(1, Math.round(deadline - Date.now())),
+    });
+    return Array.from(values, (value) => squash(value) || null);
+  } catch (error) {
+    if (error?.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+    throw Object.assign(
+      new Error(`Das Muster im Feld „${field.name}“ braucht zu lange und wurde abgebrochen.`),
+      { status: 422, code: 'pattern_timeout' }
+    );
+  } finally {
+    Object.assign(patternContext, { source: null, texts: null });
+  }
+};
+
+const numberTokens = (text) =>
+  [...text.matchAll(NUMBER_TOKEN)]
+    .map((match) => ({ token: match[0], index: match.index, number: parseGermanNumber(match[0]) }))
+    .filter((entry) => entry.number);
+
+const parseNumber = (text) => {
+  const [first] = numberTokens(text);
+  return first ? { value: first.number.value, partial: first.token !== text } : null;
+};
+
+// Amounts prefer a number next to a currency sign; otherwise the last number wins (totals come last).
+const parseAmount = (text) => {
+  const tokens = numberTokens(text);
+  if (!tokens.length) return null;
+  const nearCurrency = (entry) =>
+    CURRENCY_NEAR.test(text.slice(Math.max(0, entry.index - 4), entry.index)) ||
+    CURRENCY_NEAR.test(text.slice(entry.index + entry.token.length, entry.index + entry.token.length + 5));
+  const chosen = tokens.find(nearCurrency) || tokens[tokens.length - 1];
+  const bare = text.replace(/\s*(?:€|EUR)\s*/gi, '');
+  return { value: Math.round(chosen.number.value * 100) / 100, partial: chosen.token !== bare };
+};
+
+const isoDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const valid =
+    date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+  return valid ? date.toISOString().slice(0, 10) : null;
+};
+
+// German dates ("14.03.2024", "1.4.24", "14. März 2024") and ISO dates become YYYY-MM-DD.
+const parseDate = (text) => {
+  const numeric = text.match(NUMERIC_DATE);
+  const iso = text.match(ISO_DATE);
+  const named = text.match(NAMED_DATE);
+  let value = null;
+  let match = null;
+  if (numeric) {
+    const year = numeric[3].length === 2 ? 2000 + Number(numeric[3]) : Number(numeric[3]);
+    value = isoDate(year, Number(numeric[2]), Number(numeric[1]));
+    match = numeric;
+  } else if (iso) {
+    value = isoDate(Number(iso[1]), Number(iso[2]), Number(iso[3]));
+    match = iso;
+  } else if (named) {
+    const month = MONTHS.findIndex((prefix) => RegExp(`^(?:${prefix})`, 'i').test(named[2]));
+    value = month === -1 ? null : isoDate(Number(named[3]), month + 1, Number(named[1]));
+    match = named;
+  }
+  return value ? { value, partial: match[0] !== text } : null;
+};
+
+const parseValue = (type, text) => {
+  if (type === 'number') return parseNumber(text);
+  if (type === 'amount') return parseAmount(text);
+  if (type === 'date') return parseDate(text);
+  return text ? { value: text, partial: false } : null;
+};
+
+const extractField = (field, pages, deadline) => {
+  const scoped = field.region
+    ? pages.map((page) => restrictToRegion(page, field.region)).filter(Boolean)
+    : pages;
+  let candidates = [];
+  if (field.label) candidates = labelCandidates(scoped, field.label);
+  else if (field.region) candidates = regionCandidates(scoped);
+  else candidates = patternCandidates(scoped);
+
+  // Best candidate first, document order among equals; the first one that parses wins.
+  const sorted = [...candidates].sort((a, b) => b.confidence - a.confidence);
+  const texts = applyPattern(sorted.map((entry) => entry.text), field, deadline);
+  const found = sorted
+    .map((entry, index) => {
+      const text = texts[index];
+      return { entry, text, parsed: text ? parseValue(field.type, text) : null };
+    })
+    .find(({ parsed }) => parsed);
+  if (!found) {
+    return { name: field.name, type: field.type, value: null, text: null, confidence: 0, source: null };
+  }
+  const { entry, text, parsed } = found;
+  const confidence = entry.confidence * (parsed.partial ? PARTIAL_MATCH : 1);
+  return {
+    name: field.name,
+    type: field.type,
+    value: parsed.value,
+    text,
+    confidence: Math.round(confidence * 100) / 100,
+    source: entry.source,
+  };
+};
+
+/**
+ * Applies a template (see `normalizeTemplate`) to the normalized `pages` of a
+ * result. Every field yields its typed `value` (text, number, amount rounded to
+ * cents, or a date as YYYY-MM-DD), the `text` it was read from, a `confidence`
+ * between 0 and 1 and its `source` (page, line or table cell and bounding box).
+ * Fields without a match have a null value; `missing` lists the required ones.
+ * Patterns that run out of time throw with status 422.
+ */
+const applyTemplate = (template, pages) => {
+  const readPages = (Array.isArray(pages) ? pages : []).map(readPage);
+  const deadline = Date.now() + PATTERN_BUDGET_MS;
+  const fields = template.fields.map((field) => extractField(field, readPages, deadline));
+  return {
+    template: { id: template.id || null, name: template.name },
+    fields,
+    missing: template.fields
+      .filter((field, index) => field.required && fields[index].value === null)
+      .map((field) => field.name),
+  };
+};
+
+const germanDecimal = (value, digits) =>
+  digits === null ? String(value).replace('.', ',') : value.toFixed(digits).replace('.', ',');
+
+const formatValue = ({ type, value }) => {
+  if (value === null) return '';
+  if (type === 'amount') return germanDecimal(value, 2);
+  if (type === 'number') return germanDecimal(value, null);
+  if (type === 'date') return value.split('-').reverse().join('.');
+  return value;
+};
+
+// One row per field for spreadsheets, written like the table CSVs (`decimal` as there).
+const buildFieldsCsv = ({ fields }, options = {}) => {
+  const rows = [
+    ['Feld', 'Wert', 'Konfidenz', 'Seite'],
+    ...fields.map((field) => [
+      field.name,
+      formatValue(field),
+      germanDecimal(field.confidence, 2),
+      field.source ? String(field.source.page) : '',
+    ]),
+  ].map((row, index) => row.map((text) => ({ text, header: index === 0 })));
+  return buildTableCsv(rows, options);
+};
+
+module.exports = {
+  applyTemplate,
+  buildFieldsCsv,
+};
@@ -0,0 +1,115 @@
+const { hasGeometry } = require('./layout');
+
+// Page furniture: running headers, footers and page numbers repeated on every page.
+// Bare numbers stop at three digits, so years ("2024") and dates ("03/2024") stay text.
+const PAGE_NUMBER_PATTERNS = [
+  /^(seite|page|s\.|blatt)\s*\d{1,4}(\s*(von|of|\/|aus)\s*\d{1,4})?$/i,
+  /^[-–—]?\s*\d{1,3}\s*[-–—]?$/,
+  /^\d{1,3}\s*\/\s*\d{1,3}$/,
+  /^(?=[ivxlc]+$)c{0,3}(xc|xl|l?x{0,3})(ix|iv|v?i{0,3})$/i,
+];
+const EDGE_LINES = 3;
+// Only lines within this share of the page height from the top or bottom qualify.
+const EDGE_ZONE = 0.15;
+
+const lineText = (line) =>
+  (line.segments || [])
+    .map((segment) => segment.text || '')
+    .join('')
+    .trim();
+
+// Digits vary from page to page ("Seite 3 von 12"), so they are masked for comparison.
+const furnitureKey = (text) => text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ');
+
+const isPageNumber = (text) => PAGE_NUMBER_PATTERNS.some((pattern) => pattern.test(text));
+
+const edgeCandidates = (page) => {
+  const lines = (page.lines || [])
+    .map((line, index) => ({ line, index, text: lineText(line), y: line.y ?? 0 }))
+    .filter((entry) => entry.text)
+    .sort((a, b) => a.y - b.y);
+  if (!lines.length) return [];
+  // Markdown-only OCR numbers its lines instead of placing them; without a position only
+  // the first and the last line of a page can be furniture.
+  const height = lines.some((entry) => hasGeometry(entry.line)) ? page.height : null;
+  const edgeLines = height ? EDGE_LINES : 1;
+  const top = lines[0].y;
+  const bottom = lines[lines.length - 1].y;
+  const span = Math.max(height || bottom - top, 1);
+  const inZone = (y, edge) =>
+    !height || (edge === 'top' ? y <= height * EDGE_ZONE : y >= height * (1 - EDGE_ZONE));
+  const edgeOf = (entry, order) => {
+    if (order < edgeLines && inZone(entry.y, 'top')) return 'top';
+    if (order >= lines.length - edgeLines && inZone(entry.y, 'bottom')) return 'bottom';
+    return null;
+  };
+  return lines
+    .map((entry, order) => ({
+      ...entry,
+      edge: edgeOf(entry, order),
+      // Bottom lines are compared by their distance to the last line, top lines by y.
+      offset: order < edgeLines ? entry.y - top : bottom - entry.y,
+      tolerance: span * 0.03 + 2,
+    }))
+    .filter((entry) => entry.edge);
+};
+
+/**
+ * Flags lines that recur at a similar position on several pages, plus page
+ * number lines at the top or bottom edge. Every line gets a boolean
+ * `furniture`; flagged ones also carry `furnitureKind`
+ * ('header', 'footer' or 'page-number').
+ */
+const markFurniture = (pages = [], { minShare = 0.4 } = {}) => {
+  const candidatesByPage = pages.map(edgeCandidates);
+  const occurrences = new Map();
+  candidatesByPage.forEach((candidates, pageIndex) => {
+    candidates.forEach((entry) => {
+      const key = `${entry.edge}:${furnitureKey(entry.text)}`;
+      if (!occurrences.has(key)) occurrences.set(key, []);
+      occurrences.get(key).push({ ...entry, pageIndex });
+    });
+  });
+
+  const minPages = Math.max(2, Math.ceil(pages.length * minShare));
+  const flagged = pages.map(() => new Map());
+  occurrences.forEach((entries, key) => {
+    const edge = key.startsWith('top') ? 'header' : 'footer';
+    const offsets = entries.map((entry) => entry.offset).sort((a, b) => a - b);
+    const median = offsets[Math.floor(offsets.length / 2)];
+    const aligned = entries.filter((entry) => Math.abs(entry.offset - median) <= entry.tolerance);
+    const pageCount = new Set(aligned.map((entry) => entry.pageIndex)).size;
+    if (pageCount >= minPages) {
+      aligned.forEach((entry) => flagged[entry.pageIndex].set(entry.index, edge));
+    }
+  });
+
+  candidatesByPage.forEach((candidates, pageIndex) => {
+    candidates.forEach((entry) => {
+      if (isPageNumber(entry.text)) flagged[pageIndex].set(entry.index, 'page-number');
+    });
+  });
+
+  return pages.map((page, pageIndex) => ({
+    ...page,
+    lines: (page.lines || []).map((line, index) => {
+      const kind = flagged[pageIndex].get(index);
+      return kind ? { ...line, furniture: true, furnitureKind: kind } : { ...line, furniture: false };
+    }),
+  }));
+};
+
+const hasFurnitureFlags = (pages = []) =>
+  pages.some((page) => (page.lines || []).some((line) => typeof line.furniture === 'boolean'));
+
+// Drops flagged lines; pages that never went through detection are checked first.
+const dropFurniture = (pages = []) =>
+  (hasFurnitureFlags(pages) ? pages : markFurniture(pages)).map((page) => ({
+    ...page,
+    lines: (page.lines || []).filter((line) => !line.furniture),
+  }));
+
+module.exports = {
+  dropFurniture,
+  markFurniture,
+};
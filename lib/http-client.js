@@ -0,0 +1,189 @@
+const { sleep } = require('./chunks');
+
+const httpClientDefaults = {
+  timeoutMs: Number(process.env.MISTRAL_TIMEOUT_MS) || 30 * 1000,
+  retries: Number(process.env.MISTRAL_RETRIES ?? 3),
+  baseDelayMs: Number(process.env.MISTRAL_RETRY_BASE_MS) || 500,
+  maxDelayMs: Number(process.env.MISTRAL_RETRY_MAX_MS) || 8 * 1000,
+  // A `Retry-After` beyond this is not waited for; the request fails with `rate_limited` right away.
+  maxRetryAfterMs: Number(process.env.MISTRAL_RETRY_AFTER_MAX_MS) || 60 * 1000,
+  breakerThreshold: Number(process.env.MISTRAL_BREAKER_THRESHOLD) || 5,
+  breakerCooldownMs: Number(process.env.MISTRAL_BREAKER_COOLDOWN_MS) || 30 * 1000,
+};
+
+/**
+ * Every upstream failure maps onto one code. `status` is what our own API answers
+ * with, `retryable` whether another attempt can help; timeouts and unavailable
+ * upstreams also count towards the circuit breaker.
+ */
+const UPSTREAM_ERRORS = {
+  rate_limited: { status: 429, retryable: true },
+  timeout: { status: 504, retryable: true, outage: true },
+  upstream_unavailable: { status: 502, retryable: true, outage: true },
+  unauthorized: { status: 401, retryable: false },
+  upstream_rejected: { status: 502, retryable: false },
+  invalid_response: { status: 502, retryable: false },
+  circuit_open: { status: 503, retryable: false },
+};
+
+const createUpstreamError = (code, message, extra = {}) =>
+  Object.assign(new Error(message), {
+    code,
+    status: UPSTREAM_ERRORS[code].status,
+    retryable: UPSTREAM_ERRORS[code].retryable,
+    ...extra,
+  });
+
+// `Retry-After` is either delta seconds or an HTTP date.
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Exponential backoff with jitter: half of the delay is fixed, the other half random.
+const backoffDelay = (attempt, { baseDelayMs, maxDelayMs }) => {
+  const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2);
+};
+
+const errorForResponse = (label, response, text) => {
+  const { status } = response;
+  const extra = { upstreamStatus: status, details: text ? text.slice(0, 500) : null };
+  if (status === 429) {
+    return createUpstreamError(
+      'rate_limited',
+      `${label}: Anfragelimit erreicht. Bitte später erneut versuchen.`,
+      { ...extra, retryAfterMs: parseRetryAfter(response.headers.get('retry-after')) }
+    );
+  }
+  if (status === 401 || status === 403) {
+    return createUpstreamError('unauthorized', `${label} hat den API-Key abgelehnt (${status}).`, extra);
+  }
+  if (status === 408 || status >= 500) {
+    const message = `${label} ist gerade nicht verfügbar (${status}).`;
+    return createUpstreamError('upstream_unavailable', message, extra);
+  }
+  return createUpstreamError('upstream_rejected', `${label} hat die Anfrage abgelehnt (${status}).`, extra);
+};
+
+/**
+ * JSON client for one upstream API (`label` names it in messages). Each attempt
+ * has its own timeout; retryable failures are repeated with exponential backoff,
+ * or after `Retry-After` for rate limits. After `breakerThreshold` outage
+ * failures in a row the circuit opens and calls fail fast with `circuit_open`
+ * until `breakerCooldownMs` have passed; then a single probe decides whether it
+ * closes again. Failures are thrown as errors with `code`, `status` and, where
+ * known, `upstreamStatus`, `details` and `retryAfterMs`.
+ */
+const createHttpClient = ({ label, ...overrides }) => {
+  const settings = { ...httpClientDefaults, ...overrides };
+  let failures = 0;
+  let openUntil = 0;
+  let probing = false;
+
+  const acquire = () => {
+    if (failures < settings.breakerThreshold) return;
+    const waitMs = openUntil - Date.now();
+    if (waitMs > 0 || probing) {
+      throw createUpstreamError(
+        'circuit_open',
+        `${label} ist nach wiederholten Fehlern vorübergehend gesperrt. Bitte später erneut versuchen.`,
+        { retryAfterMs: Math.max(waitMs, 1000) }
+      );
+    }
+    probing = true;
+  };
+
+  const settle = (error) => {
+    probing = false;
+    if (!error || !UPSTREAM_ERRORS[error.code]?.outage) {
+      failures = 0;
+      return;
+    }
+    failures += 1;
+    if (failures >= settings.breakerThreshold) {
+      openUntil = Date.now() + settings.breakerCooldownMs;
+      console.warn(`${label}: Circuit Breaker offen für ${settings.breakerCooldownMs} ms.`);
+    }
+  };
+
+  const attempt = async (url, { method, headers, body, signal, timeoutMs }) => {
+    const timeoutSignal = AbortSignal.timeout(timeoutMs);
+    let response;
+    let text;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: { Accept: 'application/json', ...headers },
+        body,
+        signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal,
+      });
+      text = await response.text();
+    } catch (error) {
+      if (signal?.aborted) throw signal.reason ?? error;
+      if (timeoutSignal.aborted) {
+        const message = `${label} hat nicht innerhalb von ${timeoutMs / 1000} s geantwortet.`;
+        throw createUpstreamError('timeout', message);
+      }
+      throw createUpstreamError('upstream_unavailable', `${label} ist nicht erreichbar.`, {
+        details: error?.cause?.message || error?.message || null,
+      });
+    }
+    if (!response.ok) {
+      throw errorForResponse(label, response, text);
+    }
+    try {
+      return text ? JSON.parse(text) : null;
+    } catch (error) {
+      throw createUpstreamError('invalid_response', `${label} lieferte keine gültige Antwort.`, {
+        upstreamStatus: response.status,
+        details: text.slice(0, 500),
+      });
+    }
+  };
+
+  const requestJson = async (url, { method = 'GET', headers = {}, body, signal, timeoutMs } = {}) => {
+    for (let attemptIndex = 0; ; attemptIndex += 1) {
+      signal?.throwIfAborted();
+      acquire();
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const result = await attempt(url, {
+          method,
+          headers,
+          body,
+          signal,
+          timeoutMs: timeoutMs || settings.timeoutMs,
+        });
+        settle(null);
+        return result;
+      } catch (error) {
+        if (signal?.aborted) {
+          probing = false;
+          throw error;
+        }
+        settle(error);
+        // Once the breaker has opened, the caller gets the failure itself rather than `circuit_open`.
+        const breakerOpen = failures >= settings.breakerThreshold;
+        if (!error.retryable || breakerOpen || attemptIndex >= settings.retries) throw error;
+        const delayMs = error.retryAfterMs ?? backoffDelay(attemptIndex, settings);
+        if (delayMs > settings.maxRetryAfterMs) throw error;
+        const retry = `${attemptIndex + 1}/${settings.retries}`;
+        console.warn(`${error.message} Neuer Versuch ${retry} in ${Math.round(delayMs)} ms.`);
+        // eslint-disable-next-line no-await-in-loop
+        await sleep(delayMs, signal);
+      }
+    }
+  };
+
+  return { requestJson };
+};
+
+module.exports = {
+  createHttpClient,
+  createUpstreamError,
+  parseRetryAfter,
+};
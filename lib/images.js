@@ -0,0 +1,46 @@
+const getImageKey = (image) => image?.id || image?.base64?.slice(0, 16);
+
+const stripDataUrl = (base64) => String(base64 || '').replace(/^data:[^,]*,/, '');
+
+const readImageInfo = (buffer) => {
+  if (buffer.length > 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { type: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length > 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) {
+        offset += 1;
+        continue;
+      }
+      const marker = buffer[offset + 1];
+      const length = buffer.readUInt16BE(offset + 2);
+      // SOF0..SOF15 carry the frame size, except DHT (C4), JPG (C8) and DAC (CC).
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return {
+          type: 'jpg',
+          height: buffer.readUInt16BE(offset + 5),
+          width: buffer.readUInt16BE(offset + 7),
+        };
+      }
+      offset += 2 + length;
+    }
+    return { type: 'jpg', width: 0, height: 0 };
+  }
+  if (buffer.length > 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+    return { type: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  return null;
+};
+
+const decodeImage = (image) => {
+  const data = Buffer.from(stripDataUrl(image?.base64), 'base64');
+  return { data, info: data.length ? readImageInfo(data) : null };
+};
+
+module.exports = {
+  decodeImage,
+  getImageKey,
+  readImageInfo,
+  stripDataUrl,
+};
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const { UPLOAD_EXTENSIONS } = require('./uploads');
+
+const { readdir, stat } = fs.promises;
+const GLOB_CHARS = /[*?[{]/;
+
+const isUploadFile = (fileName) => UPLOAD_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+
+// Translates a glob (`*`, `**`, `?`, `[abc]`, `{a,b}`) into a regular expression on `/`-paths.
+const globToRegExp = (pattern) => {
+  let source = '';
+  let braceDepth = 0;
+  for (let i = 0; i < pattern.length; i += 1) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      const slashFollows = pattern[i + 2] === '/';
+      source += slashFollows ? '(?:.*/)?' : '.*';
+      i += slashFollows ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      braceDepth += 1;
+      source += '(?:';
+    } else if (char === '}' && braceDepth) {
+      braceDepth -= 1;
+      source += ')';
+    } else if (char === ',' && braceDepth) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+};
+
+const walk = async (dir) => {
+  const entries = await readdir(dir, { withFileTypes: true });
+  const nested = await Promise.all(
+    entries.map((entry) => {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) return walk(fullPath);
+      return entry.isFile() ? [fullPath] : [];
+    })
+  );
+  return nested.flat();
+};
+
+// The fixed leading directories of a glob are walked, the rest is matched per file.
+const expandGlob = async (pattern) => {
+  const parts = pattern.split(/[\\/]/);
+  const firstGlob = parts.findIndex((part) => GLOB_CHARS.test(part));
+  const baseParts = parts.slice(0, firstGlob);
+  const base = baseParts.length ? baseParts.join('/') || '/' : '.';
+  const matcher = globToRegExp(parts.slice(firstGlob).join('/'));
+  const files = await walk(base).catch(() => []);
+  return files.filter((file) => matcher.test(path.relative(base, file).split(path.sep).join('/')));
+};
+
+/**
+ * Resolves command line inputs to the list of files to extract. Plain paths are
+ * taken as they are, directories are searched recursively for PDFs and images,
+ * and globs are expanded here as well, since not every shell does it. Inputs
+ * that match nothing are reported in `missing`.
+ */
+const resolveInputFiles = async (inputs) => {
+  const files = [];
+  const missing = [];
+  /* eslint-disable no-await-in-loop */
+  for (const input of inputs) {
+    const info = await stat(input).catch(() => null);
+    let matches = [];
+    if (info?.isDirectory()) {
+      matches = (await walk(input)).filter(isUploadFile).sort();
+    } else if (info) {
+      matches = [input];
+    } else if (GLOB_CHARS.test(input)) {
+      matches = (await expandGlob(input)).filter(isUploadFile).sort();
+    }
+    if (!matches.length) missing.push(input);
+    matches.forEach((file) => {
+      if (!files.includes(file)) files.push(file);
+    });
+  }
+  /* eslint-enable no-await-in-loop */
+  return { files, missing };
+};
+
+module.exports = {
+  resolveInputFiles,
+};
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+
+const FINISHED_STATES = ['done', 'failed', 'cancelled'];
+
+/**
+ * In-memory job queue with bounded concurrency. A task receives
+ * `{ signal, reportProgress }` and resolves with the job result; finished
+ * jobs are kept for `retentionMs` so clients can still fetch them after a reload.
+ */
+const createJobQueue = ({ concurrency = 2, retentionMs = 60 * 60 * 1000 } = {}) => {
+  const jobs = new Map();
+  const waiting = [];
+  let running = 0;
+
+  const toStatus = (job) => ({
+    id: job.id,
+    status: job.status,
+    progress: { ...job.progress },
+    error: job.error,
+    errorCode: job.errorCode,
+    meta: job.meta,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  });
+
+  const scheduleCleanup = (job) => {
+    const timer = setTimeout(() => {
+      jobs.delete(job.id);
+    }, retentionMs);
+    timer.unref?.();
+  };
+
+  const finish = (job, status, patch = {}) => {
+    if (FINISHED_STATES.includes(job.status)) return;
+    Object.assign(job, patch, { status, finishedAt: new Date().toISOString() });
+    job.onFinish?.(job);
+    scheduleCleanup(job);
+  };
+
+  const runNext = () => {
+    while (running < concurrency && waiting.length) {
+      const job = waiting.shift();
+      if (job.status !== 'queued') continue;
+      running += 1;
+      job.status = 'running';
+      job.startedAt = new Date().toISOString();
+      Promise.resolve()
+        .then(() =>
+          job.task({
+            signal: job.controller.signal,
+            reportProgress: (patch) => {
+              Object.assign(job.progress, patch);
+            },
+          })
+        )
+        .then((result) => {
+          if (job.controller.signal.aborted) return;
+          job.progress.stage = 'done';
+          finish(job, 'done', { result });
+        })
+        .catch((error) => {
+          if (job.controller.signal.aborted) return;
+          finish(job, 'failed', {
+            error: error?.message || 'Job fehlgeschlagen.',
+            errorStatus: error?.status || 500,
+            errorCode: error?.code || null,
+          });
+        })
+        .finally(() => {
+          running -= 1;
+          runNext();
+        });
+    }
+  };
+
+  const create = (task, { meta = {}, onFinish } = {}) => {
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      progress: { stage: 'queued', pagesDone: 0, pagesTotal: null },
+      error: null,
+      errorCode: null,
+      meta,
+      result: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      controller: new AbortController(),
+      task,
+      onFinish,
+    };
+    jobs.set(job.id, job);
+    waiting.push(job);
+    runNext();
+    return toStatus(job);
+  };
+
+  const get = (id) => jobs.get(id) || null;
+
+  const cancel = (id) => {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (!FINISHED_STATES.includes(job.status)) {
+      job.controller.abort();
+      finish(job, 'cancelled', { error: 'Job abgebrochen.' });
+    }
+    return toStatus(job);
+  };
+
+  return {
+    create,
+    get,
+    cancel,
+    status: (id) => {
+      const job = jobs.get(id);
+      return job ? toStatus(job) : null;
+    },
+  };
+};
+
+module.exports = {
+  createJobQueue,
+};
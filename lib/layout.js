@@ -0,0 +1,116 @@
+const { orderReadingFlow } = require('./reading-order');
+
+// Markdown-only OCR has no geometry: its lines carry no x and their y is only the line index.
+const hasGeometry = (line) => typeof (line.x ?? line.meta?.position?.x) === 'number';
+
+// Lines inside a table's bounding box are dropped, the table itself is rendered instead.
+// Everything else comes back in reading order, column by column.
+const layoutPageElements = (page) => {
+  const tables = (page.tables || []).map((table) => ({ ...table, type: 'table' }));
+  const tableZones = tables
+    .map((table) => table.boundingBox)
+    .filter((bbox) => Array.isArray(bbox) && bbox.length === 4)
+    .map((bbox) => ({ xMin: bbox[0], yMin: bbox[1], xMax: bbox[2], yMax: bbox[3] }));
+
+  const lines = (page.lines || [])
+    .filter((line) => {
+      const lx = line.x ?? line.meta?.position?.x ?? 0;
+      const ly = line.y ?? line.meta?.position?.y ?? 0;
+      return !tableZones.some(
+        (zone) => lx >= zone.xMin && lx <= zone.xMax && ly >= zone.yMin && ly <= zone.yMax
+      );
+    })
+    .map((line) => ({ ...line, type: 'line' }));
+
+  return orderReadingFlow([...lines, ...tables]);
+};
+
+const rowsFromTableText = (text) =>
+  String(text || '')
+    .split('\n')
+    .map((row) => row.split('\t').map((cellText) => ({ text: cellText, colspan: 1, rowspan: 1 })));
+
+const getTableRows = (table) =>
+  Array.isArray(table?.rows) && table.rows.length ? table.rows : rowsFromTableText(table?.text);
+
+/**
+ * Expands colspan/rowspan into a rectangular grid. Covered positions hold
+ * `null`, so callers can decide whether to repeat or blank them.
+ */
+const expandTableGrid = (rows) => {
+  const grid = [];
+  rows.forEach((row, rowIndex) => {
+    grid[rowIndex] = grid[rowIndex] || [];
+    let col = 0;
+    row.forEach((cell) => {
+      while (grid[rowIndex][col] !== undefined) col += 1;
+      const colspan = Math.max(Number(cell?.colspan) || 1, 1);
+      const rowspan = Math.max(Number(cell?.rowspan) || 1, 1);
+      for (let r = 0; r < rowspan; r += 1) {
+        grid[rowIndex + r] = grid[rowIndex + r] || [];
+        for (let c = 0; c < colspan; c += 1) {
+          grid[rowIndex + r][col + c] = r === 0 && c === 0 ? cell : null;
+        }
+      }
+      col += colspan;
+    });
+  });
+  const width = Math.max(0, ...grid.map((row) => row.length));
+  return grid
+    .slice(0, rows.length)
+    .map((row) => Array.from({ length: width }, (_, idx) => (row[idx] === undefined ? null : row[idx])));
+};
+
+const decodeEntities = (text) =>
+  text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+
+// Flattens markdown-rendered HTML into `{ tag, text }` blocks for exports without a page model.
+const parseHtmlBlocks = (html) => {
+  const blocks = [];
+  const pattern = /<(h[1-6]|p|li|tr)\b[^>]*>([\s\S]*?)<\/\1>/gi;
+  let match = pattern.exec(String(html || ''));
+  while (match) {
+    const tag = match[1].toLowerCase();
+    const inner = tag === 'tr' ? match[2].replace(/<\/t[hd]>\s*<t[hd][^>]*>/gi, '\t') : match[2];
+    const text = decodeEntities(inner.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '')).trim();
+    if (text) {
+      blocks.push({ tag, text });
+    }
+    match = pattern.exec(html);
+  }
+  return blocks;
+};
+
+const parsePixels = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+const getSegmentFormat = (segment) => {
+  const style = segment?.style || {};
+  const decoration = String(style.textDecoration || '');
+  const weight = Number(style.fontWeight) || (/bold/i.test(style.fontWeight) ? 700 : 400);
+  return {
+    bold: weight >= 600,
+    italic: style.fontStyle === 'italic',
+    underline: decoration.includes('underline'),
+    strike: decoration.includes('line-through'),
+    fontSize: parsePixels(style.fontSize),
+  };
+};
+
+module.exports = {
+  expandTableGrid,
+  getSegmentFormat,
+  getTableRows,
+  hasGeometry,
+  layoutPageElements,
+  parseHtmlBlocks,
+  parsePixels,
+};
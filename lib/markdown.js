@@ -0,0 +1,195 @@
+const { decodeImage, getImageKey } = require('./images');
+const {
+  expandTableGrid,
+  getSegmentFormat,
+  getTableRows,
+  layoutPageElements,
+  parseHtmlBlocks,
+} = require('./layout');
+const { ensureStructure, headingLevel } = require('./structure');
+
+const escapeMarkdown = (text) => String(text || '').replace(/([\\`*_[\]<>~])/g, '\\$1');
+
+// Keeps a paragraph that happens to start like "# ", "- " or "1. " from turning into markup.
+const escapeLineStart = (text) =>
+  text.replace(/^(\s*)(\d+)([.)])(\s)/, '$1$2\\$3$4').replace(/^(\s*)([#>+-])(\s|$)/, '$1\\$2$3');
+
+const sameFormat = (a, b) =>
+  a.bold === b.bold && a.italic === b.italic && a.underline === b.underline && a.strike === b.strike;
+
+const wrapRun = (text, format) => {
+  const [, lead, core, trail] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!core) return text;
+  let out = core;
+  if (format.underline) out = `<u>${out}</u>`;
+  if (format.strike) out = `~~${out}~~`;
+  if (format.italic) out = `*${out}*`;
+  if (format.bold) out = `**${out}**`;
+  return `${lead}${out}${trail}`;
+};
+
+const segmentsToMarkdown = (segments = [], { plain = false } = {}) => {
+  const runs = [];
+  segments
+    .filter((segment) => segment?.text)
+    .forEach((segment) => {
+      const format = getSegmentFormat(segment);
+      const last = runs[runs.length - 1];
+      if (last && sameFormat(last.format, format)) {
+        last.text += segment.text;
+      } else {
+        runs.push({ text: segment.text, format });
+      }
+    });
+  return runs
+    .map((run) => (plain ? escapeMarkdown(run.text) : wrapRun(escapeMarkdown(run.text), run.format)))
+    .join('')
+    .trim();
+};
+
+const escapeTableCell = (text) =>
+  escapeMarkdown(String(text || '').trim())
+    .replace(/\|/g, '\\|')
+    .replace(/\r?\n/g, '<br>');
+
+const tableToMarkdown = (table) => {
+  const grid = expandTableGrid(getTableRows(table));
+  if (!grid.length || !grid[0].length) return '';
+  const toRow = (cells) => `| ${cells.map((cell) => escapeTableCell(cell?.text)).join(' | ')} |`;
+  const [header, ...body] = grid;
+  return [toRow(header), `| ${header.map(() => '---').join(' | ')} |`, ...body.map(toRow)].join('\n');
+};
+
+const imageExtension = (type) => (type === 'jpg' ? 'jpeg' : type);
+
+const imageToMarkdown = (page, image, idx, { descriptions, disableDescriptions, files, imageDir }) => {
+  if (disableDescriptions) {
+    if (image.base64 && !image._replaceWithDescription) {
+      const { data, info } = decodeImage(image);
+      if (!info) return '';
+      const path = `${imageDir}/seite-${page.number}-bild-${idx + 1}.${imageExtension(info.type)}`;
+      files.push({ path, data });
+      const alt = escapeMarkdown(image._description || `Bild ${idx + 1}`).replace(/\n/g, ' ');
+      return `![${alt}](${path})`;
+    }
+    return image._description ? `**Bild:** ${escapeMarkdown(image._description)}` : '';
+  }
+  const description =
+    (image._replaceWithDescription && image._description) ||
+    descriptions[getImageKey(image)] ||
+    'Bildbeschreibung nicht verfügbar.';
+  return `**Bild:** ${escapeMarkdown(description)}`;
+};
+
+const BULLET_MARKER = /^\s*[•▪◦‣●■–—*-]\s+/;
+// Mistral's markdown keeps tables as "| a | b |" lines and images as "![img-0.jpeg](img-0.jpeg)".
+const TABLE_ROW = /^\s*\|.*\|\s*$/;
+const IMAGE_REFERENCE = /^\s*!\[[^\]]*\]\(([^)\s]+)\)\s*$/;
+
+const lineText = (line) => (line.segments || []).map((segment) => segment.text || '').join('');
+const NUMBER_MARKER = /^\s*(\d{1,3})[.)]\s+/;
+
+const lineToMarkdown = (line) => {
+  const level = headingLevel(line.role);
+  const text = segmentsToMarkdown(line.segments, { plain: level > 0 });
+  if (!text) return '';
+  if (level) return `${'#'.repeat(level)} ${text}`;
+  if (line.role === 'list-item') {
+    // The escaped marker ("\*", "1\.") is rebuilt as real list syntax.
+    const raw = text.replace(/^\\/, '');
+    if (BULLET_MARKER.test(raw)) return `- ${raw.replace(BULLET_MARKER, '')}`;
+    if (NUMBER_MARKER.test(raw)) return raw.replace(NUMBER_MARKER, '$1. ');
+  }
+  if (line.role === 'caption') return `*${text}*`;
+  return escapeLineStart(text);
+};
+
+// Consecutive table rows stay one block, the first one becomes the header row.
+const htmlToMarkdown = (html) => {
+  const blocks = [];
+  let rows = [];
+  parseHtmlBlocks(html).forEach(({ tag, text }) => {
+    if (tag === 'tr') {
+      const cells = text.split('\t');
+      rows.push(`| ${cells.map(escapeTableCell).join(' | ')} |`);
+      if (rows.length === 1) rows.push(`| ${cells.map(() => '---').join(' | ')} |`);
+      return;
+    }
+    if (rows.length) blocks.push(rows.join('\n'));
+    rows = [];
+    if (/^h[1-6]$/.test(tag)) blocks.push(`${'#'.repeat(Number(tag[1]))} ${escapeMarkdown(text)}`);
+    else if (tag === 'li') blocks.push(`- ${escapeMarkdown(text)}`);
+    else blocks.push(escapeLineStart(escapeMarkdown(text)));
+  });
+  if (rows.length) blocks.push(rows.join('\n'));
+  return blocks.join('\n\n');
+};
+
+/**
+ * Converts the normalized `pages` model into GitHub-flavoured Markdown.
+ * With descriptions disabled, kept images are returned as `files` and linked
+ * relative to the document (below `imageDir`); otherwise they are replaced by
+ * their description. Images go where the OCR markdown references them, the
+ * others after the page's text.
+ */
+const buildMarkdown = (
+  pages,
+  { html = '', descriptions = {}, disableDescriptions = false, imageDir = 'images' } = {}
+) => {
+  const files = [];
+  if (!pages.length) {
+    return { markdown: `${htmlToMarkdown(html)}\n`, files };
+  }
+
+  const imageOptions = { descriptions, disableDescriptions, files, imageDir };
+  const sections = ensureStructure(pages).map((page) => {
+    const blocks = [`<!-- Seite ${page.number} -->`];
+    const images = (page.images || []).filter((image) => !image._removed);
+    const placed = new Set();
+    const placeImage = (idx) => {
+      placed.add(idx);
+      const markdown = imageToMarkdown(page, images[idx], idx, imageOptions);
+      if (markdown) blocks.push(markdown);
+    };
+    // Rows of an OCR markdown table are already Markdown; they only need to stay together.
+    let tableRows = [];
+    const flushTableRows = () => {
+      if (tableRows.length) blocks.push(tableRows.join('\n'));
+      tableRows = [];
+    };
+
+    layoutPageElements(page).forEach((el) => {
+      const text = el.type === 'table' ? '' : lineText(el);
+      if (TABLE_ROW.test(text)) {
+        tableRows.push(segmentsToMarkdown(el.segments));
+        return;
+      }
+      flushTableRows();
+      if (el.type === 'table') {
+        const table = tableToMarkdown(el);
+        if (table) blocks.push(table);
+        return;
+      }
+      const reference = text.match(IMAGE_REFERENCE);
+      if (reference) {
+        // References to removed or unknown images are dropped with them.
+        const idx = images.findIndex((image) => image.id === reference[1]);
+        if (idx !== -1 && !placed.has(idx)) placeImage(idx);
+        return;
+      }
+      const markdown = lineToMarkdown(el);
+      if (markdown) blocks.push(markdown);
+    });
+    flushTableRows();
+    images.forEach((image, idx) => {
+      if (!placed.has(idx)) placeImage(idx);
+    });
+    return blocks.join('\n\n');
+  });
+
+  return { markdown: `${sections.join('\n\n')}\n`, files };
+};
+
+module.exports = {
+  buildMarkdown,
+};
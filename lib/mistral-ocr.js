@@ -0,0 +1,57 @@
+const { createHttpClient } = require('./http-client');
+const { normalizeMistralResponse } = require('./normalize');
+
+const MISTRAL_OCR_API_URL = process.env.MISTRAL_OCR_API_URL || 'https://api.mistral.ai/v1/ocr';
+const MISTRAL_OCR_MODEL = 'mistral-ocr-latest';
+// Whole documents take a while, so OCR gets a longer timeout than the other Mistral calls.
+const ocrClient = createHttpClient({
+  label: 'Mistral OCR',
+  timeoutMs: Number(process.env.MISTRAL_OCR_TIMEOUT_MS) || 2 * 60 * 1000,
+});
+
+const callMistralOcr = async (buffer, apiKey, { signal, mimeType = 'application/pdf' } = {}) => {
+  const dataUrl = `data:${mimeType};base64,${buffer.toString('base64')}`;
+  const payload = {
+    model: MISTRAL_OCR_MODEL,
+    document:
+      mimeType === 'application/pdf'
+        ? { type: 'document_url', document_url: dataUrl }
+        : { type: 'image_url', image_url: dataUrl },
+    include_image_base64: true,
+  };
+
+  return ocrClient.requestJson(MISTRAL_OCR_API_URL, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(payload),
+    signal,
+  });
+};
+
+// Mistral reads whole PDFs and images alike, returns embedded images and needs the user's key.
+const createMistralProvider = () => ({
+  id: 'mistral',
+  label: 'Mistral OCR',
+  model: MISTRAL_OCR_MODEL,
+  enabled: Boolean(MISTRAL_OCR_API_URL),
+  capabilities: () => ({
+    pdf: true,
+    images: true,
+    extractsImages: true,
+    requiresApiKey: true,
+    offline: false,
+  }),
+  request: (input, { apiKey, signal } = {}) =>
+    callMistralOcr(input.data, apiKey, { signal, mimeType: input.mimeType }),
+  normalize: normalizeMistralResponse,
+  close: async () => {},
+});
+
+module.exports = {
+  MISTRAL_OCR_MODEL,
+  callMistralOcr,
+  createMistralProvider,
+};
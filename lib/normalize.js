@@ -0,0 +1,649 @@
+const { marked } = require('marked');
+const { parseHtmlBlocks } = require('./layout');
+const { headingLevel } = require('./structure');
+
+// Normalization of raw OCR and text-layer output into the shared page model.
+const defaultSegmentStyle = {
+  fontSize: '16px',
+  fontWeight: 400,
+  fontStyle: 'normal',
+  fontFamily: 'Inter, sans-serif',
+  letterSpacing: '0.15px',
+  textDecoration: 'none',
+};
+const fallbackFontSize = 16;
+const markdownRenderer = new marked.Renderer();
+
+const normalizeAlignment = (value) => {
+  if (!value) return null;
+  const raw = String(value).trim().toLowerCase();
+  if (['left', 'start', 'l', 'align_left'].includes(raw)) return 'left';
+  if (['right', 'end', 'r', 'align_right'].includes(raw)) return 'right';
+  if (['center', 'centre', 'middle', 'c', 'align_center'].includes(raw)) return 'center';
+  if (['justify', 'justified', 'full', 'distributed', 'block'].includes(raw)) return 'justify';
+  return null;
+};
+
+const normalizeTextDecoration = (segment = {}) => {
+  const rawDecoration =
+    segment.textDecoration ||
+    segment.text_decoration ||
+    segment.textDecorationLine ||
+    segment.text_decoration_line ||
+    segment.decoration ||
+    segment.style?.textDecoration ||
+    segment.style?.text_decoration;
+
+  const textDecorStr = typeof rawDecoration === 'string' ? rawDecoration.toLowerCase() : '';
+  const fromString = [];
+  if (textDecorStr.includes('underline')) fromString.push('underline');
+  if (textDecorStr.includes('line-through') || textDecorStr.includes('strikethrough')) {
+    fromString.push('line-through');
+  }
+
+  const hasUnderline = Boolean(
+    segment.underline ||
+      segment.isUnderline ||
+      segment.underlined ||
+      fromString.includes('underline')
+  );
+  const hasStrike = Boolean(
+    segment.strikethrough ||
+      segment.strike ||
+      segment.isStrike ||
+      segment.isStrikethrough ||
+      fromString.includes('line-through')
+  );
+
+  if (hasUnderline && hasStrike) return 'underline line-through';
+  if (hasUnderline) return 'underline';
+  if (hasStrike) return 'line-through';
+  return 'none';
+};
+
+marked.setOptions({
+  breaks: true,
+  gfm: true,
+  renderer: markdownRenderer,
+});
+
+const toPixelString = (value, fallback = fallbackFontSize) => {
+  if (typeof value === 'number') {
+    return `${value}px`;
+  }
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (trimmed.endsWith('px')) {
+      return trimmed;
+    }
+    if (/^\d+(\.\d+)?$/.test(trimmed)) {
+      return `${trimmed}px`;
+    }
+    return trimmed;
+  }
+  return `${fallback}px`;
+};
+
+const buildSimpleSegment = (text, styleOverrides = {}) => ({
+  text,
+  style: { ...defaultSegmentStyle, ...styleOverrides },
+  meta: {},
+});
+
+const parseMarkdownToSegments = (text) => {
+  if (!text) return [];
+  
+  // Regex for bold (** or __), italic (* or _), and underline (<u>...</u>)
+  // This is a simplified parser and might not handle nested tags perfectly in all edge cases,
+  // but covers the 99% use case for OCR output.
+  // We split by tags and keep delimiters to identify them.
+  
+  const segments = [];
+  let currentStyle = {
+    fontWeight: defaultSegmentStyle.fontWeight,
+    fontStyle: defaultSegmentStyle.fontStyle,
+    textDecoration: defaultSegmentStyle.textDecoration,
+  };
+
+  // Strategy: Scan string and process tokens. 
+  // Because regex split is tricky with overlapping, we'll use a tokenizing loop.
+  // Supported: **bold**, __bold__, *italic*, _italic_, <u>underline</u>
+  
+  let remaining = text;
+  
+  while (remaining.length > 0) {
+    // Find earliest special token
+    const bold1 = remaining.indexOf('**');
+    const bold2 = remaining.indexOf('__');
+    const italic1 = remaining.indexOf('*');
+    const italic2 = remaining.indexOf('_');
+    const underlineStart = remaining.indexOf('<u>');
+    const underlineEnd = remaining.indexOf('</u>');
+
+    // Filter out -1 and find min
+    const indices = [bold1, bold2, italic1, italic2, underlineStart, underlineEnd]
+      .filter(i => i !== -1)
+      .sort((a, b) => a - b);
+
+    if (indices.length === 0) {
+      // No more tokens
+      segments.push(buildSimpleSegment(remaining, currentStyle));
+      break;
+    }
+
+    const nextIndex = indices[0];
+    
+    // Push text before token
+    if (nextIndex > 0) {
+      segments.push(buildSimpleSegment(remaining.substring(0, nextIndex), currentStyle));
+      remaining = remaining.substring(nextIndex);
+    }
+
+    // Process token
+    if (nextIndex === bold1) {
+      // Toggle bold
+      const isBold = currentStyle.fontWeight === 600;
+      currentStyle = { ...currentStyle, fontWeight: isBold ? 400 : 600 };
+      remaining = remaining.substring(2);
+    } else if (nextIndex === bold2) {
+      const isBold = currentStyle.fontWeight === 600;
+      currentStyle = { ...currentStyle, fontWeight: isBold ? 400 : 600 };
+      remaining = remaining.substring(2);
+    } else if (nextIndex === italic1) {
+      // Toggle italic (check if it's not part of **)
+      // If we hit * and it's actually part of **, bold1 would have been min index? 
+      // Wait, if string is "**text**", bold1 is 0, italic1 is 0. 
+      // We need to prioritize longer tokens.
+      
+      // Refined check:
+      if (remaining.startsWith('**')) {
+        const isBold = currentStyle.fontWeight === 600;
+        currentStyle = { ...currentStyle, fontWeight: isBold ? 400 : 600 };
+        remaining = remaining.substring(2);
+      } else {
+        const isItalic = currentStyle.fontStyle === 'italic';
+        currentStyle = { ...currentStyle, fontStyle: isItalic ? 'normal' : 'italic' };
+        remaining = remaining.substring(1);
+      }
+    } else if (nextIndex === italic2) {
+      if (remaining.startsWith('__')) {
+        const isBold = currentStyle.fontWeight === 600;
+        currentStyle = { ...currentStyle, fontWeight: isBold ? 400 : 600 };
+        remaining = remaining.substring(2);
+      } else {
+        const isItalic = currentStyle.fontStyle === 'italic';
+        currentStyle = { ...currentStyle, fontStyle: isItalic ? 'normal' : 'italic' };
+        remaining = remaining.substring(1);
+      }
+    } else if (nextIndex === underlineStart) {
+       currentStyle = { ...currentStyle, textDecoration: 'underline' };
+       remaining = remaining.substring(3);
+    } else if (nextIndex === underlineEnd) {
+       currentStyle = { ...currentStyle, textDecoration: 'none' }; // Or restore previous? Simplified to none for now or 'default'
+       // Better: if we have complex nesting, we might need a stack. 
+       // But for simple OCR output, toggling off is usually safe.
+       // Let's assume plain text default is none.
+       remaining = remaining.substring(4);
+    } else {
+      // Should not happen
+      remaining = remaining.substring(1);
+    }
+  }
+  
+  return segments.filter(s => s.text);
+};
+
+const escapeHtml = (value) =>
+  String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const normalizeTable = (tableData, index = 0) => {
+  if (!tableData) return null;
+  const rows =
+    tableData.rows ||
+    tableData.data ||
+    tableData.cells ||
+    tableData.content ||
+    tableData.table ||
+    [];
+
+  if (!Array.isArray(rows) || !rows.length) {
+    return null;
+  }
+
+  // Attempt to find geometry for positioning
+  // Mistral often returns 'geometry' with 'bounding_box' or 'top_left'
+  let yPos = 0;
+  let bbox = null;
+
+  if (tableData.geometry?.bounding_box) {
+    // [x_min, y_min, x_max, y_max] usually
+    bbox = tableData.geometry.bounding_box;
+    yPos = bbox[1] || 0;
+  } else if (tableData.geometry?.top_left) {
+    yPos = tableData.geometry.top_left.y || 0;
+  } else if (typeof tableData.y === 'number') {
+    yPos = tableData.y;
+  } else if (typeof tableData.top_left_y === 'number') {
+    yPos = tableData.top_left_y;
+  }
+
+  const normalizedRows = rows
+    .map((row) => {
+      if (Array.isArray(row)) return row;
+      if (Array.isArray(row?.cells)) return row.cells;
+      return null;
+    })
+    .filter(Boolean);
+
+  if (!normalizedRows.length) {
+    return null;
+  }
+
+  const buildCellText = (cell) => {
+    if (cell == null) return '';
+    if (typeof cell === 'string') return String(cell);
+    const raw = cell.text || cell.content || cell.value || cell.plain_text || '';
+    return String(raw);
+  };
+
+  const buildCellHtml = (cell) => escapeHtml(buildCellText(cell));
+
+  const buildCell = (cell) => {
+    const colspan = Number(cell?.colspan || cell?.col_span || cell?.span_cols) || 1;
+    const rowspan = Number(cell?.rowspan || cell?.row_span || cell?.span_rows) || 1;
+    return {
+      text: buildCellText(cell),
+      colspan: Math.max(colspan, 1),
+      rowspan: Math.max(rowspan, 1),
+      header: Boolean(cell?.header || cell?.is_header || cell?.th),
+    };
+  };
+
+  const htmlRows = normalizedRows
+    .map((row) => {
+      const cells = row
+        .map((cell) => {
+          if (cell == null) return '<td></td>';
+          const colspan = cell.colspan || cell.col_span || cell.span_cols;
+          const rowspan = cell.rowspan || cell.row_span || cell.span_rows;
+          const tag = cell.header || cell.is_header || cell.th ? 'th' : 'td';
+          const attrs = [];
+          if (colspan && Number(colspan) > 1) attrs.push(`colspan="${Number(colspan)}"`);
+          if (rowspan && Number(rowspan) > 1) attrs.push(`rowspan="${Number(rowspan)}"`);
+          const attrStr = attrs.length ? ` ${attrs.join(' ')}` : '';
+          return `<${tag}${attrStr}>${buildCellHtml(cell)}</${tag}>`;
+        })
+        .join('');
+      return `<tr>${cells}</tr>`;
+    })
+    .join('');
+
+  return {
+    id: tableData.id || tableData.table_id || `table-${index}`,
+    html: `<table>${htmlRows}</table>`,
+    rows: normalizedRows.map((row) => row.map((cell) => buildCell(cell))),
+    text: normalizedRows
+      .map((row) => row.map((cell) => buildCellText(cell)).join('\t'))
+      .join('\n'),
+    y: yPos,
+    boundingBox: bbox,
+  };
+};
+
+const normalizeLine = (lineData, lineIndex) => {
+// ... existing normalizeLine code ...
+// I will keep the previous implementation of normalizeLine exactly as is, but just re-declare it to be safe if context was lost.
+// Actually, I'll rely on the existing `normalizeLine` if I can, but the tool requires replacing `old_string`.
+// Since I am replacing `normalizeTable`, I need to be careful.
+// The previous `normalizeTable` was modified in the last turn.
+// I will replace the block from `const normalizeTable ...` down to `const normalizeLine ...` to be safe, 
+// but wait, `normalizeLine` is large. 
+// I will just replace `normalizeTable` specifically.
+// But I also need to update `api/export-docx` which is further down.
+// I will split this into two replacements for safety.
+  const rawSegments =
+    lineData.segments ??
+    lineData.text_runs ??
+    lineData.words ??
+    lineData.chunks ??
+    (lineData.text ? [{ text: lineData.text }] : []);
+
+  const segments = rawSegments
+    .map((segment) => {
+      if (!segment) {
+        return null;
+      }
+
+      const rawText = (segment.text ?? segment.content ?? segment.value ?? '').replace(/\u00A0/g, ' ');
+      if (!rawText.trim()) {
+        return null;
+      }
+
+      const isBold = /bold/i.test(segment.fontWeight ?? segment.style?.fontWeight ?? '') || segment.bold;
+      const isItalic =
+        /italic/i.test(segment.fontStyle ?? segment.style?.fontStyle ?? '') || segment.italic || segment.oblique;
+
+      const fontFamilyValue = (segment.fontFamily ?? segment.fontName ?? defaultSegmentStyle.fontFamily)
+        .replace(/[^a-zA-Z0-9 ,'-]/g, '')
+        .trim();
+
+      const textDecoration = normalizeTextDecoration(segment.style || segment);
+
+      return {
+        text: rawText,
+        style: {
+          fontSize: toPixelString(segment.fontSize ?? segment.style?.fontSize ?? fallbackFontSize),
+          fontWeight: isBold ? 600 : defaultSegmentStyle.fontWeight,
+          fontStyle: isItalic ? 'italic' : defaultSegmentStyle.fontStyle,
+          textDecoration: textDecoration || defaultSegmentStyle.textDecoration,
+          fontFamily: `'${fontFamilyValue || defaultSegmentStyle.fontFamily}', ${defaultSegmentStyle.fontFamily}`,
+          letterSpacing: defaultSegmentStyle.letterSpacing,
+        },
+        meta: {
+          original: segment,
+          position: {
+            x: lineData.position?.x ?? lineData.x ?? 0,
+            y: lineData.position?.y ?? lineData.y ?? lineIndex * 18,
+          },
+        },
+      };
+    })
+    .filter(Boolean);
+
+  if (!segments.length) {
+    return null;
+  }
+
+  const alignment =
+    normalizeAlignment(lineData.text_alignment) ||
+    normalizeAlignment(lineData.alignment) ||
+    normalizeAlignment(lineData.textAlign) ||
+    normalizeAlignment(lineData.text_align) ||
+    normalizeAlignment(lineData.align) ||
+    normalizeAlignment(lineData.justification) ||
+    normalizeAlignment(lineData.justify) ||
+    normalizeAlignment(lineData.style?.textAlign) ||
+    normalizeAlignment(lineData.style?.text_alignment) ||
+    null;
+
+  return {
+    y: lineData.position?.y ?? lineData.y ?? lineIndex * 18,
+    segments,
+    align: alignment || 'left',
+    x: lineData.position?.x ?? lineData.x ?? 0, // Ensure X is accessible at line level
+    width: lineData.position?.width ?? lineData.width,
+  };
+};
+
+const convertSimpleTextToPages = (text) => {
+  if (!text) {
+    return [];
+  }
+
+  const cleaned = text.replace(/\r/g, '');
+  const lines = cleaned
+    .split('\n')
+    .map((line, index) => {
+      const normalizedLine = line.replace(/\u00A0/g, ' ');
+      if (!normalizedLine.trim()) {
+        return null;
+      }
+      
+      // Use the new parser
+      const segments = parseMarkdownToSegments(normalizedLine);
+      
+      return {
+        y: index * 20,
+        segments: segments.length ? segments : [buildSimpleSegment(normalizedLine)],
+        align: 'left',
+      };
+    })
+    .filter(Boolean);
+
+  if (!lines.length) {
+    return [];
+  }
+
+  return [
+    {
+      number: 1,
+      lines,
+    },
+  ];
+};
+
+const linesToPlainText = (lines = []) => {
+  const out = [];
+  lines.forEach((line) => {
+    const text = (line?.segments || [])
+      .map((segment) => segment?.text || '')
+      .join('')
+      .trimEnd();
+    if (!text) return;
+    // Headings and reflowed paragraphs get a blank line around them so the
+    // outline survives in plain text.
+    const isBlock = headingLevel(line.role) > 0 || typeof line.lineCount === 'number';
+    if (isBlock && out.length && out[out.length - 1] !== '') out.push('');
+    out.push(text);
+    if (isBlock) out.push('');
+  });
+  while (out.length && out[out.length - 1] === '') out.pop();
+  return out.join('\n');
+};
+
+const pagesToPlainText = (pages = []) =>
+  pages
+    .map((page) => {
+      const lineText = linesToPlainText(page.lines);
+      const tableText = (page.tables || [])
+        .map((tbl) => tbl.text)
+        .filter(Boolean)
+        .join('\n\n');
+      return [lineText, tableText].filter(Boolean).join('\n\n');
+    })
+    .filter(Boolean)
+    .join('\n\n');
+
+const markdownToHtml = (markdownText) => {
+  if (!markdownText || typeof markdownText !== 'string') {
+    return '';
+  }
+  return marked.parse(markdownText);
+};
+
+const markdownToPages = (markdownText) => {
+  if (!markdownText || typeof markdownText !== 'string') {
+    return [];
+  }
+  const asPlainText = markdownText.replace(/\r/g, '').split('\n').map((line) => line).join('\n');
+  return convertSimpleTextToPages(asPlainText);
+};
+
+const normalizeMistralResponse = (payload) => {
+  if (!payload) {
+    return { pages: [], html: null, raw: {} };
+  }
+
+  const pages = [];
+  let html = null;
+  const htmlParts = [];
+  const raw = payload;
+
+  const normalizePage = (pageData, pageIndex) => {
+    const pageNumber = pageData.number ?? pageData.page ?? pageIndex + 1;
+    let lines = (pageData.lines ?? pageData.text_lines ?? pageData.blocks ?? [])
+      .map((line, idx) => normalizeLine(line, idx))
+      .filter(Boolean);
+    const tablesRaw = pageData.tables || pageData.table || [];
+    const tables = Array.isArray(tablesRaw)
+      ? tablesRaw.map((tbl, idx) => normalizeTable(tbl, idx)).filter(Boolean)
+      : [];
+    const images =
+      pageData.images?.map((image) => ({
+        id: image.id ?? image.image_id ?? null,
+        base64:
+          image.image_base64 ??
+          image.image ??
+          (image.image_url?.startsWith('data:') ? image.image_url.split(',')[1] : null),
+        position: {
+          topLeft: {
+            x: image.top_left_x ?? image.x ?? 0,
+            y: image.top_left_y ?? image.y ?? 0,
+          },
+          bottomRight: {
+            x: image.bottom_right_x ?? 0,
+            y: image.bottom_right_y ?? 0,
+          },
+        },
+      })) || [];
+
+    if (!lines.length && typeof pageData.markdown === 'string' && pageData.markdown.trim()) {
+      const mdPages = markdownToPages(pageData.markdown);
+      if (mdPages?.length) {
+        lines = mdPages[0].lines || [];
+      }
+      htmlParts.push(markdownToHtml(pageData.markdown));
+    }
+
+    if (!lines.length && pageData.text) {
+      const fauxPage = convertSimpleTextToPages(pageData.text)[0];
+      if (fauxPage?.lines?.length) {
+        lines = fauxPage.lines;
+      }
+    }
+
+    if (!lines.length) {
+      return null;
+    }
+
+    // Mistral reports the pixel size the coordinates refer to; the searchable PDF scales from it.
+    return {
+      number: pageNumber,
+      width: pageData.dimensions?.width ?? pageData.width,
+      height: pageData.dimensions?.height ?? pageData.height,
+      lines,
+      images,
+      tables,
+    };
+  };
+
+  if (Array.isArray(payload.pages) && payload.pages.length) {
+    payload.pages.forEach((page, index) => {
+      const normalized = normalizePage(page, index);
+      if (normalized) {
+        pages.push(normalized);
+      }
+    });
+  } else if (Array.isArray(payload.results) && payload.results.length) {
+    payload.results.forEach((result, index) => {
+      const normalized = normalizePage(result, index);
+      if (normalized) {
+        pages.push(normalized);
+      }
+    });
+  }
+
+  const topLevelTables = Array.isArray(payload.tables)
+    ? payload.tables.map((tbl, idx) => normalizeTable(tbl, idx)).filter(Boolean)
+    : [];
+  if (topLevelTables.length) {
+    if (pages.length) {
+      pages[0].tables = [...(pages[0].tables || []), ...topLevelTables];
+    } else {
+      pages.push({ number: 1, lines: [], images: [], tables: topLevelTables });
+    }
+  }
+
+  const markdownText =
+    payload.markdown ??
+    payload.text_markdown ??
+    payload.document_markdown ??
+    payload.output_markdown ??
+    payload.result_markdown;
+  if (markdownText) {
+    html = markdownToHtml(markdownText);
+  }
+
+  if (htmlParts.length) {
+    html = htmlParts.join('\n');
+  }
+
+  const pagePlainText = pagesToPlainText(pages);
+  if (!html && pagePlainText) {
+    html = markdownToHtml(pagePlainText);
+  }
+
+  if (!pages.length) {
+    const rawText =
+      payload.text ??
+      payload.document_text ??
+      payload.output ??
+      payload.result ??
+      payload.ocr_text ??
+      payload.data ??
+      payload.markdown ??
+      '';
+
+    if (typeof rawText === 'string' && rawText.trim()) {
+      const simplePages = convertSimpleTextToPages(rawText);
+      const fallbackHtml = html || markdownToHtml(rawText);
+      return { pages: simplePages, html: fallbackHtml, raw };
+    }
+  }
+
+  if (!html && pagePlainText) {
+    html = markdownToHtml(pagePlainText);
+  }
+
+  return { pages, html, raw };
+};
+
+const normalizePdfJsResult = (layer) => {
+  const pages = (layer?.pages || [])
+    .map((pageData) => {
+      const lines = (pageData.lines || [])
+        .map((line, idx) => normalizeLine(line, idx))
+        .filter(Boolean);
+      // Pages without text stay (with no lines), so page numbers keep matching the PDF.
+      return {
+        number: pageData.number,
+        width: pageData.width,
+        height: pageData.height,
+        engine: 'pdfjs',
+        lines,
+        images: [],
+        tables: [],
+      };
+    });
+
+  return { pages, html: null };
+};
+
+const tagPagesWithEngine = (pages, engine) =>
+  pages.map((page) => ({ ...page, engine: page.engine || engine }));
+
+// The OCR chunks already number their pages as in the original PDF (see `mergeOcrPayloads`).
+const mergeHybridPages = (textPages, ocrPages, engine) =>
+  [...textPages, ...ocrPages.map((page) => ({ ...page, engine }))].sort((a, b) => a.number - b.number);
+
+// Plain-text export; results without a page model fall back to the delivered HTML.
+const buildPlainText = (pages = [], { html = '' } = {}) =>
+  pages.length
+    ? pagesToPlainText(pages)
+    : parseHtmlBlocks(html)
+        .map((block) => block.text)
+        .join('\n\n');
+
+module.exports = {
+  buildPlainText,
+  markdownToHtml,
+  mergeHybridPages,
+  normalizeMistralResponse,
+  normalizePdfJsResult,
+  pagesToPlainText,
+  tagPagesWithEngine,
+};
@@ -0,0 +1,46 @@
+const { createMistralProvider } = require('./mistral-ocr');
+const { createTesseractProvider } = require('./tesseract-ocr');
+
+/**
+ * OCR backends share one interface, so the pipeline never talks to a vendor directly:
+ * - `id`, `label`, `model`: identify the provider; `model` is part of the cache key
+ * - `enabled`: whether the provider is configured/installed at all
+ * - `capabilities()`: `{ pdf, images, extractsImages, requiresApiKey, offline }`;
+ *   providers without `pdf` get every PDF page rasterized to PNG first
+ * - `request({ data, mimeType, width, height, pixelWidth, pixelHeight }, { apiKey, signal })`:
+ *   resolves with the raw payload, shaped as `{ pages: [...] }` so chunks can be merged
+ * - `normalize(payload)`: turns a (merged) payload into `{ pages, html }`
+ * - `close()`: releases local resources such as worker threads
+ */
+const ocrProviders = [createMistralProvider(), createTesseractProvider()];
+const ocrProviderIds = ocrProviders.map((provider) => provider.id);
+const defaultOcrProvider = ocrProviderIds.includes(process.env.OCR_PROVIDER)
+  ? process.env.OCR_PROVIDER
+  : 'mistral';
+
+const normalizeOcrProvider = (value) => {
+  const raw = String(value || '').trim().toLowerCase();
+  return ocrProviderIds.includes(raw) ? raw : defaultOcrProvider;
+};
+
+const getOcrProvider = (value) =>
+  ocrProviders.find((provider) => provider.id === normalizeOcrProvider(value));
+
+const listOcrProviders = () =>
+  ocrProviders.map(({ id, label, enabled, capabilities }) => ({
+    id,
+    label,
+    enabled,
+    default: id === defaultOcrProvider,
+    capabilities: capabilities(),
+  }));
+
+const closeOcrProviders = () => Promise.all(ocrProviders.map((provider) => provider.close()));
+
+module.exports = {
+  closeOcrProviders,
+  getOcrProvider,
+  listOcrProviders,
+  normalizeOcrProvider,
+  ocrProviderIds,
+};
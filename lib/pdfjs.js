@@ -0,0 +1,306 @@
+const path = require('path');
+const { findColumnGutters } = require('./reading-order');
+
+const standardFontDataUrl = `${path.join(
+  path.dirname(require.resolve('pdfjs-dist/package.json')),
+  'standard_fonts'
+)}${path.sep}`;
+
+let pdfjsModule = null;
+
+// pdfjs-dist only ships ES modules, so it has to be pulled in via dynamic import.
+const loadPdfJs = async () => {
+  if (!pdfjsModule) {
+    pdfjsModule = await import('pdfjs-dist/legacy/build/pdf.mjs');
+  }
+  return pdfjsModule;
+};
+
+const openPdfDocument = async (buffer) => {
+  const pdfjs = await loadPdfJs();
+  const task = pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    standardFontDataUrl,
+    disableFontFace: true,
+    isEvalSupported: false,
+    useSystemFonts: false,
+    verbosity: pdfjs.VerbosityLevel.ERRORS,
+  });
+  return task.promise;
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+// Text-layer sizes are PDF points; the page model uses CSS pixels like the preview.
+const pointsToPixels = (value) => (value * 96) / 72;
+
+const cleanFontFamily = (fontName) => {
+  if (!fontName) return '';
+  // Embedded subsets look like "ABCDEF+Arial-BoldMT"; keep only the family part.
+  return String(fontName)
+    .replace(/^[A-Z]{6}\+/, '')
+    .split(/[-,]/)[0]
+    .replace(/(MT|PS)$/, '')
+    .trim();
+};
+
+const resolveFont = (page, fontName) => {
+  if (!fontName || !page.commonObjs.has(fontName)) {
+    return null;
+  }
+  try {
+    return page.commonObjs.get(fontName);
+  } catch (err) {
+    return null;
+  }
+};
+
+const readTextItems = async (page, pageHeight) => {
+  const content = await page.getTextContent();
+  // Fonts are only resolved into commonObjs once the operator list was built.
+  await page.getOperatorList();
+
+  return content.items
+    .filter((item) => typeof item.str === 'string' && item.str.length)
+    .map((item) => {
+      const [a, b, c, d, e, f] = item.transform;
+      const fontSize = Math.hypot(c, d) || Math.hypot(a, b) || item.height || 0;
+      const font = resolveFont(page, item.fontName);
+      const fontName = font?.name || content.styles[item.fontName]?.fontFamily || '';
+      return {
+        text: item.str,
+        x: e,
+        // PDF space starts bottom-left; the page model counts from the top edge.
+        y: pageHeight - f - fontSize,
+        baseline: pageHeight - f,
+        width: item.width,
+        fontSize,
+        fontName,
+        bold: Boolean(font?.bold || font?.black) || /bold|black|heavy|semibold/i.test(fontName),
+        italic: Boolean(font?.italic) || /italic|oblique/i.test(fontName),
+      };
+    });
+};
+
+const sameStyle = (a, b) =>
+  a.fontName === b.fontName &&
+  a.bold === b.bold &&
+  a.italic === b.italic &&
+  Math.abs(a.fontSize - b.fontSize) < 0.5;
+
+const groupItemsIntoRows = (items) => {
+  const sorted = [...items].sort((a, b) => a.baseline - b.baseline || a.x - b.x);
+  const rows = [];
+
+  sorted.forEach((item) => {
+    const row = rows[rows.length - 1];
+    const tolerance = Math.max(item.fontSize, row?.fontSize || 0) * 0.5;
+    if (row && Math.abs(row.baseline - item.baseline) <= tolerance) {
+      row.items.push(item);
+      row.fontSize = Math.max(row.fontSize, item.fontSize);
+      return;
+    }
+    rows.push({ baseline: item.baseline, fontSize: item.fontSize, items: [item] });
+  });
+
+  return rows.map((row) => row.items.sort((a, b) => a.x - b.x));
+};
+
+// Pieces of a row separated by more than an em; two-column text shows up as two pieces.
+// pdf.js bridges such gaps with whitespace-only items, which are skipped here.
+const rowFragments = (rowItems) => {
+  const fragments = [];
+  rowItems
+    .filter((item) => item.text.trim())
+    .forEach((item) => {
+      const last = fragments[fragments.length - 1];
+      if (last && item.x - last.right <= item.fontSize) {
+        last.right = Math.max(last.right, item.x + item.width);
+      } else {
+        fragments.push({ x: item.x, right: item.x + item.width });
+      }
+    });
+  return fragments;
+};
+
+const trimBlankItems = (part) => {
+  const first = part.findIndex((item) => item.text.trim());
+  const last = part.length - 1 - [...part].reverse().findIndex((item) => item.text.trim());
+  return first === -1 ? [] : part.slice(first, last + 1);
+};
+
+// Items on a shared baseline but in different columns become separate lines. A row is
+// only cut at a gap of at least an em that overlaps a gutter, so titles stay whole.
+const splitRowAtGutters = (rowItems, gutters) => {
+  const parts = [];
+  let previousRight = null;
+  rowItems.forEach((item) => {
+    const isText = Boolean(item.text.trim());
+    const cut =
+      isText &&
+      previousRight !== null &&
+      item.x - previousRight >= item.fontSize &&
+      gutters.some((gutter) => previousRight < gutter.end && item.x > gutter.start);
+    if (!parts.length || cut) {
+      parts.push([]);
+    }
+    parts[parts.length - 1].push(item);
+    if (isText) {
+      previousRight = Math.max(previousRight ?? -Infinity, item.x + item.width);
+    }
+  });
+  return parts.map(trimBlankItems).filter((part) => part.length);
+};
+
+const rowToLine = (rowItems) => {
+  const segments = [];
+  let previous = null;
+
+  rowItems.forEach((item) => {
+    let text = item.text;
+    if (previous) {
+      const gap = item.x - (previous.x + previous.width);
+      const needsSpace =
+        gap > item.fontSize * 0.15 && !/\s$/.test(previous.text) && !/^\s/.test(text);
+      if (needsSpace) {
+        text = ` ${text}`;
+      }
+    }
+    const last = segments[segments.length - 1];
+    if (last && sameStyle(last.source, item)) {
+      last.text += text;
+    } else {
+      segments.push({ text, source: item });
+    }
+    previous = item;
+  });
+
+  const first = rowItems[0];
+  const lastItem = rowItems[rowItems.length - 1];
+  return {
+    x: round(first.x),
+    y: round(Math.min(...rowItems.map((item) => item.y))),
+    width: round(lastItem.x + lastItem.width - first.x),
+    segments: segments.map(({ text, source }) => ({
+      text,
+      fontSize: round(pointsToPixels(source.fontSize)),
+      fontName: source.fontName,
+      fontFamily: cleanFontFamily(source.fontName),
+      bold: source.bold,
+      italic: source.italic,
+    })),
+  };
+};
+
+const groupItemsIntoLines = (items) => {
+  const rows = groupItemsIntoRows(items);
+  const gutters = findColumnGutters(rows.flatMap(rowFragments));
+  return rows.flatMap((row) => splitRowAtGutters(row, gutters)).map(rowToLine);
+};
+
+const detectAlignment = (line, pageWidth) => {
+  const center = line.x + line.width / 2;
+  const offCenter = Math.abs(center - pageWidth / 2);
+  if (line.x > pageWidth * 0.15 && offCenter < pageWidth * 0.03) {
+    return 'center';
+  }
+  if (line.x > pageWidth * 0.5 && line.x + line.width > pageWidth * 0.85) {
+    return 'right';
+  }
+  return 'left';
+};
+
+/**
+ * A page counts as born-digital when its text layer carries enough readable
+ * characters. Scans usually have none, or only a stamped page number; broken
+ * font encodings show up as replacement and control characters.
+ */
+const hasUsableTextLayer = (pageData, minChars = 20) => {
+  const visible = (pageData?.lines || [])
+    .flatMap((line) => (line.segments || []).map((segment) => segment.text || ''))
+    .join('')
+    .replace(/\s/g, '');
+  if (visible.length < minChars) {
+    return false;
+  }
+  const garbage = (visible.match(/[\uFFFD\u0000-\u001F]/g) || []).length;
+  return garbage / visible.length < 0.1;
+};
+
+/**
+ * Reads the embedded text layer of every page with pdfjs-dist.
+ * Lines come back in the raw shape `normalizeLine` understands
+ * (x/y in PDF points from the top-left corner, one segment per style run).
+ * `onPage(done, total)` is called after each page; `signal` aborts between pages.
+ */
+const extractPdfTextLayer = async (buffer, { onPage, signal } = {}) => {
+  const doc = await openPdfDocument(buffer);
+  const pages = [];
+
+  try {
+    for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber += 1) {
+      signal?.throwIfAborted();
+      /* eslint-disable no-await-in-loop */
+      const page = await doc.getPage(pageNumber);
+      const [xMin, yMin, xMax, yMax] = page.view;
+      const width = xMax - xMin;
+      const height = yMax - yMin;
+      const items = await readTextItems(page, height);
+      /* eslint-enable no-await-in-loop */
+      const lines = groupItemsIntoLines(items).map((line) => ({
+        ...line,
+        text_alignment: detectAlignment(line, width),
+      }));
+      pages.push({
+        number: pageNumber,
+        width,
+        height,
+        charCount: items.reduce((sum, item) => sum + item.text.trim().length, 0),
+        lines,
+      });
+      page.cleanup();
+      onPage?.(pageNumber, doc.numPages);
+    }
+  } finally {
+    await doc.destroy();
+  }
+
+  return { pageCount: pages.length, pages };
+};
+
+/**
+ * Opens a PDF for rasterizing, for OCR providers that only read images.
+ * `render(pageNumber)` resolves with a PNG of the page at `dpi` plus the page
+ * size in points and pixels; pages are rendered on demand, so only the pages
+ * in flight are held in memory. Call `destroy()` when done.
+ */
+const createPdfRenderer = async (buffer, { dpi = 300 } = {}) => {
+  const doc = await openPdfDocument(buffer);
+
+  const render = async (pageNumber) => {
+    const page = await doc.getPage(pageNumber);
+    const viewport = page.getViewport({ scale: dpi / 72 });
+    const target = doc.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    try {
+      await page.render({ canvasContext: target.context, canvas: target.canvas, viewport }).promise;
+      return {
+        data: target.canvas.toBuffer('image/png'),
+        mimeType: 'image/png',
+        width: round((viewport.width * 72) / dpi),
+        height: round((viewport.height * 72) / dpi),
+        pixelWidth: target.canvas.width,
+        pixelHeight: target.canvas.height,
+      };
+    } finally {
+      doc.canvasFactory.destroy(target);
+      page.cleanup();
+    }
+  };
+
+  return { pageCount: doc.numPages, render, destroy: () => doc.destroy() };
+};
+
+module.exports = {
+  createPdfRenderer,
+  extractPdfTextLayer,
+  hasUsableTextLayer,
+};
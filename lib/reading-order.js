@@ -0,0 +1,163 @@
+// Reading order for multi-column pages: column gutters are found from the x extents
+// of the text, then the page is read band by band and, inside a band, column by column.
+const MIN_COLUMN_BOXES = 3;
+const MIN_COLUMN_SHARE = 0.2;
+
+const parseSize = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+// OCR lines often come without a width; a rough half-em per character is enough to tell
+// a full-width title from a column line.
+const estimateWidth = (line) =>
+  (line.segments || []).reduce((sum, segment) => {
+    const size = parseSize(segment.style?.fontSize ?? segment.fontSize) || 16;
+    return sum + String(segment.text || '').length * size * 0.5;
+  }, 0);
+
+const elementBox = (el) => {
+  const bbox = el.boundingBox;
+  if (Array.isArray(bbox) && bbox.length === 4) {
+    return { x: bbox[0], y: bbox[1], right: bbox[2] };
+  }
+  if (el.type === 'table') {
+    // Tables without geometry keep their y and are treated as full width.
+    return { x: -Infinity, y: el.y ?? 0, right: Infinity };
+  }
+  const x = el.x ?? el.meta?.position?.x ?? 0;
+  const y = el.y ?? el.meta?.position?.y ?? 0;
+  return { x, y, right: x + (el.width ?? estimateWidth(el)) };
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+const crossesGutter = (box, gutter) => box.x < gutter.start - 1 && box.right > gutter.end + 1;
+
+// A real column is wide, has several boxes that start at a shared left edge and mostly
+// fill its width; this keeps label/value forms, number columns and ragged single-column
+// text from being split.
+const isTextColumn = (boxes, contentWidth) => {
+  if (boxes.length < MIN_COLUMN_BOXES) return false;
+  const left = Math.min(...boxes.map((box) => box.x));
+  const right = Math.max(...boxes.map((box) => box.right));
+  const extent = right - left;
+  if (extent < contentWidth * MIN_COLUMN_SHARE) return false;
+  const tolerance = Math.max(extent * 0.03, 3);
+  const aligned = boxes.filter((box) => box.x - left <= tolerance).length;
+  const fill = median(boxes.map((box) => box.right - box.x)) / extent;
+  return aligned >= boxes.length * 0.5 && fill >= 0.7;
+};
+
+const splitIntoColumns = (boxes, gutters) => {
+  const columns = gutters.map(() => []).concat([[]]);
+  boxes
+    .filter((box) => !gutters.some((gutter) => crossesGutter(box, gutter)))
+    .forEach((box) => {
+      const index = gutters.filter((gutter) => box.x >= gutter.start).length;
+      columns[index].push(box);
+    });
+  return columns;
+};
+
+const validGutters = (boxes, gutters, contentWidth) =>
+  gutters.length > 0 &&
+  splitIntoColumns(boxes, gutters).every((column) => isTextColumn(column, contentWidth));
+
+/**
+ * Finds vertical gaps that separate text columns. `boxes` are `{ x, right }`
+ * extents (lines or line fragments); the result is a list of `{ start, end }`
+ * x ranges sorted left to right, empty for single-column content.
+ */
+const findColumnGutters = (boxes = []) => {
+  const usable = boxes.filter((box) => Number.isFinite(box.x) && box.right > box.x);
+  if (usable.length < MIN_COLUMN_BOXES * 2) return [];
+
+  const xMin = Math.floor(Math.min(...usable.map((box) => box.x)));
+  const xMax = Math.ceil(Math.max(...usable.map((box) => box.right)));
+  const contentWidth = xMax - xMin;
+  if (contentWidth <= 0) return [];
+
+  // Coverage per x unit via a difference array.
+  const delta = new Array(contentWidth + 2).fill(0);
+  usable.forEach((box) => {
+    delta[Math.floor(box.x) - xMin] += 1;
+    delta[Math.ceil(box.right) - xMin] -= 1;
+  });
+  // Full-width titles and tables may cross a gutter, so a few crossings are tolerated.
+  const maxCrossings = Math.floor(usable.length * 0.2);
+  const minGap = Math.max(contentWidth * 0.015, 4);
+  const candidates = [];
+  let coverage = 0;
+  let runStart = null;
+  for (let offset = 0; offset <= contentWidth; offset += 1) {
+    coverage += delta[offset];
+    const inside = offset > contentWidth * 0.15 && offset < contentWidth * 0.85;
+    if (inside && coverage <= maxCrossings) {
+      if (runStart === null) runStart = offset;
+    } else if (runStart !== null) {
+      if (offset - runStart >= minGap) {
+        candidates.push({ start: xMin + runStart, end: xMin + offset });
+      }
+      runStart = null;
+    }
+  }
+
+  if (validGutters(usable, candidates, contentWidth)) return candidates;
+  // Otherwise keep the widest gap that still yields two proper columns on its own.
+  const single = candidates
+    .sort((a, b) => b.end - b.start - (a.end - a.start))
+    .find((gutter) => validGutters(usable, [gutter], contentWidth));
+  return single ? [single] : [];
+};
+
+/**
+ * Orders lines and tables for reading: elements that cross a gutter (titles,
+ * wide tables) split the page into bands, and each band is emitted column by
+ * column, top to bottom. Single-column pages come back sorted by y.
+ */
+const orderReadingFlow = (elements = []) => {
+  const entries = elements.map((el, index) => ({ el, index, box: elementBox(el) }));
+  const gutters = findColumnGutters(
+    entries.filter((entry) => entry.el.type !== 'table').map((entry) => entry.box)
+  );
+  const sorted = [...entries].sort(
+    (a, b) => a.box.y - b.box.y || a.box.x - b.box.x || a.index - b.index
+  );
+  if (!gutters.length) return sorted.map((entry) => entry.el);
+
+  const ordered = [];
+  let band = [];
+  const flushBand = () => {
+    const columns = gutters.map(() => []).concat([[]]);
+    band.forEach((entry) => {
+      const center = (entry.box.x + entry.box.right) / 2;
+      columns[gutters.filter((gutter) => center > (gutter.start + gutter.end) / 2).length].push(entry);
+    });
+    columns.forEach((column) => column.forEach((entry) => ordered.push(entry.el)));
+    band = [];
+  };
+  sorted.forEach((entry) => {
+    if (gutters.some((gutter) => crossesGutter(entry.box, gutter))) {
+      flushBand();
+      ordered.push(entry.el);
+    } else {
+      band.push(entry);
+    }
+  });
+  flushBand();
+  return ordered;
+};
+
+// Puts every page's `lines` into reading order; the input pages are left untouched.
+const applyReadingOrder = (pages = []) =>
+  pages.map((page) => ({ ...page, lines: orderReadingFlow(page.lines || []) }));
+
+module.exports = {
+  applyReadingOrder,
+  findColumnGutters,
+  orderReadingFlow,
+};
@@ -0,0 +1,159 @@
+const { getSegmentFormat } = require('./layout');
+
+const SOFT_HYPHEN = /\u00AD/g;
+// "Ein- und Ausgang": a hyphen before a conjunction is a suspended compound, not a break.
+const SUSPENDED_HYPHEN_FOLLOWER = /^(und|oder|bzw\.?|sowie|bis|als|noch|wie|u\.|o\.)(\s|$)/i;
+const SENTENCE_END = /[.!?:]["'»«“”)\]]*$/;
+const MERGEABLE_ROLES = ['body', 'caption', 'list-item', 'h1', 'h2', 'h3', 'h4'];
+const HYPHENATED_WORD = /[\p{L}\d]+(?:-[\p{L}\d]+)+/gu;
+
+const lineText = (line) => (line.segments || []).map((segment) => segment.text || '').join('');
+
+const lineFontSize = (line) =>
+  Math.max(0, ...(line.segments || []).map((segment) => getSegmentFormat(segment).fontSize || 0));
+
+const lineAlign = (line) => line.align || line.text_alignment || 'left';
+
+// Hyphenated compounds that occur unbroken somewhere in the document keep their hyphen.
+const collectHyphenatedWords = (pages) => {
+  const words = new Set();
+  pages.forEach((page) =>
+    (page.lines || []).forEach((line) => {
+      (lineText(line).match(HYPHENATED_WORD) || []).forEach((word) => words.add(word.toLowerCase()));
+    })
+  );
+  return words;
+};
+
+/**
+ * Joins the text at a line break. Soft hyphens are removed; a hard hyphen is
+ * dropped only when the next line continues the word in lower case ("Ver-" +
+ * "arbeitung") and the compound is not known with hyphen. Capitalised parts
+ * ("Max-" + "Planck"), digits and suspended hyphens ("Ein-" + "und") keep it.
+ */
+const joinAtBreak = (before, after, hyphenatedWords) => {
+  const head = before.replace(/\s+$/, '');
+  const tail = after.replace(/^\s+/, '');
+  if (head.endsWith('\u00AD')) return [head.slice(0, -1), tail];
+  if (/\d-$/.test(head) && /^\d/.test(tail)) return [head, tail];
+  if (!/\p{L}-$/u.test(head)) return [`${head} `, tail];
+  if (SUSPENDED_HYPHEN_FOLLOWER.test(tail)) return [`${head} `, tail];
+  if (!/^\p{Ll}/u.test(tail)) return [head, tail];
+  const lastWord = head.match(/[\p{L}\d-]+$/u)?.[0] || '';
+  const firstWord = tail.match(/^[\p{L}\d]+/u)?.[0] || '';
+  const compound = `${lastWord}${firstWord}`.toLowerCase();
+  return hyphenatedWords.has(compound) ? [head, tail] : [head.slice(0, -1), tail];
+};
+
+const canContinue = (paragraph, previous, line) => {
+  if (paragraph.furniture || line.furniture) return false;
+  const role = line.role || 'body';
+  const paragraphRole = paragraph.role || 'body';
+  // Wrapped list items continue with an unmarked body line under the item text.
+  const listContinuation =
+    paragraphRole === 'list-item' && role === 'body' && (line.x ?? 0) > (paragraph.x ?? 0) + 2;
+  if (!MERGEABLE_ROLES.includes(role) || (role !== paragraphRole && !listContinuation)) return false;
+  if (lineAlign(line) !== lineAlign(paragraph)) return false;
+
+  const size = lineFontSize(line);
+  const previousSize = lineFontSize(previous);
+  if (Math.abs(size - previousSize) > 0.5) return false;
+
+  // The first gap is judged against the font size, later ones against the running line pitch.
+  const gap = (line.y ?? 0) - (previous.y ?? 0);
+  const limit = paragraph.pitch ? paragraph.pitch * 1.3 : Math.max(size, 1) * 1.35;
+  if (gap <= 0 || gap > limit) return false;
+
+  if (lineAlign(line) === 'left' && (line.x ?? 0) > (paragraph.x ?? 0) + Math.max(size, 8)) {
+    return false;
+  }
+  // A line that stops well short of the paragraph width after a full stop ends it.
+  const previousText = lineText(previous).trim();
+  if (
+    typeof previous.width === 'number' &&
+    paragraph.width &&
+    previous.width < paragraph.width * 0.75 &&
+    SENTENCE_END.test(previousText)
+  ) {
+    return false;
+  }
+  return true;
+};
+
+const appendLine = (paragraph, previous, line, hyphenatedWords) => {
+  const segments = paragraph.segments.map((segment) => ({ ...segment }));
+  const next = (line.segments || []).filter((segment) => segment.text).map((segment) => ({ ...segment }));
+  const last = segments[segments.length - 1];
+  if (last && next.length) {
+    [last.text, next[0].text] = joinAtBreak(last.text, next[0].text, hyphenatedWords);
+  }
+  const x = Math.min(paragraph.x ?? 0, line.x ?? 0);
+  const right = Math.max(
+    (paragraph.x ?? 0) + (paragraph.width ?? 0),
+    (line.x ?? 0) + (line.width ?? 0)
+  );
+  return {
+    ...paragraph,
+    segments: [...segments, ...next].filter((segment) => segment.text),
+    x,
+    width: paragraph.width !== undefined || line.width !== undefined ? right - x : undefined,
+    pitch: paragraph.pitch || (line.y ?? 0) - (previous.y ?? 0),
+    lineCount: paragraph.lineCount + 1,
+  };
+};
+
+const stripSoftHyphens = (line) => ({
+  ...line,
+  segments: (line.segments || []).map((segment) => ({
+    ...segment,
+    // Soft hyphens at the end of a segment are handled when lines are joined.
+    text: String(segment.text || '').replace(/\u00AD(?=.)/g, ''),
+  })),
+});
+
+const finishParagraph = ({ pitch, ...paragraph }) => ({
+  ...paragraph,
+  segments: paragraph.segments.map((segment) => ({
+    ...segment,
+    text: segment.text.replace(SOFT_HYPHEN, ''),
+  })),
+});
+
+const reflowLines = (lines = [], hyphenatedWords = new Set()) => {
+  const paragraphs = [];
+  let previous = null;
+  lines.map(stripSoftHyphens).forEach((line) => {
+    const current = paragraphs[paragraphs.length - 1];
+    if (current && previous && canContinue(current, previous, line)) {
+      paragraphs[paragraphs.length - 1] = appendLine(current, previous, line, hyphenatedWords);
+    } else {
+      paragraphs.push({ ...line, lineCount: 1 });
+    }
+    previous = line;
+  });
+  return paragraphs.map(finishParagraph);
+};
+
+/**
+ * Reflow mode: merges consecutive lines of one paragraph (same role, size and
+ * alignment, regular line pitch) into a single line object and repairs words
+ * hyphenated at line ends. Expects lines in reading order; returns new pages.
+ */
+const reflowPages = (pages = []) => {
+  const hyphenatedWords = collectHyphenatedWords(pages);
+  return pages.map((page) => ({ ...page, lines: reflowLines(page.lines || [], hyphenatedWords) }));
+};
+
+// Pages with their reflowed `paragraphs` next to the lines, for exports that need both views.
+const attachParagraphs = (pages = []) => {
+  const reflowed = reflowPages(pages);
+  return pages.map((page, index) => ({ ...page, paragraphs: reflowed[index].lines }));
+};
+
+const normalizeLayoutMode = (value) => (value === 'reflow' ? 'reflow' : 'preserve');
+
+module.exports = {
+  attachParagraphs,
+  normalizeLayoutMode,
+  reflowPages,
+};
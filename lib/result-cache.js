@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { mkdir, readdir, readFile, rename, stat, unlink, utimes, writeFile } = fs.promises;
+const CACHE_KEY = /^[a-f0-9]{64}$/;
+
+// Options are serialized with sorted keys, so their order never changes the key.
+const stableStringify = (value) =>
+  JSON.stringify(
+    Object.keys(value || {})
+      .sort()
+      .reduce((sorted, key) => ({ ...sorted, [key]: value[key] }), {})
+  );
+
+/**
+ * File-based cache for extraction results, addressed by the SHA-256 of the
+ * uploaded bytes plus the options that influence the result. Every entry is
+ * a `<key>.json` with the result and a small `<key>.meta.json` for listings.
+ * Entries expire after `ttlMs`; beyond `maxBytes` the least recently used
+ * entries are evicted. A hit refreshes the entry's modification time.
+ */
+const createResultCache = ({ dir, maxBytes = 500 * 1024 * 1024, ttlMs = 7 * 24 * 60 * 60 * 1000 }) => {
+  const resultPath = (key) => path.join(dir, `${key}.json`);
+  const metaPath = (key) => path.join(dir, `${key}.meta.json`);
+  const isKey = (key) => CACHE_KEY.test(String(key || ''));
+
+  const keyFor = (buffer, options = {}) =>
+    crypto.createHash('sha256').update(buffer).update('\0').update(stableStringify(options)).digest('hex');
+
+  const remove = async (key) => {
+    const results = await Promise.allSettled([unlink(resultPath(key)), unlink(metaPath(key))]);
+    return results.some((result) => result.status === 'fulfilled');
+  };
+
+  const readEntries = async () => {
+    const names = await readdir(dir).catch(() => []);
+    const keys = names.filter((name) => /^[a-f0-9]{64}\.json$/.test(name)).map((name) => name.slice(0, 64));
+    const entries = await Promise.all(
+      keys.map(async (key) => {
+        try {
+          const [info, meta] = await Promise.all([stat(resultPath(key)), readFile(metaPath(key), 'utf8')]);
+          return { ...JSON.parse(meta), key, size: info.size, lastUsedAt: info.mtime.toISOString() };
+        } catch (error) {
+          // Half-written or foreign files are not entries.
+          return null;
+        }
+      })
+    );
+    return entries.filter(Boolean);
+  };
+
+  const isExpired = (entry) => Date.now() - Date.parse(entry.createdAt) > ttlMs;
+
+  const prune = async () => {
+    const entries = await readEntries();
+    const expired = entries.filter(isExpired);
+    const alive = entries
+      .filter((entry) => !isExpired(entry))
+      .sort((a, b) => Date.parse(b.lastUsedAt) - Date.parse(a.lastUsedAt));
+    let total = 0;
+    const evicted = alive.filter((entry) => {
+      total += entry.size;
+      return total > maxBytes;
+    });
+    await Promise.all([...expired, ...evicted].map((entry) => remove(entry.key)));
+  };
+
+  const get = async (key) => {
+    if (!isKey(key)) return null;
+    try {
+      const meta = JSON.parse(await readFile(metaPath(key), 'utf8'));
+      if (isExpired(meta)) {
+        await remove(key);
+        return null;
+      }
+      const result = JSON.parse(await readFile(resultPath(key), 'utf8'));
+      const now = new Date();
+      await utimes(resultPath(key), now, now).catch(() => {});
+      return result;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  // Written to a temporary file first, so readers never see a partial entry.
+  const set = async (key, result, meta = {}) => {
+    if (!isKey(key)) return;
+    await mkdir(dir, { recursive: true });
+    const temp = `${resultPath(key)}.${process.pid}.tmp`;
+    await writeFile(temp, JSON.stringify(result));
+    await writeFile(metaPath(key), JSON.stringify({ ...meta, createdAt: new Date().toISOString() }));
+    await rename(temp, resultPath(key));
+    await prune();
+  };
+
+  const list = async () => {
+    const entries = (await readEntries()).filter((entry) => !isExpired(entry));
+    return entries
+      .map((entry) => ({ ...entry, expiresAt: new Date(Date.parse(entry.createdAt) + ttlMs).toISOString() }))
+      .sort((a, b) => Date.parse(b.lastUsedAt) - Date.parse(a.lastUsedAt));
+  };
+
+  // Without a key every entry is removed; resolves with the number of removed entries.
+  const clear = async (key) => {
+    if (key !== undefined) {
+      return isKey(key) && (await remove(key)) ? 1 : 0;
+    }
+    const entries = await readEntries();
+    const removed = await Promise.all(entries.map((entry) => remove(entry.key)));
+    return removed.filter(Boolean).length;
+  };
+
+  return {
+    clear,
+    get,
+    isKey,
+    keyFor,
+    list,
+    maxBytes,
+    set,
+    ttlMs,
+  };
+};
+
+// The server and the CLI share one cache directory unless RESULT_CACHE_DIR says otherwise.
+const createResultCacheFromEnv = () =>
+  createResultCache({
+    dir: process.env.RESULT_CACHE_DIR || path.join(__dirname, '..', 'cache'),
+    maxBytes: (Number(process.env.RESULT_CACHE_MAX_MB) || 500) * 1024 * 1024,
+    ttlMs: (Number(process.env.RESULT_CACHE_TTL_HOURS) || 7 * 24) * 60 * 60 * 1000,
+  });
+
+module.exports = {
+  createResultCache,
+  createResultCacheFromEnv,
+};
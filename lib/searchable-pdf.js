@@ -0,0 +1,238 @@
+const {
+  PDFDocument,
+  StandardFonts,
+  TextRenderingMode,
+  beginText,
+  endText,
+  popGraphicsState,
+  pushGraphicsState,
+  setCharacterSqueeze,
+  setFontAndSize,
+  setTextMatrix,
+  setTextRenderingMode,
+  showText,
+} = require('pdf-lib');
+const {
+  expandTableGrid,
+  getSegmentFormat,
+  getTableRows,
+  hasGeometry,
+  layoutPageElements,
+} = require('./layout');
+const { imageUploadToPages } = require('./uploads');
+
+const FALLBACK_FONT_SIZE = 16;
+// Scans are placed on pages no larger than A4 (in points), smaller images keep 1 px = 1 pt.
+const MAX_IMAGE_PAGE_SIDE = 842;
+
+const lineText = (line) => (line.segments || []).map((segment) => segment.text || '').join('');
+
+const lineFontSize = (line) =>
+  Math.max(0, ...(line.segments || []).map((segment) => getSegmentFormat(segment).fontSize || 0)) ||
+  FALLBACK_FONT_SIZE;
+
+// The standard fonts only cover WinAnsi; anything else would make pdf-lib throw.
+const encodableText = (text, charset) =>
+  Array.from(String(text).replace(/\u00AD/g, '').replace(/\s+/g, ' '))
+    .map((char) => (charset.has(char.codePointAt(0)) ? char : '?'))
+    .join('')
+    .trim();
+
+/**
+ * Maps a point given from the top-left of the displayed page into PDF user
+ * space, honouring the crop box offset and the page rotation. Returns the
+ * point plus the text direction in degrees.
+ */
+const toUserSpace = (box, rotation, dx, dy) => {
+  switch (rotation) {
+    case 90:
+      return { x: box.x + dy, y: box.y + dx, angle: 90 };
+    case 180:
+      return { x: box.x + box.width - dx, y: box.y + dy, angle: 180 };
+    case 270:
+      return { x: box.x + box.width - dy, y: box.y + box.height - dx, angle: 270 };
+    default:
+      return { x: box.x + dx, y: box.y + box.height - dy, angle: 0 };
+  }
+};
+
+/**
+ * Lines without geometry are flowed top to bottom over the page as one block, so
+ * the page stays searchable without pretending to know where the words are.
+ */
+const flowUnpositionedLines = (lines, spaceWidth, spaceHeight) => {
+  const margin = Math.min(spaceWidth, spaceHeight) * 0.05;
+  const band = (spaceHeight - 2 * margin) / lines.length;
+  return lines.map((line, index) => {
+    const size = Math.min(lineFontSize(line), band * 0.8);
+    return { text: lineText(line), x: margin, baseline: margin + index * band + size, size, width: null };
+  });
+};
+
+const hasBoundingBox = (table) => Array.isArray(table.boundingBox) && table.boundingBox.length === 4;
+
+const isPositioned = (element) => (element.type === 'table' ? hasBoundingBox(element) : hasGeometry(element));
+
+// A table without a bounding box flows like its lines, one row per line.
+const tableRowLines = (table) =>
+  expandTableGrid(getTableRows(table))
+    .map((row) => row.map((cell) => String(cell?.text || '').trim()).filter(Boolean).join(' '))
+    .filter(Boolean)
+    .map((text) => ({ segments: [{ text }] }));
+
+/**
+ * Collects the runs of the text layer for one page: `{ text, x, baseline,
+ * size, width }` in the coordinate space of the page model (top-left origin).
+ * Tables are laid out as an even grid inside their bounding box, lines inside
+ * a table are skipped by `layoutPageElements` so nothing is doubled. Lines
+ * without geometry only count on pages where nothing else is positioned; there
+ * they are flowed together with the rows of tables that have no bounding box.
+ */
+const collectTextRuns = (page, spaceWidth, spaceHeight) => {
+  const elements = layoutPageElements(page);
+  if (elements.length && !elements.some(isPositioned)) {
+    const lines = elements.flatMap((element) =>
+      element.type === 'table' ? tableRowLines(element) : [element]
+    );
+    return flowUnpositionedLines(lines, spaceWidth, spaceHeight);
+  }
+  return elements.flatMap((element) => {
+    if (element.type !== 'table') {
+      if (!hasGeometry(element)) return [];
+      const size = lineFontSize(element);
+      // Lines are stored with y at the top of the glyphs, one font size above the baseline.
+      return [
+        {
+          text: lineText(element),
+          x: element.x ?? element.meta.position.x,
+          baseline: (element.y ?? 0) + size,
+          size,
+          width: typeof element.width === 'number' ? element.width : null,
+        },
+      ];
+    }
+
+    const grid = expandTableGrid(getTableRows(element));
+    const columnCount = Math.max(1, ...grid.map((row) => row.length));
+    // Tables without geometry span the page width from their y, one default line per row.
+    const [xMin, yMin, xMax, yMax] = hasBoundingBox(element)
+      ? element.boundingBox
+      : [0, element.y ?? 0, spaceWidth, (element.y ?? 0) + grid.length * FALLBACK_FONT_SIZE * 1.2];
+    const rowHeight = (yMax - yMin) / Math.max(grid.length, 1);
+    const columnWidth = (xMax - xMin) / columnCount;
+    return grid.flatMap((row, rowIndex) =>
+      row
+        .map((cell, columnIndex) => {
+          if (!cell || !String(cell.text || '').trim()) return null;
+          const size = Math.min(rowHeight * 0.8, FALLBACK_FONT_SIZE);
+          return {
+            text: cell.text,
+            x: xMin + columnIndex * columnWidth,
+            baseline: yMin + rowIndex * rowHeight + (rowHeight + size) / 2,
+            size,
+            width: columnWidth * (Number(cell.colspan) || 1),
+          };
+        })
+        .filter(Boolean)
+    );
+  });
+};
+
+/**
+ * Writes the runs of one page as invisible text (rendering mode 3), scaled from
+ * the page model's coordinate space (`spaceWidth` x `spaceHeight`) onto the
+ * displayed page. Each run is squeezed to its measured width so selections
+ * cover the words on the scan.
+ */
+const drawTextLayer = (pdfPage, font, runs, { spaceWidth, spaceHeight }) => {
+  const box = pdfPage.getCropBox();
+  const rotation = ((pdfPage.getRotation().angle % 360) + 360) % 360;
+  const sideways = rotation === 90 || rotation === 270;
+  const displayWidth = sideways ? box.height : box.width;
+  const displayHeight = sideways ? box.width : box.height;
+  const scaleX = displayWidth / spaceWidth;
+  const scaleY = displayHeight / spaceHeight;
+  const charset = new Set(font.getCharacterSet());
+  const fontKey = pdfPage.node.newFontDictionary(font.name, font.ref);
+
+  const operators = [pushGraphicsState(), beginText(), setTextRenderingMode(TextRenderingMode.Invisible)];
+  runs.forEach((run) => {
+    const text = encodableText(run.text, charset);
+    if (!text) return;
+    const size = Math.max(run.size * scaleY, 1);
+    const naturalWidth = font.widthOfTextAtSize(text, size);
+    const squeeze = run.width && naturalWidth ? ((run.width * scaleX) / naturalWidth) * 100 : 100;
+    const { x, y, angle } = toUserSpace(box, rotation, run.x * scaleX, run.baseline * scaleY);
+    const radians = (angle * Math.PI) / 180;
+    const cos = Math.round(Math.cos(radians));
+    const sin = Math.round(Math.sin(radians));
+    operators.push(
+      setFontAndSize(fontKey, size),
+      setCharacterSqueeze(Math.min(Math.max(squeeze, 10), 1000)),
+      setTextMatrix(cos, sin, -sin, cos, x, y),
+      showText(font.encodeText(text))
+    );
+  });
+  operators.push(endText(), popGraphicsState());
+  pdfPage.pushOperators(...operators);
+};
+
+// Every frame of an image upload becomes one page showing the scan. The pixel sizes are
+// returned as well, OCR coordinates of images refer to them.
+const buildImageDocument = async (buffer, uploadType) => {
+  const doc = await PDFDocument.create();
+  const imageFrames = [];
+  /* eslint-disable no-await-in-loop */
+  for (const frame of imageUploadToPages(buffer, uploadType)) {
+    const image =
+      frame.mimeType === 'image/jpeg' ? await doc.embedJpg(frame.data) : await doc.embedPng(frame.data);
+    const scale = Math.min(1, MAX_IMAGE_PAGE_SIDE / Math.max(image.width, image.height));
+    const pdfPage = doc.addPage([image.width * scale, image.height * scale]);
+    pdfPage.drawImage(image, { x: 0, y: 0, width: image.width * scale, height: image.height * scale });
+    imageFrames.push({ width: image.width, height: image.height });
+  }
+  /* eslint-enable no-await-in-loop */
+  return { doc, imageFrames };
+};
+
+/**
+ * Builds a searchable PDF: the original pages (or the uploaded scan as image
+ * pages) stay untouched and get an invisible, positioned text layer from the
+ * normalized `pages`. Pages read via pdf.js already carry their own text and
+ * are left alone. Coordinates are taken in the page's `width`/`height` space
+ * when known, otherwise in points (PDF) or pixels (images).
+ *
+ * The output follows the usual PDF/A conventions (no object streams, document
+ * metadata set, invisible text needs no embedded font) without claiming
+ * conformance.
+ */
+const buildSearchablePdf = async (sourceBuffer, uploadType, pages = [], { title } = {}) => {
+  const isPdf = uploadType === 'pdf';
+  const { doc, imageFrames } = isPdf
+    ? { doc: await PDFDocument.load(sourceBuffer, { ignoreEncryption: true }), imageFrames: [] }
+    : await buildImageDocument(sourceBuffer, uploadType);
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+
+  doc.getPages().forEach((pdfPage, index) => {
+    const page = pages.find((candidate) => Number(candidate.number) === index + 1);
+    if (!page || page.engine === 'pdfjs') return;
+    const fallback = imageFrames[index] || pdfPage.getSize();
+    const spaceWidth = Number(page.width) > 0 ? Number(page.width) : fallback.width;
+    const spaceHeight = Number(page.height) > 0 ? Number(page.height) : fallback.height;
+    const runs = collectTextRuns(page, spaceWidth, spaceHeight);
+    if (!runs.length) return;
+    drawTextLayer(pdfPage, font, runs, { spaceWidth, spaceHeight });
+  });
+
+  const now = new Date();
+  if (title) doc.setTitle(title);
+  doc.setProducer('Text-extracter');
+  doc.setCreator('Text-extracter');
+  doc.setCreationDate(now);
+  doc.setModificationDate(now);
+  return Buffer.from(await doc.save({ useObjectStreams: false }));
+};
+
+module.exports = {
+  buildSearchablePdf,
+};
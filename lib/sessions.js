@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory login sessions keyed by a random token (the session cookie). Sessions
+ * expire after `ttlMs` without use; a restart logs everybody out.
+ */
+const createSessionStore = ({ ttlMs = 12 * 60 * 60 * 1000 } = {}) => {
+  const sessions = new Map();
+
+  const prune = () => {
+    const now = Date.now();
+    sessions.forEach((session, token) => {
+      if (session.expiresAt <= now) sessions.delete(token);
+    });
+  };
+
+  const create = (userId) => {
+    prune();
+    const token = crypto.randomBytes(32).toString('base64url');
+    sessions.set(token, { userId, expiresAt: Date.now() + ttlMs });
+    return token;
+  };
+
+  // Resolves the user id behind a token and extends the session.
+  const get = (token) => {
+    const session = token ? sessions.get(token) : null;
+    if (!session) return null;
+    if (session.expiresAt <= Date.now()) {
+      sessions.delete(token);
+      return null;
+    }
+    session.expiresAt = Date.now() + ttlMs;
+    return session.userId;
+  };
+
+  const destroy = (token) => {
+    sessions.delete(token);
+  };
+
+  const destroyForUser = (userId) => {
+    sessions.forEach((session, token) => {
+      if (session.userId === userId) sessions.delete(token);
+    });
+  };
+
+  return { create, destroy, destroyForUser, get, ttlMs };
+};
+
+/**
+ * Backoff for failed logins, counted per key (a client IP or a username). The
+ * first `freeAttempts` failures cost nothing; from then on every failure doubles
+ * the wait, starting at `baseDelayMs` and capped at `maxDelayMs`. A key is
+ * forgotten `resetMs` after its last failure or as soon as it succeeds.
+ */
+const createLoginThrottle = ({
+  freeAttempts = 5,
+  baseDelayMs = 1000,
+  maxDelayMs = 15 * 60 * 1000,
+  resetMs = 15 * 60 * 1000,
+} = {}) => {
+  const failures = new Map();
+
+  const prune = () => {
+    const now = Date.now();
+    failures.forEach((entry, key) => {
+      if (entry.lastFailureAt + resetMs <= now && entry.blockedUntil <= now) failures.delete(key);
+    });
+  };
+
+  // Milliseconds until `key` may try again; 0 when it is not blocked.
+  const retryAfterMs = (key) => Math.max(0, (failures.get(key)?.blockedUntil || 0) - Date.now());
+
+  const fail = (key) => {
+    prune();
+    const now = Date.now();
+    const entry = failures.get(key) || { count: 0 };
+    entry.count += 1;
+    entry.lastFailureAt = now;
+    const excess = entry.count - freeAttempts;
+    entry.blockedUntil = excess >= 0 ? now + Math.min(maxDelayMs, baseDelayMs * 2 ** excess) : 0;
+    failures.set(key, entry);
+  };
+
+  const succeed = (key) => {
+    failures.delete(key);
+  };
+
+  return { fail, retryAfterMs, succeed };
+};
+
+const parseCookies = (header) =>
+  String(header || '')
+    .split(';')
+    .map((part) => part.trim())
+    .filter((part) => part.includes('='))
+    .reduce((cookies, part) => {
+      const index = part.indexOf('=');
+      try {
+        return { ...cookies, [part.slice(0, index)]: decodeURIComponent(part.slice(index + 1)) };
+      } catch (error) {
+        return cookies;
+      }
+    }, {});
+
+module.exports = {
+  createLoginThrottle,
+  createSessionStore,
+  parseCookies,
+};
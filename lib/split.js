@@ -0,0 +1,23 @@
+const { PDFDocument } = require('pdf-lib');
+
+// Parsing is the expensive part, so callers load a PDF once and share the document.
+const loadPdf = (buffer) => PDFDocument.load(buffer, { ignoreEncryption: true });
+
+/**
+ * Copies the given 1-based page numbers of the loaded `source` into a new PDF,
+ * in the order passed.
+ */
+const buildPdfSubset = async (source, pageNumbers) => {
+  const subset = await PDFDocument.create();
+  const copied = await subset.copyPages(
+    source,
+    pageNumbers.map((number) => number - 1)
+  );
+  copied.forEach((page) => subset.addPage(page));
+  return Buffer.from(await subset.save());
+};
+
+module.exports = {
+  buildPdfSubset,
+  loadPdf,
+};
@@ -0,0 +1,139 @@
+const { getSegmentFormat, hasGeometry } = require('./layout');
+
+const HEADING_ROLES = ['h1', 'h2', 'h3', 'h4'];
+const LIST_MARKER = /^\s*([•▪◦‣●■–—*-]|\d{1,3}[.)]|[a-zA-Z][.)])\s+\S/;
+const CAPTION_PREFIX = /^\s*(Abbildung|Abb\.|Tabelle|Tab\.|Grafik|Bild|Figure|Fig\.|Table)\s*\d+/i;
+const MARKDOWN_HEADING = /^(#{1,6})\s+/;
+const EDGE_RATIO = 0.06;
+
+const lineText = (line) => (line.segments || []).map((segment) => segment.text || '').join('');
+
+const lineFontSize = (line) =>
+  Math.max(0, ...(line.segments || []).map((segment) => getSegmentFormat(segment).fontSize || 0));
+
+const isBoldLine = (line) => {
+  const segments = (line.segments || []).filter((segment) => (segment.text || '').trim());
+  return segments.length > 0 && segments.every((segment) => getSegmentFormat(segment).bold);
+};
+
+/**
+ * Groups the document's font sizes (weighted by character count) into
+ * clusters that differ by more than `tolerance`. The heaviest cluster is the
+ * body size; up to four larger clusters become heading levels, biggest first.
+ */
+const clusterFontSizes = (pages, tolerance = 0.06) => {
+  const weights = new Map();
+  pages.forEach((page) =>
+    (page.lines || []).forEach((line) => {
+      const size = lineFontSize(line);
+      if (!size) return;
+      const key = Math.round(size * 2) / 2;
+      weights.set(key, (weights.get(key) || 0) + lineText(line).trim().length);
+    })
+  );
+
+  const clusters = [];
+  [...weights.keys()]
+    .sort((a, b) => a - b)
+    .forEach((size) => {
+      const last = clusters[clusters.length - 1];
+      if (last && size <= last.max * (1 + tolerance)) {
+        last.max = size;
+        last.weight += weights.get(size);
+      } else {
+        clusters.push({ min: size, max: size, weight: weights.get(size) });
+      }
+    });
+
+  const body = clusters.reduce(
+    (best, cluster) => (!best || cluster.weight > best.weight ? cluster : best),
+    null
+  );
+  const headingClusters = body
+    ? clusters
+        .filter((cluster) => cluster.min > body.max * 1.1)
+        .sort((a, b) => b.min - a.min)
+        .slice(0, HEADING_ROLES.length)
+    : [];
+  return { body, headingClusters };
+};
+
+const headingRoleForSize = (size, headingClusters) => {
+  const key = Math.round(size * 2) / 2;
+  const index = headingClusters.findIndex((cluster) => key >= cluster.min && key <= cluster.max);
+  // Larger-than-body sizes beyond the four biggest clusters still count as the lowest level.
+  return HEADING_ROLES[index === -1 ? HEADING_ROLES.length - 1 : index];
+};
+
+// Lines without geometry only have their index as y, which says nothing about the page edge.
+const isNearPageEdge = (line, page, edge) => {
+  if (!page.height || !hasGeometry(line) || typeof line.y !== 'number') return false;
+  return edge === 'top' ? line.y < page.height * EDGE_RATIO : line.y > page.height * (1 - EDGE_RATIO);
+};
+
+// OCR markdown keeps "## " prefixes in the text; they become the role instead.
+const takeMarkdownHeading = (line) => {
+  const first = line.segments?.[0];
+  const match = first?.text?.match(MARKDOWN_HEADING);
+  if (!match) return null;
+  const level = Math.min(match[1].length, HEADING_ROLES.length);
+  const segments = [
+    { ...first, text: first.text.slice(match[0].length) },
+    ...line.segments.slice(1),
+  ].filter((segment) => segment.text);
+  return { role: HEADING_ROLES[level - 1], segments };
+};
+
+const classifyLine = (line, page, context) => {
+  const text = lineText(line).trim();
+  if (!text) return { role: 'body' };
+
+  const markdownHeading = takeMarkdownHeading(line);
+  if (markdownHeading) return markdownHeading;
+
+  const size = lineFontSize(line);
+  const { body, headingClusters } = context;
+  const bodySize = body?.max || size;
+  const smaller = Boolean(body && size && size < body.min * 0.94);
+
+  if (isNearPageEdge(line, page, 'top') && size <= bodySize) return { role: 'header' };
+  if (isNearPageEdge(line, page, 'bottom') && size <= bodySize) return { role: 'footer' };
+  if (LIST_MARKER.test(text)) return { role: 'list-item' };
+  if (CAPTION_PREFIX.test(text) && (smaller || text.length < 160)) return { role: 'caption' };
+
+  const isShort = text.length <= 120 && !/[.,;:]$/.test(text);
+  if (isShort && body && size > body.max * 1.1) {
+    return { role: headingRoleForSize(size, headingClusters) };
+  }
+  // A bold standalone line at body size is treated as the lowest heading level.
+  if (isShort && isBoldLine(line) && text.length <= 80 && !smaller) return { role: 'h4' };
+  return { role: 'body' };
+};
+
+/**
+ * Structure pass over normalized pages: clusters font sizes per document and
+ * stores a `role` on every line (h1–h4, body, caption, header, footer,
+ * list-item). Returns new page objects; the input is left untouched.
+ */
+const annotateStructure = (pages = []) => {
+  const context = clusterFontSizes(pages);
+  return pages.map((page) => ({
+    ...page,
+    lines: (page.lines || []).map((line) => {
+      const { role, segments } = classifyLine(line, page, context);
+      return { ...line, ...(segments ? { segments } : {}), role };
+    }),
+  }));
+};
+
+// Exports accept client-supplied pages; older results may predate the structure pass.
+const ensureStructure = (pages = []) =>
+  pages.some((page) => (page.lines || []).some((line) => line.role)) ? pages : annotateStructure(pages);
+
+const headingLevel = (role) => HEADING_ROLES.indexOf(role) + 1;
+
+module.exports = {
+  annotateStructure,
+  ensureStructure,
+  headingLevel,
+};
@@ -0,0 +1,246 @@
+const JSZip = require('jszip');
+const { expandTableGrid, getTableRows } = require('./layout');
+
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const CSV_DECIMALS = {
+  comma: { separator: ',', delimiter: ';' },
+  point: { separator: '.', delimiter: ',' },
+};
+
+// Full thousands groups only, so dates ("14.03.2024") and codes stay text.
+const GERMAN_NUMBER = /^([+\-\u2212]?)(\d{1,3}(?:[.\u00a0\u202f ]\d{3})+|\d+)(?:,(\d+))?$/;
+const CURRENCY = /^(?:€|EUR)\s*|\s*(?:€|EUR)$/gi;
+
+/**
+ * Reads a cell written the German way ("1.200,50", "-3,5", "86,40 €") as a
+ * number. Resolves with `{ value, decimals, currency }` or null for text;
+ * leading zeros ("0049") and more than 15 digits stay text as well.
+ */
+const parseGermanNumber = (text) => {
+  const raw = String(text ?? '').trim();
+  const bare = raw.replace(CURRENCY, '');
+  const match = bare.match(GERMAN_NUMBER);
+  if (!match) return null;
+  const [, sign, integer, fraction = ''] = match;
+  const digits = integer.replace(/\D/g, '');
+  if ((digits.length > 1 && digits.startsWith('0')) || digits.length + fraction.length > 15) {
+    return null;
+  }
+  const value = Number(`${digits}.${fraction || '0'}`);
+  return {
+    value: sign && sign !== '+' ? -value : value,
+    decimals: fraction.length,
+    currency: bare !== raw,
+  };
+};
+
+const cellText = (cell) => String(cell?.text ?? '').replace(/\s*\n\s*/g, ' ').trim();
+
+/**
+ * Lists the tables of `pages` in preview order. Each entry carries the page and
+ * the 1-based table number the preview shows ("Tabelle N"), a file name and its
+ * rows. `selection` (`[{ page, table }]`) keeps only the chosen tables.
+ */
+const collectTables = (pages, selection = null) => {
+  const wanted = Array.isArray(selection)
+    ? selection.map((entry) => `${Number(entry?.page)}:${Number(entry?.table)}`)
+    : null;
+  return (Array.isArray(pages) ? pages : []).flatMap((page, pageIndex) => {
+    const pageNumber = Number(page?.number) || pageIndex + 1;
+    return (Array.isArray(page?.tables) ? page.tables : [])
+      .map((table, tableIndex) => ({
+        pageNumber,
+        tableNumber: tableIndex + 1,
+        name: `seite-${pageNumber}-tabelle-${tableIndex + 1}`,
+        rows: getTableRows(table),
+      }))
+      .filter((entry) => entry.rows.length)
+      .filter((entry) => !wanted || wanted.includes(`${entry.pageNumber}:${entry.tableNumber}`));
+  });
+};
+
+// Text that a spreadsheet would run as a formula gets a leading apostrophe.
+const guardFormula = (text) => (/^(?:[=+@\t\r]|-(?=\S))/.test(text) ? `'${text}` : text);
+
+/**
+ * One table as CSV for spreadsheets: UTF-8 with BOM and CRLF. Spanned cells
+ * fill their first position and leave the covered ones empty. Detected numbers
+ * lose thousands separators and currency signs and use the `decimal` separator
+ * (`comma` with `;` between fields, or `point` with `,`); other text is kept.
+ */
+const buildTableCsv = (rows, { decimal = 'comma' } = {}) => {
+  const { separator, delimiter } = CSV_DECIMALS[decimal] || CSV_DECIMALS.comma;
+  const quote = (text) =>
+    text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  const field = (cell) => {
+    if (!cell) return '';
+    const text = cellText(cell);
+    const number = parseGermanNumber(text);
+    if (number) return number.value.toFixed(number.decimals).replace('.', separator);
+    return quote(guardFormula(text));
+  };
+  const lines = expandTableGrid(rows).map((row) => row.map(field).join(delimiter));
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
+
+const escapeXml = (value) =>
+  String(value ?? '')
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const columnName = (index) => {
+  let name = '';
+  for (let rest = index + 1; rest > 0; rest = Math.floor((rest - 1) / 26)) {
+    name = String.fromCharCode(65 + ((rest - 1) % 26)) + name;
+  }
+  return name;
+};
+
+// Style ids of `STYLES_XML`: 1 header, 2 whole numbers, 3 two decimals, 4 euro amounts.
+const STYLE = { header: 1, integer: 2, decimal: 3, currency: 4 };
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="1"><numFmt numFmtId="164" formatCode="#,##0.00\\ &quot;€&quot;"/></numFmts>
+<fonts count="2">
+<font><sz val="11"/><name val="Calibri"/></font>
+<font><b/><sz val="11"/><name val="Calibri"/></font>
+</fonts>
+<fills count="2">
+<fill><patternFill patternType="none"/></fill>
+<fill><patternFill patternType="gray125"/></fill>
+</fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="5">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+<xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+const numberStyle = ({ decimals, currency }) => {
+  if (currency) return STYLE.currency;
+  if (decimals === 0) return STYLE.integer;
+  return decimals === 2 ? STYLE.decimal : 0;
+};
+
+// Header cells stay text; spans become merged ranges anchored at their first cell.
+const buildSheetXml = (rows) => {
+  const grid = expandTableGrid(rows);
+  const merges = [];
+  const rowsXml = grid.map((row, rowIndex) => {
+    const cells = row.map((cell, colIndex) => {
+      if (!cell) return '';
+      const ref = `${columnName(colIndex)}${rowIndex + 1}`;
+      const rowspan = Math.min(Math.max(Number(cell.rowspan) || 1, 1), grid.length - rowIndex);
+      const colspan = Math.max(Number(cell.colspan) || 1, 1);
+      if (rowspan > 1 || colspan > 1) {
+        merges.push(`${ref}:${columnName(colIndex + colspan - 1)}${rowIndex + rowspan}`);
+      }
+      const text = cellText(cell);
+      const number = cell.header ? null : parseGermanNumber(text);
+      if (number) {
+        const style = numberStyle(number);
+        return `<c r="${ref}"${style ? ` s="${style}"` : ''}><v>${number.value}</v></c>`;
+      }
+      if (!text) return '';
+      const style = cell.header ? ` s="${STYLE.header}"` : '';
+      const value = `<is><t xml:space="preserve">${escapeXml(text)}</t></is>`;
+      return `<c r="${ref}" t="inlineStr"${style}>${value}</c>`;
+    });
+    return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+  });
+  const mergeRefs = merges.map((ref) => `<mergeCell ref="${ref}"/>`).join('');
+  const mergeXml = merges.length ? `<mergeCells count="${merges.length}">${mergeRefs}</mergeCells>` : '';
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${rowsXml.join('')}</sheetData>${mergeXml}</worksheet>`
+  );
+};
+
+/**
+ * One workbook with a sheet per table entry of `collectTables`, named after the
+ * preview ("Seite 2 Tabelle 1"). Numbers become numeric cells with a matching
+ * format; spans become merged cells.
+ */
+const buildTablesXlsx = async (entries) => {
+  const zip = new JSZip();
+  const sheets = entries.map((entry, index) => ({
+    id: index + 1,
+    name: `Seite ${entry.pageNumber} Tabelle ${entry.tableNumber}`.slice(0, 31),
+    xml: buildSheetXml(entry.rows),
+  }));
+  const declaration = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const relationships = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  const packageRelationships = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+  zip.file(
+    '[Content_Types].xml',
+    `${declaration}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ' +
+      'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ' +
+      'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      sheets
+        .map(
+          (sheet) =>
+            `<Override PartName="/xl/worksheets/sheet${sheet.id}.xml" ` +
+            'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        )
+        .join('') +
+      '</Types>'
+  );
+  zip.file(
+    '_rels/.rels',
+    `${declaration}<Relationships xmlns="${packageRelationships}">` +
+      `<Relationship Id="rId1" Type="${relationships}/officeDocument" Target="xl/workbook.xml"/>` +
+      '</Relationships>'
+  );
+  zip.file(
+    'xl/workbook.xml',
+    `${declaration}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ` +
+      `xmlns:r="${relationships}"><sheets>` +
+      sheets
+        .map(
+          (sheet) => `<sheet name="${escapeXml(sheet.name)}" sheetId="${sheet.id}" r:id="rId${sheet.id}"/>`
+        )
+        .join('') +
+      '</sheets></workbook>'
+  );
+  zip.file(
+    'xl/_rels/workbook.xml.rels',
+    `${declaration}<Relationships xmlns="${packageRelationships}">` +
+      sheets
+        .map(
+          (sheet) =>
+            `<Relationship Id="rId${sheet.id}" Type="${relationships}/worksheet" ` +
+            `Target="worksheets/sheet${sheet.id}.xml"/>`
+        )
+        .join('') +
+      `<Relationship Id="rId${sheets.length + 1}" Type="${relationships}/styles" Target="styles.xml"/>` +
+      '</Relationships>'
+  );
+  zip.file('xl/styles.xml', STYLES_XML);
+  sheets.forEach((sheet) => zip.file(`xl/worksheets/sheet${sheet.id}.xml`, sheet.xml));
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+module.exports = {
+  XLSX_MIME_TYPE,
+  buildTableCsv,
+  buildTablesXlsx,
+  collectTables,
+  parseGermanNumber,
+};
@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { mkdir, readFile, rename, writeFile } = fs.promises;
+const FIELD_TYPES = ['text', 'number', 'amount', 'date'];
+const MAX_FIELDS = 50;
+const MAX_PATTERN_LENGTH = 200;
+
+const templateError = (status, message) => Object.assign(new Error(message), { status });
+
+const cleanText = (value, maxLength) => (typeof value === 'string' ? value.trim().slice(0, maxLength) : '');
+
+// Regions are fractions of the page, so one template fits scans of any resolution.
+const normalizeRegion = (region) => {
+  if (region === null || region === undefined) return null;
+  const box = ['x', 'y', 'width', 'height'].map((key) => Number(region[key]));
+  const [x, y, width, height] = box;
+  const inPage = box.every((value) => Number.isFinite(value) && value >= 0 && value <= 1);
+  if (!inPage || !width || !height || x + width > 1.001 || y + height > 1.001) {
+    throw templateError(400, 'Bereiche werden als Anteil der Seite zwischen 0 und 1 angegeben.');
+  }
+  const page = [null, undefined, ''].includes(region.page) ? null : Number(region.page);
+  if (page !== null && !(Number.isInteger(page) && page >= 1)) {
+    throw templateError(400, 'Die Seite eines Bereichs muss eine ganze Zahl ab 1 sein.');
+  }
+  return { page, x, y, width, height };
+};
+
+// Length of the quantifier at `index` (`*`, `+`, `?`, `{n}`, `{n,}`, `{n,m}`) and whether
+// it matches a variable number of times and whether it may match more than once.
+const quantifierAt = (source, index) => {
+  const char = source[index];
+  if (char === '*' || char === '+') return { length: 1, variable: true, repeats: true };
+  if (char === '?') return { length: 1, variable: true, repeats: false };
+  const braces = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(index));
+  if (char !== '{' || !braces) return null;
+  const [, min, comma, max] = braces;
+  const upper = comma ? (max === '' ? Infinity : Number(max)) : Number(min);
+  return { length: braces[0].length, variable: upper > Number(min), repeats: upper > 1 };
+};
+
+/**
+ * Whether a repeated group contains a variable quantifier itself, as in `(a+)+` or
+ * `(?:\d*,)*`. The backtracking engine tries every way of splitting the text between
+ * the two, which takes exponential time on text that almost matches. Escapes and
+ * character classes are skipped; fixed counts such as `(?:\d{2}-)+` stay allowed.
+ */
+const hasNestedQuantifier = (source) => {
+  // One entry per open group: whether a variable quantifier occurs inside it.
+  const groups = [];
+  let index = 0;
+  while (index < source.length) {
+    const char = source[index];
+    if (char === '\\') {
+      index += 2;
+    } else if (char === '[') {
+      index += 1;
+      while (index < source.length && source[index] !== ']') index += source[index] === '\\' ? 2 : 1;
+      index += 1;
+    } else if (char === '(') {
+      groups.push(false);
+      // `(?:`, `(?=`, `(?<name>` and friends: the `?` is not a quantifier.
+      index += source[index + 1] === '?' ? 2 : 1;
+    } else if (char === ')') {
+      const nested = groups.pop() || false;
+      const quantifier = quantifierAt(source, index + 1);
+      if (nested && quantifier?.repeats) return true;
+      if (groups.length && (nested || quantifier?.variable)) groups[groups.length - 1] = true;
+      index += 1;
+    } else {
+      const quantifier = quantifierAt(source, index);
+      if (quantifier?.variable && groups.length) groups[groups.length - 1] = true;
+      index += quantifier ? quantifier.length : 1;
+    }
+  }
+  return false;
+};
+
+const normalizePattern = (pattern, fieldName) => {
+  const source = typeof pattern === 'string' ? pattern.trim() : '';
+  if (!source) return null;
+  if (source.length > MAX_PATTERN_LENGTH) {
+    throw templateError(
+      400,
+      `Das Muster im Feld „${fieldName}“ ist länger als ${MAX_PATTERN_LENGTH} Zeichen.`
+    );
+  }
+  try {
+    RegExp(source, 'i');
+  } catch (error) {
+    throw templateError(400, `Das Muster im Feld „${fieldName}“ ist kein gültiger regulärer Ausdruck.`);
+  }
+  if (hasNestedQuantifier(source)) {
+    throw templateError(
+      400,
+      `Das Muster im Feld „${fieldName}“ wiederholt eine Gruppe mit eigenem Quantor wie „(a+)+“ und kann die Auswertung blockieren.`
+    );
+  }
+  return source;
+};
+
+const normalizeField = (field, index) => {
+  const name = cleanText(field?.name, 100);
+  if (!name) throw templateError(400, `Feld ${index + 1} braucht einen Namen.`);
+  const type = field?.type || 'text';
+  if (!FIELD_TYPES.includes(type)) throw templateError(400, `Unbekannter Feldtyp „${type}“.`);
+  const label = cleanText(field?.label, 200) || null;
+  const pattern = normalizePattern(field?.pattern, name);
+  const region = normalizeRegion(field?.region);
+  if (!label && !pattern && !region) {
+    throw templateError(400, `Feld „${name}“ braucht eine Beschriftung, ein Muster oder einen Bereich.`);
+  }
+  return { name, type, label, pattern, region, required: Boolean(field?.required) };
+};
+
+/**
+ * Checks a template as sent by the browser and keeps only known settings. A
+ * field is found by a `label` (the value follows it on the line, on the next
+ * line or in the next table cell), by a regular expression `pattern` (its first
+ * group, if any, is the value) and/or by a page `region`; with a region, label
+ * and pattern only look inside it.
+ */
+const normalizeTemplate = (input) => {
+  const name = cleanText(input?.name, 100);
+  if (!name) throw templateError(400, 'Die Vorlage braucht einen Namen.');
+  const fields = Array.isArray(input?.fields) ? input.fields : [];
+  if (!fields.length || fields.length > MAX_FIELDS) {
+    throw templateError(400, `Eine Vorlage hat 1 bis ${MAX_FIELDS} Felder.`);
+  }
+  const normalized = fields.map(normalizeField);
+  const names = normalized.map((field) => field.name.toLowerCase());
+  const duplicate = normalized.find((field, index) => names.indexOf(field.name.toLowerCase()) !== index);
+  if (duplicate) throw templateError(400, `Das Feld „${duplicate.name}“ gibt es zweimal.`);
+  return { name, fields: normalized };
+};
+
+/**
+ * Field templates in one JSON file. Each template belongs to the user who
+ * created it (`ownerId`, null without accounts); the server decides who may see
+ * it. Methods resolve with plain template objects.
+ */
+const createTemplateStore = ({ file }) => {
+  let templatesPromise = null;
+  let writing = Promise.resolve();
+
+  const load = () => {
+    if (!templatesPromise) {
+      templatesPromise = readFile(file, 'utf8')
+        .then((text) => JSON.parse(text).templates || [])
+        .catch((error) => {
+          if (error.code !== 'ENOENT') throw error;
+          return [];
+        });
+      templatesPromise.catch(() => {
+        templatesPromise = null;
+      });
+    }
+    return templatesPromise;
+  };
+
+  // Same as the account store: chained writes through a temporary file.
+  const save = (templates) => {
+    writing = writing
+      .catch(() => {})
+      .then(async () => {
+        await mkdir(path.dirname(file), { recursive: true });
+        const temp = `${file}.${process.pid}.tmp`;
+        await writeFile(temp, JSON.stringify({ templates }, null, 2), { mode: 0o600 });
+        await rename(temp, file);
+      });
+    return writing;
+  };
+
+  const findTemplate = async (id) => {
+    const template = (await load()).find((candidate) => candidate.id === id);
+    if (!template) throw templateError(404, 'Vorlage nicht gefunden.');
+    return template;
+  };
+
+  const list = async () => [...(await load())].sort((a, b) => a.name.localeCompare(b.name, 'de'));
+
+  const get = async (id) => (await load()).find((candidate) => candidate.id === id) || null;
+
+  const create = async (input, ownerId = null) => {
+    const templates = await load();
+    const now = new Date().toISOString();
+    const template = {
+      id: crypto.randomUUID(),
+      ownerId,
+      ...normalizeTemplate(input),
+      createdAt: now,
+      updatedAt: now,
+    };
+    templates.push(template);
+    await save(templates);
+    return template;
+  };
+
+  const update = async (id, input) => {
+    const templates = await load();
+    const template = await findTemplate(id);
+    Object.assign(template, normalizeTemplate(input), { updatedAt: new Date().toISOString() });
+    await save(templates);
+    return template;
+  };
+
+  const remove = async (id) => {
+    const templates = await load();
+    await findTemplate(id);
+    templates.splice(0, templates.length, ...templates.filter((template) => template.id !== id));
+    await save(templates);
+  };
+
+  return { create, get, list, remove, update };
+};
+
+const createTemplateStoreFromEnv = () =>
+  createTemplateStore({
+    file: process.env.TEMPLATES_FILE || path.join(__dirname, '..', 'data', 'templates.json'),
+  });
+
+module.exports = {
+  FIELD_TYPES,
+  createTemplateStore,
+  createTemplateStoreFromEnv,
+  normalizeTemplate,
+};
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readImageInfo } = require('./images');
+const { normalizeMistralResponse } = require('./normalize');
+
+const { copyFile, mkdir, stat } = fs.promises;
+// Images without a known page size are taken as A4 wide, in PDF points like pdf.js pages.
+const IMAGE_PAGE_WIDTH = 595;
+const pointsToPixels = (value) => (value * 96) / 72;
+const round = (value) => Math.round(value * 10) / 10;
+
+const isInstalled = (request) => {
+  try {
+    require.resolve(request);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * tesseract.js expects all `<lang>.traineddata.gz` files in one folder, while the
+ * `@tesseract.js-data/<lang>` packages ship one folder each. They are copied into a
+ * shared temp folder once, unless `langPath` points at a prepared folder already.
+ */
+const prepareLanguageData = async (langs, langPath) => {
+  if (langPath) return langPath;
+  const dir = path.join(os.tmpdir(), 'text-extracter-tessdata');
+  await mkdir(dir, { recursive: true });
+  await Promise.all(
+    langs.map(async (lang) => {
+      const target = path.join(dir, `${lang}.traineddata.gz`);
+      if (await stat(target).catch(() => null)) return;
+      let source;
+      try {
+        const packageDir = path.dirname(require.resolve(`@tesseract.js-data/${lang}/package.json`));
+        source = path.join(packageDir, '4.0.0_best_int', `${lang}.traineddata.gz`);
+      } catch (error) {
+        throw new Error(`Sprachdaten für „${lang}“ fehlen (npm install @tesseract.js-data/${lang}).`);
+      }
+      await copyFile(source, target);
+    })
+  );
+  return dir;
+};
+
+/**
+ * Turns Tesseract's block tree into the generic OCR payload shape (`pages` with
+ * positioned `lines`), so `normalizeMistralResponse` can read it like any other
+ * provider's response. Coordinates are converted from image pixels into PDF
+ * points of the page; the row height stands in for the font size.
+ */
+const toOcrPage = (data, { imageWidth, imageHeight, width, height }) => {
+  const pageWidth = width || IMAGE_PAGE_WIDTH;
+  const scale = pageWidth / imageWidth;
+  const lines = (data.blocks || [])
+    .flatMap((block) => block.paragraphs || [])
+    .flatMap((paragraph) => paragraph.lines || [])
+    .map((line) => ({ ...line, text: String(line.text || '').trim() }))
+    .filter((line) => line.text)
+    .map((line) => {
+      const rowHeight = line.rowAttributes?.row_height || line.bbox.y1 - line.bbox.y0;
+      return {
+        x: round(line.bbox.x0 * scale),
+        y: round(line.bbox.y0 * scale),
+        width: round((line.bbox.x1 - line.bbox.x0) * scale),
+        segments: [
+          {
+            text: line.text,
+            fontSize: round(pointsToPixels(rowHeight * scale)),
+            confidence: line.confidence,
+          },
+        ],
+      };
+    });
+  return {
+    dimensions: { width: pageWidth, height: height || round(imageHeight * scale) },
+    lines,
+    text: data.text || '',
+  };
+};
+
+/**
+ * Local OCR with tesseract.js, no network and no API key. It only reads images,
+ * PDFs are rasterized page by page before. A single worker is started on first
+ * use and stopped again after `idleMs` without work.
+ */
+const createTesseractProvider = ({
+  langs = (process.env.TESSERACT_LANGS || 'deu+eng').split('+').filter(Boolean),
+  langPath = process.env.TESSERACT_LANG_PATH || null,
+  idleMs = Number(process.env.TESSERACT_IDLE_MS) || 5 * 60 * 1000,
+} = {}) => {
+  const model = `tesseract.js-${langs.join('+')}`;
+  let workerPromise = null;
+  let idleTimer = null;
+  let pending = 0;
+
+  const close = async () => {
+    clearTimeout(idleTimer);
+    const current = workerPromise;
+    workerPromise = null;
+    if (current) await (await current.catch(() => null))?.terminate();
+  };
+
+  const getWorker = () => {
+    if (!workerPromise) {
+      const created = (async () => {
+        // Required lazily, the server starts without tesseract.js installed.
+        const { createWorker } = require('tesseract.js');
+        const dir = await prepareLanguageData(langs, langPath);
+        return createWorker(langs.join('+'), 1, { langPath: dir, gzip: true, cacheMethod: 'none' });
+      })();
+      // A failed start is retried with the next request.
+      created.catch(() => {
+        if (workerPromise === created) workerPromise = null;
+      });
+      workerPromise = created;
+    }
+    return workerPromise;
+  };
+
+  const request = async (input, { signal } = {}) => {
+    signal?.throwIfAborted();
+    clearTimeout(idleTimer);
+    pending += 1;
+    try {
+      const worker = await getWorker();
+      const { data } = await worker.recognize(input.data, {}, { blocks: true, text: true });
+      signal?.throwIfAborted();
+      const image = input.pixelWidth ? null : readImageInfo(input.data);
+      return {
+        model,
+        pages: [
+          toOcrPage(data, {
+            imageWidth: input.pixelWidth || image?.width || 1,
+            imageHeight: input.pixelHeight || image?.height || 1,
+            width: input.width,
+            height: input.height,
+          }),
+        ],
+      };
+    } finally {
+      pending -= 1;
+      if (!pending) {
+        idleTimer = setTimeout(close, idleMs);
+        idleTimer.unref?.();
+      }
+    }
+  };
+
+  return {
+    id: 'tesseract',
+    label: 'Tesseract',
+    model,
+    enabled: isInstalled('tesseract.js'),
+    capabilities: () => ({
+      pdf: false,
+      images: true,
+      extractsImages: false,
+      requiresApiKey: false,
+      offline: true,
+    }),
+    request,
+    normalize: normalizeMistralResponse,
+    close,
+  };
+};
+
+module.exports = {
+  createTesseractProvider,
+};
@@ -0,0 +1,59 @@
+const path = require('path');
+const UTIF = require('utif');
+const { PNG } = require('pngjs');
+
+const UPLOAD_MIME_TYPES = {
+  pdf: 'application/pdf',
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  tiff: 'image/tiff',
+};
+const UPLOAD_EXTENSIONS = ['.pdf', '.png', '.jpg', '.jpeg', '.tif', '.tiff'];
+
+// Browsers report TIFFs and photos inconsistently, so the extension counts as well.
+const isAcceptedUpload = (file) =>
+  Object.values(UPLOAD_MIME_TYPES).includes(file?.mimetype) ||
+  UPLOAD_EXTENSIONS.includes(path.extname(file?.originalname || '').toLowerCase());
+
+// The content decides how a file is processed, not the name or the reported type.
+const detectUploadType = (buffer) => {
+  if (!buffer || buffer.length < 8) return null;
+  if (buffer.toString('ascii', 0, 5) === '%PDF-') return 'pdf';
+  if (buffer.readUInt32BE(0) === 0x89504e47) return 'png';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) return 'jpeg';
+  const tiffMagic = buffer.toString('ascii', 0, 4);
+  if (tiffMagic === 'II*\0' || tiffMagic === 'MM\0*') return 'tiff';
+  return null;
+};
+
+const decodeTiffFrames = (buffer) => {
+  const data = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length);
+  return UTIF.decode(data)
+    .filter((ifd) => ifd.t256 && ifd.t257)
+    .map((ifd) => {
+      UTIF.decodeImage(data, ifd);
+      const png = new PNG({ width: ifd.width, height: ifd.height });
+      png.data = Buffer.from(UTIF.toRGBA8(ifd));
+      return PNG.sync.write(png);
+    });
+};
+
+/**
+ * Splits an uploaded image into the pages sent to OCR: PNG and JPEG are one
+ * page as-is, every frame of a (multi-page) TIFF becomes a PNG page, since
+ * the OCR API does not take TIFF input.
+ */
+const imageUploadToPages = (buffer, type) => {
+  if (type === 'tiff') {
+    return decodeTiffFrames(buffer).map((data) => ({ mimeType: UPLOAD_MIME_TYPES.png, data }));
+  }
+  return [{ mimeType: UPLOAD_MIME_TYPES[type], data: buffer }];
+};
+
+module.exports = {
+  UPLOAD_EXTENSIONS,
+  UPLOAD_MIME_TYPES,
+  detectUploadType,
+  imageUploadToPages,
+  isAcceptedUpload,
+};
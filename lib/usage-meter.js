@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { mkdir, readFile, rename, writeFile } = fs.promises;
+const COUNTERS = ['ocrPages', 'images', 'promptTokens', 'completionTokens'];
+const RETENTION_DAYS = 400;
+
+// Mistral list prices in USD: OCR per page, the vision model per million tokens.
+const defaultPrices = {
+  currency: 'USD',
+  ocrPage: 0.001,
+  image: 0,
+  promptTokensPerMillion: 2,
+  completionTokensPerMillion: 6,
+};
+
+const emptyCounters = () => ({ ocrPages: 0, images: 0, promptTokens: 0, completionTokens: 0 });
+
+const addCounters = (totals, usage = {}) =>
+  COUNTERS.reduce(
+    (sum, name) => ({ ...sum, [name]: (totals[name] || 0) + (Math.max(0, Number(usage[name])) || 0) }),
+    {}
+  );
+
+const currentDay = () => new Date().toISOString().slice(0, 10);
+
+const dayOffset = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+// Meters a key without keeping it: the subject is a hash, the label only shows the last characters.
+const keySubject = (apiKey) => ({
+  subject: `key:${crypto.createHash('sha256').update(String(apiKey)).digest('hex').slice(0, 16)}`,
+  label: `Key …${String(apiKey).slice(-4)}`,
+});
+
+// Only known prices with finite values are taken over; everything else keeps the default.
+const normalizePrices = (prices = {}) =>
+  Object.keys(defaultPrices).reduce((table, name) => {
+    const value = prices?.[name];
+    if (name === 'currency') {
+      return typeof value === 'string' && value.trim() ? { ...table, currency: value.trim() } : table;
+    }
+    const valid = typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    return valid ? { ...table, [name]: value } : table;
+  }, defaultPrices);
+
+/**
+ * Records the paid calls the server makes (`ocrPages`, `images` described and the
+ * tokens Mistral reports) per subject and day in one JSON file, and estimates their
+ * cost from `prices` (see `defaultPrices`). A subject is a user (`user:<id>`) or a
+ * hashed API key (`keySubject`). `budgets.daily` / `budgets.monthly` cap the
+ * estimated cost per subject; `exceededBudget` tells when one is used up. Days
+ * older than `RETENTION_DAYS` are dropped on the next write.
+ */
+const createUsageMeter = ({ file, prices = {}, budgets = {} }) => {
+  const priceTable = normalizePrices(prices);
+  const limits = {
+    daily: Number(budgets.daily) > 0 ? Number(budgets.daily) : null,
+    monthly: Number(budgets.monthly) > 0 ? Number(budgets.monthly) : null,
+  };
+  let storePromise = null;
+  let writing = Promise.resolve();
+
+  const costOf = (counters) => {
+    const cost =
+      counters.ocrPages * priceTable.ocrPage +
+      counters.images * priceTable.image +
+      (counters.promptTokens * priceTable.promptTokensPerMillion) / 1e6 +
+      (counters.completionTokens * priceTable.completionTokensPerMillion) / 1e6;
+    return Math.round(cost * 1e6) / 1e6;
+  };
+
+  const withCost = (counters) => ({ ...counters, cost: costOf(counters) });
+
+  const load = () => {
+    if (!storePromise) {
+      storePromise = readFile(file, 'utf8')
+        .then((text) => {
+          const { days = {}, labels = {} } = JSON.parse(text);
+          return { days, labels };
+        })
+        .catch((error) => {
+          if (error.code !== 'ENOENT') throw error;
+          return { days: {}, labels: {} };
+        });
+      storePromise.catch(() => {
+        storePromise = null;
+      });
+    }
+    return storePromise;
+  };
+
+  // Same as the account store: chained writes through a temporary file.
+  const save = (store) => {
+    const oldest = dayOffset(RETENTION_DAYS);
+    Object.keys(store.days)
+      .filter((day) => day < oldest)
+      .forEach((day) => delete store.days[day]);
+    writing = writing
+      .catch(() => {})
+      .then(async () => {
+        await mkdir(path.dirname(file), { recursive: true });
+        const temp = `${file}.${process.pid}.tmp`;
+        await writeFile(temp, JSON.stringify(store, null, 2), { mode: 0o600 });
+        await rename(temp, file);
+      });
+    return writing;
+  };
+
+  const record = async ({ subject, label }, usage) => {
+    if (!COUNTERS.some((name) => Number(usage?.[name]) > 0)) return;
+    const store = await load();
+    const day = currentDay();
+    store.days[day] = store.days[day] || {};
+    store.days[day][subject] = addCounters(store.days[day][subject] || emptyCounters(), usage);
+    if (label) store.labels[subject] = label;
+    await save(store);
+  };
+
+  // Sums a subject's counters over the days for which `matches(day)` holds.
+  const totalsFor = (store, subject, matches) =>
+    Object.entries(store.days)
+      .filter(([day, subjects]) => matches(day) && subjects[subject])
+      .reduce((totals, [, subjects]) => addCounters(totals, subjects[subject]), emptyCounters());
+
+  const isThisMonth = (day) => day.startsWith(currentDay().slice(0, 7));
+
+  const exceededBudget = async (subject) => {
+    const store = await load();
+    const checks = [
+      { period: 'daily', limit: limits.daily, matches: (day) => day === currentDay() },
+      { period: 'monthly', limit: limits.monthly, matches: isThisMonth },
+    ];
+    const exceeded = checks
+      .filter(({ limit }) => limit !== null)
+      .map(({ period, limit, matches }) => ({
+        period,
+        limit,
+        cost: costOf(totalsFor(store, subject, matches)),
+      }))
+      .find(({ limit, cost }) => cost >= limit);
+    return exceeded ? { ...exceeded, currency: priceTable.currency } : null;
+  };
+
+  // Today, this month and the last `days` days with usage, newest first.
+  const summary = async (subject, { days = 30 } = {}) => {
+    const store = await load();
+    const since = dayOffset(days - 1);
+    return {
+      currency: priceTable.currency,
+      prices: priceTable,
+      budgets: limits,
+      today: withCost(totalsFor(store, subject, (day) => day === currentDay())),
+      month: withCost(totalsFor(store, subject, isThisMonth)),
+      days: Object.keys(store.days)
+        .filter((day) => day >= since && store.days[day][subject])
+        .sort()
+        .reverse()
+        .map((day) => ({ day, ...withCost(store.days[day][subject]) })),
+      exceeded: await exceededBudget(subject),
+    };
+  };
+
+  // This month per subject, most expensive first.
+  const overview = async () => {
+    const store = await load();
+    const subjects = new Set(
+      Object.entries(store.days)
+        .filter(([day]) => isThisMonth(day))
+        .flatMap(([, entries]) => Object.keys(entries))
+    );
+    return [...subjects]
+      .map((subject) => ({
+        subject,
+        label: store.labels[subject] || subject,
+        ...withCost(totalsFor(store, subject, isThisMonth)),
+      }))
+      .sort((a, b) => b.cost - a.cost);
+  };
+
+  return { exceededBudget, overview, prices: priceTable, record, summary };
+};
+
+const readPrices = () => {
+  if (!process.env.USAGE_PRICES) return {};
+  try {
+    return JSON.parse(process.env.USAGE_PRICES);
+  } catch (error) {
+    console.error('USAGE_PRICES ist kein gültiges JSON, es gelten die Standardpreise.');
+    return {};
+  }
+};
+
+const createUsageMeterFromEnv = () =>
+  createUsageMeter({
+    file: process.env.USAGE_FILE || path.join(__dirname, '..', 'data', 'usage.json'),
+    prices: readPrices(),
+    budgets: {
+      daily: process.env.USAGE_BUDGET_DAILY,
+      monthly: process.env.USAGE_BUDGET_MONTHLY,
+    },
+  });
+
+module.exports = {
+  createUsageMeter,
+  createUsageMeterFromEnv,
+  keySubject,
+};
@@ -7,17 +7,130 @@ const textOutput = document.getElementById('text-output');
 const copyHtmlBtn = document.getElementById('copy-html');
 const copyTextBtn = document.getElementById('copy-text');
 const exportWordBtn = document.getElementById('export-word');
+const exportMarkdownBtn = document.getElementById('export-markdown');
+const exportPdfBtn = document.getElementById('export-pdf');
+const exportTablesCsvBtn = document.getElementById('export-tables-csv');
+const exportTablesXlsxBtn = document.getElementById('export-tables-xlsx');
+const exportJsonBtn = document.getElementById('export-json');
 const toggleImageDesc = document.getElementById('toggle-image-desc');
+const toggleFurniture = document.getElementById('toggle-furniture');
 const loadingIndicator = document.getElementById('loading-indicator');
 const audioEl = document.getElementById('convert-audio');
 const apiKeyInput = document.getElementById('api-key');
 const saveApiKeyBtn = document.getElementById('save-api-key');
 const convertBtn = document.getElementById('convert-btn');
+const engineSelect = document.getElementById('engine-select');
+const providerSelect = document.getElementById('provider-select');
+const loadingDetail = document.getElementById('loading-detail');
+const jobProgress = document.getElementById('job-progress');
+const cancelJobBtn = document.getElementById('cancel-job');
+const layoutModeSelect = document.getElementById('layout-mode');
+const batchPanel = document.getElementById('batch-panel');
+const batchList = document.getElementById('batch-list');
+const batchSummary = document.getElementById('batch-summary');
+const batchDownloadBtn = document.getElementById('batch-download');
+const toggleEdit = document.getElementById('toggle-edit');
+const editToolbar = document.getElementById('edit-toolbar');
+const undoBtn = document.getElementById('edit-undo');
+const redoBtn = document.getElementById('edit-redo');
+const historyPanel = document.getElementById('history-panel');
+const historyList = document.getElementById('history-list');
+const historyToggle = document.getElementById('history-toggle');
+const historyClose = document.getElementById('history-close');
+const apiKeyHint = document.getElementById('api-key-hint');
+const loginForm = document.getElementById('login-form');
+const accountInfo = document.getElementById('account-info');
+const accountName = document.getElementById('account-name');
+const accountQuota = document.getElementById('account-quota');
+const logoutBtn = document.getElementById('logout-btn');
+const serverKeyActions = document.getElementById('server-key-actions');
+const storeApiKeyBtn = document.getElementById('store-api-key');
+const removeApiKeyBtn = document.getElementById('remove-api-key');
+const adminPanel = document.getElementById('admin-panel');
+const adminUsers = document.getElementById('admin-users');
+const adminCreate = document.getElementById('admin-create');
+const usagePanel = document.getElementById('usage-panel');
+const usageStatus = document.getElementById('usage-status');
+const usageSummary = document.getElementById('usage-summary');
+const usageRefreshBtn = document.getElementById('usage-refresh');
+const templatesPanel = document.getElementById('templates-panel');
+const templateSelect = document.getElementById('template-select');
+const templateDeleteBtn = document.getElementById('template-delete');
+const templateForm = document.getElementById('template-form');
+const templateNameInput = document.getElementById('template-name');
+const templateFieldsList = document.getElementById('template-fields');
+const templateAddFieldBtn = document.getElementById('template-add-field');
+const templateApplyBtn = document.getElementById('template-apply');
+const templateExportCsvBtn = document.getElementById('template-export-csv');
+const templateExportJsonBtn = document.getElementById('template-export-json');
+const templateStatus = document.getElementById('template-status');
+const templateResults = document.getElementById('template-results');
 
 const API_KEY_STORAGE_KEY = 'mistral_api_key';
+const ENGINE_STORAGE_KEY = 'extract_engine';
+const PROVIDER_STORAGE_KEY = 'extract_ocr_provider';
+const LAYOUT_STORAGE_KEY = 'extract_layout_mode';
+const JOB_STORAGE_KEY = 'extract_job_id';
+const BATCH_STORAGE_KEY = 'extract_batch_id';
+const HISTORY_STORAGE_KEY = 'extract_history_id';
+const HISTORY_DB_NAME = 'text-extracter';
+const HISTORY_STORE = 'extractions';
+const HISTORY_SAVE_DELAY = 500;
+const HISTORY_EMPTY = 'Noch keine gespeicherten Extraktionen.';
+const HISTORY_UNAVAILABLE = 'Verlauf ist in diesem Browser nicht verfügbar.';
+const JOB_POLL_INTERVAL = 1000;
+const EDIT_HISTORY_LIMIT = 100;
+const STAGE_LABELS = {
+  queued: 'In der Warteschlange…',
+  textlayer: 'Lese Textebene…',
+  done: 'Fertig.',
+};
+// Replaced by the labels from /api/providers once they are loaded.
+let providerLabels = { mistral: 'Mistral OCR', tesseract: 'Tesseract' };
+const JOB_STATUS_LABELS = {
+  queued: 'Wartet',
+  running: 'Läuft',
+  done: 'Fertig',
+  failed: 'Fehlgeschlagen',
+  cancelled: 'Abgebrochen',
+  expired: 'Abgelaufen',
+};
+const KEY_OPTIONAL_ENGINES = ['auto', 'pdfjs'];
+const KEY_FREE_PROVIDERS = ['tesseract'];
+const SUPPORTED_TYPES = ['application/pdf', 'image/png', 'image/jpeg', 'image/tiff'];
+const SUPPORTED_EXTENSIONS = /\.(pdf|png|jpe?g|tiff?)$/i;
+const SOURCE_LABELS = {
+  mistral: 'Mistral OCR',
+  tesseract: 'Tesseract',
+  pdfjs: 'PDF.js',
+  'pdfjs+mistral': 'PDF.js + Mistral OCR',
+  'pdfjs+tesseract': 'PDF.js + Tesseract',
+  hybrid: 'PDF.js + Mistral OCR',
+};
+const FIELD_TYPE_LABELS = { text: 'Text', number: 'Zahl', amount: 'Betrag', date: 'Datum' };
+// Room around picked lines, as a share of the page, so the region tolerates slightly shifted scans.
+const REGION_PADDING = 0.01;
 
 let audioInterval = null;
 let lastResult = null;
+let activeJobId = null;
+let activeBatchId = null;
+let currentBatch = null;
+let shownJobId = null;
+// The searchable PDF is built from the original upload, which only the browser still holds.
+let sourceFile = null;
+// Edits are `{ page, before, after, apply }`; undo applies `before`, redo `after`.
+let undoStack = [];
+let redoStack = [];
+const lineModels = new WeakMap();
+let currentHistoryId = null;
+let historySaveTimer = null;
+let historyDbPromise = null;
+let fieldTemplates = [];
+// The template in the editor; `id` stays null until it is saved.
+let templateDraft = null;
+// While a region is picked: the field it is for and the clicked lines with their pages.
+let regionPick = null;
 
 const normalizeAlignment = (value) => {
   if (!value) return 'left';
@@ -66,6 +179,67 @@ const stopLoadingFeedback = () => {
   }
 };
 
+const getStoredJobId = () => {
+  try {
+    return localStorage.getItem(JOB_STORAGE_KEY) || '';
+  } catch (err) {
+    return '';
+  }
+};
+
+const storeJobId = (jobId) => {
+  try {
+    if (jobId) {
+      localStorage.setItem(JOB_STORAGE_KEY, jobId);
+    } else {
+      localStorage.removeItem(JOB_STORAGE_KEY);
+    }
+  } catch (err) {
+    // ignore storage errors
+  }
+};
+
+const getStoredBatchId = () => {
+  try {
+    return localStorage.getItem(BATCH_STORAGE_KEY) || '';
+  } catch (err) {
+    return '';
+  }
+};
+
+const storeBatchId = (batchId) => {
+  try {
+    if (batchId) {
+      localStorage.setItem(BATCH_STORAGE_KEY, batchId);
+    } else {
+      localStorage.removeItem(BATCH_STORAGE_KEY);
+    }
+  } catch (err) {
+    // ignore storage errors
+  }
+};
+
+// The OCR stage names the provider the job runs with; a resumed job may differ from the selection.
+const stageLabel = (stage, provider) =>
+  stage === 'ocr' ? `${providerLabels[provider] || 'OCR'} läuft…` : STAGE_LABELS[stage];
+
+const renderJobProgress = (job) => {
+  const { stage, pagesDone, pagesTotal } = job?.progress || {};
+  const pageInfo = pagesTotal ? ` (${pagesDone || 0}/${pagesTotal} Seiten)` : '';
+  if (loadingDetail) {
+    const provider = job?.meta?.provider || getSelectedProvider();
+    loadingDetail.textContent = `${stageLabel(stage, provider) || 'Verarbeite…'}${pageInfo}`;
+  }
+  if (jobProgress) {
+    if (pagesTotal) {
+      jobProgress.max = pagesTotal;
+      jobProgress.value = pagesDone || 0;
+    } else {
+      jobProgress.removeAttribute('value');
+    }
+  }
+};
+
 const getStoredApiKey = () => {
   try {
     return localStorage.getItem(API_KEY_STORAGE_KEY) || '';
@@ -76,6 +250,147 @@ const getStoredApiKey = () => {
 
 const hasSavedApiKey = () => Boolean(getStoredApiKey());
 
+// What /api/auth/session reported: accounts on or off, the user and whether the server has a key.
+let serverSession = { accounts: false, user: null, keyStorage: false, serverKey: false };
+
+const needsLogin = () => serverSession.accounts && !serverSession.user;
+
+// A key from the browser is sent along and wins; otherwise the server uses its own key, if any.
+const apiKeyHeaders = () => {
+  const key = getStoredApiKey();
+  return key ? { 'x-mistral-api-key': key } : {};
+};
+
+const getSelectedEngine = () => engineSelect?.value || 'auto';
+
+const getSelectedProvider = () => providerSelect?.value || 'mistral';
+
+// Only OCR-only runs with a provider that calls an API cannot start without a key.
+const engineNeedsApiKey = () =>
+  !KEY_OPTIONAL_ENGINES.includes(getSelectedEngine()) &&
+  !KEY_FREE_PROVIDERS.includes(getSelectedProvider());
+
+const canConvert = () =>
+  !needsLogin() && (hasSavedApiKey() || serverSession.serverKey || !engineNeedsApiKey());
+
+const persistEngine = (value) => {
+  try {
+    localStorage.setItem(ENGINE_STORAGE_KEY, value);
+  } catch (err) {
+    // ignore storage errors
+  }
+  updateConvertAccess();
+};
+
+const restoreEngine = () => {
+  if (!engineSelect) return;
+  try {
+    // "mistral" was the OCR-only engine before the provider became selectable.
+    const raw = localStorage.getItem(ENGINE_STORAGE_KEY);
+    const stored = raw === 'mistral' ? 'ocr' : raw;
+    if (stored && [...engineSelect.options].some((option) => option.value === stored)) {
+      engineSelect.value = stored;
+    }
+  } catch (err) {
+    // ignore storage errors
+  }
+};
+
+const persistProvider = (value) => {
+  try {
+    localStorage.setItem(PROVIDER_STORAGE_KEY, value);
+  } catch (err) {
+    // ignore storage errors
+  }
+  updateConvertAccess();
+};
+
+const restoreProvider = () => {
+  if (!providerSelect) return;
+  try {
+    const stored = localStorage.getItem(PROVIDER_STORAGE_KEY);
+    if (stored && [...providerSelect.options].some((option) => option.value === stored)) {
+      providerSelect.value = stored;
+    }
+  } catch (err) {
+    // ignore storage errors
+  }
+};
+
+// Providers the server cannot run (not installed or not configured) stay visible but disabled.
+const loadProviders = async () => {
+  if (!providerSelect) return;
+  try {
+    const response = await fetch('/api/providers');
+    if (!response.ok) return;
+    const { providers = [] } = await response.json();
+    providers.forEach((provider) => {
+      providerLabels = { ...providerLabels, [provider.id]: provider.label };
+      const option = [...providerSelect.options].find((candidate) => candidate.value === provider.id);
+      if (option) option.disabled = !provider.enabled;
+    });
+    if (providerSelect.selectedOptions[0]?.disabled) {
+      const fallback = providers.find((provider) => provider.enabled);
+      if (fallback) providerSelect.value = fallback.id;
+      updateConvertAccess();
+    }
+  } catch (err) {
+    // the static options stay usable
+  }
+};
+
+const getLayoutMode = () => (layoutModeSelect?.value === 'reflow' ? 'reflow' : 'preserve');
+
+const isEditing = () => toggleEdit?.checked || false;
+
+// Reflowed paragraphs are fetched when the reflow view is shown and only kept in memory,
+// so results and history entries hold the lines alone. Editing always works on the lines,
+// exports reflow them again on the server.
+const pageParagraphs = new WeakMap();
+let paragraphsRequest = null;
+
+const wantsParagraphs = () => !isEditing() && getLayoutMode() === 'reflow';
+
+const getPageLines = (page) => (wantsParagraphs() && pageParagraphs.get(page)) || page.lines;
+
+// Until the paragraphs arrive (or when they cannot be computed) the lines are shown.
+const loadParagraphs = (pages) => {
+  if (paragraphsRequest || pages.every((page) => pageParagraphs.has(page))) return;
+  paragraphsRequest = sendJson('/api/reflow', 'POST', {
+    pages: pages.map(({ images, ...page }) => page),
+  })
+    .then(({ paragraphs }) => {
+      pages.forEach((page, index) => pageParagraphs.set(page, paragraphs[index] || page.lines));
+      paragraphsRequest = null;
+      // Also picks up a result that arrived while this request ran.
+      renderCurrentResult();
+    })
+    .catch((error) => {
+      paragraphsRequest = null;
+      setStatus(`Absätze konnten nicht berechnet werden: ${error.message}`, 'error');
+    });
+};
+
+const persistLayoutMode = (value) => {
+  try {
+    localStorage.setItem(LAYOUT_STORAGE_KEY, value);
+  } catch (err) {
+    // ignore storage errors
+  }
+};
+
+const restoreLayoutMode = () => {
+  if (!layoutModeSelect) return;
+  try {
+    const stored = localStorage.getItem(LAYOUT_STORAGE_KEY);
+    if (stored && [...layoutModeSelect.options].some((option) => option.value === stored)) {
+      layoutModeSelect.value = stored;
+    }
+  } catch (err) {
+    // ignore storage errors
+  }
+};
+
 const persistApiKey = (value) => {
   try {
     localStorage.setItem(API_KEY_STORAGE_KEY, value);
@@ -86,13 +401,17 @@ const persistApiKey = (value) => {
 };
 
 const ensureApiKey = () => {
-  const key = getStoredApiKey();
-  if (!key) {
+  if (needsLogin()) {
+    setStatus('Bitte zuerst anmelden.', 'error');
+    loginForm?.querySelector('input')?.focus();
+    return false;
+  }
+  if (!hasSavedApiKey() && !serverSession.serverKey) {
     setStatus('Bitte API-Key speichern, um zu konvertieren.', 'error');
     apiKeyInput?.focus();
-    return null;
+    return false;
   }
-  return key;
+  return true;
 };
 
 const updateConvertAccess = () => {
@@ -100,17 +419,540 @@ const updateConvertAccess = () => {
   if (apiKeyInput && savedKey && !apiKeyInput.value) {
     apiKeyInput.value = savedKey;
   }
+  const unlocked = canConvert();
   if (convertBtn) {
-    convertBtn.disabled = !savedKey;
+    convertBtn.disabled = !unlocked;
   }
   if (dropArea) {
-    dropArea.classList.toggle('is-locked', !savedKey);
+    dropArea.classList.toggle('is-locked', !unlocked);
+  }
+};
+
+const formatQuota = (user) => {
+  const limit = user?.quota?.ocrPagesPerMonth;
+  if (limit === null || limit === undefined) return '';
+  return `OCR-Kontingent: ${user.usage?.ocrPages || 0} von ${limit} Seiten diesen Monat`;
+};
+
+const renderAccount = () => {
+  const { accounts, user, keyStorage, serverKey } = serverSession;
+  if (loginForm) loginForm.hidden = !accounts || Boolean(user);
+  if (accountInfo) accountInfo.hidden = !user;
+  if (accountName && user) {
+    accountName.textContent = `Angemeldet als ${user.username}${user.role === 'admin' ? ' (Admin)' : ''}`;
+  }
+  if (accountQuota) accountQuota.textContent = formatQuota(user);
+  if (serverKeyActions) serverKeyActions.hidden = !user || !keyStorage;
+  if (removeApiKeyBtn) removeApiKeyBtn.hidden = !user?.hasApiKey;
+  if (apiKeyHint) {
+    apiKeyHint.textContent = serverKey
+      ? 'Der Server stellt einen Key bereit. Ein eigener Key im Browser hat Vorrang.'
+      : 'Wird nur im Browser gespeichert und pro Anfrage gesendet.';
+  }
+  if (adminPanel) adminPanel.hidden = user?.role !== 'admin';
+  updateConvertAccess();
+};
+
+const sendJson = async (url, method, body) => {
+  const response = await fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const payload = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(payload.error || 'Anfrage fehlgeschlagen.');
+  }
+  return payload;
+};
+
+const updateAdminUser = async (id, patch) => {
+  try {
+    await sendJson(`/api/admin/users/${encodeURIComponent(id)}`, 'PATCH', patch);
+    setStatus('Benutzer gespeichert.', 'success');
+  } catch (error) {
+    setStatus(error.message, 'error');
+  }
+  loadSession();
+};
+
+const deleteAdminUser = async (user) => {
+  if (!window.confirm(`Benutzer „${user.username}“ löschen?`)) return;
+  try {
+    await sendJson(`/api/admin/users/${encodeURIComponent(user.id)}`, 'DELETE');
+    setStatus('Benutzer gelöscht.', 'success');
+  } catch (error) {
+    setStatus(error.message, 'error');
+  }
+  loadSession();
+};
+
+const renderAdminUsers = async () => {
+  if (!adminUsers) return;
+  let users = [];
+  try {
+    ({ users } = await sendJson('/api/admin/users', 'GET'));
+  } catch (error) {
+    setStatus(error.message, 'error');
+  }
+  adminUsers.innerHTML = '';
+  users.forEach((user) => {
+    const row = document.createElement('li');
+    row.className = 'admin__row';
+    const button = (label, onClick) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = label;
+      btn.addEventListener('click', onClick);
+      return btn;
+    };
+
+    const name = document.createElement('span');
+    const role = user.role === 'admin' ? ' (Admin)' : '';
+    name.textContent = `${user.username}${role}${user.disabled ? ' – gesperrt' : ''}`;
+    const usage = document.createElement('small');
+    usage.textContent = `${user.usage.ocrPages} OCR-Seiten diesen Monat`;
+    name.appendChild(usage);
+
+    const quota = document.createElement('input');
+    quota.type = 'number';
+    quota.min = '0';
+    quota.placeholder = 'unbegrenzt';
+    quota.title = 'OCR-Seiten pro Monat';
+    quota.value = user.quota.ocrPagesPerMonth ?? '';
+
+    row.append(
+      name,
+      quota,
+      button('Kontingent speichern', () =>
+        updateAdminUser(user.id, {
+          quota: { ocrPagesPerMonth: quota.value === '' ? null : Number(quota.value) },
+        })
+      ),
+      button(user.disabled ? 'Entsperren' : 'Sperren', () =>
+        updateAdminUser(user.id, { disabled: !user.disabled })
+      ),
+      button('Löschen', () => deleteAdminUser(user))
+    );
+    adminUsers.appendChild(row);
+  });
+};
+
+const applySession = (session) => {
+  serverSession = { ...serverSession, ...session };
+  renderAccount();
+  if (serverSession.user?.role === 'admin') {
+    renderAdminUsers();
+  }
+  loadUsage();
+};
+
+// Servers without the endpoint keep the browser-only key mode.
+const loadSession = async () => {
+  try {
+    const response = await fetch('/api/auth/session');
+    if (!response.ok) return;
+    applySession(await response.json());
+  } catch (err) {
+    // browser-only key mode
+  }
+};
+
+const setUsageStatus = (message, tone = 'neutral') => {
+  if (!usageStatus) return;
+  usageStatus.textContent = message;
+  usageStatus.dataset.tone = tone;
+};
+
+const formatCost = (value, currency) => {
+  try {
+    return new Intl.NumberFormat('de-DE', {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 4,
+    }).format(value);
+  } catch (err) {
+    return `${value.toFixed(4)} ${currency}`;
+  }
+};
+
+const describeUsage = (totals, currency) => {
+  const tokens = totals.promptTokens + totals.completionTokens;
+  return (
+    `${totals.ocrPages} OCR-Seiten, ${totals.images} Bildbeschreibungen, ${tokens} Tokens – ` +
+    `ca. ${formatCost(totals.cost, currency)}`
+  );
+};
+
+const renderUsage = ({ summary, subjects }) => {
+  if (!usageSummary) return;
+  const { currency, budgets, exceeded } = summary;
+  const lines = [
+    `Heute: ${describeUsage(summary.today, currency)}`,
+    `Diesen Monat: ${describeUsage(summary.month, currency)}`,
+  ];
+  if (budgets.daily !== null) lines.push(`Tagesbudget: ${formatCost(budgets.daily, currency)}`);
+  if (budgets.monthly !== null) lines.push(`Monatsbudget: ${formatCost(budgets.monthly, currency)}`);
+
+  usageSummary.innerHTML = '';
+  const list = document.createElement('ul');
+  lines.forEach((line) => {
+    const item = document.createElement('li');
+    item.textContent = line;
+    list.appendChild(item);
+  });
+  usageSummary.appendChild(list);
+
+  if (subjects?.length) {
+    const heading = document.createElement('strong');
+    heading.textContent = 'Alle Nutzer und Keys diesen Monat';
+    const perSubject = document.createElement('ul');
+    subjects.forEach((entry) => {
+      const item = document.createElement('li');
+      item.textContent = `${entry.label}: ${describeUsage(entry, currency)}`;
+      perSubject.appendChild(item);
+    });
+    usageSummary.append(heading, perSubject);
+  }
+  usageSummary.hidden = false;
+
+  if (exceeded) {
+    const period = exceeded.period === 'daily' ? 'Tagesbudget' : 'Monatsbudget';
+    setUsageStatus(`${period} aufgebraucht – neue OCR-Extraktionen sind gesperrt.`, 'error');
+  } else {
+    setUsageStatus('');
+  }
+};
+
+// Shows what the server metered for this user or key; quietly waits while there is neither.
+const loadUsage = async () => {
+  if (!usageSummary) return;
+  const hasSubject = hasSavedApiKey() || serverSession.user || serverSession.serverKey;
+  if (needsLogin() || !hasSubject) {
+    usageSummary.hidden = true;
+    setUsageStatus('');
+    return;
+  }
+  try {
+    const response = await fetch('/api/usage', { headers: apiKeyHeaders() });
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok || !payload.summary) {
+      throw new Error(payload.error || 'Nutzung konnte nicht geladen werden.');
+    }
+    renderUsage(payload);
+  } catch (error) {
+    setUsageStatus(error.message, 'error');
+  }
+};
+
+const setTemplateStatus = (message, tone = 'neutral') => {
+  if (!templateStatus) return;
+  templateStatus.textContent = message;
+  templateStatus.dataset.tone = tone;
+};
+
+const emptyField = () => ({ name: '', type: 'text', label: '', pattern: '', region: null, required: false });
+
+const smallButton = (label, onClick) => {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.textContent = label;
+  btn.addEventListener('click', onClick);
+  return btn;
+};
+
+const renderTemplateFields = () => {
+  if (!templateFieldsList || !templateDraft) return;
+  templateFieldsList.innerHTML = '';
+  templateDraft.fields.forEach((field, index) => {
+    const row = document.createElement('li');
+    row.className = 'templates__field';
+    const input = (key, placeholder) => {
+      const el = document.createElement('input');
+      el.placeholder = placeholder;
+      el.value = field[key] || '';
+      el.addEventListener('input', () => {
+        field[key] = el.value;
+      });
+      return el;
+    };
+
+    const type = document.createElement('select');
+    Object.entries(FIELD_TYPE_LABELS).forEach(([value, text]) => {
+      type.appendChild(new Option(text, value, false, field.type === value));
+    });
+    type.addEventListener('change', () => {
+      field.type = type.value;
+    });
+    const required = document.createElement('label');
+    const requiredBox = document.createElement('input');
+    requiredBox.type = 'checkbox';
+    requiredBox.checked = field.required;
+    requiredBox.addEventListener('change', () => {
+      field.required = requiredBox.checked;
+    });
+    required.append(requiredBox, ' Pflicht');
+
+    const picking = regionPick?.field === field;
+    let regionLabel = 'Bereich wählen';
+    if (picking) regionLabel = 'Bereich übernehmen';
+    else if (field.region) regionLabel = `Bereich auf S. ${field.region.page ?? 'jeder'} ändern`;
+    const regionBtn = smallButton(regionLabel, () =>
+      picking ? finishRegionPick() : startRegionPick(field)
+    );
+    regionBtn.classList.toggle('is-active', picking);
+
+    row.append(
+      input('name', 'Feldname'),
+      type,
+      input('label', 'Beschriftung, z. B. Rechnungsnummer'),
+      input('pattern', 'Muster (optional), z. B. RE-\\d+'),
+      required,
+      regionBtn
+    );
+    if (field.region && !picking) {
+      row.append(
+        smallButton('Bereich entfernen', () => {
+          field.region = null;
+          renderTemplateFields();
+        })
+      );
+    }
+    row.append(
+      smallButton('Entfernen', () => {
+        if (picking) stopRegionPick();
+        templateDraft.fields.splice(index, 1);
+        if (!templateDraft.fields.length) templateDraft.fields.push(emptyField());
+        renderTemplateFields();
+      })
+    );
+    templateFieldsList.appendChild(row);
+  });
+};
+
+const showTemplate = (template) => {
+  templateDraft = template
+    ? {
+        id: template.id,
+        name: template.name,
+        fields: template.fields.map((field) => ({
+          ...field,
+          label: field.label || '',
+          pattern: field.pattern || '',
+        })),
+      }
+    : { id: null, name: '', fields: [emptyField()] };
+  templateNameInput.value = templateDraft.name;
+  templateSelect.value = templateDraft.id || '';
+  templateDeleteBtn.disabled = !templateDraft.id;
+  renderTemplateFields();
+};
+
+// Refreshes the list; `select` switches the editor to that template (null: a new one).
+const loadTemplates = async ({ select } = {}) => {
+  if (!templateSelect || needsLogin()) return;
+  try {
+    ({ templates: fieldTemplates } = await sendJson('/api/templates', 'GET'));
+  } catch (error) {
+    setTemplateStatus(error.message, 'error');
+  }
+  templateSelect.innerHTML = '';
+  templateSelect.appendChild(new Option('Neue Vorlage', ''));
+  fieldTemplates.forEach((template) => templateSelect.appendChild(new Option(template.name, template.id)));
+  if (select !== undefined || !templateDraft) {
+    showTemplate(fieldTemplates.find((template) => template.id === select) || null);
+  } else {
+    templateSelect.value = templateDraft.id || '';
+  }
+};
+
+const stopRegionPick = () => {
+  regionPick = null;
+  previewEl.classList.remove('is-picking');
+  previewEl.querySelectorAll('.line.is-picked').forEach((el) => el.classList.remove('is-picked'));
+  renderTemplateFields();
+};
+
+const startRegionPick = (field) => {
+  if (!lastResult?.pages?.length) {
+    setTemplateStatus('Bitte zuerst ein Dokument extrahieren.', 'error');
+    return;
+  }
+  if (regionPick) stopRegionPick();
+  regionPick = { field, lines: new Map() };
+  previewEl.classList.add('is-picking');
+  setTemplateStatus('Zeilen in der Vorschau anklicken, dann „Bereich übernehmen“.');
+  renderTemplateFields();
+};
+
+// The box around the picked lines as a share of their page, with REGION_PADDING on every side.
+const regionFromLines = (picked) => {
+  const pages = new Set(picked.map(({ page }) => page));
+  if (pages.size > 1) throw new Error('Ein Bereich muss auf einer Seite liegen.');
+  const [page] = pages;
+  const lines = picked.map(({ line }) => line);
+  const located = lines.every((line) => typeof line.x === 'number' && typeof line.y === 'number');
+  if (!page.width || !page.height || !located) {
+    throw new Error('Diese Zeilen haben keine Position. Bitte Beschriftung oder Muster verwenden.');
+  }
+  const share = (value, size, offset) => Math.min(1, Math.max(0, value / size + offset));
+  const round = (value) => Math.round(value * 10000) / 10000;
+  const left = share(Math.min(...lines.map((line) => line.x)), page.width, -REGION_PADDING);
+  const top = share(Math.min(...lines.map((line) => line.y)), page.height, -REGION_PADDING);
+  const rightEdge = Math.max(...lines.map((line) => line.x + (line.width || 0)));
+  const right = share(rightEdge, page.width, REGION_PADDING);
+  const bottom = share(Math.max(...lines.map((line) => line.y)), page.height, REGION_PADDING);
+  return {
+    page: page.number,
+    x: round(left),
+    y: round(top),
+    width: round(right - left),
+    height: round(bottom - top),
+  };
+};
+
+const finishRegionPick = () => {
+  const picked = [...regionPick.lines].map(([line, page]) => ({ line, page }));
+  if (!picked.length) {
+    setTemplateStatus('Keine Zeile gewählt.', 'error');
+  } else {
+    try {
+      regionPick.field.region = regionFromLines(picked);
+      setTemplateStatus('Bereich übernommen. Bitte die Vorlage speichern.', 'success');
+    } catch (error) {
+      setTemplateStatus(error.message, 'error');
+    }
+  }
+  stopRegionPick();
+};
+
+const saveTemplate = async () => {
+  const body = { name: templateNameInput.value, fields: templateDraft.fields };
+  try {
+    const saved = templateDraft.id
+      ? await sendJson(`/api/templates/${encodeURIComponent(templateDraft.id)}`, 'PUT', body)
+      : await sendJson('/api/templates', 'POST', body);
+    await loadTemplates({ select: saved.id });
+    setTemplateStatus(`Vorlage „${saved.name}“ gespeichert.`, 'success');
+  } catch (error) {
+    setTemplateStatus(error.message, 'error');
+  }
+};
+
+const deleteTemplate = async () => {
+  if (!templateDraft?.id || !window.confirm(`Vorlage „${templateDraft.name}“ löschen?`)) return;
+  try {
+    await sendJson(`/api/templates/${encodeURIComponent(templateDraft.id)}`, 'DELETE');
+    await loadTemplates({ select: null });
+    setTemplateStatus('Vorlage gelöscht.', 'success');
+  } catch (error) {
+    setTemplateStatus(error.message, 'error');
+  }
+};
+
+// Fields are read from the pages as shown, edits included; only the saved template is applied.
+const templateRequest = () => {
+  if (!lastResult?.pages?.length) {
+    setTemplateStatus('Bitte zuerst ein Dokument extrahieren.', 'error');
+    return null;
+  }
+  if (!templateDraft?.id) {
+    setTemplateStatus('Bitte die Vorlage zuerst speichern.', 'error');
+    return null;
+  }
+  return {
+    url: `/api/templates/${encodeURIComponent(templateDraft.id)}`,
+    pages: lastResult.pages.map(({ images, ...page }) => page),
+  };
+};
+
+const formatFieldValue = ({ type, value }) => {
+  if (value === null) return '–';
+  if (type === 'date') return value.split('-').reverse().join('.');
+  if (type === 'amount') {
+    return value.toLocaleString('de-DE', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  }
+  return type === 'number' ? value.toLocaleString('de-DE') : value;
+};
+
+const describeFieldSource = (source) => {
+  if (!source) return '';
+  const where = source.tableId
+    ? `Tabelle ${source.tableId.split('-t')[1]}, Zeile ${source.row}, Spalte ${source.column}`
+    : `Zeile ${source.lineId.split('-l')[1]}`;
+  return `S. ${source.page}, ${where}`;
+};
+
+const renderFieldResults = ({ fields, missing }) => {
+  templateResults.innerHTML = '';
+  const head = templateResults.createTHead().insertRow();
+  ['Feld', 'Wert', 'Sicherheit', 'Fundstelle'].forEach((text) => {
+    const cell = document.createElement('th');
+    cell.textContent = text;
+    head.appendChild(cell);
+  });
+  const body = templateResults.createTBody();
+  fields.forEach((field) => {
+    const row = body.insertRow();
+    row.classList.toggle('is-missing', missing.includes(field.name));
+    row.title = field.text || '';
+    [
+      field.name,
+      formatFieldValue(field),
+      field.value === null ? '' : `${Math.round(field.confidence * 100)} %`,
+      describeFieldSource(field.source),
+    ].forEach((text) => {
+      row.insertCell().textContent = text;
+    });
+  });
+  templateResults.hidden = false;
+};
+
+const resetFieldResults = () => {
+  if (regionPick) stopRegionPick();
+  if (templateResults) templateResults.hidden = true;
+};
+
+const applyFieldTemplate = async () => {
+  const request = templateRequest();
+  if (!request) return;
+  try {
+    const result = await sendJson(`${request.url}/apply`, 'POST', { pages: request.pages });
+    renderFieldResults(result);
+    const found = result.fields.filter((field) => field.value !== null).length;
+    const missing = result.missing.length ? ` Es fehlen Pflichtfelder: ${result.missing.join(', ')}.` : '';
+    setTemplateStatus(
+      `${found} von ${result.fields.length} Feldern gefunden.${missing}`,
+      missing ? 'error' : 'success'
+    );
+  } catch (error) {
+    setTemplateStatus(error.message, 'error');
+  }
+};
+
+const exportFields = async (format) => {
+  const request = templateRequest();
+  if (!request) return;
+  try {
+    const response = await fetch(`${request.url}/export`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ pages: request.pages, format, fileName: sourceFile?.name || null }),
+    });
+    if (!response.ok) {
+      const payload = await response.json().catch(() => ({}));
+      throw new Error(payload.error || 'Export fehlgeschlagen.');
+    }
+    downloadBlob(await response.blob(), fileNameFromResponse(response, `felder.${format}`));
+    setTemplateStatus(`Felder als ${format.toUpperCase()} exportiert.`, 'success');
+  } catch (error) {
+    setTemplateStatus(error.message, 'error');
   }
 };
 
 const requestImageDescription = async (img) => {
-  const apiKey = ensureApiKey();
-  if (!apiKey) {
+  if (!ensureApiKey()) {
     img._description = 'API-Key fehlt. Bitte zuerst Schlüssel speichern.';
     img._replaceWithDescription = true;
     renderPreview(lastResult.pages);
@@ -126,7 +968,7 @@ const requestImageDescription = async (img) => {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'x-mistral-api-key': apiKey,
+        ...apiKeyHeaders(),
       },
       body: JSON.stringify({ base64: img.base64 }),
     });
@@ -141,16 +983,41 @@ const requestImageDescription = async (img) => {
     img._replaceWithDescription = true;
   } finally {
     renderPreview(lastResult.pages);
+    scheduleHistorySave();
   }
 };
 
-const buildPlainText = (pages) =>
+const HEADING_ROLES = ['h1', 'h2', 'h3', 'h4'];
+
+const isHeadingLine = (line) => HEADING_ROLES.includes(line?.role);
+
+const linesToPlainText = (lines) => {
+  const out = [];
+  lines.forEach((line) => {
+    const text = (line.segments || []).map((segment) => segment.text).join('');
+    // Reflowed paragraphs (they carry `lineCount`) are set apart like headings.
+    const isBlock = isHeadingLine(line) || typeof line.lineCount === 'number';
+    if (isBlock && out.length && out[out.length - 1] !== '') out.push('');
+    out.push(text);
+    if (isBlock) out.push('');
+  });
+  while (out.length && out[out.length - 1] === '') out.pop();
+  return out.join('\n');
+};
+
+// Furniture lines stay in the result; they are only filtered for output.
+const shouldDropFurniture = () => toggleFurniture?.checked || false;
+
+const buildPlainText = (pages, { dropFurniture = shouldDropFurniture() } = {}) =>
   pages
     .map((page) => {
-      const lines = Array.isArray(page.lines) ? page.lines : [];
+      const pageLines = getPageLines(page);
+      const lines = (Array.isArray(pageLines) ? pageLines : []).filter(
+        (line) => !(dropFurniture && line.furniture)
+      );
       const tables = Array.isArray(page.tables) ? page.tables : [];
       return [
-        lines.map((line) => (line.segments || []).map((segment) => segment.text).join('')).join('\n'),
+        linesToPlainText(lines),
         tables
           .map((tbl) => tbl.text || '')
           .filter(Boolean)
@@ -171,12 +1038,25 @@ const renderPreview = (pages = []) => {
   pages.forEach((page) => {
     const article = document.createElement('article');
     const title = document.createElement('h3');
+    title.className = 'page-title';
     title.textContent = `Seite ${page.number}`;
+    if (page.engine) {
+      const engineTag = document.createElement('span');
+      engineTag.className = 'engine-tag';
+      engineTag.textContent = SOURCE_LABELS[page.engine] || page.engine;
+      title.appendChild(engineTag);
+    }
     article.appendChild(title);
 
-    (page.lines || []).forEach((line) => {
-      const lineEl = document.createElement('div');
+    (getPageLines(page) || []).forEach((line) => {
+      const lineEl = document.createElement(isHeadingLine(line) ? line.role : 'div');
       lineEl.className = 'line';
+      if (line.role) {
+        lineEl.dataset.role = line.role;
+      }
+      if (line.furniture) {
+        lineEl.dataset.furniture = line.furnitureKind || 'true';
+      }
       const align = normalizeAlignment(
         line.align || line.textAlign || line.text_alignment || line.justification || line.justify
       );
@@ -192,14 +1072,22 @@ const renderPreview = (pages = []) => {
       if (align === 'justify') {
         lineEl.style.display = 'block';
       }
-      line.segments?.forEach((segment) => {
+      line.segments?.forEach((segment, index) => {
         const span = document.createElement('span');
         Object.entries(segment.style).forEach(([key, value]) => {
           span.style[key] = value;
         });
+        span.dataset.segment = index;
         span.textContent = segment.text;
         lineEl.appendChild(span);
       });
+      lineModels.set(lineEl, { line, page });
+      if (regionPick?.lines.has(line)) {
+        lineEl.classList.add('is-picked');
+      }
+      if (isEditing()) {
+        makeLineEditable(lineEl, line, page);
+      }
       article.appendChild(lineEl);
     });
 
@@ -213,9 +1101,28 @@ const renderPreview = (pages = []) => {
         const label = document.createElement('strong');
         label.textContent = `Tabelle ${idx + 1}`;
         block.appendChild(label);
+        const actions = document.createElement('div');
+        actions.className = 'table-actions';
+        [
+          ['csv', 'CSV'],
+          ['xlsx', 'Excel'],
+        ].forEach(([format, text]) => {
+          const btn = document.createElement('button');
+          btn.type = 'button';
+          btn.textContent = text;
+          btn.title = `Tabelle ${idx + 1} als ${text} herunterladen`;
+          btn.addEventListener('click', () =>
+            exportTables({ format, tables: [{ page: page.number, table: idx + 1 }] })
+          );
+          actions.appendChild(btn);
+        });
+        block.appendChild(actions);
         const holder = document.createElement('div');
         holder.className = 'table-holder';
         holder.innerHTML = tbl.html;
+        if (isEditing()) {
+          makeTableEditable(holder, tbl, page);
+        }
         block.appendChild(holder);
         tableWrap.appendChild(block);
       });
@@ -249,6 +1156,7 @@ const renderPreview = (pages = []) => {
         removeBtn.addEventListener('click', () => {
           img._removed = true;
           renderPreview(lastResult.pages);
+          scheduleHistorySave();
         });
         const describeBtn = document.createElement('button');
         describeBtn.textContent = 'Bildbeschreibung einfügen';
@@ -262,93 +1170,850 @@ const renderPreview = (pages = []) => {
         actions.appendChild(describeBtn);
         card.appendChild(actions);
 
-        imageGrid.appendChild(card);
+        imageGrid.appendChild(card);
+      });
+      article.appendChild(imageGrid);
+    }
+
+    previewEl.appendChild(article);
+  });
+};
+
+const htmlToPlainText = (html) => {
+  if (!html) return '';
+  const temp = document.createElement('div');
+  temp.innerHTML = html;
+  return temp.textContent || temp.innerText || '';
+};
+
+const updateEditButtons = () => {
+  if (undoBtn) undoBtn.disabled = !undoStack.length;
+  if (redoBtn) redoBtn.disabled = !redoStack.length;
+};
+
+const resetEditHistory = () => {
+  undoStack = [];
+  redoStack = [];
+  updateEditButtons();
+};
+
+// The delivered HTML and the fetched paragraphs no longer match once the lines change.
+const afterEdit = (page) => {
+  lastResult.html = null;
+  pageParagraphs.delete(page);
+  textOutput.value = buildPlainText(lastResult.pages);
+  updateEditButtons();
+  scheduleHistorySave();
+};
+
+const recordEdit = (edit) => {
+  edit.apply(edit.after);
+  undoStack.push(edit);
+  if (undoStack.length > EDIT_HISTORY_LIMIT) undoStack.shift();
+  redoStack = [];
+  afterEdit(edit.page);
+};
+
+const stepHistory = (from, to, value) => {
+  // Pending text in a focused line or cell is committed first.
+  document.activeElement?.blur();
+  const edit = from.pop();
+  if (!edit) return;
+  edit.apply(edit[value]);
+  to.push(edit);
+  afterEdit(edit.page);
+  renderPreview(lastResult.pages);
+};
+
+const undoEdit = () => stepHistory(undoStack, redoStack, 'before');
+
+const redoEdit = () => stepHistory(redoStack, undoStack, 'after');
+
+const segmentTexts = (segments) => segments.map((segment) => segment.text).join('\u0000');
+
+const copySegment = (segment, text) => ({ ...segment, style: { ...segment.style }, text });
+
+/**
+ * Reads the edited spans of a line back into segments. Text the browser put
+ * outside the spans belongs to the segment before it; emptied segments are
+ * dropped, but a line always keeps one segment.
+ */
+const readEditedSegments = (lineEl, segments) => {
+  const parts = [];
+  lineEl.childNodes.forEach((node) => {
+    const text = (node.textContent || '').replace(/\n/g, ' ');
+    const source = segments[node.dataset?.segment];
+    if (source) {
+      parts.push(copySegment(source, text));
+    } else if (parts.length) {
+      parts[parts.length - 1].text += text;
+    } else {
+      parts.push(copySegment(segments[0], text));
+    }
+  });
+  const kept = parts.filter((segment) => segment.text);
+  return kept.length ? kept : [copySegment(segments[0], '')];
+};
+
+const commitLineText = (lineEl, line, page) => {
+  const segments = readEditedSegments(lineEl, line.segments || []);
+  if (segmentTexts(segments) === segmentTexts(line.segments || [])) return;
+  recordEdit({
+    page,
+    before: line.segments,
+    after: segments,
+    apply: (value) => {
+      line.segments = value;
+    },
+  });
+};
+
+const makeLineEditable = (lineEl, line, page) => {
+  lineEl.contentEditable = 'true';
+  lineEl.spellcheck = true;
+  lineEl.addEventListener('focusout', () => commitLineText(lineEl, line, page));
+  lineEl.addEventListener('keydown', (event) => {
+    // A line stays a line; Enter just finishes the edit.
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      lineEl.blur();
+    }
+  });
+};
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Same markup as the server builds in `normalizeTable`, so edited tables export unchanged.
+const refreshTable = (tbl) => {
+  tbl.text = tbl.rows.map((row) => row.map((cell) => cell.text).join('\t')).join('\n');
+  const htmlRows = tbl.rows.map((row) => {
+    const cells = row.map((cell) => {
+      const tag = cell.header ? 'th' : 'td';
+      const attrs = [];
+      if (cell.colspan > 1) attrs.push(` colspan="${cell.colspan}"`);
+      if (cell.rowspan > 1) attrs.push(` rowspan="${cell.rowspan}"`);
+      return `<${tag}${attrs.join('')}>${escapeHtml(cell.text)}</${tag}>`;
+    });
+    return `<tr>${cells.join('')}</tr>`;
+  });
+  tbl.html = `<table>${htmlRows.join('')}</table>`;
+};
+
+// The table markup lists the cells of `tbl.rows` in order, so DOM and model match by index.
+const makeTableEditable = (holder, tbl, page) => {
+  if (!Array.isArray(tbl.rows)) return;
+  holder.querySelectorAll('tr').forEach((rowEl, rowIndex) => {
+    rowEl.querySelectorAll('th, td').forEach((cellEl, cellIndex) => {
+      const cell = tbl.rows[rowIndex]?.[cellIndex];
+      if (!cell) return;
+      cellEl.contentEditable = 'true';
+      cellEl.addEventListener('focusout', () => {
+        const text = cellEl.textContent.replace(/\n/g, ' ');
+        if (text === cell.text) return;
+        recordEdit({
+          page,
+          before: cell.text,
+          after: text,
+          apply: (value) => {
+            cell.text = value;
+            refreshTable(tbl);
+          },
+        });
+      });
+    });
+  });
+};
+
+const SEGMENT_FORMATS = {
+  bold: {
+    has: (style) => Number(style.fontWeight) >= 600 || /bold/i.test(style.fontWeight),
+    set: (style, on) => ({ ...style, fontWeight: on ? 600 : 400 }),
+  },
+  italic: {
+    has: (style) => style.fontStyle === 'italic',
+    set: (style, on) => ({ ...style, fontStyle: on ? 'italic' : 'normal' }),
+  },
+  underline: {
+    has: (style) => String(style.textDecoration || '').includes('underline'),
+    set: (style, on) => {
+      const others = String(style.textDecoration || '')
+        .split(/\s+/)
+        .filter((part) => part && part !== 'none' && part !== 'underline');
+      const decoration = [...others, ...(on ? ['underline'] : [])].join(' ');
+      return { ...style, textDecoration: decoration || 'none' };
+    },
+  },
+};
+
+// Character offsets of the selection inside a line, or the whole line without a selection.
+const selectionOffsets = (lineEl) => {
+  const selection = window.getSelection();
+  const range = selection?.rangeCount ? selection.getRangeAt(0) : null;
+  const length = lineEl.textContent.length;
+  if (!range || range.collapsed || !lineEl.contains(range.commonAncestorContainer)) {
+    return { start: 0, end: length };
+  }
+  const offsetOf = (container, offset) => {
+    const prefix = document.createRange();
+    prefix.selectNodeContents(lineEl);
+    prefix.setEnd(container, offset);
+    return prefix.toString().length;
+  };
+  return {
+    start: offsetOf(range.startContainer, range.startOffset),
+    end: offsetOf(range.endContainer, range.endOffset),
+  };
+};
+
+// Splits segments at the offsets; pieces inside the range come back flagged `selected`.
+const splitSegments = (segments, start, end) => {
+  const pieces = [];
+  let position = 0;
+  segments.forEach((segment) => {
+    const from = position;
+    const to = position + segment.text.length;
+    position = to;
+    [
+      [from, Math.max(from, Math.min(start, to))],
+      [Math.max(from, Math.min(start, to)), Math.min(to, Math.max(end, from))],
+      [Math.min(to, Math.max(end, from)), to],
+    ].forEach(([pieceStart, pieceEnd], index) => {
+      if (pieceEnd <= pieceStart) return;
+      pieces.push({
+        segment: copySegment(segment, segment.text.slice(pieceStart - from, pieceEnd - from)),
+        selected: index === 1,
+      });
+    });
+  });
+  return pieces;
+};
+
+// Neighbours with identical styles are joined again, so toggling back leaves no fragments.
+const mergeSegments = (segments) =>
+  segments.reduce((merged, segment) => {
+    const previous = merged[merged.length - 1];
+    if (previous && JSON.stringify(previous.style) === JSON.stringify(segment.style)) {
+      previous.text += segment.text;
+    } else {
+      merged.push(copySegment(segment, segment.text));
+    }
+    return merged;
+  }, []);
+
+const toggleSegmentFormat = (formatName) => {
+  const lineEl = document.activeElement?.closest?.('.line');
+  const model = lineEl && lineModels.get(lineEl);
+  if (!model) {
+    setStatus('Bitte zuerst Text in einer Zeile markieren.', 'error');
+    return;
+  }
+  const { start, end } = selectionOffsets(lineEl);
+  commitLineText(lineEl, model.line, model.page);
+  const { line, page } = model;
+  const format = SEGMENT_FORMATS[formatName];
+  const pieces = splitSegments(line.segments || [], start, end);
+  const selected = pieces.filter((piece) => piece.selected);
+  if (!selected.length) return;
+  const enable = !selected.every((piece) => format.has(piece.segment.style || {}));
+  const segments = mergeSegments(
+    pieces.map((piece) =>
+      piece.selected
+        ? { ...piece.segment, style: format.set(piece.segment.style || {}, enable) }
+        : piece.segment
+    )
+  );
+  recordEdit({
+    page,
+    before: line.segments,
+    after: segments,
+    apply: (value) => {
+      line.segments = value;
+    },
+  });
+  renderPreview(lastResult.pages);
+};
+
+// HTML results are shown as delivered until the page model is edited; hiding headers
+// and footers or reflowing also needs the lines, so those views render the pages.
+const showsDeliveredHtml = () =>
+  Boolean(lastResult?.html) && !isEditing() && !shouldDropFurniture() && getLayoutMode() !== 'reflow';
+
+const renderCurrentResult = () => {
+  if (!lastResult) return;
+  if (showsDeliveredHtml()) {
+    previewEl.innerHTML = lastResult.html;
+    textOutput.value = htmlToPlainText(lastResult.html);
+    return;
+  }
+  if (wantsParagraphs()) loadParagraphs(lastResult.pages);
+  renderPreview(lastResult.pages);
+  textOutput.value = buildPlainText(lastResult.pages);
+};
+
+// Results are kept in IndexedDB rather than localStorage, the pages carry base64 images.
+const openHistoryDb = () => {
+  if (!historyDbPromise) {
+    historyDbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB ist nicht verfügbar.'));
+        return;
+      }
+      const request = indexedDB.open(HISTORY_DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return historyDbPromise;
+};
+
+// Runs one store operation in its own transaction and resolves once it is committed.
+const historyRequest = async (mode, operation) => {
+  const db = await openHistoryDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(HISTORY_STORE, mode);
+    const request = operation(transaction.objectStore(HISTORY_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+const getHistoryEntry = (id) => historyRequest('readonly', (store) => store.get(id));
+
+const putHistoryEntry = (entry) => historyRequest('readwrite', (store) => store.put(entry));
+
+const listHistoryEntries = async () => {
+  const entries = await historyRequest('readonly', (store) => store.getAll());
+  return entries.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+const getStoredHistoryId = () => {
+  try {
+    return localStorage.getItem(HISTORY_STORAGE_KEY) || '';
+  } catch (err) {
+    return '';
+  }
+};
+
+const storeHistoryId = (id) => {
+  try {
+    if (id) {
+      localStorage.setItem(HISTORY_STORAGE_KEY, id);
+    } else {
+      localStorage.removeItem(HISTORY_STORAGE_KEY);
+    }
+  } catch (err) {
+    // ignore storage errors
+  }
+};
+
+const formatHistoryDate = (iso) =>
+  new Date(iso).toLocaleString('de-DE', { dateStyle: 'short', timeStyle: 'short' });
+
+const renderHistory = async () => {
+  if (!historyList) return;
+  let entries = [];
+  try {
+    entries = await listHistoryEntries();
+  } catch (err) {
+    historyList.innerHTML = `<li class="history__empty">${HISTORY_UNAVAILABLE}</li>`;
+    return;
+  }
+  historyList.innerHTML = '';
+  if (!entries.length) {
+    historyList.innerHTML = `<li class="history__empty">${HISTORY_EMPTY}</li>`;
+    return;
+  }
+  entries.forEach((entry) => {
+    const row = document.createElement('li');
+    row.className = 'history__row';
+    row.classList.toggle('is-shown', entry.id === currentHistoryId);
+
+    const openBtn = document.createElement('button');
+    openBtn.type = 'button';
+    openBtn.className = 'history__open';
+    const name = document.createElement('strong');
+    name.textContent = entry.name;
+    const info = document.createElement('small');
+    info.textContent = `${formatHistoryDate(entry.updatedAt)} · ${entry.pageCount || 0} Seiten`;
+    openBtn.append(name, info);
+    openBtn.addEventListener('click', () => openHistoryEntry(entry.id));
+
+    const renameBtn = document.createElement('button');
+    renameBtn.type = 'button';
+    renameBtn.textContent = 'Umbenennen';
+    renameBtn.addEventListener('click', () => renameHistoryEntry(entry.id));
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.textContent = 'Löschen';
+    deleteBtn.addEventListener('click', () => deleteHistoryEntry(entry.id));
+
+    row.append(openBtn, renameBtn, deleteBtn);
+    historyList.appendChild(row);
+  });
+};
+
+const saveCurrentToHistory = async () => {
+  if (!currentHistoryId || !lastResult) return;
+  try {
+    const entry = await getHistoryEntry(currentHistoryId);
+    if (!entry) return;
+    await putHistoryEntry({
+      ...entry,
+      updatedAt: new Date().toISOString(),
+      result: lastResult,
+      file: sourceFile || entry.file || null,
+    });
+    renderHistory();
+  } catch (err) {
+    setStatus('Verlauf konnte nicht gespeichert werden (Speicher voll?).', 'error');
+  }
+};
+
+// Edits and image decisions come in bursts, so they are written once things settle.
+const scheduleHistorySave = () => {
+  clearTimeout(historySaveTimer);
+  historySaveTimer = setTimeout(saveCurrentToHistory, HISTORY_SAVE_DELAY);
+};
+
+/**
+ * Stores the shown result as a history entry. Job results use the job id, so
+ * a job shown twice is not saved twice. The original upload is kept as well,
+ * the searchable PDF export needs it.
+ */
+const addToHistory = async ({ id, name }) => {
+  const now = new Date().toISOString();
+  const entryId = id || `local-${Date.now()}`;
+  try {
+    const existing = await getHistoryEntry(entryId);
+    await putHistoryEntry({
+      id: entryId,
+      name: existing?.name || name || `Extraktion vom ${formatHistoryDate(now)}`,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+      pageCount: lastResult.pageCount ?? lastResult.pages.length,
+      source: lastResult.source || null,
+      result: lastResult,
+      file: sourceFile || existing?.file || null,
+    });
+    currentHistoryId = entryId;
+    storeHistoryId(entryId);
+    renderHistory();
+  } catch (err) {
+    setStatus('Verlauf konnte nicht gespeichert werden (Speicher voll?).', 'error');
+  }
+};
+
+const openHistoryEntry = async (id, { quiet = false } = {}) => {
+  const entry = await getHistoryEntry(id).catch(() => null);
+  if (!entry) {
+    if (!quiet) setStatus('Eintrag nicht mehr im Verlauf.', 'error');
+    return false;
+  }
+  lastResult = entry.result;
+  sourceFile = entry.file || null;
+  currentHistoryId = entry.id;
+  storeHistoryId(entry.id);
+  resetEditHistory();
+  renderCurrentResult();
+  renderHistory();
+  if (!quiet) setStatus(`„${entry.name}“ aus dem Verlauf geöffnet.`, 'success');
+  return true;
+};
+
+const renameHistoryEntry = async (id) => {
+  const entry = await getHistoryEntry(id).catch(() => null);
+  if (!entry) return;
+  const name = window.prompt('Neuer Name für die Extraktion:', entry.name)?.trim();
+  if (!name || name === entry.name) return;
+  try {
+    await putHistoryEntry({ ...entry, name });
+  } catch (err) {
+    setStatus('Eintrag konnte nicht umbenannt werden.', 'error');
+  }
+  renderHistory();
+};
+
+const deleteHistoryEntry = async (id) => {
+  const entry = await getHistoryEntry(id).catch(() => null);
+  if (!entry || !window.confirm(`„${entry.name}“ aus dem Verlauf löschen?`)) return;
+  try {
+    await historyRequest('readwrite', (store) => store.delete(id));
+  } catch (err) {
+    setStatus('Eintrag konnte nicht gelöscht werden.', 'error');
+  }
+  // The result stays on screen, it is just no longer saved.
+  if (id === currentHistoryId) {
+    currentHistoryId = null;
+    storeHistoryId(null);
+  }
+  renderHistory();
+};
+
+const handleResult = async (response, { historyId = null, name = null } = {}) => {
+  if (!response.ok) {
+    const payload = await response.json().catch(() => ({}));
+    throw new Error(payload.error || 'PDF konnte nicht entziffert werden.');
+  }
+  const data = await response.json();
+  const hasHtml = typeof data.html === 'string' && data.html.trim();
+  const hasPages = Array.isArray(data.pages) && data.pages.length;
+  lastResult = {
+    ...data,
+    html: hasHtml ? data.html : null,
+    pages: hasPages ? data.pages : [],
+  };
+  resetEditHistory();
+  resetFieldResults();
+  renderCurrentResult();
+  const sourceLabel = SOURCE_LABELS[data.source] || 'PDF.js';
+  const ocrNote = data.ocrPages?.length ? `, OCR für Seite ${data.ocrPages.join(', ')}` : '';
+  const cacheNote = data.cached ? ', aus dem Cache' : '';
+  setStatus(`Extrahiert ${data.pageCount} Seiten (${sourceLabel}${ocrNote}${cacheNote})`, 'success');
+  loadUsage();
+  await addToHistory({ id: historyId, name: name || sourceFile?.name });
+};
+
+// TIFFs often arrive without a MIME type, so the extension is checked too.
+const isSupportedFile = (file) => SUPPORTED_TYPES.includes(file.type) || SUPPORTED_EXTENSIONS.test(file.name);
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const pollJob = async (jobId) => {
+  while (activeJobId === jobId) {
+    const response = await fetch(`/api/jobs/${encodeURIComponent(jobId)}`);
+    if (!response.ok) {
+      const payload = await response.json().catch(() => ({}));
+      throw new Error(payload.error || 'Job nicht mehr verfügbar.');
+    }
+    const job = await response.json();
+    renderJobProgress(job);
+    if (job.status === 'done') {
+      await handleResult(await fetch(`/api/jobs/${encodeURIComponent(jobId)}/result`), {
+        historyId: jobId,
+        name: job.meta?.fileName,
+      });
+      return;
+    }
+    if (job.status === 'failed') {
+      throw new Error(job.error || 'PDF konnte nicht entziffert werden.');
+    }
+    if (job.status === 'cancelled') {
+      setStatus('Extraktion abgebrochen.', 'neutral');
+      return;
+    }
+    await wait(JOB_POLL_INTERVAL);
+  }
+};
+
+const followJob = async (jobId) => {
+  activeJobId = jobId;
+  storeJobId(jobId);
+  renderJobProgress(null);
+  startLoadingFeedback();
+  try {
+    await pollJob(jobId);
+  } catch (error) {
+    setStatus(error.message || 'Beim Extrahieren ist ein Fehler aufgetreten.', 'error');
+    renderPreview([]);
+    textOutput.value = '';
+  } finally {
+    if (activeJobId === jobId) {
+      activeJobId = null;
+      storeJobId(null);
+      stopLoadingFeedback();
+    }
+  }
+};
+
+const cancelBatch = async () => {
+  const batchId = activeBatchId;
+  activeBatchId = null;
+  storeBatchId(null);
+  stopLoadingFeedback();
+  setStatus('Stapel abgebrochen.', 'neutral');
+  try {
+    const response = await fetch(`/api/batches/${encodeURIComponent(batchId)}`, { method: 'DELETE' });
+    if (response.ok) renderBatch(await response.json());
+  } catch (err) {
+    // die Jobs laufen serverseitig aus, wenn der Abbruch nicht ankommt
+  }
+};
+
+const cancelJob = async () => {
+  if (activeBatchId) {
+    await cancelBatch();
+    return;
+  }
+  const jobId = activeJobId;
+  if (!jobId) return;
+  activeJobId = null;
+  storeJobId(null);
+  stopLoadingFeedback();
+  setStatus('Extraktion abgebrochen.', 'neutral');
+  try {
+    await fetch(`/api/jobs/${encodeURIComponent(jobId)}`, { method: 'DELETE' });
+  } catch (err) {
+    // der Job läuft serverseitig aus, wenn der Abbruch nicht ankommt
+  }
+};
+
+const showJobResult = async (jobId) => {
+  const jobIndex = currentBatch?.jobs.findIndex((job) => job.id === jobId) ?? -1;
+  const job = currentBatch?.jobs[jobIndex];
+  // Batch jobs are created in upload order, so the job index points at its file.
+  const file = fileInput.files[jobIndex];
+  const uploadedFile = file && file.name === job?.meta?.fileName ? file : null;
+  try {
+    // A result saved before keeps its edits, so the stored copy wins over the server's.
+    if (await openHistoryEntry(jobId, { quiet: true })) {
+      sourceFile = sourceFile || uploadedFile;
+    } else {
+      sourceFile = uploadedFile;
+      await handleResult(await fetch(`/api/jobs/${encodeURIComponent(jobId)}/result`), {
+        historyId: jobId,
+        name: job?.meta?.fileName,
       });
-      article.appendChild(imageGrid);
     }
+    shownJobId = jobId;
+    if (currentBatch) renderBatch(currentBatch);
+  } catch (error) {
+    setStatus(error.message || 'Ergebnis konnte nicht geladen werden.', 'error');
+  }
+};
 
-    previewEl.appendChild(article);
+const renderBatch = (batch) => {
+  currentBatch = batch;
+  if (!batchPanel || !batchList) return;
+  batchPanel.hidden = false;
+  const { total, done, failed, cancelled, pending } = batch.summary;
+  if (batchSummary) {
+    const failedInfo = failed ? `, ${failed} fehlgeschlagen` : '';
+    batchSummary.textContent = `Stapel: ${done}/${total} fertig${failedInfo}`;
+  }
+  if (batchDownloadBtn) {
+    batchDownloadBtn.disabled = !done;
+  }
+  if (loadingDetail) {
+    loadingDetail.textContent = `${total - pending}/${total} Dateien verarbeitet`;
+  }
+  if (jobProgress) {
+    jobProgress.max = total;
+    jobProgress.value = done + failed + cancelled;
+  }
+
+  batchList.innerHTML = '';
+  batch.jobs.forEach((job) => {
+    const row = document.createElement('li');
+    row.className = 'batch__row';
+    row.dataset.status = job.status;
+    row.classList.toggle('is-shown', job.id === shownJobId);
+
+    const name = document.createElement('span');
+    name.className = 'batch__name';
+    name.textContent = job.meta?.fileName || job.id;
+    name.title = job.error || name.textContent;
+    row.appendChild(name);
+
+    const state = document.createElement('span');
+    state.className = 'batch__state';
+    const { pagesDone, pagesTotal } = job.progress || {};
+    const pageInfo = job.status === 'running' && pagesTotal ? ` (${pagesDone || 0}/${pagesTotal})` : '';
+    state.textContent = `${JOB_STATUS_LABELS[job.status] || job.status}${pageInfo}`;
+    row.appendChild(state);
+
+    const showBtn = document.createElement('button');
+    showBtn.type = 'button';
+    showBtn.textContent = 'Anzeigen';
+    showBtn.disabled = job.status !== 'done';
+    showBtn.addEventListener('click', () => showJobResult(job.id));
+    row.appendChild(showBtn);
+
+    batchList.appendChild(row);
   });
 };
 
-const htmlToPlainText = (html) => {
-  if (!html) return '';
-  const temp = document.createElement('div');
-  temp.innerHTML = html;
-  return temp.textContent || temp.innerText || '';
+const pollBatch = async (batchId) => {
+  while (activeBatchId === batchId) {
+    const response = await fetch(`/api/batches/${encodeURIComponent(batchId)}`);
+    if (!response.ok) {
+      const payload = await response.json().catch(() => ({}));
+      throw new Error(payload.error || 'Stapel nicht mehr verfügbar.');
+    }
+    const batch = await response.json();
+    renderBatch(batch);
+    if (!batch.summary.pending) {
+      const { total, done } = batch.summary;
+      setStatus(`Stapel abgeschlossen: ${done} von ${total} Dateien extrahiert.`, done ? 'success' : 'error');
+      const firstDone = batch.jobs.find((job) => job.status === 'done');
+      if (firstDone && !shownJobId) {
+        await showJobResult(firstDone.id);
+      }
+      return;
+    }
+    await wait(JOB_POLL_INTERVAL);
+  }
 };
 
-const handleResult = async (response) => {
-  if (!response.ok) {
-    const payload = await response.json().catch(() => ({}));
-    throw new Error(payload.error || 'PDF konnte nicht entziffert werden.');
+const followBatch = async (batchId) => {
+  activeBatchId = batchId;
+  shownJobId = null;
+  storeBatchId(batchId);
+  startLoadingFeedback();
+  try {
+    await pollBatch(batchId);
+  } catch (error) {
+    setStatus(error.message || 'Beim Extrahieren ist ein Fehler aufgetreten.', 'error');
+  } finally {
+    if (activeBatchId === batchId) {
+      activeBatchId = null;
+      storeBatchId(null);
+      stopLoadingFeedback();
+    }
   }
-  const data = await response.json();
-  const hasHtml = typeof data.html === 'string' && data.html.trim();
-  const hasPages = Array.isArray(data.pages) && data.pages.length;
-  lastResult = {
-    ...data,
-    html: hasHtml ? data.html : null,
-    pages: hasPages ? data.pages : [],
-  };
+};
 
-  if (hasHtml) {
-    previewEl.innerHTML = data.html;
-  } else if (hasPages) {
-    renderPreview(data.pages);
-  } else {
-    renderPreview([]);
+const uploadBatch = async (files, { engine, provider }) => {
+  const formData = new FormData();
+  formData.append('engine', engine);
+  formData.append('provider', provider);
+  files.forEach((file) => formData.append('pdf', file));
+  sourceFile = null;
+  setStatus(`Starte Stapel mit ${files.length} Dateien...`);
+
+  try {
+    const response = await fetch('/api/batches', {
+      method: 'POST',
+      headers: apiKeyHeaders(),
+      body: formData,
+    });
+    if (!response.ok) {
+      const payload = await response.json().catch(() => ({}));
+      throw new Error(payload.error || 'Stapel konnte nicht gestartet werden.');
+    }
+    const batch = await response.json();
+    renderBatch(batch);
+    await followBatch(batch.id);
+  } catch (error) {
+    setStatus(error.message || 'Beim Extrahieren ist ein Fehler aufgetreten.', 'error');
   }
+};
 
-  if (hasHtml) {
-    textOutput.value = htmlToPlainText(data.html);
-  } else if (hasPages) {
-    textOutput.value = buildPlainText(data.pages);
-  } else {
-    textOutput.value = '';
+const downloadBatchZip = async () => {
+  if (!currentBatch?.summary?.done) {
+    setStatus('Im Stapel ist noch kein Ergebnis fertig.', 'error');
+    return;
+  }
+  const disableDescriptions = toggleImageDesc?.checked || false;
+  try {
+    setStatus('Erstelle ZIP mit allen Exporten...', 'neutral');
+    const response = await fetch(`/api/batches/${encodeURIComponent(currentBatch.id)}/export`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...apiKeyHeaders(),
+      },
+      body: JSON.stringify({
+        formats: ['docx', 'md', 'txt'],
+        disableDescriptions,
+        dropFurniture: shouldDropFurniture(),
+        layoutMode: getLayoutMode(),
+      }),
+    });
+    if (!response.ok) {
+      const payload = await response.json().catch(() => ({}));
+      throw new Error(payload.error || 'Export fehlgeschlagen.');
+    }
+    downloadBlob(await response.blob(), fileNameFromResponse(response, 'stapel.zip'));
+    setStatus('ZIP mit allen Exporten erstellt.', 'success');
+    loadUsage();
+  } catch (error) {
+    setStatus(error.message || 'Beim Export ist ein Fehler aufgetreten.', 'error');
   }
-  const sourceLabel = data.source === 'mistral' ? 'Mistral OCR' : 'PDF.js';
-  setStatus(`Extrahiert ${data.pageCount} Seiten (${sourceLabel})`, 'success');
 };
 
 const uploadPdf = async () => {
   if (!fileInput.files.length) {
-    setStatus('Bitte wähle eine PDF-Datei aus.', 'error');
+    setStatus('Bitte wähle eine PDF- oder Bilddatei aus.', 'error');
+    return;
+  }
+  const engine = getSelectedEngine();
+  const provider = getSelectedProvider();
+  if (engineNeedsApiKey() && !ensureApiKey()) return;
+
+  if (fileInput.files.length > 1) {
+    await uploadBatch([...fileInput.files], { engine, provider });
     return;
   }
-  const apiKey = ensureApiKey();
-  if (!apiKey) return;
+  if (batchPanel) batchPanel.hidden = true;
+  currentBatch = null;
 
   const formData = new FormData();
+  formData.append('engine', engine);
+  formData.append('provider', provider);
   formData.append('pdf', fileInput.files[0]);
+  sourceFile = fileInput.files[0];
   setStatus('Extrahiere Text...');
-  startLoadingFeedback();
 
   try {
-    const response = await fetch('/api/extract', {
+    const response = await fetch('/api/jobs', {
       method: 'POST',
-      headers: {
-        'x-mistral-api-key': apiKey,
-      },
+      headers: apiKeyHeaders(),
       body: formData,
     });
-    await handleResult(response);
-    stopLoadingFeedback();
+    if (!response.ok) {
+      const payload = await response.json().catch(() => ({}));
+      throw new Error(payload.error || 'PDF konnte nicht entziffert werden.');
+    }
+    const job = await response.json();
+    await followJob(job.id);
   } catch (error) {
     setStatus(error.message || 'Beim Extrahieren ist ein Fehler aufgetreten.', 'error');
     renderPreview([]);
     textOutput.value = '';
-    stopLoadingFeedback();
   }
 };
 
-const exportWord = async () => {
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+const fileNameFromResponse = (response, fallback) => {
+  const disposition = response.headers.get('Content-Disposition') || '';
+  const match = disposition.match(/filename="?([^";]+)"?/i);
+  return match ? match[1] : fallback;
+};
+
+const exportDocument = async ({ endpoint, label, fallbackName }) => {
   if (!lastResult?.pages?.length && !lastResult?.html) {
     setStatus('Bitte zuerst eine PDF extrahieren.', 'error');
     return;
   }
-  const apiKey = ensureApiKey();
-  if (!apiKey) return;
+  const disableDescriptions = toggleImageDesc?.checked || false;
+  const needsVision =
+    !disableDescriptions &&
+    lastResult.pages.some((page) =>
+      (page.images || []).some(
+        (img) => img.base64 && !img._removed && !(img._replaceWithDescription && img._description)
+      )
+    );
+  if (needsVision && !ensureApiKey()) return;
 
   const payloadPages = lastResult.pages.map((page) => ({
     ...page,
@@ -360,33 +2025,124 @@ const exportWord = async () => {
   }));
 
   try {
-    setStatus('Exportiere Word...', 'neutral');
-    const response = await fetch('/api/export-docx', {
+    setStatus(`Exportiere ${label}...`, 'neutral');
+    const response = await fetch(endpoint, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'x-mistral-api-key': apiKey,
+        ...apiKeyHeaders(),
       },
       body: JSON.stringify({
         pages: payloadPages,
         html: lastResult.html,
-        disableDescriptions: toggleImageDesc?.checked || false,
+        disableDescriptions,
+        dropFurniture: shouldDropFurniture(),
+        layoutMode: getLayoutMode(),
+      }),
+    });
+    if (!response.ok) {
+      const payload = await response.json().catch(() => ({}));
+      throw new Error(payload.error || 'Export fehlgeschlagen.');
+    }
+    const blob = await response.blob();
+    downloadBlob(blob, fileNameFromResponse(response, fallbackName));
+    setStatus(`${label}-Export erstellt.`, 'success');
+    loadUsage();
+  } catch (error) {
+    setStatus(error.message || 'Beim Export ist ein Fehler aufgetreten.', 'error');
+  }
+};
+
+// Only the table models go to the server; `tables` picks single ones by page and preview number.
+const exportTables = async ({ format, tables = null }) => {
+  const pages = (lastResult?.pages || []).map((page) => ({ number: page.number, tables: page.tables || [] }));
+  if (!pages.some((page) => page.tables.length)) {
+    setStatus('Dieses Ergebnis enthält keine Tabellen.', 'error');
+    return;
+  }
+  const label = format === 'xlsx' ? 'Excel' : 'CSV';
+  try {
+    setStatus(`Exportiere Tabellen als ${label}...`, 'neutral');
+    const response = await fetch('/api/export-tables', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ pages, format, tables }),
+    });
+    if (!response.ok) {
+      const payload = await response.json().catch(() => ({}));
+      throw new Error(payload.error || 'Export fehlgeschlagen.');
+    }
+    const fallbackName = format === 'xlsx' ? 'tabellen.xlsx' : 'tabellen.zip';
+    downloadBlob(await response.blob(), fileNameFromResponse(response, fallbackName));
+    setStatus(`${label}-Export der Tabellen erstellt.`, 'success');
+  } catch (error) {
+    setStatus(error.message || 'Beim Export ist ein Fehler aufgetreten.', 'error');
+  }
+};
+
+// The JSON document keeps every page as edited; removed images are left out by the server.
+const exportJson = async () => {
+  if (!lastResult?.pages?.length) {
+    setStatus('Bitte zuerst eine PDF extrahieren.', 'error');
+    return;
+  }
+  try {
+    setStatus('Exportiere JSON...', 'neutral');
+    const response = await fetch('/api/export-json', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        pages: lastResult.pages,
+        fileName: sourceFile?.name || null,
+        source: lastResult.source,
+        pageCount: lastResult.pageCount,
+        ocrPages: lastResult.ocrPages || [],
+        cached: Boolean(lastResult.cached),
       }),
     });
     if (!response.ok) {
       const payload = await response.json().catch(() => ({}));
       throw new Error(payload.error || 'Export fehlgeschlagen.');
     }
+    downloadBlob(await response.blob(), fileNameFromResponse(response, 'export.json'));
+    setStatus('JSON-Export erstellt.', 'success');
+  } catch (error) {
+    setStatus(error.message || 'Beim Export ist ein Fehler aufgetreten.', 'error');
+  }
+};
+
+const exportWord = () =>
+  exportDocument({ endpoint: '/api/export-docx', label: 'Word', fallbackName: 'export.docx' });
+
+const exportMarkdown = () =>
+  exportDocument({ endpoint: '/api/export-markdown', label: 'Markdown', fallbackName: 'export.md' });
+
+const exportSearchablePdf = async () => {
+  if (!lastResult?.pages?.length) {
+    setStatus('Bitte zuerst eine PDF extrahieren.', 'error');
+    return;
+  }
+  if (!sourceFile) {
+    setStatus('Für das durchsuchbare PDF bitte die Originaldatei erneut extrahieren.', 'error');
+    return;
+  }
+
+  // Only the text and its geometry are needed for the text layer.
+  const payloadPages = lastResult.pages.map(({ images, ...page }) => page);
+  const formData = new FormData();
+  formData.append('pdf', sourceFile);
+  formData.append('pages', JSON.stringify(payloadPages));
+
+  try {
+    setStatus('Exportiere durchsuchbares PDF...', 'neutral');
+    const response = await fetch('/api/export-pdf', { method: 'POST', body: formData });
+    if (!response.ok) {
+      const payload = await response.json().catch(() => ({}));
+      throw new Error(payload.error || 'Export fehlgeschlagen.');
+    }
     const blob = await response.blob();
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'export.doc';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-    setStatus('Word-Export erstellt.', 'success');
+    downloadBlob(blob, fileNameFromResponse(response, 'export.pdf'));
+    setStatus('PDF-Export erstellt.', 'success');
   } catch (error) {
     setStatus(error.message || 'Beim Export ist ein Fehler aufgetreten.', 'error');
   }
@@ -400,7 +2156,7 @@ uploadForm.addEventListener('submit', (event) => {
 ['dragenter', 'dragover'].forEach((eventType) => {
   dropArea.addEventListener(eventType, (event) => {
     event.preventDefault();
-    if (!hasSavedApiKey()) return;
+    if (!canConvert()) return;
     dropArea.classList.add('is-active');
   });
 });
@@ -411,21 +2167,29 @@ uploadForm.addEventListener('submit', (event) => {
     dropArea.classList.remove('is-active');
 
     if (eventType === 'drop' && event.dataTransfer?.files?.length) {
-      if (!hasSavedApiKey()) {
-        setStatus('Bitte zuerst deinen API-Key speichern.', 'error');
-        apiKeyInput?.focus();
+      if (!canConvert()) {
+        ensureApiKey();
         return;
       }
-      const [file] = event.dataTransfer.files;
-      if (file.type !== 'application/pdf') {
-        setStatus('Bitte nur PDF-Dateien ablegen.', 'error');
+      const dropped = [...event.dataTransfer.files];
+      const accepted = dropped.filter(isSupportedFile);
+      if (!accepted.length) {
+        setStatus('Bitte nur PDF- oder Bilddateien (PNG, JPEG, TIFF) ablegen.', 'error');
         return;
       }
 
       const dataTransfer = new DataTransfer();
-      dataTransfer.items.add(file);
+      accepted.forEach((file) => dataTransfer.items.add(file));
       fileInput.files = dataTransfer.files;
-      uploadPdf();
+      uploadPdf().then(() => {
+        const skipped = dropped.length - accepted.length;
+        if (skipped) {
+          setStatus(
+            `${skipped} Datei(en) übersprungen: nur PDF- und Bilddateien werden verarbeitet.`,
+            'error'
+          );
+        }
+      });
     }
   });
 });
@@ -459,6 +2223,226 @@ copyTextBtn.addEventListener('click', async () => {
 });
 
 exportWordBtn.addEventListener('click', exportWord);
+exportMarkdownBtn.addEventListener('click', exportMarkdown);
+exportPdfBtn.addEventListener('click', exportSearchablePdf);
+exportTablesCsvBtn.addEventListener('click', () => exportTables({ format: 'csv' }));
+exportTablesXlsxBtn.addEventListener('click', () => exportTables({ format: 'xlsx' }));
+exportJsonBtn.addEventListener('click', exportJson);
+
+if (batchDownloadBtn) {
+  batchDownloadBtn.addEventListener('click', downloadBatchZip);
+}
+
+if (toggleFurniture) {
+  toggleFurniture.addEventListener('change', () => {
+    previewEl.classList.toggle('hide-furniture', toggleFurniture.checked);
+    renderCurrentResult();
+  });
+}
+
+if (layoutModeSelect) {
+  layoutModeSelect.addEventListener('change', () => {
+    persistLayoutMode(getLayoutMode());
+    renderCurrentResult();
+  });
+}
+
+const setHistoryOpen = (open) => {
+  if (!historyPanel) return;
+  historyPanel.hidden = !open;
+  historyToggle?.setAttribute('aria-expanded', String(open));
+  if (open) renderHistory();
+};
+
+historyToggle?.addEventListener('click', () => setHistoryOpen(historyPanel?.hidden));
+historyClose?.addEventListener('click', () => setHistoryOpen(false));
+
+if (toggleEdit) {
+  toggleEdit.addEventListener('change', () => {
+    if (editToolbar) editToolbar.hidden = !toggleEdit.checked;
+    previewEl.classList.toggle('is-editing', toggleEdit.checked);
+    renderCurrentResult();
+  });
+}
+
+if (editToolbar) {
+  editToolbar.querySelectorAll('[data-format]').forEach((button) => {
+    // mousedown would move the focus out of the line and lose the selection.
+    button.addEventListener('mousedown', (event) => event.preventDefault());
+    button.addEventListener('click', () => toggleSegmentFormat(button.dataset.format));
+  });
+}
+
+undoBtn?.addEventListener('click', undoEdit);
+redoBtn?.addEventListener('click', redoEdit);
+
+previewEl.addEventListener('keydown', (event) => {
+  if (!isEditing() || !(event.ctrlKey || event.metaKey)) return;
+  const key = event.key.toLowerCase();
+  if (key === 'z' || key === 'y') {
+    event.preventDefault();
+    if (key === 'y' || event.shiftKey) {
+      redoEdit();
+    } else {
+      undoEdit();
+    }
+    return;
+  }
+  const shortcuts = { b: 'bold', i: 'italic', u: 'underline' };
+  if (shortcuts[key]) {
+    event.preventDefault();
+    toggleSegmentFormat(shortcuts[key]);
+  }
+});
+
+if (cancelJobBtn) {
+  cancelJobBtn.addEventListener('click', cancelJob);
+}
+
+if (engineSelect) {
+  engineSelect.addEventListener('change', () => {
+    persistEngine(getSelectedEngine());
+  });
+}
+
+if (providerSelect) {
+  providerSelect.addEventListener('change', () => {
+    persistProvider(getSelectedProvider());
+  });
+}
+
+if (loginForm) {
+  loginForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const data = new FormData(loginForm);
+    try {
+      applySession(
+        await sendJson('/api/auth/login', 'POST', {
+          username: data.get('username'),
+          password: data.get('password'),
+        })
+      );
+      loginForm.reset();
+      setStatus(`Angemeldet als ${serverSession.user.username}.`, 'success');
+    } catch (error) {
+      setStatus(error.message, 'error');
+    }
+  });
+}
+
+if (logoutBtn) {
+  logoutBtn.addEventListener('click', async () => {
+    await sendJson('/api/auth/logout', 'POST').catch(() => {});
+    await loadSession();
+    setStatus('Abgemeldet.', 'neutral');
+  });
+}
+
+// The key moves from the browser to the server, where it is stored encrypted for this account.
+if (storeApiKeyBtn) {
+  storeApiKeyBtn.addEventListener('click', async () => {
+    const key = apiKeyInput?.value?.trim() || getStoredApiKey();
+    if (!key) {
+      setStatus('Bitte einen API-Key eingeben.', 'error');
+      return;
+    }
+    try {
+      applySession(await sendJson('/api/account/api-key', 'PUT', { apiKey: key }));
+      try {
+        localStorage.removeItem(API_KEY_STORAGE_KEY);
+      } catch (err) {
+        // ignore storage errors
+      }
+      if (apiKeyInput) apiKeyInput.value = '';
+      updateConvertAccess();
+      setStatus('API-Key verschlüsselt auf dem Server gespeichert.', 'success');
+    } catch (error) {
+      setStatus(error.message, 'error');
+    }
+  });
+}
+
+if (removeApiKeyBtn) {
+  removeApiKeyBtn.addEventListener('click', async () => {
+    try {
+      applySession(await sendJson('/api/account/api-key', 'DELETE'));
+      setStatus('Gespeicherten API-Key entfernt.', 'success');
+    } catch (error) {
+      setStatus(error.message, 'error');
+    }
+  });
+}
+
+if (adminCreate) {
+  adminCreate.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const data = new FormData(adminCreate);
+    const quota = String(data.get('quota') || '');
+    try {
+      await sendJson('/api/admin/users', 'POST', {
+        username: data.get('username'),
+        password: data.get('password'),
+        role: data.get('role'),
+        quota: { ocrPagesPerMonth: quota === '' ? null : Number(quota) },
+      });
+      adminCreate.reset();
+      setStatus('Benutzer angelegt.', 'success');
+    } catch (error) {
+      setStatus(error.message, 'error');
+    }
+    loadSession();
+  });
+}
+
+if (usageRefreshBtn) {
+  usageRefreshBtn.addEventListener('click', loadUsage);
+}
+
+if (templatesPanel) {
+  templatesPanel.addEventListener('toggle', () => {
+    if (templatesPanel.open) loadTemplates();
+  });
+  templateSelect.addEventListener('change', () => {
+    if (regionPick) stopRegionPick();
+    showTemplate(fieldTemplates.find((template) => template.id === templateSelect.value) || null);
+  });
+  templateNameInput.addEventListener('input', () => {
+    templateDraft.name = templateNameInput.value;
+  });
+  templateAddFieldBtn.addEventListener('click', () => {
+    templateDraft.fields.push(emptyField());
+    renderTemplateFields();
+  });
+  templateForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    saveTemplate();
+  });
+  templateDeleteBtn.addEventListener('click', deleteTemplate);
+  templateApplyBtn.addEventListener('click', applyFieldTemplate);
+  templateExportCsvBtn.addEventListener('click', () => exportFields('csv'));
+  templateExportJsonBtn.addEventListener('click', () => exportFields('json'));
+}
+
+// While a region is picked, clicks in the preview pick lines instead of editing them.
+previewEl.addEventListener('click', (event) => {
+  if (!regionPick) return;
+  const lineEl = event.target.closest('.line');
+  const model = lineEl && lineModels.get(lineEl);
+  if (!model) return;
+  event.preventDefault();
+  if (regionPick.lines.has(model.line)) {
+    regionPick.lines.delete(model.line);
+  } else {
+    regionPick.lines.set(model.line, model.page);
+  }
+  lineEl.classList.toggle('is-picked', regionPick.lines.has(model.line));
+});
+
+if (usagePanel) {
+  usagePanel.addEventListener('toggle', () => {
+    if (usagePanel.open) loadUsage();
+  });
+}
 
 if (saveApiKeyBtn) {
   saveApiKeyBtn.addEventListener('click', () => {
@@ -469,15 +2453,61 @@ if (saveApiKeyBtn) {
     }
     persistApiKey(key);
     setStatus('API-Key gespeichert. Jetzt kannst du extrahieren.', 'success');
+    loadUsage();
   });
 }
 
-(() => {
-  updateConvertAccess();
+const showReadyHint = () => {
+  if (needsLogin()) {
+    setStatus('Bitte melde dich an, um zu extrahieren.', 'neutral');
+    return;
+  }
   const stored = getStoredApiKey();
   if (stored) {
-    setStatus('API-Key aus dem Browser geladen. Bereit für deine PDF.', 'success');
+    setStatus('API-Key aus dem Browser geladen. Bereit für deine PDF oder dein Bild.', 'success');
+    return;
+  }
+  if (serverSession.serverKey) {
+    setStatus('Der Server stellt den API-Key bereit. Bereit für deine PDF oder dein Bild.', 'success');
+    return;
+  }
+  if (!engineNeedsApiKey()) {
+    let hint = 'Textseiten werden lokal gelesen. Für Scans bitte API-Key speichern.';
+    if (getSelectedEngine() === 'pdfjs') {
+      hint = 'Lokale PDF.js-Extraktion aktiv. Kein API-Key nötig.';
+    } else if (KEY_FREE_PROVIDERS.includes(getSelectedProvider())) {
+      hint = 'OCR läuft lokal mit Tesseract. Kein API-Key nötig.';
+    }
+    setStatus(hint, 'neutral');
     return;
   }
   setStatus('Bitte zuerst deinen API-Key speichern, um zu konvertieren.', 'neutral');
+};
+
+(() => {
+  restoreEngine();
+  restoreProvider();
+  restoreLayoutMode();
+  updateConvertAccess();
+  loadProviders();
+  const sessionLoaded = loadSession();
+  const pendingBatch = getStoredBatchId();
+  if (pendingBatch) {
+    setStatus('Setze laufenden Stapel fort...');
+    followBatch(pendingBatch);
+    return;
+  }
+  const pendingJob = getStoredJobId();
+  if (pendingJob) {
+    setStatus('Setze laufende Extraktion fort...');
+    followJob(pendingJob);
+    return;
+  }
+  const shownHistoryId = getStoredHistoryId();
+  if (shownHistoryId) {
+    openHistoryEntry(shownHistoryId, { quiet: true }).then((opened) => {
+      if (opened) setStatus('Letzte Extraktion aus dem Verlauf wiederhergestellt.', 'success');
+    });
+  }
+  sessionLoaded.then(showReadyHint);
 })();
@@ -1,9 +1,37 @@
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const express = require('express');
 const multer = require('multer');
 const { readFile } = fs.promises;
-const { marked } = require('marked');
+const JSZip = require('jszip');
+const { DOCX_MIME_TYPE, buildDocx } = require('./lib/docx');
+const { buildDocumentJson, documentSchema, validateDocumentJson } = require('./lib/document-json');
+const { buildMarkdown } = require('./lib/markdown');
+const { buildSearchablePdf } = require('./lib/searchable-pdf');
+const { XLSX_MIME_TYPE, buildTableCsv, buildTablesXlsx, collectTables } = require('./lib/tables');
+const { detectUploadType, isAcceptedUpload } = require('./lib/uploads');
+const { buildPlainText } = require('./lib/normalize');
+const {
+  applyExportView,
+  billableOcrPages,
+  buildParagraphs,
+  collectImageDescriptions,
+  createHttpError,
+  describeImageWithVision,
+  needsImageDescriptions,
+  normalizeEngine,
+  runExtraction,
+} = require('./lib/extract');
+const { listOcrProviders, normalizeOcrProvider } = require('./lib/ocr-providers');
+const { createAccountStore } = require('./lib/accounts');
+const { applyTemplate, buildFieldsCsv } = require('./lib/field-extraction');
+const { createHttpClient } = require('./lib/http-client');
+const { createJobQueue } = require('./lib/jobs');
+const { createResultCacheFromEnv } = require('./lib/result-cache');
+const { createLoginThrottle, createSessionStore, parseCookies } = require('./lib/sessions');
+const { createTemplateStoreFromEnv } = require('./lib/templates');
+const { createUsageMeterFromEnv, keySubject } = require('./lib/usage-meter');
 
 const app = express();
 const uploadDir = path.join(__dirname, 'uploads');
@@ -25,989 +53,988 @@ const upload = multer({
   storage,
   limits: {
     fileSize: 50 * 1024 * 1024,
+    // The searchable PDF export sends the page model as a form field next to the file.
+    fieldSize: 25 * 1024 * 1024,
   },
   fileFilter(req, file, cb) {
-    if (file.mimetype !== 'application/pdf') {
-      cb(new Error('Nur PDF-Dateien erlaubt.'));
+    if (!isAcceptedUpload(file)) {
+      cb(new Error('Nur PDF- und Bilddateien (PNG, JPEG, TIFF) erlaubt.'));
       return;
     }
     cb(null, true);
   },
 });
 
-const MISTRAL_OCR_API_URL = process.env.MISTRAL_OCR_API_URL || 'https://api.mistral.ai/v1/ocr';
-const MISTRAL_CHAT_API_URL =
-  process.env.MISTRAL_CHAT_API_URL || 'https://api.mistral.ai/v1/chat/completions';
-const MISTRAL_VISION_MODEL = process.env.MISTRAL_VISION_MODEL || 'pixtral-large-latest';
 const MISTRAL_USAGE_API_URL = process.env.MISTRAL_USAGE_API_URL || '';
-const defaultSegmentStyle = {
-  fontSize: '16px',
-  fontWeight: 400,
-  fontStyle: 'normal',
-  fontFamily: 'Inter, sans-serif',
-  letterSpacing: '0.15px',
-  textDecoration: 'none',
+const usageClient = createHttpClient({ label: 'Mistral Usage' });
+const extractionJobs = createJobQueue({
+  concurrency: Number(process.env.EXTRACT_JOB_CONCURRENCY) || 2,
+});
+const maxBatchFiles = Number(process.env.MAX_BATCH_FILES) || 50;
+const batchRetentionMs = 60 * 60 * 1000;
+const batchExportFormats = ['docx', 'md', 'txt'];
+const tableExportFormats = ['csv', 'xlsx'];
+const fieldExportFormats = ['csv', 'json'];
+const extractionBatches = new Map();
+const resultCache = createResultCacheFromEnv();
+const usageMeter = createUsageMeterFromEnv();
+const templates = createTemplateStoreFromEnv();
+
+// Optional server-side credentials: an org key for everybody and/or local user accounts.
+const ORG_API_KEY = process.env.ORG_MISTRAL_API_KEY || '';
+const SESSION_COOKIE = 'te_session';
+const accounts =
+  process.env.ACCOUNTS_ENABLED === 'true'
+    ? createAccountStore({
+        file: process.env.ACCOUNTS_FILE || path.join(__dirname, 'data', 'accounts.json'),
+        secret: process.env.KEY_ENCRYPTION_SECRET || null,
+        bootstrapAdmin: { username: process.env.ADMIN_USERNAME, password: process.env.ADMIN_PASSWORD },
+      })
+    : null;
+const sessions = createSessionStore({
+  ttlMs: (Number(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000,
+});
+// Several users can share one address (NAT, proxies), so an IP gets more attempts than a name.
+const loginThrottles = {
+  user: createLoginThrottle({ freeAttempts: Number(process.env.LOGIN_FREE_ATTEMPTS) || 5 }),
+  ip: createLoginThrottle({ freeAttempts: (Number(process.env.LOGIN_FREE_ATTEMPTS) || 5) * 4 }),
 };
-const fallbackFontSize = 16;
-const mistralEnabled = Boolean(MISTRAL_OCR_API_URL);
-const markdownRenderer = new marked.Renderer();
-
-const normalizeAlignment = (value) => {
-  if (!value) return null;
-  const raw = String(value).trim().toLowerCase();
-  if (['left', 'start', 'l', 'align_left'].includes(raw)) return 'left';
-  if (['right', 'end', 'r', 'align_right'].includes(raw)) return 'right';
-  if (['center', 'centre', 'middle', 'c', 'align_center'].includes(raw)) return 'center';
-  if (['justify', 'justified', 'full', 'distributed', 'block'].includes(raw)) return 'justify';
-  return null;
+// Reachable without login, so the frontend can find out how to sign in.
+const publicApiPaths = ['/health', '/providers', '/auth/session', '/auth/login', '/auth/logout'];
+
+// The key the server itself provides for a user: the stored own key first, then the org key.
+const serverApiKey = async (user) => {
+  const userKey = user ? await accounts.getApiKey(user.id) : null;
+  if (userKey) return { apiKey: userKey, source: 'user' };
+  if (ORG_API_KEY) return { apiKey: ORG_API_KEY, source: 'org' };
+  return { apiKey: null, source: null };
 };
 
-const normalizeTextDecoration = (segment = {}) => {
-  const rawDecoration =
-    segment.textDecoration ||
-    segment.text_decoration ||
-    segment.textDecorationLine ||
-    segment.text_decoration_line ||
-    segment.decoration ||
-    segment.style?.textDecoration ||
-    segment.style?.text_decoration;
-
-  const textDecorStr = typeof rawDecoration === 'string' ? rawDecoration.toLowerCase() : '';
-  const fromString = [];
-  if (textDecorStr.includes('underline')) fromString.push('underline');
-  if (textDecorStr.includes('line-through') || textDecorStr.includes('strikethrough')) {
-    fromString.push('line-through');
-  }
-
-  const hasUnderline = Boolean(
-    segment.underline ||
-      segment.isUnderline ||
-      segment.underlined ||
-      fromString.includes('underline')
-  );
-  const hasStrike = Boolean(
-    segment.strikethrough ||
-      segment.strike ||
-      segment.isStrike ||
-      segment.isStrikethrough ||
-      fromString.includes('line-through')
-  );
+/**
+ * Picks the Mistral key for a request. A key sent along by the browser wins over
+ * the server's keys; `source` (`header`, `user`, `org`) tells which one was used,
+ * since quotas only limit what users spend from the org key.
+ */
+const resolveApiKey = async (req) => {
+  const headerKey = req.headers['x-mistral-api-key'];
+  if (typeof headerKey === 'string' && headerKey.trim()) {
+    return { apiKey: headerKey.trim(), source: 'header' };
+  }
+  return serverApiKey(req.user);
+};
+
+const getApiKey = async (req) => (await resolveApiKey(req)).apiKey;
 
-  if (hasUnderline && hasStrike) return 'underline line-through';
-  if (hasUnderline) return 'underline';
-  if (hasStrike) return 'line-through';
-  return 'none';
+// Usage is metered per user when logged in, otherwise per API key.
+const usageSubject = (user, apiKey) => {
+  if (user) return { subject: `user:${user.id}`, label: user.username };
+  return apiKey ? keySubject(apiKey) : null;
 };
 
-marked.setOptions({
-  breaks: true,
-  gfm: true,
-  renderer: markdownRenderer,
-});
+const budgetError = ({ period, limit, cost, currency }) =>
+  Object.assign(
+    createHttpError(
+      429,
+      `Das ${period === 'daily' ? 'Tagesbudget' : 'Monatsbudget'} von ${limit.toFixed(2)} ${currency} ` +
+        `ist aufgebraucht (geschätzt ${cost.toFixed(2)} ${currency}).`
+    ),
+    { code: 'budget_exceeded' }
+  );
 
-const toPixelString = (value, fallback = fallbackFontSize) => {
-  if (typeof value === 'number') {
-    return `${value}px`;
-  }
-  if (typeof value === 'string') {
-    const trimmed = value.trim();
-    if (trimmed.endsWith('px')) {
-      return trimmed;
-    }
-    if (/^\d+(\.\d+)?$/.test(trimmed)) {
-      return `${trimmed}px`;
-    }
-    return trimmed;
+/**
+ * Withholds `key` once a limit is reached. Monthly quotas cap the OCR pages a user
+ * sends through the org key, usage budgets the estimated cost per user or key (the
+ * document that crosses a limit still finishes). Text-layer and local OCR runs keep
+ * working without the key; only runs that need it fail with `blocked`.
+ */
+const limitKey = async (user, key) => {
+  let blocked = null;
+  if (user && key.source === 'org' && (await accounts.remainingOcrPages(user.id)) === 0) {
+    blocked = Object.assign(createHttpError(429, 'Dein OCR-Kontingent für diesen Monat ist aufgebraucht.'), {
+      code: 'quota_exceeded',
+    });
+  } else if (key.apiKey && key.meter) {
+    const budget = await usageMeter.exceededBudget(key.meter.subject);
+    blocked = budget ? budgetError(budget) : null;
   }
-  return `${fallback}px`;
+  return { ...key, apiKey: blocked ? null : key.apiKey, blocked };
 };
 
-const buildSimpleSegment = (text, styleOverrides = {}) => ({
-  text,
-  style: { ...defaultSegmentStyle, ...styleOverrides },
-  meta: {},
-});
+// Resolves the key for an extraction and checks its limits.
+const extractionKey = async (req) => {
+  const { apiKey, source } = await resolveApiKey(req);
+  return limitKey(req.user, { apiKey, source, meter: usageSubject(req.user, apiKey) });
+};
 
-const parseMarkdownToSegments = (text) => {
-  if (!text) return [];
-  
-  // Regex for bold (** or __), italic (* or _), and underline (<u>...</u>)
-  // This is a simplified parser and might not handle nested tags perfectly in all edge cases,
-  // but covers the 99% use case for OCR output.
-  // We split by tags and keep delimiters to identify them.
-  
-  const segments = [];
-  let currentStyle = {
-    fontWeight: defaultSegmentStyle.fontWeight,
-    fontStyle: defaultSegmentStyle.fontStyle,
-    textDecoration: defaultSegmentStyle.textDecoration,
-  };
+// A missing key is the pipeline's only 400; with a withheld key it means a limit is reached.
+const explainMissingKey = (error, key) => (key.blocked && error?.status === 400 ? key.blocked : error);
 
-  // Strategy: Scan string and process tokens. 
-  // Because regex split is tricky with overlapping, we'll use a tokenizing loop.
-  // Supported: **bold**, __bold__, *italic*, _italic_, <u>underline</u>
-  
-  let remaining = text;
-  
-  while (remaining.length > 0) {
-    // Find earliest special token
-    const bold1 = remaining.indexOf('**');
-    const bold2 = remaining.indexOf('__');
-    const italic1 = remaining.indexOf('*');
-    const italic2 = remaining.indexOf('_');
-    const underlineStart = remaining.indexOf('<u>');
-    const underlineEnd = remaining.indexOf('</u>');
-
-    // Filter out -1 and find min
-    const indices = [bold1, bold2, italic1, italic2, underlineStart, underlineEnd]
-      .filter(i => i !== -1)
-      .sort((a, b) => a - b);
-
-    if (indices.length === 0) {
-      // No more tokens
-      segments.push(buildSimpleSegment(remaining, currentStyle));
-      break;
-    }
+const recordExtractionUsage = async (user, key, result) => {
+  const pages = billableOcrPages(result);
+  if (!pages) return;
+  await Promise.all([
+    user && key.source === 'org' ? accounts.recordOcrPages(user.id, pages) : null,
+    key.meter ? usageMeter.record(key.meter, { ocrPages: pages }) : null,
+  ]).catch((error) => console.error('Nutzung nicht gespeichert:', error?.message || error));
+};
 
-    const nextIndex = indices[0];
-    
-    // Push text before token
-    if (nextIndex > 0) {
-      segments.push(buildSimpleSegment(remaining.substring(0, nextIndex), currentStyle));
-    }
+// The `onUsage` callback for vision calls made with `apiKey` on behalf of `req`.
+const meterVision = (req, apiKey) => {
+  const meter = usageSubject(req.user, apiKey);
+  return (usage) => {
+    if (!meter) return;
+    usageMeter
+      .record(meter, usage)
+      .catch((error) => console.error('Nutzung nicht gespeichert:', error?.message || error));
+  };
+};
 
-    // Process token
-    if (nextIndex === bold1) {
-      // Toggle bold
-      const isBold = currentStyle.fontWeight === 600;
-      currentStyle = { ...currentStyle, fontWeight: isBold ? 400 : 600 };
-      remaining = remaining.substring(nextIndex + 2);
-    } else if (nextIndex === bold2) {
-      const isBold = currentStyle.fontWeight === 600;
-      currentStyle = { ...currentStyle, fontWeight: isBold ? 400 : 600 };
-      remaining = remaining.substring(nextIndex + 2);
-    } else if (nextIndex === italic1) {
-      // Toggle italic (check if it's not part of **)
-      // If we hit * and it's actually part of **, bold1 would have been min index? 
-      // Wait, if string is "**text**", bold1 is 0, italic1 is 0. 
-      // We need to prioritize longer tokens.
-      
-      // Refined check:
-      if (remaining.startsWith('**')) {
-        const isBold = currentStyle.fontWeight === 600;
-        currentStyle = { ...currentStyle, fontWeight: isBold ? 400 : 600 };
-        remaining = remaining.substring(2);
-      } else {
-        const isItalic = currentStyle.fontStyle === 'italic';
-        currentStyle = { ...currentStyle, fontStyle: isItalic ? 'normal' : 'italic' };
-        remaining = remaining.substring(1);
-      }
-    } else if (nextIndex === italic2) {
-      if (remaining.startsWith('__')) {
-        const isBold = currentStyle.fontWeight === 600;
-        currentStyle = { ...currentStyle, fontWeight: isBold ? 400 : 600 };
-        remaining = remaining.substring(2);
-      } else {
-        const isItalic = currentStyle.fontStyle === 'italic';
-        currentStyle = { ...currentStyle, fontStyle: isItalic ? 'normal' : 'italic' };
-        remaining = remaining.substring(1);
-      }
-    } else if (nextIndex === underlineStart) {
-       currentStyle = { ...currentStyle, textDecoration: 'underline' };
-       remaining = remaining.substring(3);
-    } else if (nextIndex === underlineEnd) {
-       currentStyle = { ...currentStyle, textDecoration: 'none' }; // Or restore previous? Simplified to none for now or 'default'
-       // Better: if we have complex nesting, we might need a stack. 
-       // But for simple OCR output, toggling off is usually safe.
-       // Let's assume plain text default is none.
-       remaining = remaining.substring(4);
-    } else {
-      // Should not happen
-      remaining = remaining.substring(1);
-    }
+// Without accounts everything is shared; otherwise jobs and batches belong to their creator.
+const canAccess = (req, ownerId) => !accounts || req.user?.role === 'admin' || req.user?.id === ownerId;
+
+/**
+ * Answers with the error of a failed request. Pipeline and upstream errors carry the
+ * `status` to use; failed Mistral calls also a `code` such as `rate_limited` or
+ * `circuit_open`, upstream details and, when known, when to try again.
+ */
+const sendError = (res, error, fallbackStatus, fallbackMessage) => {
+  if (error?.retryAfterMs) {
+    res.setHeader('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
   }
-  
-  return segments.filter(s => s.text);
+  res.status(error?.status || fallbackStatus).json({
+    error: error?.message || fallbackMessage,
+    ...(error?.status && error?.code ? { code: error.code } : {}),
+    ...(error?.status && error?.details ? { details: error.details } : {}),
+  });
 };
 
-const escapeHtml = (value) =>
-  String(value || '')
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;');
-
-const normalizeTable = (tableData, index = 0) => {
-  if (!tableData) return null;
-  const rows =
-    tableData.rows ||
-    tableData.data ||
-    tableData.cells ||
-    tableData.content ||
-    tableData.table ||
-    [];
-
-  if (!Array.isArray(rows) || !rows.length) {
-    return null;
-  }
+app.use(express.static(path.join(__dirname, 'public')));
 
-  // Attempt to find geometry for positioning
-  // Mistral often returns 'geometry' with 'bounding_box' or 'top_left'
-  let yPos = 0;
-  let bbox = null;
-
-  if (tableData.geometry?.bounding_box) {
-    // [x_min, y_min, x_max, y_max] usually
-    bbox = tableData.geometry.bounding_box;
-    yPos = bbox[1] || 0;
-  } else if (tableData.geometry?.top_left) {
-    yPos = tableData.geometry.top_left.y || 0;
-  } else if (typeof tableData.y === 'number') {
-    yPos = tableData.y;
-  } else if (typeof tableData.top_left_y === 'number') {
-    yPos = tableData.top_left_y;
-  }
-
-  const normalizedRows = rows
-    .map((row) => {
-      if (Array.isArray(row)) return row;
-      if (Array.isArray(row?.cells)) return row.cells;
-      return null;
-    })
-    .filter(Boolean);
-
-  if (!normalizedRows.length) {
-    return null;
+const setSessionCookie = (req, res, token, maxAgeMs) => {
+  const secure = req.secure ? '; Secure' : '';
+  res.setHeader(
+    'Set-Cookie',
+    `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${Math.floor(maxAgeMs / 1000)}${secure}`
+  );
+};
+
+// With accounts, every API route except the public ones needs a session; `req.user` is the public view.
+app.use('/api', async (req, res, next) => {
+  if (!accounts) return next();
+  const userId = sessions.get(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+  const user = userId ? await accounts.get(userId) : null;
+  req.user = user && !user.disabled ? user : null;
+  if (!req.user && !publicApiPaths.includes(req.path)) {
+    return res.status(401).json({ error: 'Bitte zuerst anmelden.', code: 'login_required' });
   }
+  next();
+});
 
-  const buildCellText = (cell) => {
-    if (cell == null) return '';
-    if (typeof cell === 'string') return String(cell);
-    const raw = cell.text || cell.content || cell.value || cell.plain_text || '';
-    return String(raw);
-  };
+const requireAdmin = (req, res, next) => {
+  if (accounts && req.user?.role !== 'admin') {
+    return res.status(403).json({ error: 'Nur für Admins.', code: 'forbidden' });
+  }
+  next();
+};
 
-  const buildCellHtml = (cell) => escapeHtml(buildCellText(cell));
-
-  const htmlRows = normalizedRows
-    .map((row) => {
-      const cells = row
-        .map((cell) => {
-          if (cell == null) return '<td></td>';
-          const colspan = cell.colspan || cell.col_span || cell.span_cols;
-          const rowspan = cell.rowspan || cell.row_span || cell.span_rows;
-          const tag = cell.header || cell.is_header || cell.th ? 'th' : 'td';
-          const attrs = [];
-          if (colspan && Number(colspan) > 1) attrs.push(`colspan="${Number(colspan)}"`);
-          if (rowspan && Number(rowspan) > 1) attrs.push(`rowspan="${Number(rowspan)}"`);
-          const attrStr = attrs.length ? ` ${attrs.join(' ')}` : '';
-          return `<${tag}${attrStr}>${buildCellHtml(cell)}</${tag}>`;
-        })
-        .join('');
-      return `<tr>${cells}</tr>`;
-    })
-    .join('');
+app.get('/api/health', (req, res) => {
+  res.json({ status: 'ok' });
+});
 
-  return {
-    id: tableData.id || tableData.table_id || `table-${index}`,
-    html: `<table>${htmlRows}</table>`,
-    text: normalizedRows
-      .map((row) => row.map((cell) => buildCellText(cell)).join('\t'))
-      .join('\n'),
-    y: yPos,
-    boundingBox: bbox,
-  };
-};
+app.get('/api/providers', (req, res) => {
+  res.json({ providers: listOcrProviders() });
+});
 
-const normalizeLine = (lineData, lineIndex) => {
-// ... existing normalizeLine code ...
-// I will keep the previous implementation of normalizeLine exactly as is, but just re-declare it to be safe if context was lost.
-// Actually, I'll rely on the existing `normalizeLine` if I can, but the tool requires replacing `old_string`.
-// Since I am replacing `normalizeTable`, I need to be careful.
-// The previous `normalizeTable` was modified in the last turn.
-// I will replace the block from `const normalizeTable ...` down to `const normalizeLine ...` to be safe, 
-// but wait, `normalizeLine` is large. 
-// I will just replace `normalizeTable` specifically.
-// But I also need to update `api/export-docx` which is further down.
-// I will split this into two replacements for safety.
-  const rawSegments =
-    lineData.segments ??
-    lineData.text_runs ??
-    lineData.words ??
-    lineData.chunks ??
-    (lineData.text ? [{ text: lineData.text }] : []);
-
-  const segments = rawSegments
-    .map((segment) => {
-      if (!segment) {
-        return null;
-      }
+// Tells the frontend how keys work here: accounts or not, who is logged in, whether the server has a key.
+const sessionInfo = async (req) => ({
+  accounts: Boolean(accounts),
+  user: req.user || null,
+  keyStorage: Boolean(accounts?.canStoreKeys),
+  serverKey: accounts && !req.user ? false : Boolean((await serverApiKey(req.user)).apiKey),
+});
 
-      const rawText = (segment.text ?? segment.content ?? segment.value ?? '').replace(/\u00A0/g, ' ');
-      if (!rawText.trim()) {
-        return null;
-      }
+app.get('/api/auth/session', async (req, res) => {
+  res.json(await sessionInfo(req));
+});
 
-      const isBold = /bold/i.test(segment.fontWeight ?? segment.style?.fontWeight ?? '') || segment.bold;
-      const isItalic =
-        /italic/i.test(segment.fontStyle ?? segment.style?.fontStyle ?? '') || segment.italic || segment.oblique;
-
-      const fontFamilyValue = (segment.fontFamily ?? segment.fontName ?? defaultSegmentStyle.fontFamily)
-        .replace(/[^a-zA-Z0-9 ,'-]/g, '')
-        .trim();
-
-      const textDecoration = normalizeTextDecoration(segment.style || segment);
-
-      return {
-        text: rawText,
-        style: {
-          fontSize: toPixelString(segment.fontSize ?? segment.style?.fontSize ?? fallbackFontSize),
-          fontWeight: isBold ? 600 : defaultSegmentStyle.fontWeight,
-          fontStyle: isItalic ? 'italic' : defaultSegmentStyle.fontStyle,
-          textDecoration: textDecoration || defaultSegmentStyle.textDecoration,
-          fontFamily: `'${fontFamilyValue || defaultSegmentStyle.fontFamily}', ${defaultSegmentStyle.fontFamily}`,
-          letterSpacing: defaultSegmentStyle.letterSpacing,
-        },
-        meta: {
-          original: segment,
-          position: {
-            x: lineData.position?.x ?? lineData.x ?? 0,
-            y: lineData.position?.y ?? lineData.y ?? lineIndex * 18,
-          },
-        },
-      };
-    })
-    .filter(Boolean);
-
-  if (!segments.length) {
-    return null;
+app.post('/api/auth/login', async (req, res) => {
+  if (!accounts) {
+    return res.status(404).json({ error: 'Benutzerkonten sind nicht aktiviert.' });
   }
+  const username = String(req.body?.username || '').trim().toLowerCase();
+  const retryAfterMs = Math.max(
+    loginThrottles.user.retryAfterMs(username),
+    loginThrottles.ip.retryAfterMs(req.ip)
+  );
+  if (retryAfterMs) {
+    const seconds = Math.ceil(retryAfterMs / 1000);
+    const error = createHttpError(
+      429,
+      `Zu viele fehlgeschlagene Anmeldungen. Bitte in ${seconds} s erneut versuchen.`
+    );
+    return sendError(res, Object.assign(error, { code: 'too_many_attempts', retryAfterMs }));
+  }
+  try {
+    const user = await accounts.authenticate(username, req.body?.password);
+    if (!user) {
+      loginThrottles.user.fail(username);
+      loginThrottles.ip.fail(req.ip);
+      return res
+        .status(401)
+        .json({ error: 'Benutzername oder Passwort ist falsch.', code: 'invalid_credentials' });
+    }
+    loginThrottles.user.succeed(username);
+    setSessionCookie(req, res, sessions.create(user.id), sessions.ttlMs);
+    req.user = user;
+    res.json(await sessionInfo(req));
+  } catch (error) {
+    console.error('Login-Fehler:', error);
+    sendError(res, error, 500, 'Anmeldung fehlgeschlagen.');
+  }
+});
 
-  const alignment =
-    normalizeAlignment(lineData.text_alignment) ||
-    normalizeAlignment(lineData.alignment) ||
-    normalizeAlignment(lineData.textAlign) ||
-    normalizeAlignment(lineData.text_align) ||
-    normalizeAlignment(lineData.align) ||
-    normalizeAlignment(lineData.justification) ||
-    normalizeAlignment(lineData.justify) ||
-    normalizeAlignment(lineData.style?.textAlign) ||
-    normalizeAlignment(lineData.style?.text_alignment) ||
-    null;
-
-  return {
-    y: lineData.position?.y ?? lineData.y ?? lineIndex * 18,
-    segments,
-    align: alignment || 'left',
-    x: lineData.position?.x ?? lineData.x ?? 0, // Ensure X is accessible at line level
-  };
-};
+app.post('/api/auth/logout', (req, res) => {
+  sessions.destroy(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+  setSessionCookie(req, res, '', 0);
+  res.json({ ok: true });
+});
 
-const convertSimpleTextToPages = (text) => {
-  if (!text) {
-    return [];
+app.put('/api/account/api-key', async (req, res) => {
+  if (!accounts) {
+    return res.status(404).json({ error: 'Benutzerkonten sind nicht aktiviert.' });
   }
-
-  const cleaned = text.replace(/\r/g, '');
-  const lines = cleaned
-    .split('\n')
-    .map((line, index) => {
-      const normalizedLine = line.replace(/\u00A0/g, ' ');
-      if (!normalizedLine.trim()) {
-        return null;
-      }
-      
-      // Use the new parser
-      const segments = parseMarkdownToSegments(normalizedLine);
-      
-      return {
-        y: index * 20,
-        segments: segments.length ? segments : [buildSimpleSegment(normalizedLine)],
-        align: 'left',
-      };
-    })
-    .filter(Boolean);
-
-  if (!lines.length) {
-    return [];
+  try {
+    req.user = await accounts.setApiKey(req.user.id, req.body?.apiKey);
+    res.json(await sessionInfo(req));
+  } catch (error) {
+    sendError(res, error, 500, 'API-Key konnte nicht gespeichert werden.');
   }
+});
 
-  return [
-    {
-      number: 1,
-      lines,
-    },
-  ];
-};
+app.delete('/api/account/api-key', async (req, res) => {
+  if (!accounts) {
+    return res.status(404).json({ error: 'Benutzerkonten sind nicht aktiviert.' });
+  }
+  try {
+    req.user = await accounts.setApiKey(req.user.id, null);
+    res.json(await sessionInfo(req));
+  } catch (error) {
+    sendError(res, error, 500, 'API-Key konnte nicht entfernt werden.');
+  }
+});
 
-const pagesToPlainText = (pages = []) =>
-  pages
-    .map((page) => {
-      const lineText = (page.lines || [])
-        .map((line) => (line?.segments || []).map((segment) => segment?.text || '').join(''))
-        .map((lineText) => lineText.trimEnd())
-        .filter(Boolean)
-        .join('\n');
-      const tableText = (page.tables || [])
-        .map((tbl) => tbl.text)
-        .filter(Boolean)
-        .join('\n\n');
-      return [lineText, tableText].filter(Boolean).join('\n\n');
-    })
-    .filter(Boolean)
-    .join('\n\n');
-
-const markdownToHtml = (markdownText) => {
-  if (!markdownText || typeof markdownText !== 'string') {
-    return '';
-  }
-  return marked.parse(markdownText);
-};
+app.put('/api/account/password', async (req, res) => {
+  if (!accounts) {
+    return res.status(404).json({ error: 'Benutzerkonten sind nicht aktiviert.' });
+  }
+  try {
+    await accounts.changePassword(req.user.id, req.body?.currentPassword, req.body?.newPassword);
+    res.json({ ok: true });
+  } catch (error) {
+    sendError(res, error, 500, 'Passwort konnte nicht geändert werden.');
+  }
+});
 
-const markdownToPages = (markdownText) => {
-  if (!markdownText || typeof markdownText !== 'string') {
-    return [];
+/**
+ * User management for admins: list, create (`username`, `password`, `role`,
+ * `quota`), update (`role`, `quota`, `password`, `disabled`) and delete. Changing
+ * the password or disabling a user ends their sessions.
+ */
+app.use('/api/admin', requireAdmin, (req, res, next) => {
+  if (!accounts) {
+    return res.status(404).json({ error: 'Benutzerkonten sind nicht aktiviert.' });
   }
-  const asPlainText = markdownText.replace(/\r/g, '').split('\n').map((line) => line).join('\n');
-  return convertSimpleTextToPages(asPlainText);
-};
+  next();
+});
 
-const getApiKey = (req) => {
-  const headerKey = req.headers['x-mistral-api-key'] || req.headers['x-mistral-api-key'.toLowerCase()];
-  if (typeof headerKey === 'string' && headerKey.trim()) {
-    return headerKey.trim();
+app.get('/api/admin/users', async (req, res) => {
+  try {
+    res.json({ users: await accounts.list() });
+  } catch (error) {
+    sendError(res, error, 500, 'Benutzer konnten nicht gelesen werden.');
   }
-  return null;
-};
+});
 
-const normalizeMistralResponse = (payload) => {
-  if (!payload) {
-    return { pages: [], html: null, raw: {} };
-  }
-
-  const pages = [];
-  let html = null;
-  const htmlParts = [];
-  const raw = payload;
-
-  const normalizePage = (pageData, pageIndex) => {
-    const pageNumber = pageData.number ?? pageData.page ?? pageIndex + 1;
-    let lines = (pageData.lines ?? pageData.text_lines ?? pageData.blocks ?? [])
-      .map((line, idx) => normalizeLine(line, idx))
-      .filter(Boolean);
-    const tablesRaw = pageData.tables || pageData.table || [];
-    const tables = Array.isArray(tablesRaw)
-      ? tablesRaw.map((tbl, idx) => normalizeTable(tbl, idx)).filter(Boolean)
-      : [];
-    const images =
-      pageData.images?.map((image) => ({
-        id: image.id ?? image.image_id ?? null,
-        base64:
-          image.image_base64 ??
-          image.image ??
-          (image.image_url?.startsWith('data:') ? image.image_url.split(',')[1] : null),
-        position: {
-          topLeft: {
-            x: image.top_left_x ?? image.x ?? 0,
-            y: image.top_left_y ?? image.y ?? 0,
-          },
-          bottomRight: {
-            x: image.bottom_right_x ?? 0,
-            y: image.bottom_right_y ?? 0,
-          },
-        },
-      })) || [];
-
-    if (!lines.length && typeof pageData.markdown === 'string' && pageData.markdown.trim()) {
-      const mdPages = markdownToPages(pageData.markdown);
-      if (mdPages?.length) {
-        lines = mdPages[0].lines || [];
-      }
-      htmlParts.push(markdownToHtml(pageData.markdown));
-    }
+app.post('/api/admin/users', async (req, res) => {
+  try {
+    const { username, password, role, quota } = req.body || {};
+    res.status(201).json(await accounts.create({ username, password, role, quota }));
+  } catch (error) {
+    sendError(res, error, 500, 'Benutzer konnte nicht angelegt werden.');
+  }
+});
 
-    if (!lines.length && pageData.text) {
-      const fauxPage = convertSimpleTextToPages(pageData.text)[0];
-      if (fauxPage?.lines?.length) {
-        lines = fauxPage.lines;
-      }
+app.patch('/api/admin/users/:id', async (req, res) => {
+  try {
+    const { role, quota, password, disabled } = req.body || {};
+    const user = await accounts.update(req.params.id, { role, quota, password, disabled });
+    if (password !== undefined || user.disabled) {
+      sessions.destroyForUser(user.id);
     }
+    res.json(user);
+  } catch (error) {
+    sendError(res, error, 500, 'Benutzer konnte nicht geändert werden.');
+  }
+});
 
-    if (!lines.length) {
-      return null;
-    }
+app.delete('/api/admin/users/:id', async (req, res) => {
+  try {
+    await accounts.remove(req.params.id);
+    sessions.destroyForUser(req.params.id);
+    res.json({ removed: true });
+  } catch (error) {
+    sendError(res, error, 500, 'Benutzer konnte nicht gelöscht werden.');
+  }
+});
 
-    return {
-      number: pageNumber,
-      lines,
-      images,
-      tables,
-    };
-  };
+app.post('/api/extract', upload.single('pdf'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'Bitte eine PDF- oder Bilddatei hochladen.' });
+  }
 
-  if (Array.isArray(payload.pages) && payload.pages.length) {
-    payload.pages.forEach((page, index) => {
-      const normalized = normalizePage(page, index);
-      if (normalized) {
-        pages.push(normalized);
-      }
-    });
-  } else if (Array.isArray(payload.results) && payload.results.length) {
-    payload.results.forEach((result, index) => {
-      const normalized = normalizePage(result, index);
-      if (normalized) {
-        pages.push(normalized);
-      }
+  let key = { blocked: null };
+  try {
+    key = await extractionKey(req);
+    const fileBuffer = await readFile(req.file.path);
+    const result = await runExtraction(fileBuffer, {
+      engine: normalizeEngine(req.body?.engine),
+      provider: normalizeOcrProvider(req.body?.provider),
+      apiKey: key.apiKey,
+      fileName: req.file.originalname,
+      cache: resultCache,
     });
+    await recordExtractionUsage(req.user, key, result);
+    res.json(result);
+  } catch (error) {
+    console.error('PDF-Parsing-Fehler:', error);
+    sendError(res, explainMissingKey(error, key), 502, 'Die PDF-Datei konnte nicht verarbeitet werden.');
+  } finally {
+    if (req.file?.path) {
+      fs.promises.unlink(req.file.path).catch(() => {});
+    }
   }
+});
+
+// Uploads of requests that fail before their jobs exist; jobs remove their own file when they finish.
+const removeUploads = (files) =>
+  files.forEach((file) => {
+    fs.promises.unlink(file.path).catch(() => {});
+  });
 
-  const topLevelTables = Array.isArray(payload.tables)
-    ? payload.tables.map((tbl, idx) => normalizeTable(tbl, idx)).filter(Boolean)
-    : [];
-  if (topLevelTables.length) {
-    if (pages.length) {
-      pages[0].tables = [...(pages[0].tables || []), ...topLevelTables];
-    } else {
-      pages.push({ number: 1, lines: [], images: [], tables: topLevelTables });
+/**
+ * Queues the extraction of one uploaded file; the upload is removed once the job finishes.
+ * The limits are checked again when the job starts, so the jobs of a batch that reaches
+ * the quota or budget midway run without the key.
+ */
+const createExtractionJob = (file, { engine, provider, key, user = null, batchId = null }) =>
+  extractionJobs.create(
+    async ({ signal, reportProgress }) => {
+      const jobKey = key.blocked ? key : await limitKey(user, key);
+      const fileBuffer = await readFile(file.path);
+      try {
+        const result = await runExtraction(fileBuffer, {
+          engine,
+          provider,
+          apiKey: jobKey.apiKey,
+          signal,
+          reportProgress,
+          fileName: file.originalname,
+          cache: resultCache,
+        });
+        await recordExtractionUsage(user, jobKey, result);
+        return result;
+      } catch (error) {
+        throw explainMissingKey(error, jobKey);
+      }
+    },
+    {
+      meta: { fileName: file.originalname, engine, provider, batchId, userId: user?.id || null },
+      onFinish: () => {
+        fs.promises.unlink(file.path).catch(() => {});
+      },
     }
-  }
+  );
 
-  const markdownText =
-    payload.markdown ??
-    payload.text_markdown ??
-    payload.document_markdown ??
-    payload.output_markdown ??
-    payload.result_markdown;
-  if (markdownText) {
-    html = markdownToHtml(markdownText);
+app.post('/api/jobs', upload.single('pdf'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'Bitte eine PDF- oder Bilddatei hochladen.' });
   }
 
-  if (htmlParts.length) {
-    html = htmlParts.join('\n');
+  let key;
+  try {
+    key = await extractionKey(req);
+  } catch (error) {
+    removeUploads([req.file]);
+    return sendError(res, error, 500, 'Der Auftrag konnte nicht angelegt werden.');
   }
+  const job = createExtractionJob(req.file, {
+    engine: normalizeEngine(req.body?.engine),
+    provider: normalizeOcrProvider(req.body?.provider),
+    key,
+    user: req.user,
+  });
+  res.status(202).json(job);
+});
 
-  const pagePlainText = pagesToPlainText(pages);
-  if (!html && pagePlainText) {
-    html = markdownToHtml(pagePlainText);
+app.get('/api/jobs/:id', (req, res) => {
+  const job = extractionJobs.status(req.params.id);
+  if (!job || !canAccess(req, job.meta.userId)) {
+    return res.status(404).json({ error: 'Job nicht gefunden.' });
   }
+  res.json(job);
+});
 
-  if (!pages.length) {
-    const rawText =
-      payload.text ??
-      payload.document_text ??
-      payload.output ??
-      payload.result ??
-      payload.ocr_text ??
-      payload.data ??
-      payload.markdown ??
-      '';
-
-    if (typeof rawText === 'string' && rawText.trim()) {
-      const simplePages = convertSimpleTextToPages(rawText);
-      const fallbackHtml = html || markdownToHtml(rawText);
-      return { pages: simplePages, html: fallbackHtml, raw };
-    }
+app.get('/api/jobs/:id/result', (req, res) => {
+  const job = extractionJobs.get(req.params.id);
+  if (!job || !canAccess(req, job.meta.userId)) {
+    return res.status(404).json({ error: 'Job nicht gefunden.' });
   }
-
-  if (!html && pagePlainText) {
-    html = markdownToHtml(pagePlainText);
+  if (job.status === 'failed') {
+    return sendError(res, { message: job.error, status: job.errorStatus, code: job.errorCode }, 502);
+  }
+  if (job.status === 'cancelled') {
+    return res.status(410).json({ error: job.error, status: job.status });
+  }
+  if (job.status !== 'done') {
+    return res.status(409).json({ error: 'Job ist noch nicht abgeschlossen.', status: job.status });
   }
+  res.json(job.result);
+});
 
-  return { pages, html, raw };
-};
+app.delete('/api/jobs/:id', (req, res) => {
+  if (!canAccess(req, extractionJobs.get(req.params.id)?.meta.userId)) {
+    return res.status(404).json({ error: 'Job nicht gefunden.' });
+  }
+  const job = extractionJobs.cancel(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job nicht gefunden.' });
+  }
+  res.json(job);
+});
 
-const callMistralOcr = async (buffer, apiKey) => {
-  const base64Doc = buffer.toString('base64');
-  const payload = {
-    model: 'mistral-ocr-latest',
-    document: {
-      type: 'document_url',
-      document_url: `data:application/pdf;base64,${base64Doc}`,
+// Jobs can expire before their batch does; they then show up as `expired`.
+const batchStatus = (batch) => {
+  const jobs = batch.jobIds.map(
+    (id, index) =>
+      extractionJobs.status(id) || { id, status: 'expired', meta: { fileName: batch.fileNames[index] } }
+  );
+  const count = (status) => jobs.filter((job) => job.status === status).length;
+  return {
+    id: batch.id,
+    createdAt: batch.createdAt,
+    jobs,
+    summary: {
+      total: jobs.length,
+      done: count('done'),
+      failed: count('failed') + count('expired'),
+      cancelled: count('cancelled'),
+      pending: count('queued') + count('running'),
     },
-    include_image_base64: true,
   };
+};
 
-  const response = await fetch(MISTRAL_OCR_API_URL, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      Accept: 'application/json',
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify(payload),
-  });
-
-  if (!response.ok) {
-    const payloadText = await response.text().catch(() => null);
-    throw new Error(
-      `Mistral OCR ${response.status}: ${payloadText || 'Keine Details'}`
-    );
+/**
+ * Starts one extraction job per uploaded file (field `pdf`, up to
+ * `MAX_BATCH_FILES`). Each file keeps its own job, status and result;
+ * the batch only groups them for polling, cancelling and the ZIP export.
+ */
+app.post('/api/batches', upload.array('pdf', maxBatchFiles), async (req, res) => {
+  if (!req.files?.length) {
+    return res.status(400).json({ error: 'Bitte mindestens eine PDF- oder Bilddatei hochladen.' });
   }
 
-  return response.json();
-};
+  const engine = normalizeEngine(req.body?.engine);
+  const provider = normalizeOcrProvider(req.body?.provider);
+  let key;
+  try {
+    key = await extractionKey(req);
+  } catch (error) {
+    removeUploads(req.files);
+    return sendError(res, error, 500, 'Der Stapel konnte nicht angelegt werden.');
+  }
+  const batchId = crypto.randomUUID();
+  const jobs = req.files.map((file) =>
+    createExtractionJob(file, { engine, provider, key, user: req.user, batchId })
+  );
+  const batch = {
+    id: batchId,
+    userId: req.user?.id || null,
+    jobIds: jobs.map((job) => job.id),
+    fileNames: req.files.map((file) => file.originalname),
+    createdAt: new Date().toISOString(),
+  };
+  extractionBatches.set(batch.id, batch);
+  setTimeout(() => extractionBatches.delete(batch.id), batchRetentionMs).unref?.();
+  res.status(202).json(batchStatus(batch));
+});
 
-app.use(express.static(path.join(__dirname, 'public')));
+app.get('/api/batches/:id', (req, res) => {
+  const batch = extractionBatches.get(req.params.id);
+  if (!batch || !canAccess(req, batch.userId)) {
+    return res.status(404).json({ error: 'Stapel nicht gefunden.' });
+  }
+  res.json(batchStatus(batch));
+});
 
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok' });
+app.delete('/api/batches/:id', (req, res) => {
+  const batch = extractionBatches.get(req.params.id);
+  if (!batch || !canAccess(req, batch.userId)) {
+    return res.status(404).json({ error: 'Stapel nicht gefunden.' });
+  }
+  batch.jobIds.forEach((id) => extractionJobs.cancel(id));
+  res.json(batchStatus(batch));
 });
 
-const describeImageWithVision = async (base64, apiKey) => {
-  if (!base64 || !apiKey || !MISTRAL_VISION_MODEL) {
+const exportFileName = (extension) => `export-${Date.now().toString().slice(-6)}.${extension}`;
+
+/**
+ * Reads the shared export request body (`pages`, `html`, `disableDescriptions`,
+ * `dropFurniture`, `layoutMode`), answers 400 itself when it is unusable and
+ * otherwise resolves with the content plus the image descriptions the export
+ * should use.
+ */
+const prepareExport = async (req, res) => {
+  const { disableDescriptions = false } = req.body || {};
+  const apiKey = await getApiKey(req);
+  const pages = Array.isArray(req.body?.pages) ? req.body.pages : [];
+  if (!disableDescriptions && needsImageDescriptions(pages) && !apiKey) {
+    res.status(400).json({ error: 'Bitte eigenen Mistral API-Key angeben.' });
     return null;
   }
 
-  const payload = {
-    model: MISTRAL_VISION_MODEL,
-    messages: [
-      {
-        role: 'user',
-        content: [
-          {
-            type: 'text',
-            text: 'Erzeuge eine kurze, sachliche Bildbeschreibung auf Deutsch für ein Word-Dokument. Maximal 2 Sätze.',
-          },
-          { type: 'image_url', image_url: `data:image/jpeg;base64,${base64}` },
-        ],
-      },
-    ],
-    max_tokens: 120,
+  const html = typeof req.body?.html === 'string' ? req.body.html.trim() : '';
+  if (!pages.length && !html) {
+    res.status(400).json({ error: 'Keine Inhalte zum Export übergeben.' });
+    return null;
+  }
+
+  const descriptions = disableDescriptions
+    ? {}
+    : await collectImageDescriptions(pages, apiKey, { onUsage: meterVision(req, apiKey) });
+  return {
+    pages: applyExportView(pages, req.body),
+    html,
+    descriptions,
+    disableDescriptions: Boolean(disableDescriptions),
   };
+};
 
-  const response = await fetch(MISTRAL_CHAT_API_URL, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${apiKey}`,
-      Accept: 'application/json',
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify(payload),
-  });
+/**
+ * The paragraphs of the preview's reflow mode. Body: `pages`; answers with
+ * `paragraphs`, one list per page. Results only carry the lines, so they stay
+ * small in the cache and the browser history; exports reflow on their own.
+ */
+app.post('/api/reflow', (req, res) => {
+  const pages = Array.isArray(req.body?.pages) ? req.body.pages : [];
+  if (!pages.length) {
+    return res.status(400).json({ error: 'Keine Seiten übergeben.' });
+  }
+  try {
+    res.json({ paragraphs: buildParagraphs(pages) });
+  } catch (error) {
+    console.error('Reflow-Fehler:', error);
+    res.status(500).json({ error: 'Die Absätze konnten nicht berechnet werden.' });
+  }
+});
 
-  if (!response.ok) {
-    const errText = await response.text().catch(() => '');
-    throw new Error(`Vision-Call fehlgeschlagen: ${response.status} ${errText}`);
+app.post('/api/export-docx', async (req, res) => {
+  try {
+    const input = await prepareExport(req, res);
+    if (!input) return;
+
+    const docxBuffer = await buildDocx(input.pages, input);
+
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName('docx')}"`);
+    res.setHeader('Content-Type', DOCX_MIME_TYPE);
+    res.send(docxBuffer);
+  } catch (error) {
+    console.error('Word-Export-Fehler:', error);
+    res.status(500).json({ error: error?.message || 'Export fehlgeschlagen.' });
   }
+});
+
+app.post('/api/export-markdown', async (req, res) => {
+  try {
+    const input = await prepareExport(req, res);
+    if (!input) return;
+
+    const { markdown, files } = buildMarkdown(input.pages, input);
+
+    if (!files.length) {
+      res.setHeader('Content-Disposition', `attachment; filename="${exportFileName('md')}"`);
+      res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+      return res.send(markdown);
+    }
 
-  const data = await response.json();
-  const choice = data?.choices?.[0]?.message?.content;
-  if (Array.isArray(choice)) {
-    const textPart = choice.find((c) => c.type === 'text') || choice[0];
-    return textPart?.text?.trim() || null;
+    // Extracted images travel next to the document, linked via relative paths.
+    const zip = new JSZip();
+    zip.file('export.md', markdown);
+    files.forEach((file) => zip.file(file.path, file.data));
+    const archive = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName('zip')}"`);
+    res.setHeader('Content-Type', 'application/zip');
+    res.send(archive);
+  } catch (error) {
+    console.error('Markdown-Export-Fehler:', error);
+    res.status(500).json({ error: error?.message || 'Export fehlgeschlagen.' });
   }
-  if (typeof choice === 'string') {
-    return choice.trim();
+});
+
+const parsePagesField = (value) => {
+  try {
+    const pages = typeof value === 'string' ? JSON.parse(value) : value;
+    return Array.isArray(pages) ? pages : [];
+  } catch (error) {
+    return [];
   }
-  return null;
 };
 
-app.post('/api/extract', upload.single('pdf'), async (req, res) => {
+/**
+ * Returns the uploaded original (`pdf`, PDF or image) with an invisible text
+ * layer built from the normalized `pages` (JSON form field). The layer always
+ * holds the full page text, so the export view options do not apply here.
+ */
+app.post('/api/export-pdf', upload.single('pdf'), async (req, res) => {
   if (!req.file) {
-    return res.status(400).json({ error: 'Bitte eine PDF-Datei hochladen.' });
+    return res.status(400).json({ error: 'Bitte die Originaldatei mitschicken.' });
   }
-
   try {
-    const apiKey = getApiKey(req);
-    if (!apiKey) {
-      return res.status(400).json({ error: 'Bitte eigenen Mistral API-Key angeben.' });
+    const pages = parsePagesField(req.body?.pages);
+    if (!pages.length) {
+      return res.status(400).json({ error: 'Keine Inhalte zum Export übergeben.' });
     }
-    if (!mistralEnabled) {
-      return res.status(500).json({ error: 'Mistral OCR ist nicht konfiguriert.' });
+    const fileBuffer = await readFile(req.file.path);
+    const uploadType = detectUploadType(fileBuffer);
+    if (!uploadType) {
+      return res.status(422).json({ error: 'Die Originaldatei ist weder PDF noch Bild.' });
     }
 
-    const fileBuffer = await readFile(req.file.path);
-    const mistralPayload = await callMistralOcr(fileBuffer, apiKey);
-    const normalized = normalizeMistralResponse(mistralPayload);
-    const pages = normalized?.pages || [];
-    const html = normalized?.html || null;
-
-    if (!pages.length && !html) {
-      console.error('Mistral OCR keine Daten. Keys:', Object.keys(normalized.raw || {}));
-      console.error('Mistral OCR Payload (gekürzt):', JSON.stringify(mistralPayload || {}).slice(0, 1200));
-      return res.status(502).json({ error: 'Mistral OCR lieferte keine auswertbaren Daten.' });
+    let pdfBuffer;
+    try {
+      pdfBuffer = await buildSearchablePdf(fileBuffer, uploadType, pages, {
+        title: req.file.originalname.replace(/\.[^.]+$/, ''),
+      });
+    } catch (error) {
+      console.error('PDF-Export-Fehler:', error);
+      return res.status(422).json({ error: 'Die Originaldatei konnte nicht gelesen werden.' });
     }
 
-    res.json({ pages, pageCount: pages.length, source: 'mistral', html });
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName('pdf')}"`);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.send(pdfBuffer);
   } catch (error) {
-    console.error('PDF-Parsing-Fehler:', error);
-    res.status(502).json({ error: error?.message || 'Die PDF-Datei konnte nicht verarbeitet werden.' });
+    console.error('PDF-Export-Fehler:', error);
+    res.status(500).json({ error: error?.message || 'Export fehlgeschlagen.' });
   } finally {
-    if (req.file?.path) {
-      fs.promises.unlink(req.file.path).catch(() => {});
-    }
+    fs.promises.unlink(req.file.path).catch(() => {});
   }
 });
 
-app.post('/api/export-docx', async (req, res) => {
+const batchEntryName = (fileName, usedNames) => {
+  const base =
+    String(fileName || 'dokument')
+      .replace(/\.(pdf|png|jpe?g|tiff?)$/i, '')
+      .replace(/[\\/:*?"<>|\u0000-\u001F]/g, '_')
+      .trim() || 'dokument';
+  let name = base;
+  for (let suffix = 2; usedNames.has(name.toLowerCase()); suffix += 1) {
+    name = `${base}-${suffix}`;
+  }
+  usedNames.add(name.toLowerCase());
+  return name;
+};
+
+/**
+ * Exports the tables of `pages` for spreadsheets. `format` `csv` (default) answers
+ * with one CSV per table, zipped when there are several; `xlsx` with one workbook
+ * holding a sheet per table. `tables` (`[{ page, table }]`, numbered like the
+ * preview) picks single tables; `decimal` (`comma` or `point`) is the CSV decimal
+ * separator.
+ */
+app.post('/api/export-tables', async (req, res) => {
   try {
-    const { disableDescriptions = false } = req.body || {};
-    const apiKey = getApiKey(req);
-    if (!disableDescriptions && !apiKey) {
-      return res.status(400).json({ error: 'Bitte eigenen Mistral API-Key angeben.' });
+    const format = req.body?.format || 'csv';
+    if (!tableExportFormats.includes(format)) {
+      return res.status(400).json({ error: 'Unbekanntes Tabellenformat.' });
+    }
+    const entries = collectTables(req.body?.pages, req.body?.tables);
+    if (!entries.length) {
+      return res.status(400).json({ error: 'Keine Tabellen zum Export übergeben.' });
     }
 
-    const pages = Array.isArray(req.body?.pages) ? req.body.pages : [];
-    const htmlInput = typeof req.body?.html === 'string' ? req.body.html.trim() : '';
+    if (format === 'xlsx') {
+      res.setHeader('Content-Disposition', `attachment; filename="${exportFileName('xlsx')}"`);
+      res.setHeader('Content-Type', XLSX_MIME_TYPE);
+      return res.send(await buildTablesXlsx(entries));
+    }
 
-    // Strategy: "1 to 1" Fidelity
-    // We prioritize the detailed 'pages' object model (Mistral OCR JSON) because it contains
-    // exact font sizes, styles, and positioning that Markdown lacks.
-    // However, to ensure tables render correctly (as tables, not just text), we must:
-    // 1. Use the 'tables' array from the JSON.
-    // 2. Filter out the text lines that correspond to the table content (using bounding boxes) to avoid duplication.
-    const usePagesLayout = pages.length > 0;
+    const options = { decimal: req.body?.decimal };
+    if (entries.length === 1) {
+      res.setHeader('Content-Disposition', `attachment; filename="${entries[0].name}.csv"`);
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.send(buildTableCsv(entries[0].rows, options));
+    }
+    const zip = new JSZip();
+    entries.forEach((entry) => zip.file(`${entry.name}.csv`, buildTableCsv(entry.rows, options)));
+    const archive = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName('zip')}"`);
+    res.setHeader('Content-Type', 'application/zip');
+    res.send(archive);
+  } catch (error) {
+    console.error('Tabellen-Export-Fehler:', error);
+    res.status(500).json({ error: error?.message || 'Export fehlgeschlagen.' });
+  }
+});
 
-    if (!usePagesLayout && !htmlInput) {
+/**
+ * Exports a result as a versioned JSON document (`schema/document.v1.schema.json`).
+ * Body: `pages` plus the result's `source`, `pageCount`, `ocrPages` and `cached`,
+ * the original `fileName` and `embedImages` (default true). The document is
+ * validated before it leaves; a violation is a bug in the exporter, not the input.
+ */
+app.post('/api/export-json', (req, res) => {
+  try {
+    const { pages, fileName, embedImages = true } = req.body || {};
+    if (!Array.isArray(pages) || !pages.length) {
       return res.status(400).json({ error: 'Keine Inhalte zum Export übergeben.' });
     }
+    const document = buildDocumentJson(req.body, {
+      fileName: typeof fileName === 'string' ? fileName : null,
+      embedImages: embedImages !== false,
+    });
+    const problems = validateDocumentJson(document);
+    if (problems.length) {
+      console.error('JSON-Export verletzt das Schema:', problems);
+      return res.status(500).json({ error: 'Export entspricht nicht dem Schema.', details: problems });
+    }
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName('json')}"`);
+    res.json(document);
+  } catch (error) {
+    console.error('JSON-Export-Fehler:', error);
+    res.status(500).json({ error: error?.message || 'Export fehlgeschlagen.' });
+  }
+});
 
-    const escapeLine = (line) =>
-      (line?.segments || [])
-        .map((segment) => escapeHtml(segment.text || ''))
-        .join('')
-        .trim();
-        
-    const getLineAlign = (line) =>
-      normalizeAlignment(
-        line?.align ||
-          line?.textAlign ||
-          line?.text_align ||
-          line?.text_alignment ||
-          line?.justification ||
-          line?.justify
-      );
-      
-    const segmentToHtml = (segment) => {
-      const text = escapeHtml(segment?.text || '');
-      if (!text) return '';
-      const allowedKeys = {
-        fontSize: true,
-        fontWeight: true,
-        fontStyle: true,
-        fontFamily: true,
-        letterSpacing: true,
-        textDecoration: true,
-      };
-      const styleString = Object.entries(segment?.style || {})
-        .filter(([key]) => allowedKeys[key])
-        .map(([key, value]) => {
-          const cssKey = key.replace(/[A-Z]/g, (m) => `-${m.toLowerCase()}`);
-          return `${cssKey}:${escapeHtml(value)}`;
-        })
-        .join(';');
-      return styleString ? `<span style="${styleString}">${text}</span>` : text;
-    };
+app.get('/api/export-json/schema', (req, res) => {
+  res.type('application/schema+json').send(JSON.stringify(documentSchema, null, 2));
+});
 
-    const renderLineHtml = (line) =>
-      (line?.segments || [])
-        .map((segment) => segmentToHtml(segment))
-        .join('')
-        .trim();
-
-    const descriptions = {};
-    if (!disableDescriptions) {
-      for (const page of pages) {
-        if (!Array.isArray(page.images)) continue;
-        /* eslint-disable no-await-in-loop */
-        for (const image of page.images) {
-          if (!image?.base64 || image._removed) continue;
-          if (image._replaceWithDescription && image._description) {
-            const key = image.id || image.base64.slice(0, 16);
-            descriptions[key] = image._description;
-            continue;
-          }
-          const key = image.id || image.base64.slice(0, 16);
-          if (descriptions[key]) {
-            continue;
-          }
-          try {
-            const desc =
-              (await describeImageWithVision(image.base64, apiKey)) ||
-              'Bildbeschreibung konnte nicht erzeugt werden.';
-            descriptions[key] = desc;
-          } catch (err) {
-            console.error('Vision-Beschreibung fehlgeschlagen:', err?.message || err);
-            descriptions[key] = 'Bildbeschreibung konnte nicht erzeugt werden.';
-          }
-        }
-        /* eslint-enable no-await-in-loop */
-      }
+/**
+ * Field templates: users save named fields (label, pattern and/or page region,
+ * see `normalizeTemplate`) and apply them to the `pages` of a result. Each user
+ * sees their own templates, admins all; without accounts they are shared.
+ */
+const findTemplate = async (req) => {
+  const template = await templates.get(req.params.id);
+  if (!template || !canAccess(req, template.ownerId)) {
+    throw Object.assign(new Error('Vorlage nicht gefunden.'), { status: 404 });
+  }
+  return template;
+};
+
+const templatePages = (req) => {
+  const pages = req.body?.pages;
+  if (!Array.isArray(pages) || !pages.length) {
+    throw Object.assign(new Error('Keine Seiten übergeben.'), { status: 400 });
+  }
+  return pages;
+};
+
+app.get('/api/templates', async (req, res) => {
+  try {
+    const visible = (await templates.list()).filter((template) => canAccess(req, template.ownerId));
+    res.json({ templates: visible });
+  } catch (error) {
+    sendError(res, error, 500, 'Vorlagen konnten nicht gelesen werden.');
+  }
+});
+
+app.post('/api/templates', async (req, res) => {
+  try {
+    res.status(201).json(await templates.create(req.body, req.user?.id || null));
+  } catch (error) {
+    sendError(res, error, 500, 'Vorlage konnte nicht gespeichert werden.');
+  }
+});
+
+app.put('/api/templates/:id', async (req, res) => {
+  try {
+    const template = await findTemplate(req);
+    res.json(await templates.update(template.id, req.body));
+  } catch (error) {
+    sendError(res, error, 500, 'Vorlage konnte nicht gespeichert werden.');
+  }
+});
+
+app.delete('/api/templates/:id', async (req, res) => {
+  try {
+    const template = await findTemplate(req);
+    await templates.remove(template.id);
+    res.json({ removed: true });
+  } catch (error) {
+    sendError(res, error, 500, 'Vorlage konnte nicht gelöscht werden.');
+  }
+});
+
+// Answers with the typed field values, their confidence and where they were found.
+app.post('/api/templates/:id/apply', async (req, res) => {
+  try {
+    const template = await findTemplate(req);
+    res.json(applyTemplate(template, templatePages(req)));
+  } catch (error) {
+    sendError(res, error, 500, 'Vorlage konnte nicht angewendet werden.');
+  }
+});
+
+/**
+ * Applies a template and downloads the fields: `format` `csv` (default, one row
+ * per field; `decimal` as for tables) or `json` (the result of `/apply` plus the
+ * `fileName` the pages came from).
+ */
+app.post('/api/templates/:id/export', async (req, res) => {
+  try {
+    const format = req.body?.format || 'csv';
+    if (!fieldExportFormats.includes(format)) {
+      return res.status(400).json({ error: 'Unbekanntes Exportformat.' });
+    }
+    const template = await findTemplate(req);
+    const result = applyTemplate(template, templatePages(req));
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(format)}"`);
+    if (format === 'json') {
+      const fileName = typeof req.body.fileName === 'string' ? req.body.fileName : null;
+      return res.json({ ...result, fileName });
     }
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.send(buildFieldsCsv(result, { decimal: req.body.decimal }));
+  } catch (error) {
+    sendError(res, error, 500, 'Export fehlgeschlagen.');
+  }
+});
 
-    const bodyParts = [];
-    bodyParts.push('<h1>PDF-Export</h1>');
-
-    if (usePagesLayout) {
-      pages.forEach((page) => {
-        bodyParts.push(`<h2>Seite ${escapeHtml(page.number || '')}</h2>`);
-        
-        const tables = (page.tables || []).map(t => ({ ...t, type: 'table' }));
-        
-        // Calculate table exclusion zones
-        // Mistral bbox is [x_min, y_min, x_max, y_max]
-        const tableZones = tables
-          .map(t => t.boundingBox)
-          .filter(bbox => Array.isArray(bbox) && bbox.length === 4)
-          .map(bbox => ({ xMin: bbox[0], yMin: bbox[1], xMax: bbox[2], yMax: bbox[3] }));
-
-        // Filter lines: Keep only lines that are NOT inside a table zone
-        // A line is "inside" if its center point falls within the box
-        const lines = (page.lines || []).filter(line => {
-           const lx = line.x ?? line.meta?.position?.x ?? 0;
-           const ly = line.y ?? line.meta?.position?.y ?? 0;
-           // Simple point check. If inside any table zone, drop it.
-           // We can add a small margin of error if needed, but exact check is usually fine.
-           const isInsideTable = tableZones.some(z => 
-             lx >= z.xMin && lx <= z.xMax && ly >= z.yMin && ly <= z.yMax
-           );
-           return !isInsideTable;
-        }).map(l => ({ ...l, type: 'line' }));
-
-        // Interleaved Rendering: Combine and Sort by Y
-        const elements = [...lines, ...tables].sort((a, b) => {
-           const ay = a.y ?? a.boundingBox?.[1] ?? 0;
-           const by = b.y ?? b.boundingBox?.[1] ?? 0;
-           return ay - by;
-        });
+/**
+ * Bundles the exports of every finished job in a batch into one ZIP, one
+ * folder per document. Body: `formats` (subset of docx, md, txt) plus the
+ * options of the single-file exports. Files without a result are listed in
+ * `nicht-exportiert.txt`.
+ */
+app.post('/api/batches/:id/export', async (req, res) => {
+  const batch = extractionBatches.get(req.params.id);
+  if (!batch || !canAccess(req, batch.userId)) {
+    return res.status(404).json({ error: 'Stapel nicht gefunden.' });
+  }
 
-        elements.forEach(el => {
-          if (el.type === 'table') {
-             if (el.html) {
-               bodyParts.push(`<div class="table-block">${el.html}</div>`);
-             }
-          } else {
-            const lineHtml = renderLineHtml(el);
-            if (lineHtml) {
-              const align = getLineAlign(el);
-              const xPos = el.x || el.meta?.position?.x || 0;
-              let styleAttr = '';
-              const styles = [];
-              
-              if (align && align !== 'left') {
-                styles.push(`text-align:${align}`);
-              }
-              if (align === 'left' && xPos > 10) {
-                 const indent = Math.min(xPos, 400); 
-                 styles.push(`margin-left:${indent}px`);
-              }
-
-              if (styles.length) {
-                styleAttr = ` style="${styles.join(';')}"`;
-              }
-
-              bodyParts.push(`<p${styleAttr}>${lineHtml}</p>`);
-            }
-          }
-        });
-        
-        if (Array.isArray(page.images) && page.images.length) {
-           const validImages = page.images.filter(img => !img._removed);
-           if (validImages.length) {
-             bodyParts.push('<br/>');
-             validImages.forEach((img, idx) => {
-                const key = img.id || img.base64?.slice(0, 16) || `${page.number}-${idx}`;
-                if (disableDescriptions) {
-                  if (img.base64 && !img._replaceWithDescription) {
-                    bodyParts.push(
-                      `<p><img alt="Bild" style="max-width:100%;height:auto;" src="data:image/jpeg;base64,${img.base64}"/></p>`
-                    );
-                  } else if (img._description) {
-                     bodyParts.push(`<p><strong>Bild:</strong> ${escapeHtml(img._description)}</p>`);
-                  }
-                } else {
-                   const desc = (img._replaceWithDescription && img._description) || descriptions[key] || 'Bildbeschreibung nicht verfügbar.';
-                   bodyParts.push(`<p><strong>Bild:</strong> ${escapeHtml(desc)}</p>`);
-                }
-             });
-           }
-        }
-        bodyParts.push('<hr />');
-      });
-    } else {
-      // Fallback to Markdown HTML
-      if (htmlInput) {
-        bodyParts.push(htmlInput);
+  try {
+    const requested = Array.isArray(req.body?.formats) ? req.body.formats : batchExportFormats;
+    const formats = batchExportFormats.filter((format) => requested.includes(format));
+    if (!formats.length) {
+      return res.status(400).json({ error: 'Kein gültiges Exportformat gewählt.' });
+    }
+
+    const jobs = batch.jobIds.map((id, index) => ({
+      job: extractionJobs.get(id),
+      fileName: batch.fileNames[index],
+    }));
+    const finished = jobs.filter(({ job }) => job?.status === 'done');
+    if (!finished.length) {
+      return res.status(409).json({ error: 'Im Stapel ist noch kein Ergebnis fertig.' });
+    }
+
+    const disableDescriptions = Boolean(req.body?.disableDescriptions);
+    const apiKey = await getApiKey(req);
+    const needsKey =
+      !disableDescriptions && finished.some(({ job }) => needsImageDescriptions(job.result.pages || []));
+    if (needsKey && !apiKey) {
+      return res.status(400).json({ error: 'Bitte eigenen Mistral API-Key angeben.' });
+    }
+
+    const zip = new JSZip();
+    const usedNames = new Set();
+    /* eslint-disable no-await-in-loop */
+    for (const { job, fileName } of finished) {
+      const name = batchEntryName(fileName, usedNames);
+      const folder = zip.folder(name);
+      const sourcePages = job.result.pages || [];
+      const html = job.result.html || '';
+      const descriptions = disableDescriptions
+        ? {}
+        : await collectImageDescriptions(sourcePages, apiKey, { onUsage: meterVision(req, apiKey) });
+      const pages = applyExportView(sourcePages, req.body);
+      const options = { html, descriptions, disableDescriptions };
+
+      if (formats.includes('docx')) {
+        folder.file(`${name}.docx`, await buildDocx(pages, options));
       }
-      const allImages = [];
-      pages.forEach(p => {
-        if (Array.isArray(p.images)) allImages.push(...p.images);
-      });
-      const validImages = allImages.filter(img => !img._removed);
-      if (validImages.length) {
-         bodyParts.push('<hr/><h2>Bilder</h2>');
-         validImages.forEach((img, idx) => {
-             // ... image rendering fallback ...
-            const key = img.id || img.base64?.slice(0, 16);
-            if (disableDescriptions) {
-              if (img.base64 && !img._replaceWithDescription) {
-                bodyParts.push(
-                  `<p><img alt="Bild" style="max-width:100%;height:auto;" src="data:image/jpeg;base64,${img.base64}"/></p>`
-                );
-              } else if (img._description) {
-                 bodyParts.push(`<p><strong>Bild:</strong> ${escapeHtml(img._description)}</p>`);
-              }
-            } else {
-               const desc = (img._replaceWithDescription && img._description) || descriptions[key] || 'Bildbeschreibung nicht verfügbar.';
-               bodyParts.push(`<p><strong>Bild:</strong> ${escapeHtml(desc)}</p>`);
-            }
-         });
+      if (formats.includes('md')) {
+        const { markdown, files } = buildMarkdown(pages, options);
+        folder.file(`${name}.md`, markdown);
+        files.forEach((file) => folder.file(file.path, file.data));
+      }
+      if (formats.includes('txt')) {
+        folder.file(`${name}.txt`, `${buildPlainText(pages, { html })}\n`);
       }
     }
+    /* eslint-enable no-await-in-loop */
 
-    const htmlDoc = `
-      <!DOCTYPE html>
-      <html lang="de">
-        <head>
-          <meta charset="UTF-8" />
-          <style>
-            body { font-family: "Segoe UI", Arial, sans-serif; line-height: 1.5; color: #111; }
-            h1, h2, h3, h4 { color: #0f172a; margin-top: 1.2em; margin-bottom: 0.6em; }
-            hr { border: 0; border-top: 1px solid #e2e8f0; margin: 1.5rem 0; }
-            p { margin: 0.35rem 0; }
-            /* Stronger Table Styling for Word */
-            table { 
-              border-collapse: collapse; 
-              width: 100%; 
-              margin: 1rem 0; 
-              border: 1px solid #000;
-            }
-            th, td { 
-              border: 1px solid #000; 
-              padding: 0.5rem; 
-              text-align: left; 
-              vertical-align: top;
-            }
-            th { 
-              background-color: #f1f5f9; 
-              font-weight: bold; 
-            }
-            ul, ol { margin-left: 1.5rem; padding-left: 0; }
-            li { margin-bottom: 0.25rem; }
-            img { max-width: 100%; height: auto; }
-          </style>
-        </head>
-        <body>
-          ${bodyParts.join('\n')}
-        </body>
-      </html>
-    `;
-
-    res.setHeader(
-      'Content-Disposition',
-      `attachment; filename="export-${Date.now().toString().slice(-6)}.doc"`
-    );
-    res.setHeader('Content-Type', 'application/msword');
-    res.send(htmlDoc);
+    const problems = jobs
+      .filter(({ job }) => job?.status !== 'done')
+      .map(({ job, fileName }) => `${fileName}: ${job?.error || (job ? 'noch nicht fertig' : 'abgelaufen')}`);
+    if (problems.length) {
+      zip.file('nicht-exportiert.txt', `${problems.join('\n')}\n`);
+    }
+
+    const archive = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName('zip')}"`);
+    res.setHeader('Content-Type', 'application/zip');
+    res.send(archive);
   } catch (error) {
-    console.error('Word-Export-Fehler:', error);
+    console.error('Stapel-Export-Fehler:', error);
     res.status(500).json({ error: error?.message || 'Export fehlgeschlagen.' });
   }
 });
 
+app.get('/api/cache', requireAdmin, async (req, res) => {
+  try {
+    const entries = await resultCache.list();
+    res.json({
+      entries,
+      totalBytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+      maxBytes: resultCache.maxBytes,
+      ttlMs: resultCache.ttlMs,
+    });
+  } catch (error) {
+    console.error('Cache-Fehler:', error);
+    res.status(500).json({ error: 'Cache konnte nicht gelesen werden.' });
+  }
+});
+
+app.delete('/api/cache', requireAdmin, async (req, res) => {
+  try {
+    res.json({ removed: await resultCache.clear() });
+  } catch (error) {
+    console.error('Cache-Fehler:', error);
+    res.status(500).json({ error: 'Cache konnte nicht geleert werden.' });
+  }
+});
+
+app.delete('/api/cache/:key', requireAdmin, async (req, res) => {
+  if (!resultCache.isKey(req.params.key)) {
+    return res.status(400).json({ error: 'Ungültiger Cache-Schlüssel.' });
+  }
+  try {
+    const removed = await resultCache.clear(req.params.key);
+    if (!removed) {
+      return res.status(404).json({ error: 'Cache-Eintrag nicht gefunden.' });
+    }
+    res.json({ removed });
+  } catch (error) {
+    console.error('Cache-Fehler:', error);
+    res.status(500).json({ error: 'Cache-Eintrag konnte nicht entfernt werden.' });
+  }
+});
+
 app.post('/api/describe-image', async (req, res) => {
   try {
-    const apiKey = getApiKey(req);
+    const apiKey = await getApiKey(req);
     if (!apiKey) {
       return res.status(400).json({ error: 'Bitte eigenen Mistral API-Key angeben.' });
     }
@@ -1015,58 +1042,49 @@ app.post('/api/describe-image', async (req, res) => {
     if (!base64) {
       return res.status(400).json({ error: 'Keine Bilddaten übergeben.' });
     }
-    const description = await describeImageWithVision(base64, apiKey);
+    const description = await describeImageWithVision(base64, apiKey, {
+      onUsage: meterVision(req, apiKey),
+    });
     if (!description) {
       return res.status(502).json({ error: 'Keine Bildbeschreibung erhalten.' });
     }
     res.json({ description });
   } catch (error) {
     console.error('Vision-Endpoint-Fehler:', error);
-    res.status(500).json({ error: error?.message || 'Beschreibung fehlgeschlagen.' });
+    sendError(res, error, 500, 'Beschreibung fehlgeschlagen.');
   }
 });
 
+/**
+ * Usage the server metered for the caller (the user, or the API key without a login):
+ * today, this month and the last 30 days with estimated costs and budgets. Without
+ * accounts and for admins `subjects` lists this month per user and key. With
+ * MISTRAL_USAGE_API_URL set, `data` also carries Mistral's own figures for the key;
+ * the org account's figures only go to admins.
+ */
 app.get('/api/usage', async (req, res) => {
   try {
-    const apiKey = getApiKey(req);
-    if (!apiKey) {
+    const { apiKey, source } = await resolveApiKey(req);
+    const meter = usageSubject(req.user, apiKey);
+    if (!meter) {
       return res.status(400).json({ error: 'Bitte eigenen Mistral API-Key angeben.' });
     }
-    if (!MISTRAL_USAGE_API_URL) {
-      return res.status(501).json({
-        error:
-          'Usage-Endpoint nicht konfiguriert. Bitte MISTRAL_USAGE_API_URL setzen oder im Mistral-Dashboard prüfen.',
-        unsupported: true,
-      });
+    const payload = {
+      summary: await usageMeter.summary(meter.subject),
+      ...(!accounts || req.user?.role === 'admin' ? { subjects: await usageMeter.overview() } : {}),
+    };
+    const orgForbidden = source === 'org' && accounts && req.user?.role !== 'admin';
+    if (!apiKey || !MISTRAL_USAGE_API_URL || orgForbidden) {
+      return res.json(payload);
     }
 
-    const response = await fetch(MISTRAL_USAGE_API_URL, {
-      method: 'GET',
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        Accept: 'application/json',
-      },
+    const data = await usageClient.requestJson(MISTRAL_USAGE_API_URL, {
+      headers: { Authorization: `Bearer ${apiKey}` },
     });
-
-    const text = await response.text().catch(() => '');
-    if (!response.ok) {
-      return res.status(response.status).json({
-        error: `Usage-Request fehlgeschlagen (${response.status})`,
-        details: text?.slice(0, 500) || null,
-      });
-    }
-
-    let data = null;
-    try {
-      data = text ? JSON.parse(text) : null;
-    } catch (err) {
-      return res.status(502).json({ error: 'Usage-Antwort konnte nicht gelesen werden.' });
-    }
-
-    res.json({ data });
+    res.json({ ...payload, data });
   } catch (error) {
     console.error('Usage-Endpoint-Fehler:', error);
-    res.status(502).json({ error: error?.message || 'Usage-Request fehlgeschlagen.' });
+    sendError(res, error, 502, 'Usage-Request fehlgeschlagen.');
   }
 });
 
@@ -1075,11 +1093,19 @@ app.use((error, req, res, next) => {
     return next(error);
   }
   console.error('Upload-Fehler:', error?.message || error);
+  if (error?.code === 'LIMIT_UNEXPECTED_FILE' && req.path === '/api/batches') {
+    return res.status(400).json({ error: `Höchstens ${maxBatchFiles} Dateien pro Stapel.` });
+  }
   res.status(400).json({ error: error?.message || 'Beim Upload ist ein Fehler aufgetreten.' });
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  // eslint-disable-next-line no-console
-  console.log(`PDF-Extractor läuft auf http://localhost:${PORT}`);
-});
+// Only listens when started directly; the end-to-end tests mount the app on their own port.
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => {
+    // eslint-disable-next-line no-console
+    console.log(`PDF-Extractor läuft auf http://localhost:${PORT}`);
+  });
+}
+
+module.exports = app;
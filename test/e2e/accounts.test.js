@@ -0,0 +1,244 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPdf, postExtract, postJson, startStack } = require('./helpers');
+
+// The org key is a mock scenario, so extractions with it get the default OCR answer (2 pages).
+describe('accounts, server-side keys and quotas', () => {
+  let stack;
+  let adminCookie;
+  const login = async (username, password) => {
+    const res = await postJson(stack.baseUrl, '/api/auth/login', { username, password });
+    assert.equal(res.status, 200);
+    return res.headers.get('set-cookie').split(';')[0];
+  };
+  const ocrCalls = (scenario) =>
+    stack.mock.requests.filter((call) => call.route === 'ocr' && call.scenario === scenario);
+
+  before(async () => {
+    stack = await startStack({
+      env: {
+        ACCOUNTS_ENABLED: 'true',
+        KEY_ENCRYPTION_SECRET: 'e2e-secret',
+        ADMIN_USERNAME: 'chefin',
+        ADMIN_PASSWORD: 'admin-passwort',
+        ORG_MISTRAL_API_KEY: 'default',
+        EXTRACT_JOB_CONCURRENCY: '1',
+      },
+    });
+    adminCookie = await login('chefin', 'admin-passwort');
+  });
+  after(() => stack.close());
+
+  test('requires a login for everything but the public routes', async () => {
+    const session = await fetch(`${stack.baseUrl}/api/auth/session`);
+    assert.deepEqual(await session.json(), {
+      accounts: true,
+      user: null,
+      keyStorage: true,
+      serverKey: false,
+    });
+
+    const res = await postExtract(stack.baseUrl, { file: await createPdf('ohne Login') });
+    assert.equal(res.status, 401);
+    assert.equal((await res.json()).code, 'login_required');
+
+    const wrong = await postJson(stack.baseUrl, '/api/auth/login', { username: 'chefin', password: 'falsch' });
+    assert.equal(wrong.status, 401);
+    assert.equal((await wrong.json()).code, 'invalid_credentials');
+  });
+
+  test('sets an HttpOnly session cookie and reports the server key', async () => {
+    const res = await postJson(stack.baseUrl, '/api/auth/login', {
+      username: 'chefin',
+      password: 'admin-passwort',
+    });
+    assert.match(res.headers.get('set-cookie'), /^te_session=[^;]+; Path=\/; HttpOnly; SameSite=Strict/);
+    const { user, serverKey } = await res.json();
+    assert.equal(user.username, 'chefin');
+    assert.equal(user.role, 'admin');
+    assert.equal(serverKey, true);
+  });
+
+  test('extracts with the org key and stops at the monthly quota', async () => {
+    const created = await postJson(
+      stack.baseUrl,
+      '/api/admin/users',
+      { username: 'ben', password: 'ben-passwort', quota: { ocrPagesPerMonth: 2 } },
+      { cookie: adminCookie }
+    );
+    assert.equal(created.status, 201);
+    const cookie = await login('ben', 'ben-passwort');
+
+    const first = await postExtract(stack.baseUrl, { file: await createPdf('Kontingent 1'), cookie });
+    assert.equal(first.status, 200);
+    assert.equal((await first.json()).pageCount, 2);
+    assert.equal(ocrCalls('default').length, 1);
+
+    const session = await fetch(`${stack.baseUrl}/api/auth/session`, { headers: { cookie } });
+    assert.equal((await session.json()).user.usage.ocrPages, 2);
+
+    const second = await postExtract(stack.baseUrl, { file: await createPdf('Kontingent 2'), cookie });
+    assert.equal(second.status, 429);
+    assert.deepEqual(await second.json(), {
+      error: 'Dein OCR-Kontingent für diesen Monat ist aufgebraucht.',
+      code: 'quota_exceeded',
+    });
+    assert.equal(ocrCalls('default').length, 1);
+
+    // Keys sent by the browser are not limited by the quota.
+    const ownKey = await postExtract(stack.baseUrl, {
+      file: await createPdf('Kontingent 3'),
+      cookie,
+      scenario: 'layout',
+    });
+    assert.equal(ownKey.status, 200);
+  });
+
+  test('checks the quota again before every job of a batch', async () => {
+    const emil = await (
+      await postJson(
+        stack.baseUrl,
+        '/api/admin/users',
+        { username: 'emil', password: 'emil-passwort', quota: { ocrPagesPerMonth: 2 } },
+        { cookie: adminCookie }
+      )
+    ).json();
+    const cookie = await login('emil', 'emil-passwort');
+    const calls = ocrCalls('default').length;
+
+    const form = new FormData();
+    form.append('engine', 'ocr');
+    /* eslint-disable no-await-in-loop */
+    for (const name of ['Stapel 1', 'Stapel 2', 'Stapel 3']) {
+      form.append('pdf', new Blob([await createPdf(name)], { type: 'application/pdf' }), `${name}.pdf`);
+    }
+    const created = await fetch(`${stack.baseUrl}/api/batches`, {
+      method: 'POST',
+      headers: { cookie },
+      body: form,
+    });
+    assert.equal(created.status, 202);
+    const { id } = await created.json();
+    let batch;
+    do {
+      await new Promise((resolve) => {
+        setTimeout(resolve, 50);
+      });
+      batch = await (await fetch(`${stack.baseUrl}/api/batches/${id}`, { headers: { cookie } })).json();
+    } while (batch.summary.pending);
+    /* eslint-enable no-await-in-loop */
+
+    // The first document uses up the quota; the others start after it and get no key.
+    assert.deepEqual(
+      batch.jobs.map((job) => [job.status, job.errorCode]),
+      [
+        ['done', null],
+        ['failed', 'quota_exceeded'],
+        ['failed', 'quota_exceeded'],
+      ]
+    );
+    assert.equal(ocrCalls('default').length, calls + 1);
+    await postJson(stack.baseUrl, `/api/admin/users/${emil.id}`, undefined, {
+      cookie: adminCookie,
+      method: 'DELETE',
+    });
+  });
+
+  test('prefers a stored own key over the org key', async () => {
+    await postJson(
+      stack.baseUrl,
+      '/api/admin/users',
+      { username: 'clara', password: 'clara-passwort' },
+      { cookie: adminCookie }
+    );
+    const cookie = await login('clara', 'clara-passwort');
+    const stored = await postJson(
+      stack.baseUrl,
+      '/api/account/api-key',
+      { apiKey: 'text-only' },
+      { cookie, method: 'PUT' }
+    );
+    assert.equal(stored.status, 200);
+    assert.equal((await stored.json()).user.hasApiKey, true);
+
+    const res = await postExtract(stack.baseUrl, { file: await createPdf('eigener Key'), cookie });
+    assert.equal(res.status, 200);
+    assert.equal(ocrCalls('text-only').length, 1);
+  });
+
+  test('keeps user management and the cache for admins', async () => {
+    const cookie = await login('clara', 'clara-passwort');
+    const users = await fetch(`${stack.baseUrl}/api/admin/users`, { headers: { cookie } });
+    assert.equal(users.status, 403);
+    assert.equal((await users.json()).code, 'forbidden');
+    const cache = await fetch(`${stack.baseUrl}/api/cache`, { headers: { cookie } });
+    assert.equal(cache.status, 403);
+
+    const list = await fetch(`${stack.baseUrl}/api/admin/users`, { headers: { cookie: adminCookie } });
+    const { users: accounts } = await list.json();
+    assert.deepEqual(accounts.map((user) => user.username), ['chefin', 'ben', 'clara']);
+    assert.ok(accounts.every((user) => !('passwordHash' in user) && !('apiKey' in user)));
+
+    const lastAdmin = await postJson(
+      stack.baseUrl,
+      `/api/admin/users/${accounts[0].id}`,
+      { disabled: true },
+      { cookie: adminCookie, method: 'PATCH' }
+    );
+    assert.equal(lastAdmin.status, 409);
+  });
+
+  test('keeps field templates to their owner and admins', async () => {
+    const ben = await login('ben', 'ben-passwort');
+    const clara = await login('clara', 'clara-passwort');
+    const template = { name: 'Bens Rechnungen', fields: [{ name: 'Nummer', label: 'Rechnung' }] };
+    const created = await postJson(stack.baseUrl, '/api/templates', template, { cookie: ben });
+    assert.equal(created.status, 201);
+    const { id } = await created.json();
+
+    const names = async (cookie) => {
+      const res = await fetch(`${stack.baseUrl}/api/templates`, { headers: { cookie } });
+      return (await res.json()).templates.map((entry) => entry.name);
+    };
+    assert.deepEqual(await names(ben), ['Bens Rechnungen']);
+    assert.deepEqual(await names(clara), []);
+    assert.deepEqual(await names(adminCookie), ['Bens Rechnungen']);
+
+    const foreign = await postJson(stack.baseUrl, `/api/templates/${id}`, undefined, {
+      cookie: clara,
+      method: 'DELETE',
+    });
+    assert.equal(foreign.status, 404);
+  });
+
+  test('backs off after repeated failed logins for a name', async () => {
+    const created = await postJson(
+      stack.baseUrl,
+      '/api/admin/users',
+      { username: 'dora', password: 'dora-passwort' },
+      { cookie: adminCookie }
+    );
+    assert.equal(created.status, 201);
+    const attempt = (password) => postJson(stack.baseUrl, '/api/auth/login', { username: 'Dora', password });
+
+    /* eslint-disable no-await-in-loop */
+    for (let index = 0; index < 5; index += 1) {
+      assert.equal((await attempt('geraten')).status, 401);
+    }
+    /* eslint-enable no-await-in-loop */
+    const blocked = await attempt('dora-passwort');
+    assert.equal(blocked.status, 429);
+    assert.equal(blocked.headers.get('retry-after'), '1');
+    assert.deepEqual(await blocked.json(), {
+      error: 'Zu viele fehlgeschlagene Anmeldungen. Bitte in 1 s erneut versuchen.',
+      code: 'too_many_attempts',
+    });
+
+    // Other names from the same address are not affected.
+    await login('chefin', 'admin-passwort');
+    await new Promise((resolve) => {
+      setTimeout(resolve, 1100);
+    });
+    await login('dora', 'dora-passwort');
+  });
+});
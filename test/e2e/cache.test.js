@@ -0,0 +1,64 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createResultCache } = require('../../lib/result-cache');
+const { createPdf, postExtract, postJson, startStack } = require('./helpers');
+
+describe('result cache', () => {
+  let stack;
+  const ocrCalls = (scenario) =>
+    stack.mock.requests.filter((call) => call.route === 'ocr' && call.scenario === scenario);
+  const listEntries = async () => (await (await fetch(`${stack.baseUrl}/api/cache`)).json()).entries;
+
+  before(async () => {
+    stack = await startStack();
+  });
+  after(() => stack.close());
+
+  test('serves the second identical upload from the cache and lists the entry', async () => {
+    const file = await createPdf('cache-hit');
+    const first = await (await postExtract(stack.baseUrl, { file, scenario: 'default' })).json();
+    assert.equal(first.cached, false);
+
+    const second = await (await postExtract(stack.baseUrl, { file, scenario: 'default' })).json();
+    assert.equal(second.cached, true);
+    assert.deepEqual(second.pages, first.pages);
+    assert.equal(ocrCalls('default').length, 1);
+
+    const entries = await listEntries();
+    assert.equal(entries.length, 1);
+    assert.deepEqual([entries[0].fileName, entries[0].engine], ['dokument.pdf', 'ocr']);
+  });
+
+  test('misses the cache when the engine changes', async () => {
+    const file = await createPdf('cache-engine');
+    await postExtract(stack.baseUrl, { file, scenario: 'default', engine: 'ocr' });
+    const res = await postExtract(stack.baseUrl, { file, scenario: 'default', engine: 'pdfjs' });
+    const body = await res.json();
+    assert.deepEqual([body.cached, body.source], [false, 'pdfjs']);
+  });
+
+  test('keys entries on the provider and its model', () => {
+    // The same option shape runExtraction builds; the local provider cannot run in the test stack.
+    const cache = createResultCache({ dir: 'unused' });
+    const file = Buffer.from('%PDF-1.7');
+    const options = { engine: 'ocr', provider: 'mistral', model: 'mistral-ocr-latest', minTextLayerChars: 20 };
+    const key = cache.keyFor(file, options);
+    const reordered = { minTextLayerChars: 20, model: 'mistral-ocr-latest', provider: 'mistral', engine: 'ocr' };
+    assert.equal(cache.keyFor(file, reordered), key);
+    assert.notEqual(cache.keyFor(file, { ...options, provider: 'tesseract' }), key);
+    assert.notEqual(cache.keyFor(file, { ...options, model: 'mistral-ocr-2505' }), key);
+  });
+
+  test('empties the cache on DELETE /api/cache', async () => {
+    assert.ok((await listEntries()).length > 0);
+    const res = await postJson(stack.baseUrl, '/api/cache', undefined, { method: 'DELETE' });
+    assert.equal(res.status, 200);
+    assert.ok((await res.json()).removed > 0);
+    assert.deepEqual(await listEntries(), []);
+
+    const file = await createPdf('cache-hit');
+    const again = await (await postExtract(stack.baseUrl, { file, scenario: 'default' })).json();
+    assert.equal(again.cached, false);
+    assert.equal(ocrCalls('default').length, 3);
+  });
+});
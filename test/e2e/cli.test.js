@@ -0,0 +1,121 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPdf } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', '..', 'bin', 'text-extracter.js');
+
+// Resolves with the exit code instead of rejecting, so failures can be asserted like successes.
+const runCli = (args, { cwd } = {}) =>
+  new Promise((resolve) => {
+    const env = { ...process.env, MISTRAL_API_KEY: '', RESULT_CACHE_DIR: '' };
+    execFile(process.execPath, [CLI, ...args], { cwd, env, timeout: 30000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+
+describe('command line', () => {
+  let dir;
+  const writePdf = async (relativePath, title, options) => {
+    const filePath = path.join(dir, relativePath);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, await createPdf(title, 1, options));
+    return filePath;
+  };
+
+  before(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'text-extracter-cli-'));
+  });
+  after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+  test('writes the export next to the input by default', async () => {
+    const input = await writePdf('einzeln/bericht.pdf', 'Kommandozeile Bericht');
+    const { code, stderr } = await runCli(['extract', input, '--engine', 'pdfjs', '--no-cache']);
+    assert.equal(code, 0, stderr);
+    const target = path.join(dir, 'einzeln', 'bericht.md');
+    assert.match(await fs.promises.readFile(target, 'utf8'), /Kommandozeile Bericht – Seite 1/);
+    assert.match(stderr, /bericht\.pdf -> .*bericht\.md/);
+  });
+
+  test('prints a single input to stdout with -o -', async () => {
+    const input = await writePdf('stdout.pdf', 'Kommandozeile Standardausgabe');
+    const args = ['extract', input, '-e', 'pdfjs', '-f', 'txt', '-o', '-', '--no-cache'];
+    const { code, stdout, stderr } = await runCli(args);
+    assert.equal(code, 0, stderr);
+    assert.equal(stdout, 'Kommandozeile Standardausgabe – Seite 1\n');
+    assert.equal(fs.existsSync(path.join(dir, 'stdout.txt')), false);
+  });
+
+  test('refuses stdout for several inputs', async () => {
+    const first = await writePdf('zwei/a.pdf', 'Kommandozeile Zwei A');
+    const second = await writePdf('zwei/b.pdf', 'Kommandozeile Zwei B');
+    const { code, stdout, stderr } = await runCli(['extract', first, second, '-e', 'pdfjs', '-o', '-']);
+    assert.equal(code, 2);
+    assert.equal(stdout, '');
+    assert.match(stderr, /Die Standardausgabe nimmt nur eine Eingabedatei auf\./);
+  });
+
+  test('searches directories recursively and numbers equal names in the output directory', async () => {
+    await writePdf('ordner/rechnung.pdf', 'Kommandozeile Rechnung oben');
+    await writePdf('ordner/2024/rechnung.pdf', 'Kommandozeile Rechnung unten');
+    await fs.promises.writeFile(path.join(dir, 'ordner', 'notizen.txt'), 'keine Eingabe');
+    const output = path.join(dir, 'aus-ordner');
+    const args = ['extract', path.join(dir, 'ordner'), '-e', 'pdfjs', '-f', 'txt', '-o', output, '--no-cache'];
+    const { code, stderr } = await runCli(args);
+    assert.equal(code, 0, stderr);
+    assert.deepEqual((await fs.promises.readdir(output)).sort(), ['rechnung-2.txt', 'rechnung.txt']);
+    const texts = await Promise.all(
+      ['rechnung.txt', 'rechnung-2.txt'].map((name) => fs.promises.readFile(path.join(output, name), 'utf8'))
+    );
+    assert.deepEqual(texts.sort(), [
+      'Kommandozeile Rechnung oben – Seite 1\n',
+      'Kommandozeile Rechnung unten – Seite 1\n',
+    ]);
+  });
+
+  test('expands globs itself', async () => {
+    await writePdf('glob/teil-1.pdf', 'Kommandozeile Glob Teil 1');
+    await writePdf('glob/unter/teil-2.pdf', 'Kommandozeile Glob Teil 2');
+    await writePdf('glob/anderes.pdf', 'Kommandozeile Glob anderes');
+    const output = path.join(dir, 'aus-glob');
+    const args = ['extract', 'glob/**/teil-*.pdf', '-e', 'pdfjs', '-o', output, '--no-cache'];
+    const { code, stderr } = await runCli(args, { cwd: dir });
+    assert.equal(code, 0, stderr);
+    assert.deepEqual((await fs.promises.readdir(output)).sort(), ['teil-1.md', 'teil-2.md']);
+  });
+
+  test('exits with 1 when a file fails or an input is missing', async () => {
+    const good = await writePdf('gemischt/gut.pdf', 'Kommandozeile gemischt gut');
+    const blank = await writePdf('gemischt/leer.pdf', 'Kommandozeile gemischt leer', { blankPages: [1] });
+    const missing = path.join(dir, 'gemischt', 'fehlt.pdf');
+    const { code, stderr } = await runCli(['extract', good, blank, missing, '-e', 'pdfjs', '--no-cache']);
+    assert.equal(code, 1);
+    assert.match(stderr, /Keine Eingabe gefunden: .*fehlt\.pdf/);
+    assert.match(stderr, /leer\.pdf: /);
+    assert.ok(fs.existsSync(path.join(dir, 'gemischt', 'gut.md')));
+    assert.equal(fs.existsSync(path.join(dir, 'gemischt', 'leer.md')), false);
+  });
+
+  test('exits with 2 on a wrong call and when nothing matches', async () => {
+    const input = await writePdf('aufruf.pdf', 'Kommandozeile Aufruf');
+    const calls = [
+      [['convert', input], /Unbekannter Befehl: convert/, true],
+      [['extract', input, '-f', 'rtf'], /Unbekanntes Format: rtf/, true],
+      [['extract', input, '--engine', 'laser'], /Unbekannte Engine: laser/, true],
+      [['extract', path.join(dir, 'nichts-*.pdf')], /Keine Eingabe gefunden/, false],
+    ];
+    for (const [args, message, withUsage] of calls) {
+      // eslint-disable-next-line no-await-in-loop
+      const { code, stderr } = await runCli(args);
+      assert.equal(code, 2, args.join(' '));
+      assert.match(stderr, message);
+      assert.equal(stderr.includes('Aufruf: text-extracter extract'), withUsage);
+    }
+    const { code, stdout } = await runCli(['--help']);
+    assert.equal(code, 0);
+    assert.match(stdout, /^Aufruf: text-extracter extract/);
+  });
+});
@@ -0,0 +1,62 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TINY_PNG_BASE64, postJson, startStack } = require('./helpers');
+
+describe('POST /api/describe-image', () => {
+  let stack;
+  const describeImage = (scenario, body = { base64: TINY_PNG_BASE64 }) =>
+    postJson(stack.baseUrl, '/api/describe-image', body, { scenario });
+
+  before(async () => {
+    stack = await startStack();
+  });
+  after(() => stack.close());
+
+  test('returns the description of the vision model', async () => {
+    const res = await describeImage('default');
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { description: 'Ein Firmenlogo in Blau auf weißem Grund.' });
+
+    const [call] = stack.mock.requests.filter((entry) => entry.route === 'chat');
+    assert.equal(call.body.model, 'pixtral-large-latest');
+    const [, image] = call.body.messages[0].content;
+    assert.equal(image.type, 'image_url');
+    assert.equal(image.image_url, `data:image/jpeg;base64,${TINY_PNG_BASE64}`);
+  });
+
+  test('reads the text part of structured content', async () => {
+    const res = await describeImage('content-parts');
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).description, 'Ein Balkendiagramm mit vier Quartalen.');
+  });
+
+  test('reports a missing description as 502', async () => {
+    const res = await describeImage('no-content');
+    assert.equal(res.status, 502);
+    assert.equal((await res.json()).error, 'Keine Bildbeschreibung erhalten.');
+  });
+
+  test('reports failed vision calls with a code', async () => {
+    const serverError = await describeImage('server-error');
+    assert.equal(serverError.status, 502);
+    const serverErrorBody = await serverError.json();
+    assert.equal(serverErrorBody.code, 'upstream_unavailable');
+    assert.equal(serverErrorBody.error, 'Mistral Vision ist gerade nicht verfügbar (500).');
+
+    const rateLimited = await describeImage('rate-limited');
+    assert.equal(rateLimited.status, 429);
+    assert.equal((await rateLimited.json()).code, 'rate_limited');
+  });
+
+  test('validates key and image data before calling Mistral', async () => {
+    stack.mock.reset();
+    const noKey = await describeImage(undefined);
+    assert.equal(noKey.status, 400);
+    assert.match((await noKey.json()).error, /API-Key/);
+
+    const noImage = await describeImage('default', {});
+    assert.equal(noImage.status, 400);
+    assert.equal((await noImage.json()).error, 'Keine Bilddaten übergeben.');
+    assert.equal(stack.mock.requests.length, 0);
+  });
+});
@@ -0,0 +1,62 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { createPdf, postExtract, postJson, startStack } = require('./helpers');
+
+const documentXml = async (res) => {
+  const zip = await JSZip.loadAsync(Buffer.from(await res.arrayBuffer()));
+  return zip.file('word/document.xml').async('string');
+};
+
+describe('POST /api/export-docx', () => {
+  let stack;
+  let pages;
+  const chatCalls = () => stack.mock.requests.filter((call) => call.route === 'chat');
+
+  before(async () => {
+    stack = await startStack();
+    const res = await postExtract(stack.baseUrl, { file: await createPdf('export-docx'), scenario: 'default' });
+    ({ pages } = await res.json());
+  });
+  after(() => stack.close());
+
+  test('builds a Word document from extracted pages with image descriptions', async () => {
+    stack.mock.reset();
+    const res = await postJson(stack.baseUrl, '/api/export-docx', { pages }, { scenario: 'default' });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /wordprocessingml\.document/);
+    assert.match(res.headers.get('content-disposition'), /attachment; filename=".*\.docx"/);
+
+    const xml = await documentXml(res);
+    assert.match(xml, /Rechnung 2024-117/);
+    assert.match(xml, /Zahlungsbedingungen/);
+    assert.match(xml, /Ein Firmenlogo in Blau auf weißem Grund\./);
+    assert.equal(chatCalls().length, 1);
+  });
+
+  test('falls back to a placeholder when the vision call fails', async () => {
+    const res = await postJson(stack.baseUrl, '/api/export-docx', { pages }, { scenario: 'server-error' });
+    assert.equal(res.status, 200);
+    assert.match(await documentXml(res), /Bildbeschreibung konnte nicht erzeugt werden\./);
+  });
+
+  test('skips the vision model when descriptions are disabled', async () => {
+    stack.mock.reset();
+    const res = await postJson(stack.baseUrl, '/api/export-docx', { pages, disableDescriptions: true });
+    assert.equal(res.status, 200);
+    const xml = await documentXml(res);
+    assert.match(xml, /Rechnung 2024-117/);
+    assert.doesNotMatch(xml, /Firmenlogo/);
+    assert.equal(chatCalls().length, 0);
+  });
+
+  test('needs an API key for image descriptions and some content', async () => {
+    const noKey = await postJson(stack.baseUrl, '/api/export-docx', { pages });
+    assert.equal(noKey.status, 400);
+    assert.match((await noKey.json()).error, /API-Key/);
+
+    const empty = await postJson(stack.baseUrl, '/api/export-docx', { pages: [] }, { scenario: 'default' });
+    assert.equal(empty.status, 400);
+    assert.equal((await empty.json()).error, 'Keine Inhalte zum Export übergeben.');
+  });
+});
@@ -0,0 +1,103 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateDocumentJson } = require('../../lib/document-json');
+const { createPdf, postExtract, postJson, startStack } = require('./helpers');
+
+describe('POST /api/export-json', () => {
+  let stack;
+  let layout;
+  let invoice;
+  const exportJson = (body) => postJson(stack.baseUrl, '/api/export-json', body);
+
+  before(async () => {
+    stack = await startStack();
+    const extract = async (name, scenario) =>
+      (await postExtract(stack.baseUrl, { file: await createPdf(name), scenario })).json();
+    layout = await extract('json-layout', 'layout');
+    invoice = await extract('json-invoice', 'default');
+  });
+  after(() => stack.close());
+
+  test('writes a schema-valid document with blocks, lines, runs and tables', async () => {
+    const res = await exportJson({ ...layout, fileName: 'bericht.pdf' });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^application\/json/);
+    assert.match(res.headers.get('content-disposition'), /attachment; filename=".*\.json"/);
+
+    const document = await res.json();
+    assert.deepEqual(validateDocumentJson(document), []);
+    assert.equal(document.schemaVersion, '1.0');
+    assert.deepEqual(document.document, { fileName: 'bericht.pdf', pageCount: 1 });
+    assert.equal(document.provenance.engine, 'mistral');
+    assert.equal(document.provenance.generator.name, 'text-extracter');
+
+    const [page] = document.pages;
+    assert.deepEqual(
+      page.blocks.map((block) => [block.id, block.type, block.level ?? block.tableId ?? block.text]),
+      [
+        ['p1-b1', 'heading', 1],
+        ['p1-b2', 'paragraph', 'Umsatz stieg um 12 %'],
+        ['p1-b3', 'table', 'p1-t1'],
+      ]
+    );
+    assert.deepEqual(page.lines[1].boundingBox, { x: 100, y: 180, width: 800, height: null });
+    assert.deepEqual(
+      page.lines[1].runs.map((run) => [run.text, run.italic, run.fontSize, run.fontFamily]),
+      [
+        ['Umsatz stieg um ', false, 14, 'Inter'],
+        ['12 %', true, 14, 'Inter'],
+      ]
+    );
+    assert.deepEqual(page.tables[0].boundingBox, { x: 100, y: 260, width: 800, height: 140 });
+    assert.equal(page.tables[0].columnCount, 2);
+    assert.equal(page.tables[0].rows[1][1].text, '4,2 Mio.');
+    assert.doesNotMatch(JSON.stringify(document), /"original"/);
+  });
+
+  test('embeds images with their description unless asked not to', async () => {
+    const pages = invoice.pages.map((page) => ({
+      ...page,
+      images: page.images.map((image) => ({ ...image, _description: 'Firmenlogo' })),
+    }));
+    const embedded = await (await exportJson({ ...invoice, pages })).json();
+    assert.deepEqual(validateDocumentJson(embedded), []);
+    const [image] = embedded.pages[0].images;
+    assert.equal(image.id, 'p1-i1');
+    assert.equal(image.mimeType, 'image/png');
+    assert.equal(image.description, 'Firmenlogo');
+    assert.match(image.data, /^iVBORw0KGgo/);
+    assert.equal(embedded.pages[0].blocks.at(-1).imageId, 'p1-i1');
+
+    const linked = await (await exportJson({ ...invoice, pages, embedImages: false })).json();
+    assert.deepEqual(validateDocumentJson(linked), []);
+    assert.equal('data' in linked.pages[0].images[0], false);
+
+    const removed = pages.map((page) => ({
+      ...page,
+      images: page.images.map((image) => ({ ...image, _removed: true })),
+    }));
+    const without = await (await exportJson({ ...invoice, pages: removed })).json();
+    assert.deepEqual(without.pages[0].images, []);
+    assert.equal(without.pages[0].blocks.some((block) => block.type === 'image'), false);
+  });
+
+  test('serves the schema and reports violations against it', async () => {
+    const res = await fetch(`${stack.baseUrl}/api/export-json/schema`);
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).$id, 'urn:text-extracter:document:v1');
+
+    const document = await (await exportJson(layout)).json();
+    document.schemaVersion = '2.0';
+    delete document.pages[0].lines[0].runs;
+    assert.deepEqual(validateDocumentJson(document), [
+      { path: '/schemaVersion', message: 'must match pattern "^1\\.\\d+$"' },
+      { path: '/pages/0/lines/0', message: "must have required property 'runs'" },
+    ]);
+  });
+
+  test('needs some content', async () => {
+    const res = await exportJson({ pages: [] });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error, 'Keine Inhalte zum Export übergeben.');
+  });
+});
@@ -0,0 +1,76 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { createPdf, postExtract, postJson, startStack } = require('./helpers');
+
+const INVOICE_TABLE = [
+  '| Pos. | Beschreibung | Betrag |',
+  '| --- | --- | --- |',
+  '| 1 | Beratung | 1.200,00 € |',
+  '| 2 | Reisekosten | 86,40 € |',
+].join('\n');
+
+describe('POST /api/export-markdown', () => {
+  let stack;
+  let invoice;
+  const exportMarkdown = (body, options) => postJson(stack.baseUrl, '/api/export-markdown', body, options);
+
+  before(async () => {
+    stack = await startStack();
+    const res = await postExtract(stack.baseUrl, { file: await createPdf('export-md'), scenario: 'default' });
+    invoice = await res.json();
+  });
+  after(() => stack.close());
+
+  test('keeps OCR markdown tables together and describes images where they were referenced', async () => {
+    const res = await exportMarkdown({ pages: invoice.pages }, { scenario: 'default' });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/markdown; charset=utf-8/);
+    assert.match(res.headers.get('content-disposition'), /attachment; filename=".*\.md"/);
+
+    const markdown = await res.text();
+    const blocks = markdown.split('\n\n').map((block) => block.trim());
+    assert.deepEqual(blocks.slice(0, 6), [
+      '<!-- Seite 1 -->',
+      '# Rechnung 2024-117',
+      'Muster GmbH, Hauptstraße 5, 10115 Berlin',
+      INVOICE_TABLE,
+      '**Bild:** Ein Firmenlogo in Blau auf weißem Grund.',
+      'Zahlbar innerhalb von 14 Tagen.',
+    ]);
+    assert.equal(markdown.match(/\*\*Bild:\*\*/g).length, 1);
+    assert.doesNotMatch(markdown, /img-0\.jpeg/);
+    assert.match(markdown, /<!-- Seite 2 -->\n\n## Zahlungsbedingungen\n\nBitte überweisen Sie/);
+  });
+
+  test('links extracted images once, at their reference, when descriptions are disabled', async () => {
+    const res = await exportMarkdown({ pages: invoice.pages, disableDescriptions: true });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'application/zip');
+
+    const zip = await JSZip.loadAsync(Buffer.from(await res.arrayBuffer()));
+    assert.deepEqual(Object.keys(zip.files).filter((name) => !zip.files[name].dir).sort(), [
+      'export.md',
+      'images/seite-1-bild-1.png',
+    ]);
+    const markdown = await zip.file('export.md').async('string');
+    assert.ok(markdown.includes(`${INVOICE_TABLE}\n\n![Bild 1](images/seite-1-bild-1.png)\n\nZahlbar`));
+    assert.equal(markdown.match(/!\[/g).length, 1);
+  });
+
+  test('drops references to removed images', async () => {
+    const pages = invoice.pages.map((page) => ({
+      ...page,
+      images: page.images.map((image) => ({ ...image, _removed: true })),
+    }));
+    const markdown = await (await exportMarkdown({ pages, disableDescriptions: true })).text();
+    assert.doesNotMatch(markdown, /img-0|Bild/);
+    assert.match(markdown, /Muster GmbH[^\n]*\n\n\| Pos\./);
+  });
+
+  test('falls back to the html and keeps its table rows together', async () => {
+    const res = await exportMarkdown({ pages: [], html: invoice.html });
+    assert.equal(res.status, 200);
+    assert.ok((await res.text()).includes(`\n\n${INVOICE_TABLE}\n\n`));
+  });
+});
@@ -0,0 +1,95 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { extractPdfTextLayer } = require('../../lib/pdfjs');
+const { createPdf, postExtract, startStack } = require('./helpers');
+
+describe('POST /api/export-pdf', () => {
+  let stack;
+  const extract = async (file, scenario) => (await postExtract(stack.baseUrl, { file, scenario })).json();
+  const exportPdf = (file, pages) => {
+    const form = new FormData();
+    form.append('pages', JSON.stringify(pages));
+    form.append('pdf', new Blob([file], { type: 'application/pdf' }), 'scan.pdf');
+    return fetch(`${stack.baseUrl}/api/export-pdf`, { method: 'POST', body: form });
+  };
+  const textLines = async (res) => {
+    const layer = await extractPdfTextLayer(Buffer.from(await res.arrayBuffer()));
+    return layer.pages.map((page) =>
+      page.lines.map((line) => ({
+        text: line.segments.map((segment) => segment.text).join(''),
+        x: line.x,
+        y: line.y,
+      }))
+    );
+  };
+
+  before(async () => {
+    stack = await startStack();
+  });
+  after(() => stack.close());
+
+  test('places OCR lines at their position on the page', async () => {
+    const file = await createPdf('pdf-layout');
+    const { pages } = await extract(file, 'layout');
+    // A line without geometry on a positioned page has no place to go.
+    pages[0].lines.push({ y: 2, align: 'left', segments: [{ text: 'Ohne Lage', style: {} }] });
+    const res = await exportPdf(file, pages);
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'application/pdf');
+
+    const [lines] = await textLines(res);
+    const umsatz = lines.find((line) => line.text.includes('Umsatz stieg um'));
+    // The layout page is 1000 px wide, the PDF page 595 pt.
+    assert.ok(Math.abs(umsatz.x - 59.5) < 1, `x = ${umsatz.x}`);
+    assert.ok(umsatz.y > 100 && umsatz.y < 120, `y = ${umsatz.y}`);
+    assert.ok(lines.some((line) => line.text.includes('4,2 Mio.')));
+    assert.ok(lines.some((line) => line.text.includes('pdf-layout – Seite 1')));
+    assert.ok(!lines.some((line) => line.text.includes('Ohne Lage')));
+  });
+
+  test('flows markdown-only pages as one block instead of made-up positions', async () => {
+    const file = await createPdf('pdf-markdown', 2);
+    const { pages } = await extract(file, 'default');
+    const res = await exportPdf(file, pages);
+    assert.equal(res.status, 200);
+
+    const [first, second] = await textLines(res);
+    const ocrText = (lines) => lines.filter((line) => !line.text.includes('pdf-markdown'));
+    const flowed = ocrText(first);
+    assert.deepEqual(
+      [flowed[0].text, flowed.at(-1).text],
+      ['Rechnung 2024-117', 'Zahlbar innerhalb von 14 Tagen.']
+    );
+    // From a 5 % margin down the page (842 pt), in reading order.
+    assert.ok(flowed.every((line) => Math.abs(line.x - 29.75) < 1));
+    assert.ok(flowed.every((line, index) => index === 0 || line.y > flowed[index - 1].y));
+    assert.ok(flowed.at(-1).y < 842 - 29.75);
+    assert.deepEqual(
+      ocrText(second).map((line) => line.text),
+      ['Zahlungsbedingungen', 'Bitte überweisen Sie den Betrag auf das angegebene Konto.']
+    );
+  });
+
+  test('flows tables without a bounding box together with the lines', async () => {
+    const file = await createPdf('pdf-top-level-tables');
+    const { pages } = await extract(file, 'top-level-tables');
+    const res = await exportPdf(file, pages);
+    assert.equal(res.status, 200);
+
+    const [lines] = await textLines(res);
+    const texts = lines.map((line) => line.text).filter((text) => !text.includes('pdf-top-level-tables'));
+    assert.deepEqual(texts.sort(), ['Artikel Menge', 'Lieferliste März', 'Schrauben 500']);
+  });
+
+  test('needs the original and some pages', async () => {
+    const form = new FormData();
+    form.append('pages', '[]');
+    const missing = await fetch(`${stack.baseUrl}/api/export-pdf`, { method: 'POST', body: form });
+    assert.equal(missing.status, 400);
+    assert.equal((await missing.json()).error, 'Bitte die Originaldatei mitschicken.');
+
+    const empty = await exportPdf(await createPdf('pdf-leer'), []);
+    assert.equal(empty.status, 400);
+    assert.equal((await empty.json()).error, 'Keine Inhalte zum Export übergeben.');
+  });
+});
@@ -0,0 +1,103 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { createPdf, postExtract, postJson, startStack } = require('./helpers');
+
+const loadZip = async (res) => JSZip.loadAsync(Buffer.from(await res.arrayBuffer()));
+
+// A header spanning two columns above a cell spanning two rows, as OCR delivers them.
+const spannedPage = {
+  number: 2,
+  tables: [
+    {
+      rows: [
+        [
+          { text: 'Region', header: true, rowspan: 2 },
+          { text: 'Umsatz', header: true, colspan: 2 },
+        ],
+        [
+          { text: '2023', header: true },
+          { text: '2024', header: true },
+        ],
+        [{ text: 'Nord' }, { text: '1.200,50' }, { text: '86,40 €' }],
+        [{ text: 'Süd; West' }, { text: '=HYPERLINK("x")' }, { text: '14.03.2024' }],
+      ],
+    },
+  ],
+};
+
+describe('POST /api/export-tables', () => {
+  let stack;
+  let pages;
+  const exportTables = (body) => postJson(stack.baseUrl, '/api/export-tables', body);
+
+  before(async () => {
+    stack = await startStack();
+    const res = await postExtract(stack.baseUrl, { file: await createPdf('export-tables'), scenario: 'layout' });
+    ({ pages } = await res.json());
+  });
+  after(() => stack.close());
+
+  test('writes a single table as CSV with German numbers', async () => {
+    const res = await exportTables({ pages: [spannedPage], tables: [{ page: 2, table: 1 }] });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/csv; charset=utf-8/);
+    assert.match(res.headers.get('content-disposition'), /filename="seite-2-tabelle-1\.csv"/);
+    assert.equal(
+      await res.text(),
+      [
+        'Region;Umsatz;',
+        ';2023;2024',
+        'Nord;1200,50;86,40',
+        `"Süd; West";"'=HYPERLINK(""x"")";14.03.2024`,
+        '',
+      ].join('\r\n')
+    );
+  });
+
+  test('uses decimal points and commas between fields on request', async () => {
+    const res = await exportTables({ pages: [spannedPage], decimal: 'point' });
+    assert.equal(res.status, 200);
+    const lines = (await res.text()).split('\r\n');
+    assert.equal(lines[2], 'Nord,1200.50,86.40');
+  });
+
+  test('zips one CSV per table', async () => {
+    const res = await exportTables({ pages: [...pages, spannedPage] });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /application\/zip/);
+    const zip = await loadZip(res);
+    assert.deepEqual(Object.keys(zip.files).sort(), ['seite-1-tabelle-1.csv', 'seite-2-tabelle-1.csv']);
+    const csv = await zip.file('seite-1-tabelle-1.csv').async('string');
+    assert.equal(csv, '\uFEFFQuartal;Umsatz\r\nQ1;4,2 Mio.\r\nQ2;4,7 Mio.\r\n');
+  });
+
+  test('builds one workbook with a sheet per table, numbers and merged cells', async () => {
+    const res = await exportTables({ pages: [...pages, spannedPage], format: 'xlsx' });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /spreadsheetml\.sheet/);
+    assert.match(res.headers.get('content-disposition'), /filename=".*\.xlsx"/);
+
+    const zip = await loadZip(res);
+    const workbook = await zip.file('xl/workbook.xml').async('string');
+    assert.match(workbook, /<sheet name="Seite 1 Tabelle 1" sheetId="1"/);
+    assert.match(workbook, /<sheet name="Seite 2 Tabelle 1" sheetId="2"/);
+
+    const sheet = await zip.file('xl/worksheets/sheet2.xml').async('string');
+    assert.match(sheet, /<mergeCells count="2"><mergeCell ref="A1:A2"\/><mergeCell ref="B1:C1"\/><\/mergeCells>/);
+    assert.match(sheet, /<c r="B3" s="3"><v>1200\.5<\/v><\/c>/);
+    assert.match(sheet, /<c r="C3" s="4"><v>86\.4<\/v><\/c>/);
+    assert.match(sheet, /<c r="C4" t="inlineStr"><is><t xml:space="preserve">14\.03\.2024<\/t>/);
+    assert.match(sheet, /<c r="B2" t="inlineStr" s="1">/);
+  });
+
+  test('rejects unknown formats and results without tables', async () => {
+    const unknown = await exportTables({ pages: [spannedPage], format: 'ods' });
+    assert.equal(unknown.status, 400);
+    assert.equal((await unknown.json()).error, 'Unbekanntes Tabellenformat.');
+
+    const empty = await exportTables({ pages: [{ number: 1, lines: [] }] });
+    assert.equal(empty.status, 400);
+    assert.equal((await empty.json()).error, 'Keine Tabellen zum Export übergeben.');
+  });
+});
@@ -0,0 +1,267 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TINY_PNG_BASE64, createPdf, pageText, postExtract, postJson, startStack } = require('./helpers');
+
+describe('POST /api/extract', () => {
+  let stack;
+  const ocrCalls = (scenario) =>
+    stack.mock.requests.filter((call) => call.route === 'ocr' && call.scenario === scenario);
+
+  before(async () => {
+    stack = await startStack();
+  });
+  after(() => stack.close());
+
+  test('sends the document to Mistral OCR and normalizes the markdown pages', async () => {
+    const res = await postExtract(stack.baseUrl, { file: await createPdf('default'), scenario: 'default' });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+
+    assert.equal(body.source, 'mistral');
+    assert.equal(body.cached, false);
+    assert.equal(body.pageCount, 2);
+    assert.deepEqual(body.pages.map((page) => page.engine), ['mistral', 'mistral']);
+    assert.equal(body.pages[0].width, 1654);
+    assert.equal(body.pages[0].lines[0].role, 'h1');
+    assert.match(pageText(body.pages[0]), /Rechnung 2024-117/);
+    assert.match(pageText(body.pages[1]), /Zahlungsbedingungen/);
+    assert.deepEqual(body.pages[0].images.map((image) => image.id), ['img-0.jpeg']);
+    assert.ok(body.pages[0].images[0].base64);
+    assert.match(body.html, /<table>[\s\S]*Reisekosten[\s\S]*<\/table>/);
+
+    const [call] = ocrCalls('default');
+    assert.equal(call.body.model, 'mistral-ocr-latest');
+    assert.equal(call.body.include_image_base64, true);
+    assert.equal(call.body.document.type, 'document_url');
+    assert.match(call.body.document.document_url, /^data:application\/pdf;base64,/);
+  });
+
+  test('keeps body text of markdown pages out of headers and footers', async () => {
+    // Markdown lines have no geometry; their y is the line index, not a position on the page.
+    const res = await postExtract(stack.baseUrl, { file: await createPdf('roles'), scenario: 'default' });
+    const { pages } = await res.json();
+    const roles = (page) => page.lines.map((line) => [pageText({ lines: [line] }).slice(0, 20), line.role]);
+    assert.deepEqual(roles(pages[0]), [
+      ['Rechnung 2024-117', 'h1'],
+      ['Muster GmbH, Hauptst', 'body'],
+      ['| Pos. | Beschreibun', 'body'],
+      ['| --- | --- | --- |', 'body'],
+      ['| 1 | Beratung | 1.2', 'body'],
+      ['| 2 | Reisekosten | ', 'body'],
+      ['![img-0.jpeg](img-0.', 'body'],
+      ['Zahlbar innerhalb vo', 'body'],
+    ]);
+    assert.deepEqual(roles(pages[1]), [
+      ['Zahlungsbedingungen', 'h2'],
+      ['Bitte überweisen Sie', 'body'],
+    ]);
+
+    const document = await (await postJson(stack.baseUrl, '/api/export-json', { pages })).json();
+    const blockTypes = document.pages.flatMap((page) => page.blocks.map((block) => block.type));
+    assert.equal(blockTypes.includes('header'), false);
+  });
+
+  test('finds running headers and page numbers on markdown pages by their order', async () => {
+    const res = await postExtract(stack.baseUrl, {
+      file: await createPdf('furniture', 3),
+      scenario: 'furniture-markdown',
+    });
+    const { pages } = await res.json();
+    assert.deepEqual(
+      pages.map((page) => page.lines.map((line) => line.furnitureKind || null)),
+      Array.from({ length: 3 }, () => ['header', null, null, 'page-number'])
+    );
+  });
+
+  test('answers a repeated upload from the cache without calling Mistral again', async () => {
+    const file = await createPdf('cached');
+    const first = await postExtract(stack.baseUrl, { file, scenario: 'results' });
+    assert.equal((await first.json()).cached, false);
+
+    const second = await postExtract(stack.baseUrl, { file, scenario: 'results' });
+    assert.equal(second.status, 200);
+    const body = await second.json();
+    assert.equal(body.cached, true);
+    assert.equal(body.pageCount, 2);
+    assert.equal(ocrCalls('results').length, 1);
+  });
+
+  test('sends images as image_url documents', async () => {
+    const res = await postExtract(stack.baseUrl, {
+      file: Buffer.from(TINY_PNG_BASE64, 'base64'),
+      fileName: 'scan.png',
+      type: 'image/png',
+      scenario: 'text-only',
+    });
+    assert.equal(res.status, 200);
+    const [call] = ocrCalls('text-only');
+    assert.equal(call.body.document.type, 'image_url');
+    assert.match(call.body.document.image_url, /^data:image\/png;base64,/);
+  });
+
+  test('keeps positions, styles and tables of layout payloads', async () => {
+    const res = await postExtract(stack.baseUrl, { file: await createPdf('layout'), scenario: 'layout' });
+    assert.equal(res.status, 200);
+    const [page] = (await res.json()).pages;
+
+    assert.equal(page.width, 1000);
+    const [title, sentence] = page.lines;
+    assert.equal(title.align, 'center');
+    assert.equal(title.segments[0].style.fontWeight, 600);
+    assert.equal(title.segments[0].style.fontSize, '28px');
+    assert.deepEqual([sentence.x, sentence.y], [100, 180]);
+    assert.equal(sentence.segments[1].text, '12 %');
+    assert.equal(sentence.segments[1].style.fontStyle, 'italic');
+    assert.deepEqual(
+      page.tables[0].rows.map((row) => row.map((cell) => cell.text)),
+      [['Quartal', 'Umsatz'], ['Q1', '4,2 Mio.'], ['Q2', '4,7 Mio.']]
+    );
+  });
+
+  test('assigns top-level tables to their page', async () => {
+    const res = await postExtract(stack.baseUrl, {
+      file: await createPdf('top-level-tables'),
+      scenario: 'top-level-tables',
+    });
+    assert.equal(res.status, 200);
+    const [page] = (await res.json()).pages;
+    assert.deepEqual(page.tables[0].rows[1].map((cell) => cell.text), ['Schrauben', '500']);
+  });
+
+  test('falls back to top-level markdown and plain text', async () => {
+    const markdown = await (
+      await postExtract(stack.baseUrl, { file: await createPdf('markdown-only'), scenario: 'markdown-only' })
+    ).json();
+    assert.equal(markdown.pageCount, 1);
+    assert.match(markdown.html, /<h1>Merkblatt<\/h1>/);
+
+    const text = await (
+      await postExtract(stack.baseUrl, { file: await createPdf('text-only'), scenario: 'text-only' })
+    ).json();
+    assert.deepEqual(text.pages[0].lines.map((line) => line.segments[0].text), [
+      'Erste Zeile ohne Markdown',
+      'Zweite Zeile',
+    ]);
+  });
+
+  test('reports an empty OCR answer as 502', async () => {
+    const res = await postExtract(stack.baseUrl, { file: await createPdf('empty'), scenario: 'empty' });
+    assert.equal(res.status, 502);
+    assert.equal((await res.json()).error, 'Mistral OCR lieferte keine auswertbaren Daten.');
+  });
+
+  test('reports upstream failures with a code after retrying them', async () => {
+    const serverError = await postExtract(stack.baseUrl, {
+      file: await createPdf('server-error'),
+      scenario: 'server-error',
+    });
+    assert.equal(serverError.status, 502);
+    assert.deepEqual(await serverError.json(), {
+      error: 'Mistral OCR ist gerade nicht verfügbar (500).',
+      code: 'upstream_unavailable',
+      details: '{"object":"error","message":"Internal server error","type":"internal_error"}',
+    });
+    assert.equal(ocrCalls('server-error').length, 3);
+
+    const dropped = await postExtract(stack.baseUrl, { file: await createPdf('dropped'), scenario: 'dropped' });
+    assert.equal(dropped.status, 502);
+    const droppedBody = await dropped.json();
+    assert.equal(droppedBody.error, 'Mistral OCR ist nicht erreichbar.');
+    assert.equal(droppedBody.code, 'upstream_unavailable');
+    assert.equal(ocrCalls('dropped').length, 3);
+  });
+
+  test('answers rate limits with 429 and Retry-After', async () => {
+    const res = await postExtract(stack.baseUrl, {
+      file: await createPdf('rate-limited'),
+      scenario: 'rate-limited',
+    });
+    assert.equal(res.status, 429);
+    assert.equal(res.headers.get('retry-after'), '1');
+    const body = await res.json();
+    assert.equal(body.code, 'rate_limited');
+    assert.match(body.error, /^Mistral OCR: Anfragelimit erreicht/);
+    assert.equal(ocrCalls('rate-limited').length, 3);
+  });
+
+  test('does not retry rejected requests', async () => {
+    const res = await postExtract(stack.baseUrl, {
+      file: await createPdf('bad-request'),
+      scenario: 'bad-request',
+    });
+    assert.equal(res.status, 502);
+    const body = await res.json();
+    assert.equal(body.code, 'upstream_rejected');
+    assert.equal(body.error, 'Mistral OCR hat die Anfrage abgelehnt (422).');
+    assert.equal(ocrCalls('bad-request').length, 1);
+  });
+
+  test('rejects OCR without an API key before calling Mistral', async () => {
+    const callsBefore = stack.mock.requests.length;
+    const res = await postExtract(stack.baseUrl, { file: await createPdf('no-key') });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /API-Key/);
+    assert.equal(stack.mock.requests.length, callsBefore);
+  });
+
+  test('splits inline markdown into styled segments without repeating text', async () => {
+    const res = await postExtract(stack.baseUrl, {
+      file: await createPdf('inline-styles'),
+      scenario: 'inline-styles',
+    });
+    assert.equal(res.status, 200);
+    const [line] = (await res.json()).pages[0].lines;
+    assert.deepEqual(
+      line.segments.map(({ text, style }) => [text, style.fontWeight, style.fontStyle, style.textDecoration]),
+      [
+        ['Preis ', 400, 'normal', 'none'],
+        ['netto', 400, 'italic', 'none'],
+        [' zzgl. ', 400, 'normal', 'none'],
+        ['19 %', 600, 'normal', 'none'],
+        [' MwSt. und ', 400, 'normal', 'none'],
+        ['Versand', 400, 'normal', 'underline'],
+      ]
+    );
+  });
+
+  test('leaves the reflowed paragraphs to /api/reflow', async () => {
+    const res = await postExtract(stack.baseUrl, { file: await createPdf('reflow'), scenario: 'layout' });
+    const { pages } = await res.json();
+    assert.equal('paragraphs' in pages[0], false);
+
+    const line = (y, text) => ({ x: 100, y, segments: [{ text, style: { fontSize: '14px' } }] });
+    const reflowed = await postJson(stack.baseUrl, '/api/reflow', {
+      pages: [{ number: 1, lines: [line(100, 'Die Ver-'), line(118, 'arbeitung läuft.')] }],
+    });
+    assert.equal(reflowed.status, 200);
+    const { paragraphs } = await reflowed.json();
+    assert.deepEqual(
+      paragraphs[0].map((paragraph) => [pageText({ lines: [paragraph] }), paragraph.lineCount]),
+      [['Die Verarbeitung läuft.', 2]]
+    );
+
+    const empty = await postJson(stack.baseUrl, '/api/reflow', { pages: [] });
+    assert.equal(empty.status, 400);
+  });
+
+  test('keeps text-layer pages without text so page numbers match the PDF', async () => {
+    const res = await postExtract(stack.baseUrl, {
+      file: await createPdf('Leere Mitte', 3, { blankPages: [2] }),
+      engine: 'pdfjs',
+    });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.pageCount, 3);
+    assert.deepEqual(body.pages.map((page) => [page.number, page.lines.length > 0]), [
+      [1, true],
+      [2, false],
+      [3, true],
+    ]);
+    assert.match(pageText(body.pages[2]), /Leere Mitte – Seite 3/);
+  });
+
+  test('rejects requests without a file', async () => {
+    const res = await fetch(`${stack.baseUrl}/api/extract`, { method: 'POST', body: new FormData() });
+    assert.equal(res.status, 400);
+  });
+});
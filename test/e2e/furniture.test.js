@@ -0,0 +1,58 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { dropFurniture, markFurniture } = require('../../lib/furniture');
+
+const line = (text, y) => ({ x: 72, y, width: 300, segments: [{ text }] });
+const kinds = (pages) => pages.map((page) => page.lines.map((entry) => entry.furnitureKind || null));
+
+// A report with a running header, a "Seite n von m" footer and a different body per page.
+const report = () =>
+  [1, 2, 3].map((number) => ({
+    number,
+    width: 595,
+    height: 842,
+    lines: [
+      line('Muster GmbH · Jahresbericht', 20),
+      line(`Kapitel ${number}`, 200),
+      line(`Der Umsatz im Quartal ${number} stieg deutlich.`, 220),
+      line(`Seite ${number} von 3`, 810),
+    ],
+  }));
+
+describe('page furniture', () => {
+  test('flags a repeated header and "Seite n von m" footers', () => {
+    assert.deepEqual(
+      kinds(markFurniture(report())),
+      Array.from({ length: 3 }, () => ['header', null, null, 'page-number'])
+    );
+  });
+
+  test('keeps lines that repeat on too few pages', () => {
+    const pages = report();
+    pages[1].lines[0] = line('Entwurf', 20);
+    pages[2].lines[0] = line('Vertraulich', 20);
+    assert.deepEqual(
+      kinds(markFurniture(pages)).map((page) => page[0]),
+      [null, null, null]
+    );
+  });
+
+  test('recognizes bare page numbers but not years or dates', () => {
+    const pages = report().map((page) => ({
+      ...page,
+      lines: [...page.lines.slice(0, 3), line(`– ${page.number} –`, 800)],
+    }));
+    pages[0].lines.push(line('2024', 40), line('03/2024', 825));
+    const flagged = kinds(markFurniture(pages));
+    assert.deepEqual(flagged[0], ['header', null, null, 'page-number', null, null]);
+    assert.deepEqual(flagged[1], ['header', null, null, 'page-number']);
+  });
+
+  test('drops flagged lines and detects them first on pages without flags', () => {
+    const [first] = dropFurniture(report());
+    assert.deepEqual(
+      first.lines.map((entry) => entry.segments[0].text),
+      ['Kapitel 1', 'Der Umsatz im Quartal 1 stieg deutlich.']
+    );
+  });
+});
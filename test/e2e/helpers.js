@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const { createMockMistralServer } = require('../mock-mistral/server');
+
+/**
+ * Starts the mock Mistral API and the app against it. The Mistral URLs and client
+ * settings are read when the server modules load, so the environment (plus `env`
+ * overrides) is set before `server.js` is required; every test file runs in its
+ * own process and gets a fresh stack. Retries are fast and the circuit breaker
+ * stays closed unless a test asks otherwise. Accounts, the org key and usage
+ * budgets are off unless `env` turns them on. The result cache, the accounts file,
+ * the usage store and the field templates live in a temp folder that is removed
+ * on `close()`.
+ */
+const startStack = async ({ env = {} } = {}) => {
+  const mock = createMockMistralServer();
+  const urls = await mock.listen();
+  const cacheDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'text-extracter-e2e-'));
+  Object.assign(process.env, {
+    MISTRAL_OCR_API_URL: urls.ocrUrl,
+    MISTRAL_CHAT_API_URL: urls.chatUrl,
+    MISTRAL_USAGE_API_URL: urls.usageUrl,
+    OCR_PROVIDER: 'mistral',
+    RESULT_CACHE_DIR: cacheDir,
+    MISTRAL_RETRIES: '2',
+    MISTRAL_RETRY_BASE_MS: '10',
+    MISTRAL_RETRY_MAX_MS: '40',
+    MISTRAL_BREAKER_THRESHOLD: '1000',
+    ORG_MISTRAL_API_KEY: '',
+    ACCOUNTS_ENABLED: 'false',
+    ACCOUNTS_FILE: path.join(cacheDir, 'accounts.json'),
+    USAGE_FILE: path.join(cacheDir, 'usage.json'),
+    TEMPLATES_FILE: path.join(cacheDir, 'templates.json'),
+    USAGE_PRICES: '',
+    USAGE_BUDGET_DAILY: '',
+    USAGE_BUDGET_MONTHLY: '',
+    ...env,
+  });
+  // eslint-disable-next-line global-require
+  const app = require('../../server');
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  const close = async () => {
+    server.closeAllConnections?.();
+    await new Promise((resolve) => {
+      server.close(() => resolve());
+    });
+    await mock.close();
+    await fs.promises.rm(cacheDir, { recursive: true, force: true });
+  };
+
+  return { baseUrl: `http://127.0.0.1:${server.address().port}`, mock, close };
+};
+
+const TINY_PNG_BASE64 =
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+
+// The cache keys on the file bytes, so every test builds its own PDF from a unique title.
+// Pages listed in `blankPages` (1-based) get no text at all, pages in `imagePages` only
+// an image over the whole page, like a scan.
+const createPdf = async (title, pageCount = 1, { blankPages = [], imagePages = [] } = {}) => {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  const image = imagePages.length ? await doc.embedPng(Buffer.from(TINY_PNG_BASE64, 'base64')) : null;
+  for (let index = 0; index < pageCount; index += 1) {
+    const page = doc.addPage([595, 842]);
+    if (imagePages.includes(index + 1)) {
+      page.drawImage(image, { x: 0, y: 0, width: 595, height: 842 });
+      continue;
+    }
+    if (blankPages.includes(index + 1)) continue;
+    page.drawText(`${title} – Seite ${index + 1}`, { x: 72, y: 770, size: 14, font });
+  }
+  return Buffer.from(await doc.save());
+};
+
+// The scenario doubles as API key; the mock picks its fixtures by the bearer token.
+const requestHeaders = ({ scenario, cookie }) => ({
+  ...(scenario ? { 'x-mistral-api-key': scenario } : {}),
+  ...(cookie ? { cookie } : {}),
+});
+
+const postExtract = (
+  baseUrl,
+  { file, fileName = 'dokument.pdf', type = 'application/pdf', scenario, cookie, engine = 'ocr', provider }
+) => {
+  const form = new FormData();
+  form.append('engine', engine);
+  if (provider) form.append('provider', provider);
+  form.append('pdf', new Blob([file], { type }), fileName);
+  return fetch(`${baseUrl}/api/extract`, {
+    method: 'POST',
+    headers: requestHeaders({ scenario, cookie }),
+    body: form,
+  });
+};
+
+const postJson = (baseUrl, route, body, { scenario, cookie, method = 'POST' } = {}) =>
+  fetch(`${baseUrl}${route}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...requestHeaders({ scenario, cookie }) },
+    body: JSON.stringify(body),
+  });
+
+const pageText = (page) =>
+  (page.lines || []).map((line) => line.segments.map((segment) => segment.text).join('')).join('\n');
+
+module.exports = {
+  TINY_PNG_BASE64,
+  createPdf,
+  pageText,
+  postExtract,
+  postJson,
+  startStack,
+};
@@ -0,0 +1,67 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const { createPdf, pageText, postExtract, startStack } = require('./helpers');
+
+// Every scanned page is its own OCR chunk; the `scan-page` answer holds one page.
+describe('hybrid extraction of text and scanned pages', () => {
+  let stack;
+  const ocrCalls = () => stack.mock.requests.filter((call) => call.route === 'ocr');
+  const sentPageCount = async (call) => {
+    const base64 = call.body.document.document_url.replace(/^data:application\/pdf;base64,/, '');
+    return (await PDFDocument.load(Buffer.from(base64, 'base64'))).getPageCount();
+  };
+
+  before(async () => {
+    stack = await startStack({ env: { OCR_CHUNK_PAGES: '1' } });
+  });
+  after(() => stack.close());
+
+  test('keeps text pages local and sends only the scanned page to OCR', async () => {
+    const file = await createPdf('Hybrides Dokument', 2, { imagePages: [2] });
+    const res = await postExtract(stack.baseUrl, { file, scenario: 'scan-page', engine: 'auto' });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+
+    assert.equal(body.source, 'pdfjs+mistral');
+    assert.equal(body.pageCount, 2);
+    assert.deepEqual(body.ocrPages, [2]);
+    assert.deepEqual(
+      body.pages.map((page) => [page.number, page.engine]),
+      [
+        [1, 'pdfjs'],
+        [2, 'mistral'],
+      ]
+    );
+    assert.equal(pageText(body.pages[0]), 'Hybrides Dokument – Seite 1');
+    assert.equal(pageText(body.pages[1]), 'Gescannte Seite mit Unterschrift');
+    assert.equal(body.html, null);
+
+    const calls = ocrCalls();
+    assert.equal(calls.length, 1);
+    assert.equal(await sentPageCount(calls[0]), 1);
+  });
+
+  test('numbers chunked scans by their page in the document', async () => {
+    stack.mock.reset();
+    const file = await createPdf('Gemischter Stapel', 5, { imagePages: [2, 4, 5] });
+    const res = await postExtract(stack.baseUrl, { file, scenario: 'scan-page', engine: 'auto' });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+
+    assert.deepEqual(body.ocrPages, [2, 4, 5]);
+    assert.deepEqual(
+      body.pages.map((page) => [page.number, page.engine, pageText(page).split(' ')[0]]),
+      [
+        [1, 'pdfjs', 'Gemischter'],
+        [2, 'mistral', 'Gescannte'],
+        [3, 'pdfjs', 'Gemischter'],
+        [4, 'mistral', 'Gescannte'],
+        [5, 'mistral', 'Gescannte'],
+      ]
+    );
+    const calls = ocrCalls();
+    assert.equal(calls.length, 3);
+    assert.deepEqual(await Promise.all(calls.map(sentPageCount)), [1, 1, 1]);
+  });
+});
@@ -0,0 +1,51 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPdf, startStack } = require('./helpers');
+
+const uploadDir = path.join(__dirname, '..', '..', 'uploads');
+
+describe('POST /api/jobs and /api/batches', () => {
+  let stack;
+  const post = async (route, fileNames) => {
+    const form = new FormData();
+    form.append('engine', 'ocr');
+    /* eslint-disable no-await-in-loop */
+    for (const fileName of fileNames) {
+      form.append('pdf', new Blob([await createPdf(fileName)], { type: 'application/pdf' }), fileName);
+    }
+    /* eslint-enable no-await-in-loop */
+    return fetch(`${stack.baseUrl}${route}`, {
+      method: 'POST',
+      headers: { 'x-mistral-api-key': 'default' },
+      body: form,
+    });
+  };
+  const leftovers = (fileNames) =>
+    fs.readdirSync(uploadDir).filter((entry) => fileNames.some((name) => entry.endsWith(`-${name}`)));
+
+  // A folder as usage file makes every budget lookup for the key fail.
+  before(async () => {
+    stack = await startStack({ env: { USAGE_FILE: os.tmpdir() } });
+  });
+  after(() => stack.close());
+
+  test('answers a failed key lookup with JSON and removes the uploads', async () => {
+    const single = ['auftrag-einzeln.pdf'];
+    const job = await post('/api/jobs', single);
+    assert.equal(job.status, 500);
+    assert.match((await job.json()).error, /EISDIR/);
+
+    const several = ['stapel-eins.pdf', 'stapel-zwei.pdf'];
+    const batch = await post('/api/batches', several);
+    assert.equal(batch.status, 500);
+    assert.match((await batch.json()).error, /EISDIR/);
+
+    await new Promise((resolve) => {
+      setTimeout(resolve, 100);
+    });
+    assert.deepEqual(leftovers([...single, ...several]), []);
+  });
+});
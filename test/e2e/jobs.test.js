@@ -0,0 +1,239 @@
+const fs = require('fs');
+const path = require('path');
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const { createPdf, postJson, startStack } = require('./helpers');
+
+const uploadDir = path.join(__dirname, '..', '..', 'uploads');
+
+const sleep = (ms) =>
+  new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+
+describe('extraction jobs and batches', () => {
+  let stack;
+  const getJson = async (route) => {
+    const res = await fetch(`${stack.baseUrl}${route}`);
+    return { status: res.status, body: await res.json() };
+  };
+  const createJob = async (fileName, scenario, pageCount) => {
+    const form = new FormData();
+    form.append('engine', 'ocr');
+    const file = await createPdf(fileName, pageCount);
+    form.append('pdf', new Blob([file], { type: 'application/pdf' }), fileName);
+    const res = await fetch(`${stack.baseUrl}/api/jobs`, {
+      method: 'POST',
+      headers: { 'x-mistral-api-key': scenario },
+      body: form,
+    });
+    assert.equal(res.status, 202);
+    return res.json();
+  };
+  // Polls the job until `done` says so and returns every status seen on the way.
+  const pollJob = async (id, done) => {
+    const seen = [];
+    /* eslint-disable no-await-in-loop */
+    for (let attempt = 0; attempt < 200; attempt += 1) {
+      const { body } = await getJson(`/api/jobs/${id}`);
+      seen.push(body);
+      if (done(body)) return seen;
+      await sleep(20);
+    }
+    /* eslint-enable no-await-in-loop */
+    throw new Error(`Job ${id} kam nicht an`);
+  };
+  // `files` are [title, fileName] pairs; all files of a batch share the scenario.
+  const createBatch = async (files, scenario) => {
+    const form = new FormData();
+    form.append('engine', 'ocr');
+    /* eslint-disable no-await-in-loop */
+    for (const [title, fileName] of files) {
+      form.append('pdf', new Blob([await createPdf(title)], { type: 'application/pdf' }), fileName);
+    }
+    /* eslint-enable no-await-in-loop */
+    const res = await fetch(`${stack.baseUrl}/api/batches`, {
+      method: 'POST',
+      headers: { 'x-mistral-api-key': scenario },
+      body: form,
+    });
+    assert.equal(res.status, 202);
+    return res.json();
+  };
+  const pollBatch = async (id) => {
+    /* eslint-disable no-await-in-loop */
+    for (let attempt = 0; attempt < 200; attempt += 1) {
+      const { body } = await getJson(`/api/batches/${id}`);
+      if (!body.summary.pending) return body;
+      await sleep(20);
+    }
+    /* eslint-enable no-await-in-loop */
+    throw new Error(`Stapel ${id} kam nicht an`);
+  };
+  const exportBatch = (id, body) => postJson(stack.baseUrl, `/api/batches/${id}/export`, body);
+  const zipEntries = async (res) => {
+    const zip = await JSZip.loadAsync(Buffer.from(await res.arrayBuffer()));
+    const names = Object.keys(zip.files).filter((name) => !zip.files[name].dir);
+    return { zip, names: names.sort() };
+  };
+  const leftovers = (fileName) => fs.readdirSync(uploadDir).filter((entry) => entry.endsWith(`-${fileName}`));
+
+  before(async () => {
+    stack = await startStack();
+  });
+  after(() => stack.close());
+
+  test('runs a job, reports its progress and hands out the result', async () => {
+    const job = await createJob('auftrag.pdf', 'default', 2);
+    assert.match(job.id, /^[0-9a-f-]{36}$/);
+    assert.ok(['queued', 'running'].includes(job.status));
+    assert.deepEqual(job.meta, {
+      fileName: 'auftrag.pdf',
+      engine: 'ocr',
+      provider: 'mistral',
+      batchId: null,
+      userId: null,
+    });
+
+    const seen = await pollJob(job.id, (status) => status.status === 'done');
+    const last = seen.at(-1);
+    assert.deepEqual(last.progress, { stage: 'done', pagesDone: 2, pagesTotal: 2 });
+    assert.ok(last.startedAt && last.finishedAt);
+    assert.equal(last.error, null);
+
+    const result = await getJson(`/api/jobs/${job.id}/result`);
+    assert.equal(result.status, 200);
+    assert.equal(result.body.source, 'mistral');
+    assert.equal(result.body.pageCount, 2);
+    assert.deepEqual(leftovers('auftrag.pdf'), []);
+  });
+
+  test('answers 409 while a job runs, cancels it and answers 410 afterwards', async () => {
+    // The `slow` answer takes 1.5 s, long enough to cancel the job while it waits for OCR.
+    const job = await createJob('langsam.pdf', 'slow');
+    const seen = await pollJob(job.id, (status) => status.progress.stage === 'ocr');
+    assert.equal(seen.at(-1).status, 'running');
+
+    const pending = await getJson(`/api/jobs/${job.id}/result`);
+    assert.equal(pending.status, 409);
+    assert.deepEqual(pending.body, { error: 'Job ist noch nicht abgeschlossen.', status: 'running' });
+
+    const res = await fetch(`${stack.baseUrl}/api/jobs/${job.id}`, { method: 'DELETE' });
+    assert.equal(res.status, 200);
+    const cancelled = await res.json();
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.error, 'Job abgebrochen.');
+
+    const gone = await getJson(`/api/jobs/${job.id}/result`);
+    assert.equal(gone.status, 410);
+    assert.deepEqual(gone.body, { error: 'Job abgebrochen.', status: 'cancelled' });
+
+    // Once the OCR answer would have arrived, the job is still cancelled and its upload gone.
+    await sleep(1600);
+    assert.equal((await getJson(`/api/jobs/${job.id}`)).body.status, 'cancelled');
+    assert.deepEqual(leftovers('langsam.pdf'), []);
+  });
+
+  test('reports failed jobs with the status and code of the error', async () => {
+    const job = await createJob('abgelehnt.pdf', 'bad-request');
+    const seen = await pollJob(job.id, (status) => status.status === 'failed');
+    assert.equal(seen.at(-1).errorCode, 'upstream_rejected');
+
+    const result = await getJson(`/api/jobs/${job.id}/result`);
+    assert.equal(result.status, 502);
+    assert.deepEqual(result.body, {
+      error: 'Mistral OCR hat die Anfrage abgelehnt (422).',
+      code: 'upstream_rejected',
+    });
+  });
+
+  test('answers 404 for unknown jobs', async () => {
+    const id = '00000000-0000-4000-8000-000000000000';
+    assert.equal((await getJson(`/api/jobs/${id}`)).status, 404);
+    assert.equal((await getJson(`/api/jobs/${id}/result`)).status, 404);
+    const res = await fetch(`${stack.baseUrl}/api/jobs/${id}`, { method: 'DELETE' });
+    assert.deepEqual([res.status, (await res.json()).error], [404, 'Job nicht gefunden.']);
+  });
+
+  test('runs one job per file and exports the batch as a ZIP with a folder per file', async () => {
+    const batch = await createBatch(
+      [
+        ['Stapel Rechnung A', 'rechnung.pdf'],
+        ['Stapel Rechnung B', 'rechnung.pdf'],
+        ['Stapel Anhang', 'anhang.pdf'],
+      ],
+      'default'
+    );
+    assert.equal(batch.jobs.length, 3);
+    assert.ok(batch.jobs.every((job) => job.meta.batchId === batch.id));
+
+    const finished = await pollBatch(batch.id);
+    assert.deepEqual(finished.summary, { total: 3, done: 3, failed: 0, cancelled: 0, pending: 0 });
+
+    const res = await exportBatch(batch.id, { formats: ['md', 'txt'], disableDescriptions: true });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'application/zip');
+    const { zip, names } = await zipEntries(res);
+    assert.deepEqual(names, [
+      'anhang/anhang.md',
+      'anhang/anhang.txt',
+      'anhang/images/seite-1-bild-1.png',
+      'rechnung-2/images/seite-1-bild-1.png',
+      'rechnung-2/rechnung-2.md',
+      'rechnung-2/rechnung-2.txt',
+      'rechnung/images/seite-1-bild-1.png',
+      'rechnung/rechnung.md',
+      'rechnung/rechnung.txt',
+    ]);
+    const markdown = await zip.file('rechnung/rechnung.md').async('string');
+    assert.match(markdown, /^<!-- Seite 1 -->\n\n# Rechnung 2024-117/);
+    const text = await zip.file('rechnung-2/rechnung-2.txt').async('string');
+    assert.match(text, /Zahlbar innerhalb von 14 Tagen\./);
+
+    const unknown = await exportBatch(batch.id, { formats: ['pdf'] });
+    assert.equal(unknown.status, 400);
+    assert.equal((await unknown.json()).error, 'Kein gültiges Exportformat gewählt.');
+  });
+
+  test('lists cancelled jobs next to the exported ones', async () => {
+    const batch = await createBatch(
+      [
+        ['Stapel langsam 1', 'zuerst.pdf'],
+        ['Stapel langsam 2', 'danach.pdf'],
+      ],
+      'slow'
+    );
+    const cancelled = await fetch(`${stack.baseUrl}/api/jobs/${batch.jobs[1].id}`, { method: 'DELETE' });
+    assert.equal((await cancelled.json()).status, 'cancelled');
+
+    const early = await exportBatch(batch.id, { formats: ['txt'] });
+    assert.equal(early.status, 409);
+    assert.equal((await early.json()).error, 'Im Stapel ist noch kein Ergebnis fertig.');
+
+    const finished = await pollBatch(batch.id);
+    assert.deepEqual(finished.summary, { total: 2, done: 1, failed: 0, cancelled: 1, pending: 0 });
+    const { zip, names } = await zipEntries(await exportBatch(batch.id, { formats: ['txt'] }));
+    assert.deepEqual(names, ['nicht-exportiert.txt', 'zuerst/zuerst.txt']);
+    assert.equal(await zip.file('nicht-exportiert.txt').async('string'), 'danach.pdf: Job abgebrochen.\n');
+    assert.equal(await zip.file('zuerst/zuerst.txt').async('string'), 'Zu spät\n');
+  });
+
+  test('cancels every pending job of a batch', async () => {
+    const batch = await createBatch(
+      [
+        ['Stapel Abbruch 1', 'eins.pdf'],
+        ['Stapel Abbruch 2', 'zwei.pdf'],
+      ],
+      'slow'
+    );
+    const res = await fetch(`${stack.baseUrl}/api/batches/${batch.id}`, { method: 'DELETE' });
+    assert.equal(res.status, 200);
+    const { summary, jobs } = await res.json();
+    assert.deepEqual(summary, { total: 2, done: 0, failed: 0, cancelled: 2, pending: 0 });
+    assert.ok(jobs.every((job) => job.error === 'Job abgebrochen.'));
+
+    const missing = await getJson('/api/batches/00000000-0000-4000-8000-000000000000');
+    assert.deepEqual([missing.status, missing.body.error], [404, 'Stapel nicht gefunden.']);
+  });
+});
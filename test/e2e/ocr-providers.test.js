@@ -0,0 +1,98 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TINY_PNG_BASE64, createPdf, pageText, postExtract, startStack } = require('./helpers');
+
+// The real worker loads WASM and language data, far too slow for the suite. This stand-in
+// takes its place in the require cache and answers with one recognized line per image.
+const recognized = [];
+const workers = [];
+const fakeTesseract = {
+  createWorker: async (langs) => {
+    workers.push(langs);
+    return {
+      recognize: async (image) => {
+        recognized.push(image);
+        const line = { text: 'Lokal erkannte Zeile', bbox: { x0: 100, y0: 50, x1: 400, y1: 80 }, confidence: 91 };
+        return { data: { text: `${line.text}\n`, blocks: [{ paragraphs: [{ lines: [line] }] }] } };
+      },
+      terminate: async () => {},
+    };
+  },
+};
+const tesseractPath = require.resolve('tesseract.js');
+require.cache[tesseractPath] = { id: tesseractPath, filename: tesseractPath, loaded: true, exports: fakeTesseract };
+
+describe('OCR providers', () => {
+  let stack;
+  const ocrCalls = () => stack.mock.requests.filter((call) => call.route === 'ocr');
+
+  before(async () => {
+    stack = await startStack({ env: { TESSERACT_LANG_PATH: __dirname } });
+  });
+  after(async () => {
+    // eslint-disable-next-line global-require
+    await require('../../lib/ocr-providers').closeOcrProviders();
+    await stack.close();
+  });
+
+  test('lists both providers with Mistral as the default', async () => {
+    const { providers } = await (await fetch(`${stack.baseUrl}/api/providers`)).json();
+    assert.deepEqual(
+      providers.map(({ id, label, enabled, default: isDefault }) => [id, label, enabled, isDefault]),
+      [
+        ['mistral', 'Mistral OCR', true, true],
+        ['tesseract', 'Tesseract', true, false],
+      ]
+    );
+    const tesseract = providers.find((provider) => provider.id === 'tesseract');
+    assert.deepEqual(
+      [tesseract.capabilities.pdf, tesseract.capabilities.requiresApiKey, tesseract.capabilities.offline],
+      [false, false, true]
+    );
+  });
+
+  test('reads images locally with provider=tesseract and names it as the source', async () => {
+    const res = await postExtract(stack.baseUrl, {
+      file: Buffer.from(TINY_PNG_BASE64, 'base64'),
+      fileName: 'scan.png',
+      type: 'image/png',
+      provider: 'tesseract',
+    });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.source, 'tesseract');
+    assert.deepEqual(
+      body.pages.map((page) => [page.engine, pageText(page)]),
+      [['tesseract', 'Lokal erkannte Zeile']]
+    );
+    assert.deepEqual(workers, ['deu+eng']);
+    assert.equal(ocrCalls().length, 0);
+  });
+
+  test('renders only the scanned pages of a PDF for the local provider', async () => {
+    recognized.length = 0;
+    const file = await createPdf('Lokale Texterkennung Hybrid', 2, { imagePages: [2] });
+    const res = await postExtract(stack.baseUrl, { file, engine: 'auto', provider: 'tesseract' });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.source, 'pdfjs+tesseract');
+    assert.deepEqual(
+      body.pages.map((page) => [page.number, page.engine]),
+      [
+        [1, 'pdfjs'],
+        [2, 'tesseract'],
+      ]
+    );
+    assert.equal(recognized.length, 1);
+    assert.equal(recognized[0].subarray(1, 4).toString('latin1'), 'PNG');
+    assert.equal(ocrCalls().length, 0);
+  });
+
+  test('falls back to the default provider for unknown names', async () => {
+    const file = await createPdf('Unbekannter Anbieter');
+    const res = await postExtract(stack.baseUrl, { file, scenario: 'default', provider: 'abbyy' });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).source, 'mistral');
+    assert.equal(ocrCalls().length, 1);
+  });
+});
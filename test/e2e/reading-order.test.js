@@ -0,0 +1,68 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyReadingOrder, findColumnGutters, orderReadingFlow } = require('../../lib/reading-order');
+
+const line = (text, x, y, width) => ({ x, y, width, segments: [{ text, style: { fontSize: '12px' } }] });
+const texts = (lines) => lines.map((entry) => entry.segments[0].text);
+
+// A full-width title, two columns of four lines each and a full-width closing line.
+const twoColumnPage = () => [
+  line('Links 3', 50, 140, 230),
+  line('Rechts 1', 320, 100, 230),
+  line('Titel über beide Spalten', 50, 50, 500),
+  line('Links 1', 50, 100, 225),
+  line('Rechts 2', 320, 120, 228),
+  line('Links 2', 50, 120, 230),
+  line('Schluss über beide Spalten', 50, 300, 500),
+  line('Rechts 4', 320, 160, 180),
+  line('Links 4', 50, 160, 200),
+  line('Rechts 3', 320, 140, 230),
+];
+
+describe('reading order', () => {
+  test('reads a full-width title first, then column by column', () => {
+    assert.deepEqual(texts(orderReadingFlow(twoColumnPage())), [
+      'Titel über beide Spalten',
+      'Links 1',
+      'Links 2',
+      'Links 3',
+      'Links 4',
+      'Rechts 1',
+      'Rechts 2',
+      'Rechts 3',
+      'Rechts 4',
+      'Schluss über beide Spalten',
+    ]);
+  });
+
+  test('finds the gutter between the columns', () => {
+    const boxes = twoColumnPage().map((entry) => ({ x: entry.x, right: entry.x + entry.width }));
+    assert.deepEqual(findColumnGutters(boxes), [{ start: 280, end: 320 }]);
+  });
+
+  test('keeps single-column pages and label/value forms in top-to-bottom order', () => {
+    const form = [
+      line('Betrag', 50, 140, 60),
+      line('Rechnungsnummer', 50, 100, 120),
+      line('RE-2024-117', 400, 100, 90),
+      line('Datum', 50, 120, 50),
+      line('14.03.2024', 400, 120, 80),
+      line('1.286,40 €', 400, 140, 80),
+    ];
+    assert.deepEqual(texts(orderReadingFlow(form)), [
+      'Rechnungsnummer',
+      'RE-2024-117',
+      'Datum',
+      '14.03.2024',
+      'Betrag',
+      '1.286,40 €',
+    ]);
+  });
+
+  test('orders every page and leaves the input untouched', () => {
+    const pages = [{ number: 1, lines: twoColumnPage() }];
+    const [page] = applyReadingOrder(pages);
+    assert.equal(texts(page.lines)[1], 'Links 1');
+    assert.equal(texts(pages[0].lines)[0], 'Links 3');
+  });
+});
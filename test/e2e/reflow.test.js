@@ -0,0 +1,60 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { reflowPages } = require('../../lib/reflow');
+
+const line = (y, text, { x = 72, width = 400, size = 12 } = {}) => ({
+  x,
+  y,
+  width,
+  segments: [{ text, style: { fontSize: `${size}px` } }],
+});
+// Lines 16 px apart, as one paragraph at 12 px would be set.
+const column = (texts) => texts.map((text, index) => line(100 + index * 16, text));
+const paragraphs = (lines, others = []) =>
+  reflowPages([{ number: 1, lines }, ...others])[0].lines.map((paragraph) =>
+    paragraph.segments.map((segment) => segment.text).join('')
+  );
+
+describe('reflow', () => {
+  test('joins words hyphenated at the line end', () => {
+    assert.deepEqual(paragraphs(column(['Die Ver-', 'arbeitung läuft.'])), ['Die Verarbeitung läuft.']);
+    assert.deepEqual(paragraphs(column(['Die Ver\u00ADarbei\u00AD', 'tung läuft.'])), [
+      'Die Verarbeitung läuft.',
+    ]);
+  });
+
+  test('keeps hyphens of names, suspended compounds and number ranges', () => {
+    assert.deepEqual(paragraphs(column(['Das Max-', 'Planck-Institut forscht.'])), [
+      'Das Max-Planck-Institut forscht.',
+    ]);
+    assert.deepEqual(paragraphs(column(['Der Ein-', 'und Ausgang ist frei.'])), [
+      'Der Ein- und Ausgang ist frei.',
+    ]);
+    assert.deepEqual(paragraphs(column(['Die Jahre 2023-', '2024 waren gut.'])), [
+      'Die Jahre 2023-2024 waren gut.',
+    ]);
+  });
+
+  test('keeps the hyphen of compounds written with one elsewhere in the document', () => {
+    const elsewhere = { number: 2, lines: [line(100, 'Unser Know-how zählt.')] };
+    assert.deepEqual(paragraphs(column(['Viel Know-', 'how ist nötig.']), [elsewhere]), [
+      'Viel Know-how ist nötig.',
+    ]);
+  });
+
+  test('starts a new paragraph at a gap, a size change or a short line after a full stop', () => {
+    const lines = [
+      line(100, 'Erster Absatz, der über'),
+      line(116, 'zwei Zeilen läuft.', { width: 150 }),
+      line(132, 'Zweiter Absatz nach kurzer Zeile.'),
+      line(180, 'Dritter Absatz nach der Lücke.'),
+      line(196, 'Größere Schrift', { size: 18 }),
+    ];
+    assert.deepEqual(paragraphs(lines), [
+      'Erster Absatz, der über zwei Zeilen läuft.',
+      'Zweiter Absatz nach kurzer Zeile.',
+      'Dritter Absatz nach der Lücke.',
+      'Größere Schrift',
+    ]);
+  });
+});
@@ -0,0 +1,89 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPdf, postExtract, startStack } = require('./helpers');
+
+// The breaker state is shared by all tests of this file, so every test leaves it closed again.
+describe('retries, timeouts and the circuit breaker', () => {
+  let stack;
+  const ocrCalls = (scenario) =>
+    stack.mock.requests.filter((call) => call.route === 'ocr' && call.scenario === scenario);
+  const extract = async (scenario, pageCount) =>
+    postExtract(stack.baseUrl, { file: await createPdf(scenario, pageCount), scenario });
+
+  before(async () => {
+    stack = await startStack({
+      env: {
+        MISTRAL_BREAKER_THRESHOLD: '3',
+        MISTRAL_BREAKER_COOLDOWN_MS: '500',
+        MISTRAL_OCR_TIMEOUT_MS: '400',
+        OCR_CHUNK_PAGES: '2',
+        OCR_CHUNK_CONCURRENCY: '2',
+      },
+    });
+  });
+  after(() => stack.close());
+
+  test('waits for Retry-After and succeeds on the next attempt', async () => {
+    const started = Date.now();
+    const res = await extract('rate-limited-once');
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).pageCount, 2);
+    assert.equal(ocrCalls('rate-limited-once').length, 2);
+    assert.ok(Date.now() - started >= 900);
+  });
+
+  test('retries unavailable upstreams and dropped connections', async () => {
+    const res = await extract('unavailable-once');
+    assert.equal(res.status, 200);
+    assert.equal(ocrCalls('unavailable-once').length, 3);
+  });
+
+  test('numbers chunked pages by the pages each chunk was sent for', async () => {
+    // Every two-page chunk answers with its second page only, as if the first were blank.
+    const res = await extract('chunk-gaps', 4);
+    assert.equal(res.status, 200);
+    const { pages } = await res.json();
+    assert.deepEqual(pages.map((page) => page.number), [2, 4]);
+    assert.equal(ocrCalls('chunk-gaps').length, 2);
+  });
+
+  test('aborts the remaining chunks once one of them fails', async () => {
+    const res = await extract('chunk-failure', 6);
+    assert.equal(res.status, 502);
+    assert.equal((await res.json()).code, 'upstream_rejected');
+    await new Promise((resolve) => {
+      setTimeout(resolve, 500);
+    });
+    assert.equal(ocrCalls('chunk-failure').length, 2);
+  });
+
+  test('opens the circuit after repeated outages and probes again after the cooldown', async () => {
+    const failing = await extract('server-error');
+    assert.equal(failing.status, 502);
+    assert.equal((await failing.json()).code, 'upstream_unavailable');
+    assert.equal(ocrCalls('server-error').length, 3);
+
+    const blocked = await extract('default');
+    assert.equal(blocked.status, 503);
+    assert.ok(Number(blocked.headers.get('retry-after')) >= 1);
+    assert.equal((await blocked.json()).code, 'circuit_open');
+    assert.equal(ocrCalls('default').length, 0);
+
+    await new Promise((resolve) => {
+      setTimeout(resolve, 600);
+    });
+    const probe = await extract('default');
+    assert.equal(probe.status, 200);
+    assert.equal(ocrCalls('default').length, 1);
+  });
+
+  test('gives up on slow answers with a timeout', async () => {
+    const res = await extract('slow');
+    assert.equal(res.status, 504);
+    assert.deepEqual(await res.json(), {
+      error: 'Mistral OCR hat nicht innerhalb von 0.4 s geantwortet.',
+      code: 'timeout',
+    });
+    assert.equal(ocrCalls('slow').length, 3);
+  });
+});
@@ -0,0 +1,183 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPdf, postExtract, postJson, startStack } = require('./helpers');
+
+// Fields of the `invoice-fields` scenario: labels on the line, below it and in the totals row.
+const invoiceTemplate = {
+  name: 'Rechnung Muster GmbH',
+  fields: [
+    { name: 'Rechnungsnummer', label: 'Rechnungsnummer', required: true },
+    { name: 'Rechnungsdatum', type: 'date', label: 'Rechnungsdatum' },
+    { name: 'Kundennummer', label: 'Kundennummer', pattern: 'K-\\d+' },
+    { name: 'Gesamtbetrag', type: 'amount', label: 'Gesamtbetrag' },
+    { name: 'Fällig am', type: 'date', pattern: 'bis (.+?) ohne' },
+    { name: 'Empfänger', region: { page: 1, x: 0.05, y: 0.26, width: 0.5, height: 0.06 } },
+    { name: 'USt-IdNr', label: 'USt-IdNr', required: true },
+  ],
+};
+
+describe('field templates', () => {
+  let stack;
+  let pages;
+  let template;
+  const send = (route, body, method) => postJson(stack.baseUrl, route, body, { method });
+
+  before(async () => {
+    stack = await startStack();
+    const res = await postExtract(stack.baseUrl, {
+      file: await createPdf('templates'),
+      scenario: 'invoice-fields',
+    });
+    ({ pages } = await res.json());
+    template = await (await send('/api/templates', invoiceTemplate)).json();
+  });
+  after(() => stack.close());
+
+  test('saves, lists, updates and deletes templates', async () => {
+    assert.match(template.id, /^[0-9a-f-]{36}$/);
+    assert.equal(template.fields[0].type, 'text');
+    assert.equal(template.fields[5].region.page, 1);
+
+    const extra = await (await send('/api/templates', { ...invoiceTemplate, name: 'Angebot' })).json();
+    const list = await (await fetch(`${stack.baseUrl}/api/templates`)).json();
+    assert.deepEqual(
+      list.templates.map((entry) => entry.name),
+      ['Angebot', 'Rechnung Muster GmbH']
+    );
+
+    const renamed = await send(
+      `/api/templates/${extra.id}`,
+      { ...invoiceTemplate, name: 'Lieferschein' },
+      'PUT'
+    );
+    assert.equal(renamed.status, 200);
+    assert.equal((await renamed.json()).name, 'Lieferschein');
+
+    const removed = await send(`/api/templates/${extra.id}`, undefined, 'DELETE');
+    assert.deepEqual(await removed.json(), { removed: true });
+    const gone = await send(`/api/templates/${extra.id}/apply`, { pages });
+    assert.equal(gone.status, 404);
+    assert.equal((await gone.json()).error, 'Vorlage nicht gefunden.');
+  });
+
+  test('rejects fields without anchor, unknown types and broken patterns', async () => {
+    const cases = [
+      [{ name: 'Leer' }, 'Feld „Leer“ braucht eine Beschriftung, ein Muster oder einen Bereich.'],
+      [{ name: 'Betrag', type: 'currency', label: 'Betrag' }, 'Unbekannter Feldtyp „currency“.'],
+      [{ name: 'Nr', pattern: '(' }, 'Das Muster im Feld „Nr“ ist kein gültiger regulärer Ausdruck.'],
+      [
+        { name: 'Nr', pattern: '^(a+)+$' },
+        'Das Muster im Feld „Nr“ wiederholt eine Gruppe mit eigenem Quantor wie „(a+)+“ und kann die Auswertung blockieren.',
+      ],
+      [
+        { name: 'Kopf', region: { x: 0.5, y: 0, width: 0.8, height: 0.1 } },
+        'Bereiche werden als Anteil der Seite zwischen 0 und 1 angegeben.',
+      ],
+    ];
+    /* eslint-disable no-await-in-loop */
+    for (const [field, message] of cases) {
+      const res = await send('/api/templates', { name: 'Kaputt', fields: [field] });
+      assert.equal(res.status, 400);
+      assert.equal((await res.json()).error, message);
+    }
+    /* eslint-enable no-await-in-loop */
+  });
+
+  test('accepts repeated groups with fixed counts', async () => {
+    const created = await send('/api/templates', {
+      name: 'Kennungen',
+      fields: [{ name: 'Kennung', pattern: '((?:[A-Z]{2}-)+\\d{4})' }],
+    });
+    assert.equal(created.status, 201);
+    const { id } = await created.json();
+    const line = { id: 'p1-l1', segments: [{ text: 'Kennung DE-AB-2024' }] };
+    const res = await send(`/api/templates/${id}/apply`, { pages: [{ number: 1, lines: [line], tables: [] }] });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).fields[0].value, 'DE-AB-2024');
+  });
+
+  test('stops backtracking patterns after the time budget', async () => {
+    // Alternation passes the save check, but backtracks exponentially on digits followed by `!`.
+    const created = await send('/api/templates', {
+      name: 'Ziffern',
+      fields: [{ name: 'Ziffern', pattern: '^(\\w|\\d)+$' }],
+    });
+    assert.equal(created.status, 201);
+    const { id } = await created.json();
+    const line = { id: 'p1-l1', segments: [{ text: `${'1'.repeat(32)}!` }] };
+    const started = Date.now();
+    const res = await send(`/api/templates/${id}/apply`, { pages: [{ number: 1, lines: [line], tables: [] }] });
+    assert.equal(res.status, 422);
+    assert.deepEqual(await res.json(), {
+      error: 'Das Muster im Feld „Ziffern“ braucht zu lange und wurde abgebrochen.',
+      code: 'pattern_timeout',
+    });
+    assert.ok(Date.now() - started < 3000);
+
+    const next = await send(`/api/templates/${template.id}/apply`, { pages });
+    assert.equal(next.status, 200);
+  });
+
+  test('extracts typed values with confidence and source position', async () => {
+    const res = await send(`/api/templates/${template.id}/apply`, { pages });
+    assert.equal(res.status, 200);
+    const { fields, missing } = await res.json();
+    const byName = Object.fromEntries(fields.map((field) => [field.name, field]));
+
+    assert.deepEqual(byName.Rechnungsnummer, {
+      name: 'Rechnungsnummer',
+      type: 'text',
+      value: 'RE-2024-117',
+      text: 'RE-2024-117',
+      confidence: 0.95,
+      source: { page: 1, lineId: 'p1-l3', boundingBox: { x: 100, y: 220, width: 450, height: null } },
+    });
+    assert.equal(byName.Rechnungsdatum.value, '2024-03-14');
+    assert.deepEqual([byName.Kundennummer.value, byName.Kundennummer.confidence], ['K-4711', 0.75]);
+    assert.deepEqual([byName.Gesamtbetrag.value, byName.Gesamtbetrag.confidence], [1286.4, 0.9]);
+    assert.deepEqual(byName.Gesamtbetrag.source, {
+      page: 1,
+      tableId: 'p1-t1',
+      row: 4,
+      column: 3,
+      boundingBox: { x: 100, y: 500, width: 800, height: 200 },
+    });
+    assert.deepEqual([byName['Fällig am'].value, byName['Fällig am'].confidence], ['2024-03-28', 0.6]);
+    assert.equal(byName['Empfänger'].value, 'Beispiel AG Am Markt 1 20095 Hamburg');
+    assert.deepEqual(
+      [byName['USt-IdNr'].value, byName['USt-IdNr'].confidence, byName['USt-IdNr'].source],
+      [null, 0, null]
+    );
+    assert.deepEqual(missing, ['USt-IdNr']);
+  });
+
+  test('exports the fields as CSV or JSON', async () => {
+    const csv = await send(`/api/templates/${template.id}/export`, { pages });
+    assert.equal(csv.status, 200);
+    assert.match(csv.headers.get('content-type'), /^text\/csv; charset=utf-8/);
+    assert.match(csv.headers.get('content-disposition'), /filename=".*\.csv"/);
+    const lines = (await csv.text()).split('\r\n');
+    // fetch drops the BOM while decoding.
+    assert.equal(lines[0], 'Feld;Wert;Konfidenz;Seite');
+    assert.equal(lines[2], 'Rechnungsdatum;14.03.2024;0,95;1');
+    assert.equal(lines[4], 'Gesamtbetrag;1286,40;0,90;1');
+    assert.equal(lines[7], 'USt-IdNr;;0,00;');
+
+    const json = await send(`/api/templates/${template.id}/export`, {
+      pages,
+      format: 'json',
+      fileName: 'rechnung.pdf',
+    });
+    assert.match(json.headers.get('content-disposition'), /filename=".*\.json"/);
+    const body = await json.json();
+    assert.equal(body.fileName, 'rechnung.pdf');
+    assert.deepEqual(body.template, { id: template.id, name: 'Rechnung Muster GmbH' });
+    assert.equal(body.fields.length, 7);
+
+    const unknown = await send(`/api/templates/${template.id}/export`, { pages, format: 'xml' });
+    assert.equal(unknown.status, 400);
+    const empty = await send(`/api/templates/${template.id}/apply`, { pages: [] });
+    assert.equal(empty.status, 400);
+    assert.equal((await empty.json()).error, 'Keine Seiten übergeben.');
+  });
+});
@@ -0,0 +1,110 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TINY_PNG_BASE64, createPdf, postExtract, postJson, startStack } = require('./helpers');
+
+describe('GET /api/usage', () => {
+  let stack;
+  const getUsage = (scenario) =>
+    fetch(`${stack.baseUrl}/api/usage`, {
+      headers: scenario ? { 'x-mistral-api-key': scenario } : {},
+    });
+
+  before(async () => {
+    stack = await startStack({
+      env: {
+        USAGE_PRICES: JSON.stringify({ currency: 'EUR', ocrPage: 0.5 }),
+        USAGE_BUDGET_DAILY: '1',
+      },
+    });
+  });
+  after(() => stack.close());
+
+  test('passes the usage data through', async () => {
+    const res = await getUsage('default');
+    assert.equal(res.status, 200);
+    const { data } = await res.json();
+    assert.equal(data.object, 'usage');
+    assert.deepEqual(data.data.map((entry) => entry.model), ['mistral-ocr-latest', 'pixtral-large-latest']);
+
+    const [call] = stack.mock.requests;
+    assert.deepEqual([call.method, call.path], ['GET', '/v1/usage']);
+  });
+
+  test('reports a rejected key as 401', async () => {
+    const res = await getUsage('unauthorized');
+    assert.equal(res.status, 401);
+    const body = await res.json();
+    assert.equal(body.code, 'unauthorized');
+    assert.equal(body.error, 'Mistral Usage hat den API-Key abgelehnt (401).');
+    assert.match(body.details, /Unauthorized/);
+  });
+
+  test('reports unreadable answers as 502', async () => {
+    const res = await getUsage('malformed');
+    assert.equal(res.status, 502);
+    const body = await res.json();
+    assert.equal(body.code, 'invalid_response');
+    assert.equal(body.error, 'Mistral Usage lieferte keine gültige Antwort.');
+  });
+
+  test('meters OCR pages and vision tokens per key with estimated costs', async () => {
+    const extracted = await postExtract(stack.baseUrl, { file: await createPdf('Zähler'), scenario: 'meter-a' });
+    assert.equal(extracted.status, 200);
+    const described = await postJson(
+      stack.baseUrl,
+      '/api/describe-image',
+      { base64: TINY_PNG_BASE64 },
+      { scenario: 'meter-a' }
+    );
+    assert.equal(described.status, 200);
+
+    const res = await getUsage('meter-a');
+    assert.equal(res.status, 200);
+    const { summary, subjects } = await res.json();
+    const expected = { ocrPages: 2, images: 1, promptTokens: 1260, completionTokens: 14, cost: 1.002604 };
+    assert.deepEqual(summary.today, expected);
+    assert.deepEqual(summary.month, expected);
+    assert.equal(summary.currency, 'EUR');
+    assert.deepEqual(summary.budgets, { daily: 1, monthly: null });
+    assert.equal(summary.exceeded.period, 'daily');
+
+    const [entry] = subjects.filter((subject) => subject.label === 'Key …er-a');
+    assert.equal(entry.cost, 1.002604);
+    assert.ok(subjects.every((subject) => !subject.subject.includes('meter-a')));
+  });
+
+  test('blocks new OCR extractions once the budget is used up', async () => {
+    const first = await postExtract(stack.baseUrl, { file: await createPdf('Budget 1'), scenario: 'meter-b' });
+    assert.equal(first.status, 200);
+
+    const blocked = await postExtract(stack.baseUrl, { file: await createPdf('Budget 2'), scenario: 'meter-b' });
+    assert.equal(blocked.status, 429);
+    assert.deepEqual(await blocked.json(), {
+      error: 'Das Tagesbudget von 1.00 EUR ist aufgebraucht (geschätzt 1.00 EUR).',
+      code: 'budget_exceeded',
+    });
+
+    // Text-layer extractions cost nothing and keep working.
+    const local = await postExtract(stack.baseUrl, {
+      file: await createPdf('Budget 3'),
+      scenario: 'meter-b',
+      engine: 'pdfjs',
+    });
+    assert.equal(local.status, 200);
+  });
+
+  test('bills the pages Mistral processed, blank ones included', async () => {
+    const res = await postExtract(stack.baseUrl, { file: await createPdf('Leerseite'), scenario: 'blank-page' });
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).pageCount, 1);
+
+    const { summary } = await (await getUsage('blank-page')).json();
+    assert.equal(summary.today.ocrPages, 2);
+  });
+
+  test('requires an API key', async () => {
+    const res = await getUsage();
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /API-Key/);
+  });
+});
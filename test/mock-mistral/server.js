@@ -0,0 +1,146 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const ROUTES = {
+  'POST /v1/ocr': 'ocr',
+  'POST /v1/chat/completions': 'chat',
+  'GET /v1/usage': 'usage',
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+};
+
+/**
+ * Stand-in for the Mistral API that replays recorded payloads from `fixturesDir`.
+ * The bearer token names the scenario, so every test picks its responses through
+ * the API key it sends: `fixtures/<route>/<scenario>.json`, falling back to
+ * `default.json` of the route. A fixture is either the plain payload (200) or
+ * - `{ "$response": { status, headers, body, delayMs, drop } }` for errors,
+ *   rate limits, slow answers or dropped connections, or
+ * - `{ "$sequence": [...] }`, one entry per call (the last one repeats), each an
+ *   envelope as above or `{ "$fixture": "<scenario>" }`.
+ * Every handled call is recorded in `requests`.
+ */
+const createMockMistralServer = ({ fixturesDir = DEFAULT_FIXTURES_DIR } = {}) => {
+  const requests = [];
+  const callCounts = new Map();
+
+  const loadFixture = (route, scenario) => {
+    const file = [scenario, 'default']
+      .map((name) => path.join(fixturesDir, route, `${path.basename(name)}.json`))
+      .find((candidate) => fs.existsSync(candidate));
+    return file ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+  };
+
+  // Resolves sequences and fixture references down to `{ status, headers, body, delayMs, drop }`.
+  const resolveResponse = (route, scenario, fixture, callIndex) => {
+    if (!fixture) {
+      return { status: 404, body: { message: `Kein Fixture für ${route}/${scenario}` } };
+    }
+    if (Array.isArray(fixture.$sequence)) {
+      const steps = fixture.$sequence;
+      return resolveResponse(route, scenario, steps[Math.min(callIndex, steps.length - 1)], 0);
+    }
+    if (fixture.$fixture) {
+      return resolveResponse(route, fixture.$fixture, loadFixture(route, fixture.$fixture), 0);
+    }
+    if (fixture.$response) {
+      return { status: 200, ...fixture.$response };
+    }
+    return { status: 200, body: fixture };
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const route = ROUTES[`${req.method} ${url.pathname}`];
+    const rawBody = await readBody(req);
+    if (!route) {
+      sendJson(res, 404, { message: `Unbekannter Endpunkt ${req.method} ${url.pathname}` });
+      return;
+    }
+
+    const auth = String(req.headers.authorization || '');
+    if (!/^Bearer \S+/.test(auth)) {
+      sendJson(res, 401, { message: 'Unauthorized' });
+      return;
+    }
+    const scenario = auth.slice('Bearer '.length).trim();
+    const countKey = `${route}:${scenario}`;
+    const callIndex = callCounts.get(countKey) || 0;
+    callCounts.set(countKey, callIndex + 1);
+
+    let body = null;
+    try {
+      body = rawBody ? JSON.parse(rawBody) : null;
+    } catch (error) {
+      sendJson(res, 400, { message: 'Invalid JSON body' });
+      return;
+    }
+    requests.push({ route, scenario, method: req.method, path: url.pathname, body });
+
+    const response = resolveResponse(route, scenario, loadFixture(route, scenario), callIndex);
+    if (response.delayMs) {
+      await new Promise((resolve) => {
+        setTimeout(resolve, response.delayMs);
+      });
+    }
+    if (response.drop) {
+      req.socket.destroy();
+      return;
+    }
+    sendJson(res, response.status, response.body ?? {}, response.headers);
+  });
+
+  const listen = (port = 0) =>
+    new Promise((resolve) => {
+      server.listen(port, '127.0.0.1', () => {
+        const base = `http://127.0.0.1:${server.address().port}`;
+        resolve({
+          base,
+          ocrUrl: `${base}/v1/ocr`,
+          chatUrl: `${base}/v1/chat/completions`,
+          usageUrl: `${base}/v1/usage`,
+        });
+      });
+    });
+
+  const close = () =>
+    new Promise((resolve) => {
+      server.closeAllConnections?.();
+      server.close(() => resolve());
+    });
+
+  const reset = () => {
+    requests.length = 0;
+    callCounts.clear();
+  };
+
+  return { close, listen, requests, reset };
+};
+
+// `node test/mock-mistral/server.js [port]` runs the stand-in on its own, e.g. for the UI.
+if (require.main === module) {
+  const mock = createMockMistralServer();
+  mock.listen(Number(process.argv[2]) || 3913).then((urls) => {
+    console.log(`Mock-Mistral läuft auf ${urls.base}`);
+    console.log(`MISTRAL_OCR_API_URL=${urls.ocrUrl}`);
+    console.log(`MISTRAL_CHAT_API_URL=${urls.chatUrl}`);
+    console.log(`MISTRAL_USAGE_API_URL=${urls.usageUrl}`);
+  });
+}
+
+module.exports = {
+  createMockMistralServer,
+};